@@ -0,0 +1,162 @@
+// ===============================
+// Montagem do app Express
+// ===============================
+// criarApp({ db, catalogo }) devolve o app pronto, sem abrir porta.
+//   db       = pool com a interface do pg (padrão: Postgres de DATABASE_URL)
+//   catalogo = catálogo de músicas (padrão: provedor de CATALOG_PROVIDER)
+// As dependências valem para o processo inteiro (as rotas e serviços usam
+// db/connection e catalog/), então monte um app por processo.
+// server.js usa isso para subir o servidor; o modo demo/test (demo/) passa o
+// banco embutido e o catálogo de fixtures.
+const express = require("express");
+const cors = require("cors");
+const pool = require("./db/connection");
+const { usarCatalogo } = require("./catalog");
+const { autenticar, exigirPapel } = require("./middleware/auth");
+const { exigirRecurso } = require("./middleware/recursos");
+const { definirIdioma, rotaNaoEncontrada, tratarErros } = require("./middleware/erros");
+const { contextoDaRequisicao } = require("./middleware/requisicao");
+const { lerJsonImportacao } = require("./middleware/portabilidade");
+const { servirArquivos } = require("./armazenamento");
+const { obterConfiguracao } = require("./services/configuracoes");
+const usuariosRoutes = require("./routes/usuarios");
+const contaRoutes = require("./routes/conta");
+const minhasMusicasRoutes = require("./routes/minhasMusicas");
+const socialRoutes = require("./routes/social");
+const catalogoRoutes = require("./routes/catalogo");
+const buscaRoutes = require("./routes/busca");
+const spotifyContaRoutes = require("./routes/spotifyConta");
+const recomendacoesRoutes = require("./routes/recomendacoes");
+const curtidasRoutes = require("./routes/curtidas");
+const bibliotecaRoutes = require("./routes/biblioteca");
+const playlistMembrosRoutes = require("./routes/playlistMembros");
+const playlistsRoutes = require("./routes/playlists");
+const feedbackRoutes = require("./routes/feedback");
+const historicoBuscasRoutes = require("./routes/historicoBuscas");
+const tendenciasRoutes = require("./routes/tendencias");
+const adminRoutes = require("./routes/admin");
+const adminEventosRoutes = require("./routes/adminEventos");
+const configuracoesRoutes = require("./routes/configuracoes");
+const observabilidadeRoutes = require("./routes/observabilidade");
+
+// ===============================
+// CORS – libera seus fronts
+// ===============================
+const OPCOES_CORS = {
+  origin: [
+    "http://localhost:5173",
+    "http://localhost:4173",
+    "https://findmysong-frontend.vercel.app",
+    "https://find-my-song-frontend.vercel.app",
+    "https://find-my-song.vercel.app",
+    "https://findmysong.vercel.app",
+  ],
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "Accept-Language", "If-Match", "X-Request-Id", "Last-Event-ID"],
+  exposedHeaders: [
+    "X-Total-Count",
+    "X-Next-Offset",
+    "X-Stale",
+    "Retry-After",
+    "X-Config-Version",
+    "X-Playlist-Version",
+    "X-Request-Id",
+    "Content-Language",
+    "Content-Disposition",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+  ],
+};
+
+function criarApp({ db, catalogo, logRequisicoes = true } = {}) {
+  if (db) pool.usarPool(db);
+  if (catalogo) usarCatalogo(catalogo);
+
+  const app = express();
+
+  // Atrás de proxy (Render, Vercel...) o IP real vem no X-Forwarded-For.
+  // TRUST_PROXY = número de proxies à frente do app (ou "true").
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === "true");
+  }
+
+  // Id da requisição (X-Request-Id), log de acesso e métricas HTTP.
+  // Primeiro de todos, para medir também o que falhar no CORS ou no corpo.
+  app.use(contextoDaRequisicao({ logAcesso: logRequisicoes }));
+
+  app.use(cors(OPCOES_CORS));
+
+  // Idioma das mensagens (Accept-Language ou "language" da configuração).
+  // Antes do express.json() para que JSON inválido também saia traduzido.
+  app.use(definirIdioma);
+
+  // Importações em JSON (o próprio arquivo exportado) passam do limite
+  // padrão de 100kb: lidas antes, com o limite dos arquivos importados
+  app.use(/^\/api\/(likes|library|playlists\/[^/]+)\/importar$/, lerJsonImportacao);
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // ===============================
+  // Métricas e health checks (/metrics, /health, /health/live, /health/ready)
+  // ===============================
+  app.use(observabilidadeRoutes);
+
+  // Arquivos enviados (avatares), quando o armazenamento é o próprio app
+  app.use("/uploads", servirArquivos);
+
+  // ===============================
+  // Rotas da API
+  // ===============================
+  app.use("/api/feedback", feedbackRoutes);
+  app.use("/api/usuarios", usuariosRoutes);
+  app.use("/api/usuarios", contaRoutes);
+  app.use("/api/usuarios", historicoBuscasRoutes);
+  app.use("/api/usuarios", minhasMusicasRoutes);
+  app.use("/api/usuarios", socialRoutes);
+  app.use("/api/catalogo", catalogoRoutes);
+  // Busca e top 10 antes das rotas da conta Spotify (que exigem o recurso ligado)
+  app.use("/api/spotify", buscaRoutes);
+  app.use("/api/spotify", spotifyContaRoutes);
+  app.use("/api/recommendations", exigirRecurso("recomendacoes"), recomendacoesRoutes);
+  app.use("/api/likes", curtidasRoutes);
+  app.use("/api/library", bibliotecaRoutes);
+  app.use("/api/playlists", playlistMembrosRoutes);
+  app.use("/api/playlists", playlistsRoutes);
+  app.use("/api/trending", tendenciasRoutes);
+
+  // Configuração pública do site (nome, tema, destaques, recursos ligados)
+  app.get("/api/config", async (req, res, next) => {
+    try {
+      const { versao, valores } = await obterConfiguracao();
+      res.set("X-Config-Version", String(versao));
+      res.json(valores);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ===============================
+  // ADMIN – Usuários, auditoria e configurações
+  // ===============================
+  // Tudo em /api/admin exige usuário autenticado com papel admin
+  app.use("/api/admin", autenticar, exigirPapel("admin"));
+  app.use("/api/admin/config", configuracoesRoutes);
+  app.use("/api/admin/eventos", adminEventosRoutes);
+  app.use("/api/admin", adminRoutes);
+
+  // ===============================
+  // Rotas padrão
+  // ===============================
+  app.get("/", (req, res) => res.send("FindMySong backend rodando 🎵"));
+
+  app.use(rotaNaoEncontrada);
+
+  // Tratador central: todo erro passado para next() responde { code, message }
+  app.use(tratarErros);
+
+  return app;
+}
+
+module.exports = criarApp;
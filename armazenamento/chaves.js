@@ -0,0 +1,14 @@
+// Chaves de armazenamento: caminhos relativos com "/" ("avatares/12/abc-256.webp"),
+// só letras, números, "_" e "-" em cada parte, e uma extensão. Nada de "..".
+const CHAVE_VALIDA = /^[\w-]+(\/[\w-]+)*\.\w+$/;
+
+function chaveValida(chave) {
+  return typeof chave === "string" && CHAVE_VALIDA.test(chave);
+}
+
+function validarChave(chave) {
+  if (!chaveValida(chave)) throw new Error(`Chave de armazenamento inválida: "${chave}"`);
+  return chave;
+}
+
+module.exports = { chaveValida, validarChave };
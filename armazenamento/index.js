@@ -0,0 +1,69 @@
+// ===============================
+// Armazenamento de arquivos (avatares)
+// ===============================
+// Backends plugáveis, escolhidos por STORAGE_DRIVER:
+//   local   (padrão) disco em UPLOADS_DIR, servido pelo próprio app em /uploads
+//   s3      bucket S3 ou compatível (MinIO, R2, Spaces...), ver s3.js
+//   memoria só para testes (modo test)
+//
+// Store = { salvar(chave, conteudo, { tipo, cache }), remover(chave),
+//           url(chave), ler?(chave) -> { conteudo, tipo } | null }
+// ler() só existe nos backends servidos pelo app (local e memoria).
+// Chaves são caminhos relativos ("avatares/12/abc-256.webp"), ver chaves.js.
+const { chaveValida } = require("./chaves");
+const criarStoreLocal = require("./local");
+const criarStoreS3 = require("./s3");
+const criarStoreMemoria = require("./memoria");
+
+const STORES = {
+  local: criarStoreLocal,
+  s3: criarStoreS3,
+  memoria: criarStoreMemoria,
+};
+
+let storeAtual = null;
+
+function criarStore(nome = process.env.STORAGE_DRIVER || "local") {
+  const fabrica = STORES[nome];
+  if (!fabrica) {
+    throw new Error(`STORAGE_DRIVER inválido: "${nome}". Use ${Object.keys(STORES).join(", ")}.`);
+  }
+  return fabrica();
+}
+
+// Store compartilhado pelo app (criado no primeiro uso)
+function armazenamento() {
+  if (!storeAtual) storeAtual = criarStore();
+  return storeAtual;
+}
+
+function usarArmazenamento(novo) {
+  storeAtual = novo;
+}
+
+// GET /uploads/<chave> para os backends servidos pelo app. Os nomes mudam a
+// cada envio, então o cache pode ser longo.
+async function servirArquivos(req, res, next) {
+  const store = armazenamento();
+  const chave = req.path.replace(/^\//, "");
+  if (!store.ler || !chaveValida(chave)) return next();
+
+  try {
+    const arquivo = await store.ler(chave);
+    if (!arquivo) return next();
+    res.set("Cache-Control", "public, max-age=31536000, immutable");
+    res.set("X-Content-Type-Options", "nosniff");
+    res.type(arquivo.tipo);
+    return res.send(arquivo.conteudo);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  STORES,
+  criarStore,
+  armazenamento,
+  usarArmazenamento,
+  servirArquivos,
+};
@@ -0,0 +1,55 @@
+// ===============================
+// Armazenamento em disco (desenvolvimento / uma instância)
+// ===============================
+// UPLOADS_DIR = pasta dos arquivos (padrão ./uploads)
+// UPLOADS_PUBLIC_URL = prefixo das URLs devolvidas (padrão /uploads, servido
+//   pelo próprio app; use a URL completa se o front estiver em outro domínio)
+const fs = require("fs/promises");
+const path = require("path");
+const { validarChave } = require("./chaves");
+
+// Extensão -> Content-Type na leitura (o disco não guarda o tipo)
+const TIPOS = {
+  webp: "image/webp",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+};
+
+function criarStoreLocal({
+  diretorio = process.env.UPLOADS_DIR || path.join(process.cwd(), "uploads"),
+  urlBase = process.env.UPLOADS_PUBLIC_URL || "/uploads",
+} = {}) {
+  const raiz = path.resolve(diretorio);
+  const caminho = (chave) => path.join(raiz, ...validarChave(chave).split("/"));
+
+  return {
+    async salvar(chave, conteudo) {
+      const destino = caminho(chave);
+      await fs.mkdir(path.dirname(destino), { recursive: true });
+      // Grava em um temporário e renomeia: quem lê nunca vê arquivo pela metade
+      const temporario = `${destino}.${process.pid}.tmp`;
+      await fs.writeFile(temporario, conteudo);
+      await fs.rename(temporario, destino);
+    },
+
+    async remover(chave) {
+      await fs.rm(caminho(chave), { force: true });
+    },
+
+    async ler(chave) {
+      try {
+        const conteudo = await fs.readFile(caminho(chave));
+        const extensao = path.extname(chave).slice(1).toLowerCase();
+        return { conteudo, tipo: TIPOS[extensao] || "application/octet-stream" };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    url: (chave) => `${urlBase}/${chave}`,
+  };
+}
+
+module.exports = criarStoreLocal;
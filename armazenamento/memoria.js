@@ -0,0 +1,26 @@
+// ===============================
+// Armazenamento em memória (testes)
+// ===============================
+// Some quando o processo termina. Servido pelo app como o local.
+const { validarChave } = require("./chaves");
+
+function criarStoreMemoria({ urlBase = process.env.UPLOADS_PUBLIC_URL || "/uploads" } = {}) {
+  const arquivos = new Map();
+
+  return {
+    async salvar(chave, conteudo, { tipo }) {
+      arquivos.set(validarChave(chave), { conteudo: Buffer.from(conteudo), tipo });
+    },
+    async remover(chave) {
+      arquivos.delete(chave);
+    },
+    async ler(chave) {
+      return arquivos.get(chave) || null;
+    },
+    url: (chave) => `${urlBase}/${chave}`,
+    // Para os testes conferirem a limpeza
+    chaves: () => [...arquivos.keys()],
+  };
+}
+
+module.exports = criarStoreMemoria;
@@ -0,0 +1,112 @@
+// ===============================
+// Armazenamento em S3 (ou compatível)
+// ===============================
+// Requisições assinadas com AWS Signature V4, em path-style
+// (<endpoint>/<bucket>/<chave>), que funciona tanto na AWS quanto em
+// MinIO, Cloudflare R2, DigitalOcean Spaces etc.
+//   S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY (obrigatórias)
+//   S3_REGION   (padrão us-east-1; R2 usa "auto")
+//   S3_ENDPOINT (padrão https://s3.<região>.amazonaws.com)
+//   S3_PUBLIC_URL = prefixo das URLs públicas (CDN ou domínio do bucket);
+//     padrão <endpoint>/<bucket>. O bucket (ou a CDN) precisa permitir
+//     leitura pública dos objetos.
+const crypto = require("crypto");
+const axios = require("axios");
+const { validarChave } = require("./chaves");
+const metricas = require("../observabilidade/metricas");
+
+const sha256 = (dados) => crypto.createHash("sha256").update(dados).digest("hex");
+const hmac = (chave, dados) => crypto.createHmac("sha256", chave).update(dados).digest();
+
+// Assina a requisição e devolve os cabeçalhos (Authorization, x-amz-*)
+function assinar({ metodo, url, regiao, chaveAcesso, segredo, hashCorpo, agora = new Date() }) {
+  const dataHora = agora.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const data = dataHora.slice(0, 8);
+  const escopo = `${data}/${regiao}/s3/aws4_request`;
+
+  const cabecalhos = {
+    host: url.host,
+    "x-amz-content-sha256": hashCorpo,
+    "x-amz-date": dataHora,
+  };
+  const nomes = Object.keys(cabecalhos).sort();
+  const requisicaoCanonica = [
+    metodo,
+    url.pathname,
+    "",
+    ...nomes.map((n) => `${n}:${cabecalhos[n]}`),
+    "",
+    nomes.join(";"),
+    hashCorpo,
+  ].join("\n");
+
+  const textoAssinado = ["AWS4-HMAC-SHA256", dataHora, escopo, sha256(requisicaoCanonica)].join("\n");
+  let chave = hmac(`AWS4${segredo}`, data);
+  for (const parte of [regiao, "s3", "aws4_request"]) chave = hmac(chave, parte);
+  const assinatura = crypto.createHmac("sha256", chave).update(textoAssinado).digest("hex");
+
+  return {
+    "x-amz-content-sha256": hashCorpo,
+    "x-amz-date": dataHora,
+    Authorization:
+      `AWS4-HMAC-SHA256 Credential=${chaveAcesso}/${escopo}, ` +
+      `SignedHeaders=${nomes.join(";")}, Signature=${assinatura}`,
+  };
+}
+
+function criarStoreS3({
+  bucket = process.env.S3_BUCKET,
+  regiao = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT || `https://s3.${regiao}.amazonaws.com`,
+  chaveAcesso = process.env.S3_ACCESS_KEY_ID,
+  segredo = process.env.S3_SECRET_ACCESS_KEY,
+  urlPublica = process.env.S3_PUBLIC_URL,
+  timeout = 10000,
+} = {}) {
+  if (!bucket || !chaveAcesso || !segredo) {
+    throw new Error("STORAGE_DRIVER=s3 exige S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY.");
+  }
+  const base = endpoint.replace(/\/+$/, "");
+  const prefixoPublico = (urlPublica || `${base}/${bucket}`).replace(/\/+$/, "");
+
+  async function enviar(metodo, chave, { corpo, cabecalhos = {} } = {}) {
+    const url = new URL(`${base}/${bucket}/${validarChave(chave)}`);
+    const hashCorpo = sha256(corpo || "");
+    const inicio = process.hrtime.bigint();
+    try {
+      await axios.request({
+        method: metodo,
+        url: url.toString(),
+        data: corpo,
+        timeout,
+        maxBodyLength: Infinity,
+        headers: {
+          ...cabecalhos,
+          ...assinar({ metodo, url, regiao, chaveAcesso, segredo, hashCorpo }),
+        },
+      });
+      metricas.upstream.duracao.observar({ service: "s3", outcome: "ok" }, metricas.segundosDesde(inicio));
+    } catch (err) {
+      metricas.upstream.duracao.observar({ service: "s3", outcome: "erro" }, metricas.segundosDesde(inicio));
+      metricas.upstream.erros.inc({ service: "s3", code: String(err.response?.status || err.code || "erro") });
+      throw err;
+    }
+  }
+
+  return {
+    salvar: (chave, conteudo, { tipo, cache } = {}) =>
+      enviar("PUT", chave, {
+        corpo: conteudo,
+        cabecalhos: {
+          "Content-Type": tipo || "application/octet-stream",
+          ...(cache ? { "Cache-Control": cache } : {}),
+        },
+      }),
+    // DELETE de objeto inexistente já responde 204 no S3
+    remover: (chave) => enviar("DELETE", chave),
+    url: (chave) => `${prefixoPublico}/${chave}`,
+  };
+}
+
+module.exports = criarStoreS3;
+module.exports.assinar = assinar;
@@ -0,0 +1,99 @@
+// ===============================
+// Cache LRU com TTL + deduplicação de requisições em andamento
+// ===============================
+// obter(chave, carregar): devolve o valor do cache se ainda válido; senão
+// chama carregar() uma única vez, mesmo que várias requisições peçam a mesma
+// chave ao mesmo tempo (as demais aguardam a mesma Promise). Erros não são
+// guardados no cache.
+//
+// Entradas vencidas ficam guardadas por mais "staleMs": se carregar() falhar
+// nesse período, o último valor bom é devolvido marcado como velho.
+//
+// Retorno: { valor, velho, atualizadoEm }
+
+function criarCache({ max = 500, ttlMs = 5 * 60 * 1000, staleMs = 24 * 60 * 60 * 1000 } = {}) {
+  // Map mantém a ordem de inserção: o primeiro item é o menos usado
+  const itens = new Map();
+  const emAndamento = new Map();
+  const stats = { hits: 0, misses: 0, coalesced: 0, evictions: 0, stale_servidos: 0 };
+
+  // Devolve a entrada (válida ou vencida) e marca como usada recentemente
+  function ler(chave) {
+    const item = itens.get(chave);
+    if (!item) return undefined;
+    if (item.descartarEm <= Date.now()) {
+      itens.delete(chave);
+      return undefined;
+    }
+    itens.delete(chave);
+    itens.set(chave, item);
+    return item;
+  }
+
+  function gravar(chave, valor) {
+    const agora = Date.now();
+    itens.delete(chave);
+    itens.set(chave, {
+      valor,
+      atualizadoEm: new Date(agora),
+      expiraEm: agora + ttlMs,
+      descartarEm: agora + ttlMs + staleMs,
+    });
+    while (itens.size > max) {
+      itens.delete(itens.keys().next().value);
+      stats.evictions += 1;
+    }
+  }
+
+  async function obter(chave, carregar) {
+    const item = ler(chave);
+    if (item && item.expiraEm > Date.now()) {
+      stats.hits += 1;
+      return { valor: item.valor, velho: false, atualizadoEm: item.atualizadoEm };
+    }
+
+    const pendente = emAndamento.get(chave);
+    if (pendente) {
+      stats.coalesced += 1;
+      return pendente;
+    }
+
+    stats.misses += 1;
+    const promessa = (async () => {
+      try {
+        const valor = await carregar();
+        gravar(chave, valor);
+        return { valor, velho: false, atualizadoEm: new Date() };
+      } catch (err) {
+        if (!item) throw err;
+        stats.stale_servidos += 1;
+        return { valor: item.valor, velho: true, atualizadoEm: item.atualizadoEm };
+      } finally {
+        emAndamento.delete(chave);
+      }
+    })();
+    emAndamento.set(chave, promessa);
+    return promessa;
+  }
+
+  function estatisticas() {
+    const consultas = stats.hits + stats.misses + stats.coalesced;
+    return {
+      ...stats,
+      tamanho: itens.size,
+      em_andamento: emAndamento.size,
+      max,
+      ttl_ms: ttlMs,
+      stale_ms: staleMs,
+      hit_rate: consultas ? (stats.hits + stats.coalesced) / consultas : 0,
+    };
+  }
+
+  function limpar() {
+    itens.clear();
+  }
+
+  return { obter, estatisticas, limpar };
+}
+
+module.exports = criarCache;
@@ -0,0 +1,134 @@
+// ===============================
+// Catálogo: Deezer (API pública, sem autenticação)
+// ===============================
+// A Deezer não aceita "market": o país é deduzido pelo IP de quem chama.
+const criarClienteHttp = require("./httpClient");
+const { CatalogoError } = require("./erros");
+
+const API = "https://api.deezer.com";
+
+function normalizarFaixa(t) {
+  const artista = t.artist?.name || null;
+  return {
+    id: String(t.id),
+    provedor: "deezer",
+    titulo: t.title,
+    artista,
+    artistas: artista ? [artista] : [],
+    artistas_ids: artista ? [String(t.artist.id)] : [],
+    album_id: t.album?.id ? String(t.album.id) : null,
+    album: t.album?.title || null,
+    imagem: t.album?.cover_xl || t.album?.cover_big || null,
+    url: t.link || null,
+    preview_url: t.preview || null,
+    duracao_ms: t.duration ? t.duration * 1000 : null,
+    explicita: Boolean(t.explicit_lyrics),
+  };
+}
+
+function normalizarAlbum(a) {
+  return {
+    id: String(a.id),
+    provedor: "deezer",
+    titulo: a.title,
+    artista: a.artist?.name || null,
+    imagem: a.cover_xl || a.cover_big || null,
+    url: a.link || `https://www.deezer.com/album/${a.id}`,
+    lancamento: a.release_date || null,
+    total_faixas: a.nb_tracks ?? null,
+  };
+}
+
+function normalizarArtista(a) {
+  return {
+    id: String(a.id),
+    provedor: "deezer",
+    nome: a.name,
+    imagem: a.picture_xl || a.picture_big || null,
+    url: a.link || null,
+    generos: [],
+  };
+}
+
+function normalizarPlaylist(p) {
+  return {
+    id: String(p.id),
+    provedor: "deezer",
+    nome: p.title,
+    descricao: "",
+    dono: p.user?.name || null,
+    imagem: p.picture_xl || p.picture_big || null,
+    url: p.link || null,
+    total_faixas: p.nb_tracks ?? null,
+  };
+}
+
+function criarProvedorDeezer() {
+  // A Deezer responde 200 com { error: {...} } em caso de falha.
+  // Cota excedida (4) e serviço ocupado (700) entram nas regras de retry.
+  const http = criarClienteHttp({
+    nome: "DEEZER",
+    baseURL: API,
+    verificarResposta(data) {
+      if (data?.error?.code === 4) throw new CatalogoError("UPSTREAM_RATE_LIMITED", { retryAfterMs: 5000 });
+      if (data?.error?.code === 700) throw new CatalogoError("UPSTREAM_ERROR");
+    },
+  });
+
+  async function get(path, params) {
+    const data = await http.get(path, params);
+    if (data?.error) {
+      const err = new Error(`Deezer: ${data.error.message || data.error.type}`);
+      err.deezer = data.error;
+      throw err;
+    }
+    return data;
+  }
+
+  async function buscar(tipo, q, { limit, offset }) {
+    return get(`/search/${tipo}`, { q, limit, index: offset });
+  }
+
+  return {
+    nome: "deezer",
+    estatisticas: () => http.estatisticas(),
+
+    async buscarFaixas(q, opts) {
+      const r = await buscar("track", q, opts);
+      return { itens: r.data.map(normalizarFaixa), total: r.total };
+    },
+
+    async buscarAlbuns(q, opts) {
+      const r = await buscar("album", q, opts);
+      return { itens: r.data.map(normalizarAlbum), total: r.total };
+    },
+
+    async buscarArtistas(q, opts) {
+      const r = await buscar("artist", q, opts);
+      return { itens: r.data.map(normalizarArtista), total: r.total };
+    },
+
+    async buscarPlaylists(q, opts) {
+      const r = await buscar("playlist", q, opts);
+      return { itens: r.data.map(normalizarPlaylist), total: r.total };
+    },
+
+    async obterFaixa(id) {
+      if (!/^\d+$/.test(String(id))) return null;
+      try {
+        return normalizarFaixa(await get(`/track/${id}`));
+      } catch (err) {
+        // código 800 = "no data"
+        if (err.deezer?.code === 800) return null;
+        throw err;
+      }
+    },
+
+    async lancamentos({ limit }) {
+      const r = await get("/editorial/0/releases", { limit });
+      return r.data.map(normalizarAlbum);
+    },
+  };
+}
+
+module.exports = criarProvedorDeezer;
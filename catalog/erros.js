@@ -0,0 +1,25 @@
+// ===============================
+// Erros do catálogo / serviços externos
+// ===============================
+// Cada código vira um status HTTP; a mensagem vem de i18n/ pelo código.
+// O tratador central (middleware/erros.js) devolve o Retry-After quando houver.
+const { ErroApi } = require("../erros");
+
+const STATUS = {
+  UPSTREAM_RATE_LIMITED: 503,
+  UPSTREAM_CIRCUIT_OPEN: 503,
+  UPSTREAM_UNAVAILABLE: 502,
+  UPSTREAM_TIMEOUT: 504,
+  UPSTREAM_AUTH: 502,
+  UPSTREAM_ERROR: 502,
+};
+
+class CatalogoError extends ErroApi {
+  constructor(codigo, { causa, retryAfterMs, upstreamStatus } = {}) {
+    super(codigo, { status: STATUS[codigo], causa, retryAfterMs });
+    this.name = "CatalogoError";
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+module.exports = { CatalogoError };
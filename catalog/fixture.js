@@ -0,0 +1,67 @@
+// ===============================
+// Catálogo: offline (fixtures em catalog/fixtures/catalogo.json)
+// ===============================
+// Não acessa a rede. Útil para desenvolvimento local e testes.
+const path = require("path");
+
+const ARQUIVO_PADRAO = path.join(__dirname, "fixtures", "catalogo.json");
+
+// Minúsculas e sem acentos, para comparar "Coração" com "coracao"
+function normalizarTexto(texto) {
+  return String(texto || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+function casa(q, ...campos) {
+  const termos = normalizarTexto(q).split(/\s+/).filter(Boolean);
+  const alvo = normalizarTexto(campos.join(" "));
+  return termos.every((t) => alvo.includes(t));
+}
+
+function paginar(lista, { limit, offset }) {
+  return { itens: lista.slice(offset, offset + limit), total: lista.length };
+}
+
+function criarProvedorFixture({ arquivo = ARQUIVO_PADRAO } = {}) {
+  const dados = require(arquivo);
+  const comProvedor = (item) => ({ ...item, provedor: "fixture" });
+  const faixas = dados.faixas.map(comProvedor);
+  const albuns = dados.albuns.map(comProvedor);
+  const artistas = dados.artistas.map(comProvedor);
+  const playlists = (dados.playlists || []).map(comProvedor);
+
+  return {
+    nome: "fixture",
+
+    async buscarFaixas(q, opts) {
+      return paginar(faixas.filter((f) => casa(q, f.titulo, f.artista, f.album)), opts);
+    },
+
+    async buscarAlbuns(q, opts) {
+      return paginar(albuns.filter((a) => casa(q, a.titulo, a.artista)), opts);
+    },
+
+    async buscarArtistas(q, opts) {
+      return paginar(artistas.filter((a) => casa(q, a.nome)), opts);
+    },
+
+    async buscarPlaylists(q, opts) {
+      return paginar(playlists.filter((p) => casa(q, p.nome, p.descricao)), opts);
+    },
+
+    async obterFaixa(id) {
+      return faixas.find((f) => f.id === String(id)) || null;
+    },
+
+    async lancamentos({ limit }) {
+      return [...albuns]
+        .sort((a, b) => String(b.lancamento).localeCompare(String(a.lancamento)))
+        .slice(0, limit);
+    },
+  };
+}
+
+module.exports = criarProvedorFixture;
@@ -0,0 +1,210 @@
+// ===============================
+// Cliente HTTP resiliente para APIs de música
+// ===============================
+// - 429: respeita Retry-After (se a espera for curta) e tenta de novo
+// - 5xx / timeout / rede: novas tentativas com backoff exponencial + jitter
+// - 401: pede um token novo (obterToken({ forcar: true })) e repete uma vez
+// - circuit breaker: após N falhas seguidas, falha rápido por um tempo e
+//   depois libera uma requisição de teste (meio-aberto)
+// Falhas viram CatalogoError com código estável (ver erros.js). Outros 4xx
+// (400, 404...) são repassados como vieram, sem retry.
+// Duração e falhas vão para as métricas upstream_* (observabilidade/metricas.js).
+const axios = require("axios");
+const { CatalogoError } = require("./erros");
+const log = require("../observabilidade/log");
+const metricas = require("../observabilidade/metricas");
+
+function dormir(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Retry-After pode vir em segundos ou como data HTTP
+function retryAfterMs(err) {
+  const valor = err.response?.headers?.["retry-after"];
+  if (valor === undefined) return 1000;
+  const segundos = Number(valor);
+  if (Number.isFinite(segundos)) return Math.max(segundos, 0) * 1000;
+  const data = Date.parse(valor);
+  return Number.isFinite(data) ? Math.max(data - Date.now(), 0) : 1000;
+}
+
+// Converte erro do axios em CatalogoError (ou null se deve ser repassado)
+function classificar(err) {
+  if (err instanceof CatalogoError) return err;
+
+  const status = err.response?.status;
+  if (status === 429) {
+    return new CatalogoError("UPSTREAM_RATE_LIMITED", {
+      causa: err,
+      retryAfterMs: retryAfterMs(err),
+      upstreamStatus: status,
+    });
+  }
+  if (status === 401) return new CatalogoError("UPSTREAM_AUTH", { causa: err, upstreamStatus: status });
+  if (status >= 500) return new CatalogoError("UPSTREAM_ERROR", { causa: err, upstreamStatus: status });
+  if (status) return null;
+  if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") {
+    return new CatalogoError("UPSTREAM_TIMEOUT", { causa: err });
+  }
+  return new CatalogoError("UPSTREAM_UNAVAILABLE", { causa: err });
+}
+
+const RETENTAVEIS = new Set([
+  "UPSTREAM_RATE_LIMITED",
+  "UPSTREAM_ERROR",
+  "UPSTREAM_TIMEOUT",
+  "UPSTREAM_UNAVAILABLE",
+]);
+
+function criarClienteHttp({
+  nome,
+  baseURL,
+  timeout = 8000,
+  obterToken, // async ({ forcar }) => token; opcional
+  verificarResposta, // (data) => void; pode lançar CatalogoError
+  tentativas = 3,
+  backoffBaseMs = 250,
+  esperaMaximaMs = 10000,
+  limiteFalhas = 5,
+  circuitoAbertoMs = 30000,
+  esperar = dormir,
+} = {}) {
+  const circuito = { estado: "fechado", falhasSeguidas: 0, abertoAte: 0, testando: false };
+  const stats = { requisicoes: 0, sucessos: 0, falhas: 0, retries: 0, renovacoes_token: 0, circuito_aberto: 0 };
+
+  function liberarCircuito() {
+    if (circuito.estado === "aberto") {
+      if (Date.now() < circuito.abertoAte) {
+        throw new CatalogoError("UPSTREAM_CIRCUIT_OPEN", {
+          retryAfterMs: circuito.abertoAte - Date.now(),
+        });
+      }
+      circuito.estado = "meio-aberto";
+    }
+    if (circuito.estado === "meio-aberto") {
+      if (circuito.testando) {
+        throw new CatalogoError("UPSTREAM_CIRCUIT_OPEN", { retryAfterMs: 1000 });
+      }
+      circuito.testando = true;
+    }
+  }
+
+  function registrarSucesso() {
+    stats.sucessos += 1;
+    circuito.estado = "fechado";
+    circuito.falhasSeguidas = 0;
+    circuito.testando = false;
+  }
+
+  function registrarFalha() {
+    stats.falhas += 1;
+    circuito.falhasSeguidas += 1;
+    const reabrir = circuito.estado === "meio-aberto";
+    circuito.testando = false;
+    if (reabrir || circuito.falhasSeguidas >= limiteFalhas) {
+      if (circuito.estado !== "aberto") {
+        stats.circuito_aberto += 1;
+        log.warn("Circuito aberto", { servico: nome, segundos: circuitoAbertoMs / 1000 });
+      }
+      circuito.estado = "aberto";
+      circuito.abertoAte = Date.now() + circuitoAbertoMs;
+    }
+  }
+
+  // Backoff exponencial com "full jitter": espera aleatória em [0, base * 2^n]
+  function backoff(tentativa) {
+    return Math.round(Math.random() * backoffBaseMs * 2 ** (tentativa - 1));
+  }
+
+  // Mede a chamada inteira (com retries); circuito aberto conta só como erro
+  async function requisitar(config) {
+    const servico = nome.toLowerCase();
+    const inicio = process.hrtime.bigint();
+    try {
+      const dados = await executar(config);
+      metricas.upstream.duracao.observar({ service: servico, outcome: "ok" }, metricas.segundosDesde(inicio));
+      return dados;
+    } catch (err) {
+      // 4xx repassado (404 etc.): o serviço respondeu, não conta como falha
+      const falha = err instanceof CatalogoError;
+      if (falha) metricas.upstream.erros.inc({ service: servico, code: err.codigo });
+      if (!falha || err.codigo !== "UPSTREAM_CIRCUIT_OPEN") {
+        metricas.upstream.duracao.observar(
+          { service: servico, outcome: falha ? "erro" : "4xx" },
+          metricas.segundosDesde(inicio)
+        );
+      }
+      throw err;
+    }
+  }
+
+  async function executar(config) {
+    liberarCircuito();
+    stats.requisicoes += 1;
+
+    let forcarToken = false;
+    let tokenRenovado = false;
+
+    for (let tentativa = 1; ; tentativa += 1) {
+      try {
+        const headers = { ...config.headers };
+        if (obterToken) {
+          let token;
+          try {
+            token = await obterToken({ forcar: forcarToken });
+          } catch (err) {
+            // Falha temporária no endpoint de token segue as regras de retry;
+            // o resto (credenciais inválidas etc.) é erro de autenticação
+            const erro = classificar(err);
+            throw erro && erro.codigo !== "UPSTREAM_AUTH"
+              ? erro
+              : new CatalogoError("UPSTREAM_AUTH", { causa: err });
+          }
+          headers.Authorization = `Bearer ${token}`;
+          forcarToken = false;
+        }
+
+        const r = await axios.request({ baseURL, timeout, ...config, headers });
+        if (verificarResposta) verificarResposta(r.data);
+        registrarSucesso();
+        return r.data;
+      } catch (err) {
+        // Token revogado/expirado antes da hora: renova e repete uma única vez
+        if (err.response?.status === 401 && obterToken && !tokenRenovado) {
+          tokenRenovado = true;
+          forcarToken = true;
+          stats.renovacoes_token += 1;
+          continue;
+        }
+
+        const erro = classificar(err);
+        if (!erro) {
+          // 4xx "normal" (404, 400...): o serviço respondeu, não é falha dele
+          registrarSucesso();
+          throw err;
+        }
+
+        if (RETENTAVEIS.has(erro.codigo) && tentativa < tentativas) {
+          const espera =
+            erro.codigo === "UPSTREAM_RATE_LIMITED" ? erro.retryAfterMs : backoff(tentativa);
+          if (espera <= esperaMaximaMs) {
+            stats.retries += 1;
+            await esperar(espera);
+            continue;
+          }
+        }
+
+        registrarFalha();
+        throw erro;
+      }
+    }
+  }
+
+  return {
+    get: (url, params) => requisitar({ method: "get", url, params }),
+    requisitar,
+    estatisticas: () => ({ nome, ...stats, circuito: circuito.estado }),
+  };
+}
+
+module.exports = criarClienteHttp;
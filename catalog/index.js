@@ -0,0 +1,149 @@
+// ===============================
+// Catálogo musical (provedores plugáveis)
+// ===============================
+// Todo provedor expõe a mesma interface e devolve o mesmo formato:
+//
+//   buscarFaixas(q, opts)    -> { itens: [faixa], total }
+//   buscarAlbuns(q, opts)    -> { itens: [album], total }
+//   buscarArtistas(q, opts)  -> { itens: [artista], total }
+//   buscarPlaylists(q, opts) -> { itens: [playlist], total }
+//   obterFaixa(id, opts)     -> faixa | null
+//   (no catálogo, obterFaixaSemCache(id, opts) pergunta direto ao provedor:
+//    sem resultado vencido de reserva, erro do provedor sobe)
+//   lancamentos(opts)        -> [album] (**)
+//
+//   faixa    = { id, provedor, titulo, artista, artistas, artistas_ids, album_id,
+//                album, imagem, url, preview_url, duracao_ms, explicita }
+//              (artistas_ids na mesma ordem de artistas)
+//   album    = { id, provedor, titulo, artista, imagem, url, lancamento, total_faixas }
+//   artista  = { id, provedor, nome, imagem, url, generos }
+//   playlist = { id, provedor, nome, descricao, dono, imagem, url, total_faixas }
+//
+// No catálogo, as buscas também devolvem limit, offset, proximo_offset e desatualizado.
+// (**) no catálogo vira { itens: [album], desatualizado, atualizado_em }.
+// "desatualizado" = o provedor falhou e devolvemos o último resultado bom.
+// opts = { market, limit, offset }. O provedor é escolhido por CATALOG_PROVIDER
+// (spotify | deezer | fixture; padrão spotify). As respostas passam por um
+// cache LRU/TTL (CATALOG_CACHE_TTL em segundos, CATALOG_CACHE_MAX itens,
+// CATALOG_STALE_TTL = por quanto tempo um resultado vencido ainda serve de reserva).
+const criarCache = require("./cache");
+
+const PROVEDORES = {
+  spotify: require("./spotify"),
+  deezer: require("./deezer"),
+  fixture: require("./fixture"),
+};
+
+const LIMITE_MAXIMO = 50;
+
+function opcoes({ market, limit, offset } = {}, limitePadrao = 20) {
+  const lim = Number.parseInt(limit, 10);
+  const off = Number.parseInt(offset, 10);
+  return {
+    market: String(market || "BR").toUpperCase(),
+    limit: Number.isFinite(lim) ? Math.min(Math.max(lim, 1), LIMITE_MAXIMO) : limitePadrao,
+    offset: Number.isFinite(off) && off > 0 ? off : 0,
+  };
+}
+
+// Metadados para scroll infinito: proximo_offset = null quando acabou
+function paginacao({ itens, total }, { limit, offset }) {
+  const proximo = offset + itens.length;
+  return { limit, offset, proximo_offset: itens.length > 0 && proximo < total ? proximo : null };
+}
+
+// "  Love   Song " e "love song" caem na mesma entrada do cache
+function normalizarConsulta(q) {
+  return String(q || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// Cria o catálogo com o provedor informado, aplicando os padrões de paginação
+function criarCatalogo(nome = process.env.CATALOG_PROVIDER || "spotify", config = {}) {
+  const fabrica = PROVEDORES[nome];
+  if (!fabrica) {
+    throw new Error(
+      `Provedor de catálogo desconhecido: ${nome} (use ${Object.keys(PROVEDORES).join(", ")})`
+    );
+  }
+  const provedor = fabrica(config);
+  const cache = criarCache({
+    max: Number(process.env.CATALOG_CACHE_MAX) || 500,
+    ttlMs: (Number(process.env.CATALOG_CACHE_TTL) || 300) * 1000,
+    staleMs: (Number(process.env.CATALOG_STALE_TTL) || 24 * 3600) * 1000,
+  });
+
+  function emCache(partes, carregar) {
+    return cache.obter([provedor.nome, ...partes].join("|"), carregar);
+  }
+
+  function busca(metodo, tipo) {
+    return (q, opts) => {
+      const o = opcoes(opts);
+      const consulta = normalizarConsulta(q);
+      return emCache([tipo, consulta, o.market, o.limit, o.offset], () =>
+        provedor[metodo](consulta, o)
+      ).then(({ valor, velho }) => ({ ...valor, ...paginacao(valor, o), desatualizado: velho }));
+    };
+  }
+
+  return {
+    nome: provedor.nome,
+    buscarFaixas: busca("buscarFaixas", "track"),
+    buscarAlbuns: busca("buscarAlbuns", "album"),
+    buscarArtistas: busca("buscarArtistas", "artist"),
+    buscarPlaylists: busca("buscarPlaylists", "playlist"),
+    obterFaixa: (id, opts) => {
+      const o = opcoes(opts);
+      return emCache(["faixa", id, o.market], () => provedor.obterFaixa(String(id), o)).then(
+        ({ valor }) => valor
+      );
+    },
+    obterFaixaSemCache: (id, opts) => provedor.obterFaixa(String(id), opcoes(opts)),
+    lancamentos: (opts) => {
+      const o = opcoes(opts, 10);
+      return emCache(["lancamentos", o.market, o.limit], () => provedor.lancamentos(o)).then(
+        ({ valor, velho, atualizadoEm }) => ({
+          itens: valor,
+          desatualizado: velho,
+          atualizado_em: atualizadoEm,
+        })
+      );
+    },
+    estatisticasCache: () => ({ provedor: provedor.nome, ...cache.estatisticas() }),
+    estatisticasUpstream: () => (provedor.estatisticas ? provedor.estatisticas() : null),
+    limparCache: () => cache.limpar(),
+  };
+}
+
+// Catálogo usado pelas rotas: criado no primeiro uso com CATALOG_PROVIDER,
+// ou o que for passado em usarCatalogo() (ex.: fixture no modo demo).
+let atual = null;
+
+function catalogoAtual() {
+  if (!atual) atual = criarCatalogo();
+  return atual;
+}
+
+function usarCatalogo(novo) {
+  atual = novo;
+}
+
+const METODOS = [
+  "buscarFaixas",
+  "buscarAlbuns",
+  "buscarArtistas",
+  "buscarPlaylists",
+  "obterFaixa",
+  "obterFaixaSemCache",
+  "lancamentos",
+  "estatisticasCache",
+  "estatisticasUpstream",
+  "limparCache",
+];
+
+const catalogo = Object.fromEntries(
+  METODOS.map((metodo) => [metodo, (...args) => catalogoAtual()[metodo](...args)])
+);
+Object.defineProperty(catalogo, "nome", { enumerable: true, get: () => catalogoAtual().nome });
+
+module.exports = { criarCatalogo, usarCatalogo, catalogo };
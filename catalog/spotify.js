@@ -0,0 +1,152 @@
+// ===============================
+// Catálogo: Spotify (client credentials)
+// ===============================
+const axios = require("axios");
+const criarClienteHttp = require("./httpClient");
+const log = require("../observabilidade/log");
+const metricas = require("../observabilidade/metricas");
+
+const API = "https://api.spotify.com/v1";
+
+function normalizarFaixa(t) {
+  const artistas = (t.artists || []).map((a) => a.name);
+  return {
+    id: t.id,
+    provedor: "spotify",
+    titulo: t.name,
+    artista: artistas.join(", "),
+    artistas,
+    artistas_ids: (t.artists || []).map((a) => a.id),
+    album_id: t.album?.id || null,
+    album: t.album?.name || null,
+    imagem: t.album?.images?.[0]?.url || null,
+    url: t.external_urls?.spotify || null,
+    preview_url: t.preview_url || null,
+    duracao_ms: t.duration_ms ?? null,
+    explicita: Boolean(t.explicit),
+  };
+}
+
+function normalizarAlbum(a) {
+  return {
+    id: a.id,
+    provedor: "spotify",
+    titulo: a.name,
+    artista: (a.artists || []).map((x) => x.name).join(", "),
+    imagem: a.images?.[0]?.url || null,
+    url: a.external_urls?.spotify || null,
+    lancamento: a.release_date || null,
+    total_faixas: a.total_tracks ?? null,
+  };
+}
+
+function normalizarArtista(a) {
+  return {
+    id: a.id,
+    provedor: "spotify",
+    nome: a.name,
+    imagem: a.images?.[0]?.url || null,
+    url: a.external_urls?.spotify || null,
+    generos: a.genres || [],
+  };
+}
+
+function normalizarPlaylist(p) {
+  return {
+    id: p.id,
+    provedor: "spotify",
+    nome: p.name,
+    descricao: p.description || "",
+    dono: p.owner?.display_name || p.owner?.id || null,
+    imagem: p.images?.[0]?.url || null,
+    url: p.external_urls?.spotify || null,
+    total_faixas: p.tracks?.total ?? null,
+  };
+}
+
+function criarProvedorSpotify() {
+  let cachedToken = null;
+  let expiresAt = 0;
+  let tokensGerados = 0;
+
+  // forcar = true quando o Spotify recusou o token em cache (401)
+  async function getToken({ forcar = false } = {}) {
+    const now = Date.now();
+    if (!forcar && cachedToken && now < expiresAt - 5000) return cachedToken;
+
+    const clientId = process.env.SPOTIFY_CLIENT_ID;
+    const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
+    const authHeader =
+      "Basic " + Buffer.from(`${clientId}:${clientSecret}`).toString("base64");
+
+    const resp = await axios.post(
+      "https://accounts.spotify.com/api/token",
+      new URLSearchParams({ grant_type: "client_credentials" }).toString(),
+      {
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          Authorization: authHeader,
+        },
+        timeout: 8000,
+      }
+    );
+
+    cachedToken = resp.data.access_token;
+    expiresAt = now + resp.data.expires_in * 1000;
+    tokensGerados += 1;
+    metricas.upstream.renovacoesToken.inc({ type: "app" });
+    log.info("Novo token do Spotify gerado");
+    return cachedToken;
+  }
+
+  const http = criarClienteHttp({ nome: "SPOTIFY", baseURL: API, obterToken: getToken });
+  const get = http.get;
+
+  async function buscar(tipo, q, { market, limit, offset }) {
+    const data = await get("/search", { q, type: tipo, market, limit, offset });
+    return data[`${tipo}s`];
+  }
+
+  return {
+    nome: "spotify",
+    estatisticas: () => ({ ...http.estatisticas(), tokens_gerados: tokensGerados }),
+
+    async buscarFaixas(q, opts) {
+      const r = await buscar("track", q, opts);
+      return { itens: r.items.map(normalizarFaixa), total: r.total };
+    },
+
+    async buscarAlbuns(q, opts) {
+      const r = await buscar("album", q, opts);
+      return { itens: r.items.map(normalizarAlbum), total: r.total };
+    },
+
+    async buscarArtistas(q, opts) {
+      const r = await buscar("artist", q, opts);
+      return { itens: r.items.map(normalizarArtista), total: r.total };
+    },
+
+    async buscarPlaylists(q, opts) {
+      const r = await buscar("playlist", q, opts);
+      // O Spotify às vezes devolve itens nulos nessa busca
+      return { itens: r.items.filter(Boolean).map(normalizarPlaylist), total: r.total };
+    },
+
+    async obterFaixa(id, { market } = {}) {
+      try {
+        return normalizarFaixa(await get(`/tracks/${encodeURIComponent(id)}`, { market }));
+      } catch (err) {
+        if ([400, 404].includes(err.response?.status)) return null;
+        throw err;
+      }
+    },
+
+    async lancamentos({ market, limit }) {
+      const data = await get("/browse/new-releases", { country: market, limit });
+      return data.albums.items.map(normalizarAlbum);
+    },
+  };
+}
+
+module.exports = criarProvedorSpotify;
+module.exports.normalizarFaixa = normalizarFaixa;
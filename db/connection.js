@@ -1,16 +1,120 @@
 const { Pool } = require("pg");
+const log = require("../observabilidade/log");
+const metricas = require("../observabilidade/metricas");
 require("dotenv").config();
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-});
+// Schema onde ficam as tabelas do app (no Render é "eduardo").
+// Em um banco local pode ser "public" ou qualquer outro nome.
+const schema = process.env.DB_SCHEMA || "eduardo";
 
-pool.connect()
-  .then(() => {
-    console.log("🟢 Conectado ao PostgreSQL Render");
-    pool.query('SET search_path TO eduardo, public;');
-  })
-  .catch(err => console.error("🔴 Erro ao conectar ao banco:", err));
+// Pool real do Postgres (DATABASE_URL), criado só no primeiro uso
+function criarPoolPostgres() {
+  // SSL obrigatório no Render; em um Postgres local use DATABASE_SSL=false
+  const ssl =
+    process.env.DATABASE_SSL === "false"
+      ? false
+      : { require: true, rejectUnauthorized: false };
+
+  const novo = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl,
+    // search_path aplicado em toda conexão nova do pool (não só na primeira)
+    options: `-c search_path=${schema},public`,
+  });
+  novo.on("error", (err) => log.error("Erro no pool do PostgreSQL", { erro: err }));
+  return novo;
+}
+
+// O resto do app usa sempre este objeto; por trás dele fica o pool do
+// Postgres ou outro com a mesma interface (ex.: banco embutido do modo demo,
+// ver db/pglite.js), trocado com usarPool() antes de montar o app.
+let atual = null;
+
+function poolAtual() {
+  if (!atual) atual = criarPoolPostgres();
+  return atual;
+}
+
+function usarPool(novo) {
+  atual = novo;
+}
+
+// Duração de cada consulta em db_query_duration_seconds (ok / erro).
+// Consultas feitas por um client de connect() (transações) não passam aqui.
+async function consultar(...args) {
+  const inicio = process.hrtime.bigint();
+  try {
+    const r = await poolAtual().query(...args);
+    metricas.banco.consultas.observar({ outcome: "ok" }, metricas.segundosDesde(inicio));
+    return r;
+  } catch (err) {
+    metricas.banco.consultas.observar({ outcome: "erro" }, metricas.segundosDesde(inicio));
+    throw err;
+  }
+}
+
+// Conexões do pool do pg: { total, ociosas, aguardando }, ou null se o pool
+// atual não informa (ex.: PGlite) ou ainda não foi criado
+function estatisticas() {
+  if (!atual || typeof atual.totalCount !== "number") return null;
+  return { total: atual.totalCount, ociosas: atual.idleCount, aguardando: atual.waitingCount };
+}
+
+// LISTEN em "canal": aoReceber(payload) a cada NOTIFY. Devolve parar().
+// No Postgres usa uma conexão do pool só para isso; se ela cair, aoFalhar(err)
+// é chamado e quem escuta decide se volta a escutar. Pools com escutar()
+// próprio (PGlite) são usados direto.
+async function escutar(canal, aoReceber, { aoFalhar } = {}) {
+  if (!/^\w+$/.test(canal)) throw new Error(`Canal inválido: "${canal}"`);
+  const alvo = poolAtual();
+  if (alvo.escutar) return alvo.escutar(canal, aoReceber);
+
+  const client = await alvo.connect();
+  let ativo = true;
+  const aoNotificar = (msg) => {
+    if (msg.channel === canal) aoReceber(msg.payload);
+  };
+  const desligar = () => {
+    ativo = false;
+    client.removeListener("notification", aoNotificar);
+    client.removeListener("error", aoErro);
+  };
+  function aoErro(err) {
+    if (!ativo) return;
+    desligar();
+    client.release(err);
+    if (aoFalhar) aoFalhar(err);
+  }
+  client.on("notification", aoNotificar);
+  client.on("error", aoErro);
+
+  try {
+    await client.query(`LISTEN ${canal}`);
+  } catch (err) {
+    desligar();
+    client.release(err);
+    throw err;
+  }
+
+  return async () => {
+    if (!ativo) return;
+    desligar();
+    try {
+      await client.query(`UNLISTEN ${canal}`);
+      client.release();
+    } catch (err) {
+      client.release(err);
+    }
+  };
+}
+
+const pool = {
+  query: consultar,
+  connect: () => poolAtual().connect(),
+  end: () => poolAtual().end(),
+};
 
 module.exports = pool;
+module.exports.usarPool = usarPool;
+module.exports.estatisticas = estatisticas;
+module.exports.escutar = escutar;
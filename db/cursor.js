@@ -0,0 +1,36 @@
+// ===============================
+// Paginação por cursor (keyset)
+// ===============================
+// O cursor leva os valores da ordenação do último item entregue (JSON em
+// base64url). O cliente só devolve o que recebeu; qualquer outra coisa vira
+// 400 no campo "cursor".
+const { ValidacaoError } = require("../erros");
+
+const TIPOS = {
+  texto: (v) => typeof v === "string",
+  inteiro: (v) => Number.isInteger(v),
+  numero: (v) => typeof v === "number" && Number.isFinite(v),
+};
+
+function codificarCursor(valores) {
+  return Buffer.from(JSON.stringify(valores)).toString("base64url");
+}
+
+// tipos = um por posição, ex.: ["texto", "inteiro"]
+function decodificarCursor(cursor, tipos) {
+  try {
+    const valores = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (
+      Array.isArray(valores) &&
+      valores.length === tipos.length &&
+      valores.every((v, i) => TIPOS[tipos[i]](v))
+    ) {
+      return valores;
+    }
+  } catch {
+    // cai no erro abaixo
+  }
+  throw ValidacaoError.campo("cursor", "invalido");
+}
+
+module.exports = { codificarCursor, decodificarCursor };
@@ -0,0 +1,190 @@
+// ===============================
+// Migrações do banco
+// ===============================
+// Cada migração é um arquivo "NNN_nome.sql" (up) com um par opcional
+// "NNN_nome.down.sql" (down) na pasta migrations/. As já aplicadas ficam
+// registradas na tabela "migracoes".
+//
+// Uso:
+//   npm run migrate            -> aplica todas as pendentes
+//   npm run migrate:rollback   -> desfaz a última (ou: ... rollback 3)
+//   npm run migrate:status     -> lista aplicadas / pendentes
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+// Chave fixa do advisory lock (evita duas execuções simultâneas)
+const LOCK_KEY = 724001;
+
+function schemaName() {
+  return process.env.DB_SCHEMA || "eduardo";
+}
+
+// Lê a pasta migrations/ e devolve as migrações em ordem de versão
+function listMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir);
+  const porVersao = new Map();
+
+  for (const file of files) {
+    const m = file.match(/^(\d+)_(.+?)(\.down)?\.sql$/);
+    if (!m) continue;
+
+    const versao = Number(m[1]);
+    const item = porVersao.get(versao) || { versao, nome: m[2], up: null, down: null };
+    if (m[3]) item.down = path.join(dir, file);
+    else if (item.up) throw new Error(`Versão de migração duplicada: ${m[1]}`);
+    else item.up = path.join(dir, file);
+    porVersao.set(versao, item);
+  }
+
+  const lista = [...porVersao.values()].sort((a, b) => a.versao - b.versao);
+  for (const mig of lista) {
+    if (!mig.up) throw new Error(`Migração ${mig.versao} tem apenas o arquivo down.`);
+  }
+  return lista;
+}
+
+// Abre um client com lock exclusivo, schema criado e tabela de controle pronta
+async function withMigrationClient(db, fn) {
+  const client = await db.connect();
+  const schema = schemaName();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    await client.query(`CREATE SCHEMA IF NOT EXISTS "${schema}"`);
+    await client.query(`SET search_path TO "${schema}", public`);
+    await client.query(
+      `CREATE TABLE IF NOT EXISTS migracoes (
+         versao INTEGER PRIMARY KEY,
+         nome TEXT NOT NULL,
+         aplicada_em TIMESTAMP NOT NULL DEFAULT NOW()
+       )`
+    );
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function appliedVersions(client) {
+  const r = await client.query("SELECT versao, nome, aplicada_em FROM migracoes ORDER BY versao");
+  return new Map(r.rows.map((row) => [Number(row.versao), row]));
+}
+
+// Executa o SQL e o registro da migração na mesma transação
+async function runInTransaction(client, sql, bookkeeping) {
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await bookkeeping();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+// Aplica as migrações pendentes (até a versão "to", se informada)
+async function migrate(db, { to, log = console.log } = {}) {
+  return withMigrationClient(db, async (client) => {
+    const aplicadas = await appliedVersions(client);
+    const pendentes = listMigrations().filter(
+      (m) => !aplicadas.has(m.versao) && (to === undefined || m.versao <= to)
+    );
+
+    for (const mig of pendentes) {
+      const sql = fs.readFileSync(mig.up, "utf8");
+      await runInTransaction(client, sql, () =>
+        client.query("INSERT INTO migracoes (versao, nome) VALUES ($1, $2)", [
+          mig.versao,
+          mig.nome,
+        ])
+      );
+      log(`[MIGRATE] ↑ ${String(mig.versao).padStart(3, "0")}_${mig.nome}`);
+    }
+
+    if (pendentes.length === 0) log("[MIGRATE] Banco já está atualizado.");
+    return pendentes.map((m) => m.versao);
+  });
+}
+
+// Desfaz as últimas "steps" migrações aplicadas
+async function rollback(db, { steps = 1, log = console.log } = {}) {
+  return withMigrationClient(db, async (client) => {
+    const aplicadas = await appliedVersions(client);
+    const porVersao = new Map(listMigrations().map((m) => [m.versao, m]));
+    const alvo = [...aplicadas.keys()].sort((a, b) => b - a).slice(0, steps);
+
+    for (const versao of alvo) {
+      const mig = porVersao.get(versao);
+      if (!mig || !mig.down) {
+        throw new Error(`Migração ${versao} não possui arquivo down; rollback interrompido.`);
+      }
+      const sql = fs.readFileSync(mig.down, "utf8");
+      await runInTransaction(client, sql, () =>
+        client.query("DELETE FROM migracoes WHERE versao = $1", [versao])
+      );
+      log(`[MIGRATE] ↓ ${String(versao).padStart(3, "0")}_${mig.nome}`);
+    }
+
+    if (alvo.length === 0) log("[MIGRATE] Nenhuma migração para desfazer.");
+    return alvo;
+  });
+}
+
+// Lista todas as migrações conhecidas (disco + banco) e se já foram aplicadas
+async function status(db) {
+  return withMigrationClient(db, async (client) => {
+    const aplicadas = await appliedVersions(client);
+    const noDisco = listMigrations();
+    const versoes = new Set([...noDisco.map((m) => m.versao), ...aplicadas.keys()]);
+
+    return [...versoes]
+      .sort((a, b) => a - b)
+      .map((versao) => {
+        const mig = noDisco.find((m) => m.versao === versao);
+        const row = aplicadas.get(versao);
+        return {
+          versao,
+          nome: mig ? mig.nome : row.nome,
+          aplicada: Boolean(row),
+          aplicada_em: row ? row.aplicada_em : null,
+          arquivo_ausente: !mig,
+        };
+      });
+  });
+}
+
+module.exports = { listMigrations, migrate, rollback, status };
+
+// ===============================
+// CLI
+// ===============================
+if (require.main === module) {
+  const pool = require("./connection");
+  const [cmd = "migrate", arg] = process.argv.slice(2);
+
+  const run = async () => {
+    if (cmd === "migrate" || cmd === "up") {
+      await migrate(pool, { to: arg ? Number(arg) : undefined });
+    } else if (cmd === "rollback" || cmd === "down") {
+      await rollback(pool, { steps: arg ? Number(arg) : 1 });
+    } else if (cmd === "status") {
+      for (const m of await status(pool)) {
+        const marca = m.aplicada ? "✔" : "·";
+        const extra = m.arquivo_ausente ? "  (arquivo não encontrado)" : "";
+        console.log(`${marca} ${String(m.versao).padStart(3, "0")}_${m.nome}${extra}`);
+      }
+    } else {
+      throw new Error(`Comando desconhecido: ${cmd} (use migrate, rollback ou status)`);
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .catch(async (err) => {
+      console.error("🔴 [MIGRATE] erro:", err.message);
+      await pool.end();
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,43 @@
+// ===============================
+// Define o papel de um usuário pela linha de comando
+// ===============================
+// Necessário para criar o primeiro admin (as rotas de admin exigem um).
+//
+// Uso:
+//   npm run usuarios:papel -- email@exemplo.com admin
+const pool = require("./connection");
+const { PAPEIS } = require("../middleware/auth");
+const { registrarAuditoria } = require("../services/auditoria");
+
+async function definirPapel(email, papel) {
+  if (!email || !PAPEIS.includes(papel)) {
+    throw new Error(`Uso: npm run usuarios:papel -- <email> <${PAPEIS.join("|")}>`);
+  }
+
+  const r = await pool.query(
+    `UPDATE usuarios u SET papel = $1
+       FROM (SELECT id, papel FROM usuarios WHERE LOWER(email) = LOWER($2)) antes
+      WHERE u.id = antes.id
+      RETURNING u.id, antes.papel AS anterior`,
+    [papel, email]
+  );
+  if (r.rows.length === 0) throw new Error(`Usuário não encontrado: ${email}`);
+
+  const { id, anterior } = r.rows[0];
+  await registrarAuditoria(pool, {
+    acao: "usuario.papel",
+    alvoTipo: "usuario",
+    alvoId: id,
+    detalhes: { de: anterior, para: papel, origem: "cli" },
+  });
+  console.log(`✔ ${email}: ${anterior} -> ${papel}`);
+}
+
+const [email, papel] = process.argv.slice(2);
+definirPapel(email, papel)
+  .then(() => pool.end())
+  .catch(async (err) => {
+    console.error("🔴 [PAPEL] erro:", err.message);
+    await pool.end();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,77 @@
+// ===============================
+// Banco embutido (PGlite) com a interface do pool do pg
+// ===============================
+// Usado no modo demo/test (ver demo/): Postgres compilado para WASM rodando
+// dentro do processo, sem servidor nem credenciais. Por padrão fica só em
+// memória; com "dataDir" os dados são gravados em disco.
+//
+// Há uma única conexão: connect() reserva o banco até release() (as
+// transações ficam isoladas) e as demais consultas esperam na fila.
+// Tipos seguem o driver pg: int8 e numeric voltam como texto.
+
+function criarPoolPglite({ dataDir, schema = process.env.DB_SCHEMA || "eduardo" } = {}) {
+  // Dependência de desenvolvimento: só é carregada no modo demo/test
+  const { PGlite, types } = require("@electric-sql/pglite");
+  // Extensões usadas pelas migrações (busca em "minhas músicas")
+  const { pg_trgm } = require("@electric-sql/pglite/contrib/pg_trgm");
+  const { unaccent } = require("@electric-sql/pglite/contrib/unaccent");
+  // Opções num objeto só: new PGlite(undefined, opções) ignora as opções
+  const db = new PGlite({
+    dataDir,
+    extensions: { pg_trgm, unaccent },
+    parsers: {
+      [types.INT8]: (valor) => valor,
+      [types.NUMERIC]: (valor) => valor,
+    },
+  });
+
+  // Sem parâmetros usa exec(), que aceita vários comandos (ex.: migrações)
+  async function executar(texto, params) {
+    if (typeof texto === "object") {
+      params = texto.values;
+      texto = texto.text;
+    }
+    if (!params || params.length === 0) {
+      const resultados = await db.exec(texto);
+      const ultimo = resultados[resultados.length - 1] || { rows: [] };
+      return { rows: ultimo.rows, rowCount: ultimo.affectedRows ?? ultimo.rows.length };
+    }
+    const r = await db.query(texto, params);
+    return { rows: r.rows, rowCount: r.affectedRows ?? r.rows.length };
+  }
+
+  let fila = Promise.resolve();
+  const pronto = executar(
+    `CREATE SCHEMA IF NOT EXISTS "${schema}"; SET search_path TO "${schema}", public`
+  );
+
+  function enfileirar(fn) {
+    const execucao = fila.then(() => pronto).then(fn);
+    fila = execucao.catch(() => {});
+    return execucao;
+  }
+
+  return {
+    pglite: db,
+    query: (texto, params) => enfileirar(() => executar(texto, params)),
+    async connect() {
+      let liberar;
+      const emUso = new Promise((resolve) => (liberar = resolve));
+      const vez = fila.then(() => pronto);
+      fila = vez.then(
+        () => emUso,
+        () => {}
+      );
+      await vez;
+      return { query: executar, release: () => liberar() };
+    },
+    // LISTEN/NOTIFY dentro do próprio processo (ver escutar() em connection.js)
+    async escutar(canal, aoReceber) {
+      const parar = await enfileirar(() => db.listen(canal, aoReceber));
+      return () => enfileirar(() => parar());
+    },
+    end: () => db.close(),
+  };
+}
+
+module.exports = criarPoolPglite;
@@ -0,0 +1,19 @@
+const pool = require("./connection");
+
+// Executa fn(client) dentro de BEGIN/COMMIT; faz ROLLBACK se algo falhar.
+async function emTransacao(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const resultado = await fn(client);
+    await client.query("COMMIT");
+    return resultado;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = emTransacao;
@@ -0,0 +1,164 @@
+// ===============================
+// Dados de exemplo do modo demo/test
+// ===============================
+// Usuários (senha de todos: "demo1234"), curtidas, biblioteca, playlists,
+// seguidores, buscas e feedbacks, usando as faixas de catalog/fixtures/catalogo.json
+// para que a busca e os detalhes batam com o que está salvo.
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const emTransacao = require("../db/transacao");
+const { normalizarTermo } = require("../services/historicoBuscas");
+const { salvarFaixas } = require("../services/faixas");
+const { faixas } = require("../catalog/fixtures/catalogo.json");
+
+const SENHA_DEMO = "demo1234";
+
+const USUARIOS = [
+  { nome: "Admin Demo", email: "admin@findmysong.dev", papel: "admin" },
+  { nome: "Bruno Moderador", email: "bruno@findmysong.dev", papel: "moderator" },
+  { nome: "Ana Souza", email: "ana@findmysong.dev", papel: "user" },
+  { nome: "Carla Lima", email: "carla@findmysong.dev", papel: "user" },
+];
+
+// Índices em "faixas" do catálogo de fixtures
+const CURTIDAS = {
+  "ana@findmysong.dev": [0, 1, 4, 8, 12],
+  "carla@findmysong.dev": [0, 2, 4, 15],
+  "bruno@findmysong.dev": [8],
+};
+
+const BIBLIOTECA = {
+  "ana@findmysong.dev": [0, 3, 5, 9],
+  "carla@findmysong.dev": [2, 7],
+};
+
+const PLAYLISTS = [
+  {
+    dono: "ana@findmysong.dev",
+    nome: "Favoritas da Ana",
+    descricao: "O que mais toca por aqui",
+    visibilidade: "public",
+    faixas: [0, 1, 4, 8, 12],
+  },
+  { dono: "ana@findmysong.dev", nome: "Para correr", descricao: "", faixas: [2, 6, 10] },
+  {
+    dono: "carla@findmysong.dev",
+    nome: "Domingo",
+    descricao: "Sem pressa",
+    visibilidade: "unlisted",
+    faixas: [3, 15, 18],
+  },
+];
+
+// Quem segue quem
+const SEGUIDORES = {
+  "carla@findmysong.dev": ["ana@findmysong.dev"],
+  "bruno@findmysong.dev": ["ana@findmysong.dev", "carla@findmysong.dev"],
+};
+
+// Histórico de buscas (alimenta também as tendências)
+const BUSCAS = {
+  "ana@findmysong.dev": ["ondas de verão", "samba", "Northern Static"],
+  "carla@findmysong.dev": ["Ondas de Verão", "farol"],
+};
+
+const FEEDBACKS = [
+  { query: "ondas de verão", nota: 5, comentario: "Achei de primeira!" },
+  { query: "samba antigo", nota: 3, comentario: "Faltou coisa dos anos 70." },
+  { query: "rock nacional", nota: 4, comentario: "" },
+  { query: "musica pra estudar", nota: 2, comentario: "Resultados pouco relevantes." },
+];
+
+function musica(indice) {
+  return faixas[indice % faixas.length].id;
+}
+
+// Popula o banco se ainda não houver usuários (com dataDir persistente, a
+// segunda execução mantém o que já existe). Devolve true se inseriu.
+async function popularDemo() {
+  const senhaHash = await bcrypt.hash(SENHA_DEMO, 10);
+
+  return emTransacao(async (client) => {
+    const existentes = await client.query("SELECT COUNT(*)::int AS total FROM usuarios");
+    if (existentes.rows[0].total > 0) return false;
+
+    const ids = {};
+    for (const u of USUARIOS) {
+      const r = await client.query(
+        `INSERT INTO usuarios (nome, email, senha, papel, email_verificado_em)
+         VALUES ($1, $2, $3, $4, NOW()) RETURNING id`,
+        [u.nome, u.email, senhaHash, u.papel]
+      );
+      ids[u.email] = r.rows[0].id;
+    }
+
+    // O catálogo inteiro da fixture já entra em "faixas"
+    await salvarFaixas(faixas.map((f) => ({ ...f, provedor: "fixture" })), client);
+
+    for (const [tabela, porUsuario] of [["curtidas", CURTIDAS], ["biblioteca", BIBLIOTECA]]) {
+      for (const [email, indices] of Object.entries(porUsuario)) {
+        for (const i of indices) {
+          await client.query(
+            `INSERT INTO ${tabela} (usuario_id, spotify_id, market) VALUES ($1, $2, 'BR')`,
+            [ids[email], musica(i)]
+          );
+        }
+      }
+    }
+
+    for (const p of PLAYLISTS) {
+      const visibilidade = p.visibilidade || "private";
+      const r = await client.query(
+        `INSERT INTO playlists (usuario_id, nome, descricao, visibilidade, slug)
+         VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+        [
+          ids[p.dono],
+          p.nome,
+          p.descricao,
+          visibilidade,
+          visibilidade === "private" ? null : crypto.randomBytes(12).toString("base64url"),
+        ]
+      );
+      await client.query(
+        "INSERT INTO playlist_membros (playlist_id, usuario_id, papel) VALUES ($1, $2, 'owner')",
+        [r.rows[0].id, ids[p.dono]]
+      );
+      for (const [posicao, i] of p.faixas.entries()) {
+        await client.query(
+          `INSERT INTO playlist_musicas (playlist_id, spotify_id, posicao, adicionada_por)
+           VALUES ($1, $2, $3, $4)`,
+          [r.rows[0].id, musica(i), posicao + 1, ids[p.dono]]
+        );
+      }
+    }
+
+    for (const [email, seguidos] of Object.entries(SEGUIDORES)) {
+      for (const seguido of seguidos) {
+        await client.query("INSERT INTO seguidores (seguidor_id, seguido_id) VALUES ($1, $2)", [
+          ids[email],
+          ids[seguido],
+        ]);
+      }
+    }
+
+    for (const [email, queries] of Object.entries(BUSCAS)) {
+      for (const query of queries) {
+        await client.query(
+          "INSERT INTO buscas (usuario_id, query, termo, market) VALUES ($1, $2, $3, 'BR')",
+          [ids[email], query, normalizarTermo(query)]
+        );
+      }
+    }
+
+    for (const f of FEEDBACKS) {
+      await client.query("INSERT INTO feedbacks (query, nota, comentario) VALUES ($1, $2, $3)", [
+        f.query,
+        f.nota,
+        f.comentario,
+      ]);
+    }
+    return true;
+  });
+}
+
+module.exports = { SENHA_DEMO, USUARIOS, popularDemo };
@@ -0,0 +1,72 @@
+// ===============================
+// Modo demo / test (sem Postgres nem Spotify)
+// ===============================
+// APP_MODE=demo (ou "npm run demo"): sobe o backend com
+//   - banco embutido PGlite (db/pglite.js), em memória ou em DEMO_DATA_DIR
+//   - catálogo "fixture" (catalog/fixtures/catalogo.json)
+//   - usuários, curtidas, playlists e feedbacks de exemplo (demo/dados.js)
+//   - avatares em memória (ou em DEMO_DATA_DIR/uploads)
+// APP_MODE=test é igual, mas sem log de requisições, com LOG_LEVEL=warn e
+// com o rate limiting desligado (os testes ligam quando precisam).
+//
+// Variáveis que o modo real exige ganham valores de demonstração se não
+// estiverem definidas; nada aqui deve ser usado em produção.
+const path = require("path");
+
+const MODOS = ["demo", "test"];
+
+const VARIAVEIS_PADRAO = {
+  JWT_SECRET: "findmysong-demo-jwt",
+  TOKEN_ENCRYPTION_KEY: "findmysong-demo-cifra",
+  SPOTIFY_CLIENT_ID: "demo",
+  SPOTIFY_CLIENT_SECRET: "demo",
+  SPOTIFY_REDIRECT_URI: "http://localhost:3000/api/spotify/auth/callback",
+};
+
+function modoDemo(modo = process.env.APP_MODE) {
+  return MODOS.includes(modo) ? modo : null;
+}
+
+// Monta o app do modo demo/test. Devolve { app, db, catalogo }.
+async function criarAppDemo({ modo = "demo", dataDir, popular = true } = {}) {
+  const padroes = { ...VARIAVEIS_PADRAO };
+  if (modo === "test") {
+    padroes.RATE_LIMIT_ENABLED = "false";
+    padroes.LOG_LEVEL = "warn";
+    // Os testes leem os links dos emails em require("../email").transporte().enviados()
+    padroes.MAIL_TRANSPORT = "memoria";
+  }
+  // Avatares junto dos dados: na pasta do banco ou, sem ela, só em memória
+  if (dataDir) {
+    padroes.STORAGE_DRIVER = "local";
+    padroes.UPLOADS_DIR = path.join(dataDir, "uploads");
+  } else {
+    padroes.STORAGE_DRIVER = "memoria";
+  }
+  for (const [nome, valor] of Object.entries(padroes)) {
+    if (process.env[nome] === undefined) process.env[nome] = valor;
+  }
+
+  // Carregados só aqui: middleware/auth lê JWT_SECRET ao ser importado
+  const criarPoolPglite = require("../db/pglite");
+  const { usarPool } = require("../db/connection");
+  const { migrate } = require("../db/migrate");
+  const { criarCatalogo } = require("../catalog");
+  const { popularDemo } = require("./dados");
+  const criarApp = require("../app");
+  const log = require("../observabilidade/log");
+
+  const silencioso = modo === "test";
+  const db = criarPoolPglite({ dataDir });
+  usarPool(db);
+  await migrate(db, { log: silencioso ? () => {} : (msg) => log.info(msg) });
+  if (popular && (await popularDemo()) && !silencioso) {
+    log.info("dados de exemplo criados (senha de todos: demo1234)");
+  }
+
+  const catalogo = criarCatalogo("fixture");
+  const app = criarApp({ db, catalogo, logRequisicoes: !silencioso });
+  return { app, db, catalogo };
+}
+
+module.exports = { MODOS, modoDemo, criarAppDemo };
@@ -0,0 +1,41 @@
+// ===============================
+// Emails em arquivos .eml (desenvolvimento)
+// ===============================
+// Cada email vira MAIL_DIR/<data>-<aleatório>.eml (padrão ./emails), que
+// abre em qualquer cliente de email.
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+// Cabeçalho com acentos: "encoded-word" em UTF-8 (RFC 2047)
+function cabecalho(valor) {
+  return /^[ -~]*$/.test(valor) ? valor : `=?UTF-8?B?${Buffer.from(valor).toString("base64")}?=`;
+}
+
+function montarEml({ de, para, assunto, texto }, data = new Date()) {
+  return [
+    `From: ${de}`,
+    `To: ${para}`,
+    `Subject: ${cabecalho(assunto)}`,
+    `Date: ${data.toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    texto.replace(/\r?\n/g, "\r\n"),
+    "",
+  ].join("\r\n");
+}
+
+function criarTransporteArquivo({ diretorio = process.env.MAIL_DIR || path.join(process.cwd(), "emails") } = {}) {
+  return {
+    async enviar(mensagem) {
+      const data = new Date();
+      const nome = `${data.toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(4).toString("hex")}.eml`;
+      await fs.mkdir(diretorio, { recursive: true });
+      await fs.writeFile(path.join(diretorio, nome), montarEml(mensagem, data));
+    },
+  };
+}
+
+module.exports = criarTransporteArquivo;
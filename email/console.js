@@ -0,0 +1,16 @@
+// ===============================
+// Emails no log (desenvolvimento)
+// ===============================
+// Nada é enviado: o email inteiro vai para o log (nível info), com os links
+// de verificação/redefinição prontos para copiar.
+const log = require("../observabilidade/log");
+
+function criarTransporteConsole() {
+  return {
+    async enviar({ de, para, assunto, texto }) {
+      log.info("email (não enviado, MAIL_TRANSPORT=console)", { de, para, assunto, texto });
+    },
+  };
+}
+
+module.exports = criarTransporteConsole;
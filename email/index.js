@@ -0,0 +1,52 @@
+// ===============================
+// Envio de emails (transportes plugáveis)
+// ===============================
+// MAIL_TRANSPORT escolhe o transporte:
+//   console (padrão) escreve o email no log, para desenvolvimento
+//   arquivo          grava cada email em MAIL_DIR (padrão ./emails), um .eml por envio
+//   smtp             servidor SMTP de SMTP_URL (smtp[s]://usuario:senha@host:porta)
+//   memoria          guarda na memória do processo (testes)
+// MAIL_FROM = remetente (padrão "FindMySong <no-reply@findmysong.dev>").
+//
+// Transporte = { enviar({ de, para, assunto, texto }) }
+// Os textos dos emails ficam em services/emails.js.
+const criarTransporteConsole = require("./console");
+const criarTransporteArquivo = require("./arquivo");
+const criarTransporteSmtp = require("./smtp");
+const criarTransporteMemoria = require("./memoria");
+
+const TRANSPORTES = {
+  console: criarTransporteConsole,
+  arquivo: criarTransporteArquivo,
+  smtp: criarTransporteSmtp,
+  memoria: criarTransporteMemoria,
+};
+
+const REMETENTE_PADRAO = "FindMySong <no-reply@findmysong.dev>";
+
+let transporteAtual = null;
+
+function criarTransporte(nome = process.env.MAIL_TRANSPORT || "console") {
+  const fabrica = TRANSPORTES[nome];
+  if (!fabrica) {
+    throw new Error(`MAIL_TRANSPORT inválido: "${nome}". Use ${Object.keys(TRANSPORTES).join(", ")}.`);
+  }
+  return fabrica();
+}
+
+// Transporte compartilhado pelo app (criado no primeiro uso)
+function transporte() {
+  if (!transporteAtual) transporteAtual = criarTransporte();
+  return transporteAtual;
+}
+
+function usarTransporte(novo) {
+  transporteAtual = novo;
+}
+
+// enviarEmail({ para, assunto, texto })
+async function enviarEmail({ para, assunto, texto }) {
+  await transporte().enviar({ de: process.env.MAIL_FROM || REMETENTE_PADRAO, para, assunto, texto });
+}
+
+module.exports = { TRANSPORTES, criarTransporte, transporte, usarTransporte, enviarEmail };
@@ -0,0 +1,19 @@
+// ===============================
+// Emails em memória (testes)
+// ===============================
+// enviados() devolve a lista na ordem de envio; limpar() esvazia.
+function criarTransporteMemoria() {
+  const caixa = [];
+
+  return {
+    async enviar(mensagem) {
+      caixa.push({ ...mensagem, enviado_em: new Date() });
+    },
+    enviados: () => caixa.slice(),
+    limpar: () => {
+      caixa.length = 0;
+    },
+  };
+}
+
+module.exports = criarTransporteMemoria;
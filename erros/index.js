@@ -0,0 +1,129 @@
+// ===============================
+// Modelo de erros da API
+// ===============================
+// Rotas e serviços lançam (ou passam para next) um ErroApi; o tratador
+// central (middleware/erros.js) responde sempre no mesmo formato:
+//   { code: "USER_NOT_FOUND", message: "<traduzida>", erros?: { campo: "..." } }
+// "code" é estável para o front; "message" segue o idioma da requisição
+// (chaves em i18n/). Erros que não são ErroApi viram 500 INTERNAL_ERROR,
+// exceto os do Postgres mapeados em erroDoPostgres().
+const { traduzir } = require("../i18n");
+
+class ErroApi extends Error {
+  constructor(codigo, { status = 500, params = {}, erros, causa, retryAfterMs } = {}) {
+    super(traduzir(codigo, undefined, params));
+    this.name = "ErroApi";
+    this.codigo = codigo;
+    this.status = status;
+    this.params = params;
+    // Erros por campo: [{ campo, regra, params }] (ver validacao/)
+    this.erros = erros;
+    this.causa = causa;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// 400 – corpo/parâmetros inválidos
+class ValidacaoError extends ErroApi {
+  constructor(erros, codigo = "VALIDATION_ERROR") {
+    super(codigo, { status: 400, erros });
+    this.name = "ValidacaoError";
+  }
+
+  // Atalho para um campo só: ValidacaoError.campo("nota", "intervalo", { min: 1, max: 5 })
+  static campo(campo, regra, params) {
+    return new ValidacaoError([{ campo, regra, params }]);
+  }
+}
+
+// 401
+class NaoAutenticadoError extends ErroApi {
+  constructor(codigo = "UNAUTHORIZED") {
+    super(codigo, { status: 401 });
+    this.name = "NaoAutenticadoError";
+  }
+}
+
+// 403
+class AcessoNegadoError extends ErroApi {
+  constructor(codigo = "FORBIDDEN") {
+    super(codigo, { status: 403 });
+    this.name = "AcessoNegadoError";
+  }
+}
+
+// 404
+class NaoEncontradoError extends ErroApi {
+  constructor(codigo = "NOT_FOUND", params) {
+    super(codigo, { status: 404, params });
+    this.name = "NaoEncontradoError";
+  }
+}
+
+// 409
+class ConflitoError extends ErroApi {
+  constructor(codigo = "CONFLICT", params) {
+    super(codigo, { status: 409, params });
+    this.name = "ConflitoError";
+  }
+}
+
+// ===============================
+// Postgres -> ErroApi
+// ===============================
+// Restrições com código próprio (nome da constraint -> código)
+const CONSTRAINTS = {
+  usuarios_email_key: "EMAIL_IN_USE",
+};
+
+// Devolve o ErroApi equivalente a um erro do driver pg, ou null se não for
+// um erro de banco conhecido
+function erroDoPostgres(err) {
+  const codigo = typeof err?.code === "string" ? err.code : "";
+
+  switch (codigo) {
+    case "23505": // unique_violation
+      return new ConflitoError(CONSTRAINTS[err.constraint] || "CONFLICT");
+    case "23503": // foreign_key_violation
+      return new ConflitoError("REFERENCE_CONFLICT");
+    case "23502": // not_null_violation
+      return new ValidacaoError([{ campo: err.column || "", regra: "obrigatorio" }]);
+    case "23514": // check_violation
+      return new ValidacaoError([{ campo: err.constraint || "", regra: "invalido" }]);
+    case "22001": // string_data_right_truncation
+      return new ErroApi("VALUE_TOO_LONG", { status: 400 });
+    case "22P02": // invalid_text_representation
+    case "22003": // numeric_value_out_of_range
+    case "22007": // invalid_datetime_format
+    case "22008": // datetime_field_overflow
+      return new ErroApi("INVALID_VALUE", { status: 400 });
+    case "40001": // serialization_failure
+    case "40P01": // deadlock_detected
+      return new ErroApi("TRY_AGAIN", { status: 503, retryAfterMs: 1000, causa: err });
+    case "53300": // too_many_connections
+    case "57P01": // admin_shutdown
+      return new ErroApi("DATABASE_UNAVAILABLE", { status: 503, retryAfterMs: 5000, causa: err });
+    default:
+      break;
+  }
+
+  // Classe 08 = falha de conexão; ECONNREFUSED/timeout do pool sem resposta HTTP
+  const semConexao =
+    codigo.startsWith("08") ||
+    (!err?.isAxiosError && ["ECONNREFUSED", "ENOTFOUND", "ECONNRESET"].includes(codigo)) ||
+    /timeout exceeded when trying to connect|Connection terminated/i.test(err?.message || "");
+  if (semConexao) {
+    return new ErroApi("DATABASE_UNAVAILABLE", { status: 503, retryAfterMs: 5000, causa: err });
+  }
+  return null;
+}
+
+module.exports = {
+  ErroApi,
+  ValidacaoError,
+  NaoAutenticadoError,
+  AcessoNegadoError,
+  NaoEncontradoError,
+  ConflitoError,
+  erroDoPostgres,
+};
@@ -0,0 +1,79 @@
+// ===============================
+// CSV (RFC 4180)
+// ===============================
+// Gerado com vírgula, CRLF e BOM (o Excel só acerta os acentos com ele).
+// Na leitura o separador (vírgula ou ponto e vírgula) vem da primeira linha.
+
+// Célula CSV: aspas escapadas e proteção contra fórmulas no Excel
+function celulaCsv(valor) {
+  if (valor === null || valor === undefined) return "";
+  let texto = valor instanceof Date ? valor.toISOString() : String(valor);
+  if (/^[=+\-@]/.test(texto)) texto = `'${texto}`;
+  return /[",\r\n;]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+// Desfaz a proteção de celulaCsv: "'=x" volta a ser "=x"
+function valorDaCelula(texto) {
+  return /^'[=+\-@]/.test(texto) ? texto.slice(1) : texto;
+}
+
+// colunas = ["a", "b"]; linhas = [{ a, b }, ...]
+function gerarCsv(colunas, linhas) {
+  const corpo = linhas.map((linha) => colunas.map((c) => celulaCsv(linha[c])).join(","));
+  return "\uFEFF" + [colunas.join(","), ...corpo].join("\r\n") + "\r\n";
+}
+
+function separadorDe(texto) {
+  const primeira = texto.slice(0, texto.search(/\r?\n|$/));
+  const contar = (c) => primeira.split(c).length;
+  return contar(";") > contar(",") ? ";" : ",";
+}
+
+// Devolve as linhas como listas de textos (linhas vazias são puladas).
+// Aspas podem conter separador e quebra de linha; "" vira ".
+function lerCsv(texto) {
+  const conteudo = String(texto).replace(/^\uFEFF/, "");
+  const sep = separadorDe(conteudo);
+  const linhas = [];
+  let linha = [];
+  let celula = "";
+  let entreAspas = false;
+
+  const fecharCelula = () => {
+    linha.push(valorDaCelula(celula));
+    celula = "";
+  };
+  const fecharLinha = () => {
+    fecharCelula();
+    if (linha.some((c) => c.trim() !== "")) linhas.push(linha);
+    linha = [];
+  };
+
+  for (let i = 0; i < conteudo.length; i += 1) {
+    const c = conteudo[i];
+    if (entreAspas) {
+      if (c === '"' && conteudo[i + 1] === '"') {
+        celula += '"';
+        i += 1;
+      } else if (c === '"') {
+        entreAspas = false;
+      } else {
+        celula += c;
+      }
+    } else if (c === '"' && celula === "") {
+      entreAspas = true;
+    } else if (c === sep) {
+      fecharCelula();
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && conteudo[i + 1] === "\n") i += 1;
+      fecharLinha();
+    } else {
+      celula += c;
+    }
+  }
+  if (entreAspas) throw new Error("Aspas sem fechamento");
+  if (celula !== "" || linha.length > 0) fecharLinha();
+  return linhas;
+}
+
+module.exports = { celulaCsv, gerarCsv, lerCsv };
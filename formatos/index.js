@@ -0,0 +1,238 @@
+// ===============================
+// Formatos de exportação/importação de músicas
+// ===============================
+// exportar(formato, dados) -> { conteudo, tipo, extensao }
+//   dados = { tipo: "curtidas" | "biblioteca" | "playlist", nome, descricao,
+//             musicas: [{ spotify_id, titulo, artista, imagem, url, duracao_ms }] }
+//
+// ler(formato, conteudo) -> [entrada]
+//   entrada = { linha, spotify_id, titulo, artista, album, duracao_ms, imagem, url }
+//   (spotify_id só quando o arquivo traz um id reconhecível; o resto vem como
+//   está no arquivo, sem consultar o catálogo)
+//
+// Formatos: json (o nosso, ou lista de objetos), csv, m3u8, xspf e
+// spotify_csv (CSV exportado do Spotify, ex.: Exportify). O leitor de CSV é
+// o mesmo para os dois: as colunas são reconhecidas pelo cabeçalho.
+// Conteúdo inválido lança Error; quem chama decide o código HTTP.
+const { gerarCsv, lerCsv } = require("./csv");
+const { gerarM3u8, lerM3u8 } = require("./m3u8");
+const { gerarXspf, lerXspf } = require("./xspf");
+
+const COLUNAS_CSV = ["spotify_id", "titulo", "artista", "duracao_ms", "imagem", "url"];
+
+// Cabeçalhos/chaves aceitos para cada campo, já normalizados
+// (minúsculas, sem acento e sem nada além de letras e números)
+const APELIDOS = {
+  spotify_id: ["spotifyid", "id", "trackid"],
+  referencia: ["uri", "trackuri", "spotifyuri", "location", "identifier"],
+  url: ["url", "link", "trackurl", "spotifyurl"],
+  titulo: ["titulo", "title", "track", "trackname", "name", "nome", "musica", "song"],
+  artista: ["artista", "artistas", "artist", "artists", "artistname", "artistnames", "creator"],
+  album: ["album", "albumname"],
+  duracao_ms: ["duracaoms", "durationms", "trackdurationms"],
+  imagem: ["imagem", "image", "imageurl", "albumimageurl"],
+};
+
+const CAMPO_DO_APELIDO = new Map(
+  Object.entries(APELIDOS).flatMap(([campo, apelidos]) => apelidos.map((a) => [a, campo]))
+);
+
+// Onde um id de faixa pode aparecer (URI, link público ou o nosso URN)
+const REFERENCIAS = [
+  /^spotify:track:([0-9A-Za-z]{22})$/,
+  /open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/([0-9A-Za-z]{22})/,
+  /deezer\.com\/(?:[a-z]{2}\/)?track\/(\d+)/,
+  /^findmysong:track:(.{1,64})$/,
+];
+
+// URN usado quando a música não tem url: findmysong:track:<spotify_id>
+function referenciaDe(musica) {
+  return `findmysong:track:${musica.spotify_id}`;
+}
+
+function idDaReferencia(texto) {
+  const valor = String(texto || "").trim();
+  for (const re of REFERENCIAS) {
+    const m = re.exec(valor);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+function chaveNormalizada(chave) {
+  return String(chave)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+function texto(valor) {
+  if (valor === null || valor === undefined) return undefined;
+  if (Array.isArray(valor)) return valor.map(texto).filter(Boolean).join(", ") || undefined;
+  if (typeof valor === "object") return texto(valor.name ?? valor.nome);
+  const t = String(valor).trim();
+  return t === "" ? undefined : t;
+}
+
+// Monta a entrada a partir de { campo: valor } com os nomes já traduzidos
+function entradaDe(campos, linha) {
+  const referencias = [].concat(campos.referencia ?? [], campos.url ?? []);
+  const id = texto(campos.spotify_id) || referencias.map(idDaReferencia).find(Boolean);
+  const duracao = Number(campos.duracao_ms);
+
+  return {
+    linha,
+    spotify_id: id || undefined,
+    titulo: texto(campos.titulo),
+    artista: texto(campos.artista),
+    album: texto(campos.album),
+    duracao_ms: Number.isFinite(duracao) && duracao > 0 ? Math.round(duracao) : undefined,
+    imagem: texto(campos.imagem),
+    url: /^https?:\/\//i.test(texto(campos.url) || "") ? texto(campos.url) : undefined,
+  };
+}
+
+// Traduz as chaves de um registro pelos apelidos (a primeira que aparecer vence)
+function camposDoRegistro(registro) {
+  const campos = {};
+  for (const [chave, valor] of Object.entries(registro)) {
+    const campo = CAMPO_DO_APELIDO.get(chaveNormalizada(chave));
+    if (campo && campos[campo] === undefined && valor !== "" && valor !== null) campos[campo] = valor;
+  }
+  return campos;
+}
+
+// ===============================
+// JSON
+// ===============================
+function gerarJson({ tipo, nome, descricao, exportadoEm, musicas }) {
+  const documento = {
+    formato: "findmysong",
+    versao: 1,
+    tipo,
+    nome,
+    descricao: descricao || undefined,
+    exportado_em: exportadoEm,
+    total: musicas.length,
+    musicas: musicas.map((m) => Object.fromEntries(COLUNAS_CSV.map((c) => [c, m[c] ?? null]))),
+  };
+  return JSON.stringify(documento, null, 2) + "\n";
+}
+
+// Aceita o nosso documento ({ musicas }), uma lista de objetos, ou a
+// exportação de dados do Spotify ({ tracks } / { items: [{ track }] })
+function lerJson(conteudo) {
+  const dados = typeof conteudo === "string" ? JSON.parse(conteudo) : conteudo;
+  const lista = Array.isArray(dados) ? dados : dados?.musicas ?? dados?.tracks ?? dados?.items;
+  if (!Array.isArray(lista)) throw new Error("JSON sem lista de músicas");
+
+  return lista
+    .filter((item) => item && typeof item === "object")
+    .map((item, i) => {
+      const registro = item.track && typeof item.track === "object" ? item.track : item;
+      return entradaDe(camposDoRegistro(registro), i + 1);
+    });
+}
+
+// ===============================
+// CSV (o nosso e o do Spotify)
+// ===============================
+function lerCsvMusicas(conteudo) {
+  const [cabecalho, ...linhas] = lerCsv(conteudo);
+  if (!cabecalho) return [];
+
+  const campos = cabecalho.map((c) => CAMPO_DO_APELIDO.get(chaveNormalizada(c)));
+  if (!campos.some((c) => ["spotify_id", "referencia", "url", "titulo"].includes(c))) {
+    throw new Error("Cabeçalho do CSV sem colunas de música reconhecidas");
+  }
+
+  return linhas.map((celulas, i) => {
+    const registro = {};
+    campos.forEach((campo, j) => {
+      if (campo && registro[campo] === undefined && celulas[j]) registro[campo] = celulas[j];
+    });
+    return entradaDe(registro, i + 2);
+  });
+}
+
+// ===============================
+// Registro dos formatos
+// ===============================
+const FORMATOS = {
+  json: {
+    tipo: "application/json; charset=utf-8",
+    extensao: "json",
+    gerar: gerarJson,
+    ler: lerJson,
+  },
+  csv: {
+    tipo: "text/csv; charset=utf-8",
+    extensao: "csv",
+    gerar: ({ musicas }) => gerarCsv(COLUNAS_CSV, musicas),
+    ler: lerCsvMusicas,
+  },
+  m3u8: {
+    tipo: "audio/x-mpegurl; charset=utf-8",
+    extensao: "m3u8",
+    gerar: (dados) => gerarM3u8(dados, (m) => m.url || referenciaDe(m)),
+    ler: (conteudo) =>
+      lerM3u8(conteudo).map(({ linha, referencia, ...campos }) =>
+        entradaDe({ ...campos, referencia, url: referencia }, linha)
+      ),
+  },
+  xspf: {
+    tipo: "application/xspf+xml; charset=utf-8",
+    extensao: "xspf",
+    gerar: (dados) => gerarXspf(dados, referenciaDe),
+    ler: (conteudo) => lerXspf(conteudo).map(({ linha, ...campos }) => entradaDe(campos, linha)),
+  },
+};
+
+const FORMATOS_EXPORTACAO = Object.keys(FORMATOS);
+const FORMATOS_IMPORTACAO = [...FORMATOS_EXPORTACAO, "spotify_csv"];
+
+// Content-Type do upload -> formato
+const FORMATO_DO_TIPO = {
+  "application/json": "json",
+  "text/csv": "csv",
+  "application/csv": "csv",
+  "audio/x-mpegurl": "m3u8",
+  "audio/mpegurl": "m3u8",
+  "application/x-mpegurl": "m3u8",
+  "application/vnd.apple.mpegurl": "m3u8",
+  "application/xspf+xml": "xspf",
+};
+
+// Palpite pelo começo do conteúdo, quando o cliente não diz o formato
+function detectarFormato(conteudo) {
+  if (typeof conteudo !== "string") return "json";
+  const inicio = conteudo.replace(/^\uFEFF/, "").trimStart();
+  if (/^#EXTM3U/i.test(inicio)) return "m3u8";
+  if (/^</.test(inicio)) return "xspf";
+  if (/^[[{]/.test(inicio)) return "json";
+  return "csv";
+}
+
+function exportar(formato, { exportadoEm = new Date().toISOString(), ...dados }) {
+  const f = FORMATOS[formato];
+  return { conteudo: f.gerar({ ...dados, exportadoEm }), tipo: f.tipo, extensao: f.extensao };
+}
+
+function ler(formato, conteudo) {
+  const f = FORMATOS[formato === "spotify_csv" ? "csv" : formato];
+  if (f !== FORMATOS.json && typeof conteudo !== "string") {
+    throw new Error(`Conteúdo ${formato} deve ser texto`);
+  }
+  return f.ler(conteudo);
+}
+
+module.exports = {
+  FORMATOS_EXPORTACAO,
+  FORMATOS_IMPORTACAO,
+  FORMATO_DO_TIPO,
+  detectarFormato,
+  idDaReferencia,
+  exportar,
+  ler,
+};
@@ -0,0 +1,75 @@
+// ===============================
+// M3U8 (M3U estendido em UTF-8)
+// ===============================
+//   #EXTM3U
+//   #PLAYLIST:Nome
+//   #EXTINF:187,Artista - Título
+//   https://open.spotify.com/track/...   (ou findmysong:track:<id> sem url)
+// Na leitura, uma linha sem #EXTINF (lista de arquivos locais) usa o nome
+// do arquivo como "Artista - Título".
+
+function linhaInfo(texto) {
+  return String(texto || "").replace(/[\r\n]+/g, " ").trim();
+}
+
+function gerarM3u8({ nome, musicas }, referencia) {
+  const linhas = ["#EXTM3U"];
+  if (nome) linhas.push(`#PLAYLIST:${linhaInfo(nome)}`);
+  for (const m of musicas) {
+    const segundos = m.duracao_ms ? Math.round(m.duracao_ms / 1000) : -1;
+    const rotulo = [m.artista, m.titulo].map(linhaInfo).filter(Boolean).join(" - ");
+    linhas.push(`#EXTINF:${segundos},${rotulo}`, referencia(m));
+  }
+  return linhas.join("\n") + "\n";
+}
+
+// "Artista - Título" -> { artista, titulo } (sem " - ", tudo é título)
+function separarRotulo(rotulo) {
+  const i = rotulo.indexOf(" - ");
+  if (i < 0) return { titulo: rotulo.trim() };
+  return { artista: rotulo.slice(0, i).trim(), titulo: rotulo.slice(i + 3).trim() };
+}
+
+// URLs e URNs não têm nome de arquivo útil ("C:\..." é caminho, não esquema)
+function nomeDoArquivo(caminho) {
+  if (/^[a-z][a-z0-9+.-]+:/i.test(caminho) && !/^file:/i.test(caminho)) return "";
+  const nome = caminho.split(/[\\/]/).pop() || "";
+  let decodificado = nome;
+  try {
+    decodificado = decodeURIComponent(nome);
+  } catch {
+    // "%" solto no nome: fica como está
+  }
+  return decodificado.replace(/\.[A-Za-z0-9]{2,4}$/, "");
+}
+
+// Devolve [{ linha, titulo, artista, duracao_ms, referencia }]
+function lerM3u8(texto) {
+  const linhas = String(texto).replace(/^\uFEFF/, "").split(/\r?\n/);
+  const entradas = [];
+  let info = null;
+
+  linhas.forEach((bruta, i) => {
+    const linha = bruta.trim();
+    if (!linha) return;
+
+    const extinf = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i.exec(linha);
+    if (extinf) {
+      const segundos = Number(extinf[1]);
+      info = {
+        ...separarRotulo(extinf[2]),
+        duracao_ms: segundos > 0 ? Math.round(segundos * 1000) : undefined,
+      };
+      return;
+    }
+    if (linha.startsWith("#")) return;
+
+    const dados = info || separarRotulo(nomeDoArquivo(linha));
+    entradas.push({ linha: i + 1, ...dados, referencia: linha });
+    info = null;
+  });
+
+  return entradas;
+}
+
+module.exports = { gerarM3u8, lerM3u8 };
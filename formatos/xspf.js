@@ -0,0 +1,95 @@
+// ===============================
+// XSPF (XML Shareable Playlist Format, http://xspf.org/ns/0/)
+// ===============================
+// Sem dependência de parser XML: a leitura só procura os elementos de
+// <track> que usamos (location, identifier, title, creator, album,
+// duration, image). Duração no XSPF já é em milissegundos.
+
+const ENTIDADES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function escaparXml(valor) {
+  return String(valor)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function textoXml(bruto) {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(bruto);
+  if (cdata) return cdata[1].trim();
+  return bruto
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (todo, ent) => {
+      if (ent[0] !== "#") return ENTIDADES[ent.toLowerCase()] ?? todo;
+      const codigo = ent[1] === "x" || ent[1] === "X" ? parseInt(ent.slice(2), 16) : Number(ent.slice(1));
+      return String.fromCodePoint(codigo);
+    })
+    .trim();
+}
+
+function elemento(nome, valor, recuo = "      ") {
+  if (valor === null || valor === undefined || valor === "") return [];
+  return [`${recuo}<${nome}>${escaparXml(valor)}</${nome}>`];
+}
+
+function gerarXspf({ nome, descricao, exportadoEm, musicas }, referencia) {
+  const faixas = musicas.map((m) =>
+    [
+      "    <track>",
+      ...elemento("location", m.url),
+      ...elemento("identifier", referencia(m)),
+      ...elemento("title", m.titulo),
+      ...elemento("creator", m.artista),
+      ...elemento("duration", m.duracao_ms),
+      ...elemento("image", m.imagem),
+      "    </track>",
+    ].join("\n")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    ...elemento("title", nome, "  "),
+    ...elemento("annotation", descricao, "  "),
+    ...elemento("date", exportadoEm, "  "),
+    "  <trackList>",
+    ...faixas,
+    "  </trackList>",
+    "</playlist>",
+    "",
+  ].join("\n");
+}
+
+// Todos os valores de <nome> dentro do trecho (ignora prefixo de namespace)
+function valores(trecho, nome) {
+  const re = new RegExp(`<(?:\\w+:)?${nome}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${nome}>`, "gi");
+  return [...trecho.matchAll(re)].map((m) => textoXml(m[1])).filter(Boolean);
+}
+
+// Devolve [{ linha, titulo, artista, album, duracao_ms, imagem, referencia, url }]
+function lerXspf(texto) {
+  const xml = String(texto).replace(/^\uFEFF/, "");
+  if (!/<(?:\w+:)?playlist[\s>]/i.test(xml)) throw new Error("Elemento <playlist> ausente");
+
+  const entradas = [];
+  const re = /<(?:\w+:)?track(?:\s[^>]*)?>([\s\S]*?)<\/(?:\w+:)?track>/gi;
+  for (const m of xml.matchAll(re)) {
+    const trecho = m[1];
+    const duracao = Number(valores(trecho, "duration")[0]);
+    const [url] = valores(trecho, "location");
+    entradas.push({
+      linha: xml.slice(0, m.index).split("\n").length,
+      titulo: valores(trecho, "title")[0],
+      artista: valores(trecho, "creator")[0],
+      album: valores(trecho, "album")[0],
+      duracao_ms: duracao > 0 ? Math.round(duracao) : undefined,
+      imagem: valores(trecho, "image")[0],
+      // identifier costuma trazer o id exato; location pode ser arquivo local
+      referencia: [...valores(trecho, "identifier"), url].filter(Boolean),
+      url,
+    });
+  }
+  return entradas;
+}
+
+module.exports = { gerarXspf, lerXspf };
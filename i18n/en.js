@@ -0,0 +1,178 @@
+// API messages in English
+module.exports = {
+  // ---------- Generic errors ----------
+  INTERNAL_ERROR: "Internal server error.",
+  ROUTE_NOT_FOUND: "Route not found",
+  NOT_FOUND: "Resource not found.",
+  UNAUTHORIZED: "Unauthorized.",
+  TOKEN_INVALID: "Invalid or expired token.",
+  FORBIDDEN: "Access denied.",
+  VALIDATION_ERROR: "Invalid data.",
+  INVALID_JSON: "Invalid JSON in request body.",
+  PAYLOAD_TOO_LARGE: "Request too large.",
+  FEATURE_DISABLED: "Feature disabled.",
+  TOO_MANY_REQUESTS: "Too many requests. Try again in {segundos} second(s).",
+
+  // ---------- Database ----------
+  CONFLICT: "Record already exists.",
+  REFERENCE_CONFLICT: "Related record does not exist or is still in use.",
+  VALUE_TOO_LONG: "Value is longer than allowed.",
+  INVALID_VALUE: "Invalid value.",
+  TRY_AGAIN: "Temporary conflict. Please try again.",
+  DATABASE_UNAVAILABLE: "Database unavailable. Please try again shortly.",
+
+  // ---------- Users and sessions ----------
+  EMAIL_IN_USE: "This email is already registered.",
+  USER_NOT_FOUND: "User not found.",
+  INVALID_CREDENTIALS: "Invalid email or password.",
+  LOGIN_LOCKED: "Too many login attempts. Try again in {segundos} second(s).",
+  ACCOUNT_SUSPENDED: "Account suspended.",
+  SESSION_INVALID: "Invalid refresh token.",
+  SESSION_REVOKED: "Session ended. Please log in again.",
+  SESSION_REUSED: "Session ended for security reasons. Please log in again.",
+  SESSION_EXPIRED: "Refresh token expired.",
+  SELF_CHANGE_FORBIDDEN: "You cannot change your own account here.",
+  SELF_FOLLOW: "You cannot follow yourself.",
+  LINK_INVALID: "Invalid or expired link. Please request a new one.",
+  EMAIL_ALREADY_VERIFIED: "This email is already confirmed.",
+  LAST_ADMIN: "You are the only admin. Promote someone else before deleting your account.",
+
+  // ---------- Playlists and catalog ----------
+  PLAYLIST_NOT_FOUND: "Playlist not found.",
+  TRACK_NOT_FOUND: "Track not found.",
+  TRACK_NOT_IN_PLAYLIST: "Track is not in the playlist.",
+  POSITION_OUT_OF_RANGE: "Position is outside the playlist.",
+  PLAYLIST_VERSION_CONFLICT: "The playlist was changed by someone else (current version: {versao}). Reload and try again.",
+  PLAYLIST_CREATOR_LOCKED: "The playlist creator cannot be removed or have their role changed.",
+  INVITE_NOT_FOUND: "Invitation not found.",
+  ALREADY_MEMBER: "This user is already a member of the playlist.",
+  MEMBER_NOT_FOUND: "Member not found.",
+  IMPORT_INVALID: "Invalid {formato} file.",
+  IMPORT_EMPTY: "No tracks found in the file.",
+  IMPORT_TOO_LARGE: "Too many tracks in the file (maximum {max}).",
+  FILE_TOO_LARGE: "File too large (maximum {max} MB).",
+  MULTIPART_REQUIRED: "Send the file as multipart/form-data.",
+  INVALID_MULTIPART: "Invalid multipart form.",
+  UNSUPPORTED_IMAGE: "Unsupported image format. Use JPEG, PNG, WebP or GIF.",
+  INVALID_IMAGE: "Invalid or corrupted image.",
+  IMAGE_TOO_SMALL: "Image too small (minimum {min} pixels on the shorter side).",
+  IMAGE_TOO_LARGE: "Image resolution too large (maximum {max} megapixels).",
+  AVATAR_NOT_FOUND: "You have no avatar.",
+  STORAGE_UNAVAILABLE: "Could not save the file. Please try again.",
+  UPSTREAM_RATE_LIMITED: "Music service is overloaded. Please try again shortly.",
+  UPSTREAM_CIRCUIT_OPEN: "Music service temporarily unavailable.",
+  UPSTREAM_UNAVAILABLE: "Could not connect to the music service.",
+  UPSTREAM_TIMEOUT: "The music service took too long to respond.",
+  UPSTREAM_AUTH: "Authentication with the music service failed.",
+  UPSTREAM_ERROR: "Music service error.",
+
+  // ---------- User's Spotify ----------
+  SPOTIFY_NOT_LINKED: "Spotify account not linked.",
+  SPOTIFY_ACCESS_REVOKED: "Spotify access revoked. Please link your account again.",
+  SPOTIFY_ERROR: "Error communicating with Spotify.",
+
+  // ---------- Configuration ----------
+  CONFIG_INVALID: "Invalid configuration.",
+  CONFIG_VERSION_NOT_FOUND: "Configuration version {versao} not found.",
+
+  // ---------- Field validation ----------
+  "validacao.obrigatorio": "Required field.",
+  "validacao.texto": "Must be a string.",
+  "validacao.min_texto": "Must have at least {min} character(s).",
+  "validacao.max_texto": "Must have at most {max} characters.",
+  "validacao.formato": "Invalid format.",
+  "validacao.email": "Invalid email.",
+  "validacao.pais": "Invalid country code (ISO 3166-1, e.g. US).",
+  "validacao.inteiro": "Must be an integer.",
+  "validacao.numero": "Must be a number.",
+  "validacao.intervalo": "Must be between {min} and {max}.",
+  "validacao.minimo": "Must be at least {min}.",
+  "validacao.maximo": "Must be at most {max}.",
+  "validacao.booleano": "Must be true or false.",
+  "validacao.opcao": "Must be one of: {opcoes}.",
+  "validacao.lista": "Must be a list.",
+  "validacao.min_itens": "Provide at least {min} item(s).",
+  "validacao.max_itens": "At most {max} items.",
+  "validacao.objeto": "Must be an object.",
+  "validacao.data": "Invalid date.",
+  "validacao.chave_desconhecida": "Unknown key.",
+  "validacao.um_dos": "Provide at least one of these fields: {campos}.",
+  "validacao.invalido": "Invalid value.",
+  "validacao.senha_incorreta": "Incorrect password.",
+  "validacao.igual_atual": "Same as the current value.",
+
+  // ---------- Success messages ----------
+  "usuarios.criado": "User created successfully!",
+  "usuarios.login": "Logged in successfully!",
+  "usuarios.logout": "Logged out.",
+  "usuarios.logout_todos": "All sessions have been ended.",
+  "perfil.atualizado": "Profile updated successfully!",
+  "avatar.atualizado": "Avatar updated!",
+  "avatar.removido": "Avatar removed.",
+  "conta.email_verificado": "Email confirmed!",
+  "conta.email_alterado": "Email changed!",
+  "conta.verificacao_enviada": "We sent a confirmation link to {email}.",
+  "conta.troca_email_enviada": "We sent a link to {email}. The change takes effect once you confirm it.",
+  "conta.redefinicao_enviada": "If an account exists for this email, we sent a link to reset the password.",
+  "conta.senha_redefinida": "Password reset. Log in with your new password.",
+  "conta.senha_alterada": "Password changed. Your other sessions were signed out.",
+  "conta.excluida": "Account deleted. Your data has been removed.",
+  "curtidas.adicionada": "Track liked!",
+  "curtidas.removida": "Track removed from likes!",
+  "curtidas.nome": "Liked songs",
+  "biblioteca.adicionada": "Track added to library!",
+  "biblioteca.removida": "Track removed from library!",
+  "biblioteca.nome": "Library",
+  "playlists.excluida": "Playlist deleted!",
+  "playlists.musica_adicionada": "Track added to playlist!",
+  "playlists.musica_removida": "Track removed from playlist!",
+  "playlists.musicas_removidas": "Tracks removed from playlist!",
+  "playlists.exportada_spotify": "Playlist exported to Spotify!",
+  "playlists.link_gerado": "New share link generated. The previous one no longer works.",
+  "convites.enviado": "Invitation sent!",
+  "convites.aceito": "Invitation accepted. The playlist now shows up in your list.",
+  "convites.recusado": "Invitation declined.",
+  "convites.cancelado": "Invitation cancelled.",
+  "membros.atualizado": "Member role updated.",
+  "membros.removido": "Member removed from the playlist.",
+  "social.seguindo": "You are now following this user.",
+  "social.deixou_de_seguir": "You unfollowed this user.",
+  "social.curtidas_publicas": "Your likes now show up for your followers.",
+  "social.curtidas_privadas": "Your likes no longer show up for your followers.",
+  "buscas.historico_ligado": "Search history turned on.",
+  "buscas.historico_desligado": "Search history turned off. Your next searches will not be saved.",
+  "buscas.historico_apagado": "Search history cleared.",
+  "tendencias.atualizadas": "Trending charts refreshed.",
+  "faixas.atualizadas": "Track refresh finished.",
+  "feedback.enviado": "Feedback sent successfully!",
+  "spotify.desvinculada": "Spotify account unlinked.",
+  "spotify.importacao_concluida": "Import finished!",
+  "importacao.concluida": "Import finished!",
+  "config.salva": "Settings saved successfully!",
+  "config.sem_alteracao": "No changes.",
+  "config.restaurada": "Configuration from version {versao} restored.",
+
+  // ---------- Recomendações ----------
+  "recomendacoes.motivo.curtida": "Because you liked {titulo}",
+  "recomendacoes.motivo.biblioteca": "Because {titulo} is in your library",
+  "recomendacoes.motivo.playlist": "Because {titulo} is in your playlists",
+  "recomendacoes.motivo.artista": "Because you listen to {artista}",
+  "recomendacoes.motivo.populares": "Trending on FindMySong",
+
+  // ---------- Emails ----------
+  "emails.verificacao.assunto": "Confirm your FindMySong email",
+  "emails.verificacao.texto":
+    "Hi {nome}!\n\nTo confirm your email, open the link below (valid for 48 hours):\n\n{link}\n\nIf you didn't create a FindMySong account, ignore this message.",
+  "emails.troca_email.assunto": "Confirm your new FindMySong email",
+  "emails.troca_email.texto":
+    "Hi {nome}!\n\nWe received a request to change your account email to {email}. To confirm, open the link below (valid for 24 hours):\n\n{link}\n\nIf this wasn't you, ignore this message.",
+  "emails.email_alterado.assunto": "Your FindMySong account email was changed",
+  "emails.email_alterado.texto":
+    "Hi {nome}!\n\nYour account email is now {email}. If this wasn't you, reply to this message as soon as possible.",
+  "emails.redefinicao.assunto": "Reset your FindMySong password",
+  "emails.redefinicao.texto":
+    "Hi {nome}!\n\nTo choose a new password, open the link below (valid for 1 hour):\n\n{link}\n\nIf you didn't ask for this, ignore this message: your password stays the same.",
+  "emails.senha_alterada.assunto": "Your FindMySong password was changed",
+  "emails.senha_alterada.texto":
+    "Hi {nome}!\n\nYour account password was changed and all sessions were signed out. If this wasn't you, reset your password with \"Forgot password\" now.",
+};
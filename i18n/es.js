@@ -0,0 +1,178 @@
+// Mensajes de la API en español
+module.exports = {
+  // ---------- Errores genéricos ----------
+  INTERNAL_ERROR: "Error interno del servidor.",
+  ROUTE_NOT_FOUND: "Ruta no encontrada",
+  NOT_FOUND: "Recurso no encontrado.",
+  UNAUTHORIZED: "No autorizado.",
+  TOKEN_INVALID: "Token inválido o expirado.",
+  FORBIDDEN: "Acceso denegado.",
+  VALIDATION_ERROR: "Datos inválidos.",
+  INVALID_JSON: "JSON inválido en el cuerpo de la solicitud.",
+  PAYLOAD_TOO_LARGE: "Solicitud demasiado grande.",
+  FEATURE_DISABLED: "Función desactivada.",
+  TOO_MANY_REQUESTS: "Demasiadas solicitudes. Inténtalo de nuevo en {segundos} segundo(s).",
+
+  // ---------- Base de datos ----------
+  CONFLICT: "El registro ya existe.",
+  REFERENCE_CONFLICT: "El registro relacionado no existe o todavía está en uso.",
+  VALUE_TOO_LONG: "Valor más largo de lo permitido.",
+  INVALID_VALUE: "Valor inválido.",
+  TRY_AGAIN: "Conflicto temporal. Inténtalo de nuevo.",
+  DATABASE_UNAVAILABLE: "Base de datos no disponible. Inténtalo de nuevo en unos instantes.",
+
+  // ---------- Usuarios y sesiones ----------
+  EMAIL_IN_USE: "Este email ya está registrado.",
+  USER_NOT_FOUND: "Usuario no encontrado.",
+  INVALID_CREDENTIALS: "Email o contraseña incorrectos.",
+  LOGIN_LOCKED: "Demasiados intentos de inicio de sesión. Inténtalo de nuevo en {segundos} segundo(s).",
+  ACCOUNT_SUSPENDED: "Cuenta suspendida.",
+  SESSION_INVALID: "Refresh token inválido.",
+  SESSION_REVOKED: "Sesión finalizada. Inicia sesión de nuevo.",
+  SESSION_REUSED: "Sesión finalizada por seguridad. Inicia sesión de nuevo.",
+  SESSION_EXPIRED: "Refresh token expirado.",
+  SELF_CHANGE_FORBIDDEN: "No puedes modificar tu propia cuenta aquí.",
+  SELF_FOLLOW: "No puedes seguirte a ti mismo.",
+  LINK_INVALID: "Enlace inválido o caducado. Solicita uno nuevo.",
+  EMAIL_ALREADY_VERIFIED: "Este email ya está confirmado.",
+  LAST_ADMIN: "Eres el único admin. Promueve a otra persona antes de eliminar tu cuenta.",
+
+  // ---------- Playlists y catálogo ----------
+  PLAYLIST_NOT_FOUND: "Playlist no encontrada.",
+  TRACK_NOT_FOUND: "Canción no encontrada.",
+  TRACK_NOT_IN_PLAYLIST: "La canción no está en la playlist.",
+  POSITION_OUT_OF_RANGE: "Posición fuera de la playlist.",
+  PLAYLIST_VERSION_CONFLICT: "Otra persona modificó la playlist (versión actual: {versao}). Recarga e inténtalo de nuevo.",
+  PLAYLIST_CREATOR_LOCKED: "El creador de la playlist no puede ser eliminado ni cambiar de rol.",
+  INVITE_NOT_FOUND: "Invitación no encontrada.",
+  ALREADY_MEMBER: "Este usuario ya participa en la playlist.",
+  MEMBER_NOT_FOUND: "Miembro no encontrado.",
+  IMPORT_INVALID: "Archivo {formato} inválido.",
+  IMPORT_EMPTY: "No se encontraron canciones en el archivo.",
+  IMPORT_TOO_LARGE: "El archivo tiene demasiadas canciones (máximo {max}).",
+  FILE_TOO_LARGE: "Archivo demasiado grande (máximo {max} MB).",
+  MULTIPART_REQUIRED: "Envía el archivo como multipart/form-data.",
+  INVALID_MULTIPART: "Formulario multipart inválido.",
+  UNSUPPORTED_IMAGE: "Formato de imagen no compatible. Usa JPEG, PNG, WebP o GIF.",
+  INVALID_IMAGE: "Imagen inválida o dañada.",
+  IMAGE_TOO_SMALL: "Imagen demasiado pequeña (mínimo {min} píxeles en el lado menor).",
+  IMAGE_TOO_LARGE: "Resolución de imagen demasiado grande (máximo {max} megapíxeles).",
+  AVATAR_NOT_FOUND: "No tienes avatar.",
+  STORAGE_UNAVAILABLE: "No se pudo guardar el archivo. Inténtalo de nuevo.",
+  UPSTREAM_RATE_LIMITED: "Servicio de música saturado. Inténtalo de nuevo en unos instantes.",
+  UPSTREAM_CIRCUIT_OPEN: "Servicio de música temporalmente no disponible.",
+  UPSTREAM_UNAVAILABLE: "No se pudo conectar con el servicio de música.",
+  UPSTREAM_TIMEOUT: "El servicio de música tardó demasiado en responder.",
+  UPSTREAM_AUTH: "Fallo de autenticación con el servicio de música.",
+  UPSTREAM_ERROR: "Error en el servicio de música.",
+
+  // ---------- Spotify del usuario ----------
+  SPOTIFY_NOT_LINKED: "Cuenta de Spotify no vinculada.",
+  SPOTIFY_ACCESS_REVOKED: "Acceso a Spotify revocado. Vincula la cuenta de nuevo.",
+  SPOTIFY_ERROR: "Error al comunicarse con Spotify.",
+
+  // ---------- Configuración ----------
+  CONFIG_INVALID: "Configuración inválida.",
+  CONFIG_VERSION_NOT_FOUND: "Versión {versao} de la configuración no encontrada.",
+
+  // ---------- Validación de campos ----------
+  "validacao.obrigatorio": "Campo obligatorio.",
+  "validacao.texto": "Debe ser un texto.",
+  "validacao.min_texto": "Debe tener al menos {min} carácter(es).",
+  "validacao.max_texto": "Debe tener como máximo {max} caracteres.",
+  "validacao.formato": "Formato inválido.",
+  "validacao.email": "Email inválido.",
+  "validacao.pais": "Código de país inválido (ISO 3166-1, p. ej.: ES).",
+  "validacao.inteiro": "Debe ser un número entero.",
+  "validacao.numero": "Debe ser un número.",
+  "validacao.intervalo": "Debe estar entre {min} y {max}.",
+  "validacao.minimo": "Debe ser como mínimo {min}.",
+  "validacao.maximo": "Debe ser como máximo {max}.",
+  "validacao.booleano": "Debe ser true o false.",
+  "validacao.opcao": "Debe ser uno de: {opcoes}.",
+  "validacao.lista": "Debe ser una lista.",
+  "validacao.min_itens": "Indica al menos {min} elemento(s).",
+  "validacao.max_itens": "Máximo de {max} elementos.",
+  "validacao.objeto": "Debe ser un objeto.",
+  "validacao.data": "Fecha inválida.",
+  "validacao.chave_desconhecida": "Clave desconocida.",
+  "validacao.um_dos": "Indica al menos uno de estos campos: {campos}.",
+  "validacao.invalido": "Valor inválido.",
+  "validacao.senha_incorreta": "Contraseña incorrecta.",
+  "validacao.igual_atual": "Igual al valor actual.",
+
+  // ---------- Mensajes de éxito ----------
+  "usuarios.criado": "¡Usuario creado con éxito!",
+  "usuarios.login": "¡Sesión iniciada!",
+  "usuarios.logout": "Sesión cerrada.",
+  "usuarios.logout_todos": "Se cerraron todas las sesiones.",
+  "perfil.atualizado": "¡Perfil actualizado con éxito!",
+  "avatar.atualizado": "¡Avatar actualizado!",
+  "avatar.removido": "Avatar eliminado.",
+  "conta.email_verificado": "¡Email confirmado!",
+  "conta.email_alterado": "¡Email cambiado!",
+  "conta.verificacao_enviada": "Enviamos un enlace de confirmación a {email}.",
+  "conta.troca_email_enviada": "Enviamos un enlace a {email}. El cambio se aplica cuando lo confirmes.",
+  "conta.redefinicao_enviada": "Si existe una cuenta con este email, enviamos un enlace para restablecer la contraseña.",
+  "conta.senha_redefinida": "Contraseña restablecida. Inicia sesión con la nueva contraseña.",
+  "conta.senha_alterada": "Contraseña cambiada. Se cerraron las demás sesiones.",
+  "conta.excluida": "Cuenta eliminada. Tus datos fueron borrados.",
+  "curtidas.adicionada": "¡Te gusta esta canción!",
+  "curtidas.removida": "¡Canción quitada de tus me gusta!",
+  "curtidas.nome": "Me gusta",
+  "biblioteca.adicionada": "¡Canción añadida a la biblioteca!",
+  "biblioteca.removida": "¡Canción quitada de la biblioteca!",
+  "biblioteca.nome": "Biblioteca",
+  "playlists.excluida": "¡Playlist eliminada!",
+  "playlists.musica_adicionada": "¡Canción añadida a la playlist!",
+  "playlists.musica_removida": "¡Canción quitada de la playlist!",
+  "playlists.musicas_removidas": "¡Canciones quitadas de la playlist!",
+  "playlists.exportada_spotify": "¡Playlist exportada a Spotify!",
+  "playlists.link_gerado": "Nuevo enlace para compartir generado. El anterior dejó de funcionar.",
+  "convites.enviado": "¡Invitación enviada!",
+  "convites.aceito": "Invitación aceptada. La playlist ya aparece en tu lista.",
+  "convites.recusado": "Invitación rechazada.",
+  "convites.cancelado": "Invitación cancelada.",
+  "membros.atualizado": "Rol del miembro actualizado.",
+  "membros.removido": "Miembro eliminado de la playlist.",
+  "social.seguindo": "Ahora sigues a este usuario.",
+  "social.deixou_de_seguir": "Dejaste de seguir a este usuario.",
+  "social.curtidas_publicas": "Tus me gusta ahora aparecen para quienes te siguen.",
+  "social.curtidas_privadas": "Tus me gusta ya no aparecen para quienes te siguen.",
+  "buscas.historico_ligado": "Historial de búsquedas activado.",
+  "buscas.historico_desligado": "Historial de búsquedas desactivado. Tus próximas búsquedas no se guardarán.",
+  "buscas.historico_apagado": "Historial de búsquedas borrado.",
+  "tendencias.atualizadas": "Tendencias actualizadas.",
+  "faixas.atualizadas": "Actualización de las pistas terminada.",
+  "feedback.enviado": "¡Comentario enviado con éxito!",
+  "spotify.desvinculada": "Cuenta de Spotify desvinculada.",
+  "spotify.importacao_concluida": "¡Importación completada!",
+  "importacao.concluida": "¡Importación completada!",
+  "config.salva": "¡Configuración guardada con éxito!",
+  "config.sem_alteracao": "Sin cambios.",
+  "config.restaurada": "Configuración de la versión {versao} restaurada.",
+
+  // ---------- Recomendações ----------
+  "recomendacoes.motivo.curtida": "Porque te gustó {titulo}",
+  "recomendacoes.motivo.biblioteca": "Porque tienes {titulo} en tu biblioteca",
+  "recomendacoes.motivo.playlist": "Porque {titulo} está en tus playlists",
+  "recomendacoes.motivo.artista": "Porque escuchas a {artista}",
+  "recomendacoes.motivo.populares": "Tendencia en FindMySong",
+
+  // ---------- Emails ----------
+  "emails.verificacao.assunto": "Confirma tu email en FindMySong",
+  "emails.verificacao.texto":
+    "¡Hola, {nome}!\n\nPara confirmar tu email, abre el enlace de abajo (válido por 48 horas):\n\n{link}\n\nSi no creaste una cuenta en FindMySong, ignora este mensaje.",
+  "emails.troca_email.assunto": "Confirma tu nuevo email en FindMySong",
+  "emails.troca_email.texto":
+    "¡Hola, {nome}!\n\nRecibimos una solicitud para cambiar el email de tu cuenta a {email}. Para confirmarla, abre el enlace de abajo (válido por 24 horas):\n\n{link}\n\nSi no fuiste tú, ignora este mensaje.",
+  "emails.email_alterado.assunto": "El email de tu cuenta de FindMySong cambió",
+  "emails.email_alterado.texto":
+    "¡Hola, {nome}!\n\nEl email de tu cuenta ahora es {email}. Si no fuiste tú, responde a este mensaje lo antes posible.",
+  "emails.redefinicao.assunto": "Restablece tu contraseña de FindMySong",
+  "emails.redefinicao.texto":
+    "¡Hola, {nome}!\n\nPara elegir una nueva contraseña, abre el enlace de abajo (válido por 1 hora):\n\n{link}\n\nSi no lo pediste, ignora este mensaje: tu contraseña sigue igual.",
+  "emails.senha_alterada.assunto": "Tu contraseña de FindMySong cambió",
+  "emails.senha_alterada.texto":
+    "¡Hola, {nome}!\n\nLa contraseña de tu cuenta cambió y se cerraron todas las sesiones. Si no fuiste tú, restablécela ahora con \"Olvidé mi contraseña\".",
+};
@@ -0,0 +1,49 @@
+// ===============================
+// Mensagens da API (pt-BR / en / es)
+// ===============================
+// traduzir("USER_NOT_FOUND", "en") -> "User not found."
+// Parâmetros entre chaves: traduzir("config.restaurada", "es", { versao: 3 })
+// Chave sem tradução no idioma pedido cai para o pt-BR.
+const MENSAGENS = {
+  "pt-BR": require("./pt-BR"),
+  en: require("./en"),
+  es: require("./es"),
+};
+
+const IDIOMAS = Object.keys(MENSAGENS);
+const IDIOMA_PADRAO = "pt-BR";
+
+function traduzir(chave, idioma = IDIOMA_PADRAO, params = {}) {
+  const texto = MENSAGENS[idioma]?.[chave] ?? MENSAGENS[IDIOMA_PADRAO][chave] ?? chave;
+  return texto.replace(/\{(\w+)\}/g, (trecho, nome) =>
+    params[nome] === undefined ? trecho : String(params[nome])
+  );
+}
+
+// Converte uma tag de idioma ("pt", "en-US", "es-419") para um suportado
+function idiomaSuportado(tag) {
+  const base = String(tag || "").trim().toLowerCase().split("-")[0];
+  return IDIOMAS.find((idioma) => idioma.toLowerCase().split("-")[0] === base) || null;
+}
+
+// Primeiro idioma suportado do Accept-Language, respeitando o peso q=
+function idiomaDoCabecalho(acceptLanguage) {
+  if (!acceptLanguage) return null;
+  const preferidos = String(acceptLanguage)
+    .split(",")
+    .map((parte, i) => {
+      const [tag, ...opcoes] = parte.trim().split(";");
+      const q = opcoes.map((o) => o.trim()).find((o) => o.startsWith("q="));
+      return { tag, peso: q ? Number(q.slice(2)) || 0 : 1, i };
+    })
+    .filter((p) => p.tag && p.peso > 0)
+    .sort((a, b) => b.peso - a.peso || a.i - b.i);
+
+  for (const { tag } of preferidos) {
+    const idioma = idiomaSuportado(tag);
+    if (idioma) return idioma;
+  }
+  return null;
+}
+
+module.exports = { IDIOMAS, IDIOMA_PADRAO, traduzir, idiomaSuportado, idiomaDoCabecalho };
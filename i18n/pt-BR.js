@@ -0,0 +1,179 @@
+// Mensagens da API em português (idioma padrão). As chaves em MAIÚSCULAS
+// são os códigos de erro devolvidos em "code".
+module.exports = {
+  // ---------- Erros genéricos ----------
+  INTERNAL_ERROR: "Erro no servidor.",
+  ROUTE_NOT_FOUND: "Rota não encontrada no backend",
+  NOT_FOUND: "Recurso não encontrado.",
+  UNAUTHORIZED: "Não autorizado.",
+  TOKEN_INVALID: "Token inválido ou expirado.",
+  FORBIDDEN: "Acesso negado.",
+  VALIDATION_ERROR: "Dados inválidos.",
+  INVALID_JSON: "JSON inválido no corpo da requisição.",
+  PAYLOAD_TOO_LARGE: "Requisição muito grande.",
+  FEATURE_DISABLED: "Recurso desativado.",
+  TOO_MANY_REQUESTS: "Muitas requisições. Tente novamente em {segundos} segundo(s).",
+
+  // ---------- Banco de dados ----------
+  CONFLICT: "Registro já existe.",
+  REFERENCE_CONFLICT: "Registro relacionado não existe ou ainda está em uso.",
+  VALUE_TOO_LONG: "Valor maior que o permitido.",
+  INVALID_VALUE: "Valor inválido.",
+  TRY_AGAIN: "Conflito temporário. Tente novamente.",
+  DATABASE_UNAVAILABLE: "Banco de dados indisponível. Tente novamente em instantes.",
+
+  // ---------- Usuários e sessões ----------
+  EMAIL_IN_USE: "Este email já está cadastrado.",
+  USER_NOT_FOUND: "Usuário não encontrado.",
+  INVALID_CREDENTIALS: "Email ou senha incorretos.",
+  LOGIN_LOCKED: "Muitas tentativas de login. Tente novamente em {segundos} segundo(s).",
+  ACCOUNT_SUSPENDED: "Conta suspensa.",
+  SESSION_INVALID: "Refresh token inválido.",
+  SESSION_REVOKED: "Sessão encerrada. Faça login novamente.",
+  SESSION_REUSED: "Sessão encerrada por segurança. Faça login novamente.",
+  SESSION_EXPIRED: "Refresh token expirado.",
+  SELF_CHANGE_FORBIDDEN: "Você não pode alterar a própria conta por aqui.",
+  SELF_FOLLOW: "Você não pode seguir a si mesmo.",
+  LINK_INVALID: "Link inválido ou expirado. Peça um novo.",
+  EMAIL_ALREADY_VERIFIED: "Este email já foi confirmado.",
+  LAST_ADMIN: "Você é o único admin. Promova outra pessoa antes de excluir a conta.",
+
+  // ---------- Playlists e catálogo ----------
+  PLAYLIST_NOT_FOUND: "Playlist não encontrada.",
+  TRACK_NOT_FOUND: "Faixa não encontrada.",
+  TRACK_NOT_IN_PLAYLIST: "Música não está na playlist.",
+  POSITION_OUT_OF_RANGE: "Posição fora da playlist.",
+  PLAYLIST_VERSION_CONFLICT: "A playlist foi alterada por outra pessoa (versão atual: {versao}). Recarregue e tente de novo.",
+  PLAYLIST_CREATOR_LOCKED: "O criador da playlist não pode ser removido nem mudar de papel.",
+  INVITE_NOT_FOUND: "Convite não encontrado.",
+  ALREADY_MEMBER: "Este usuário já participa da playlist.",
+  MEMBER_NOT_FOUND: "Membro não encontrado.",
+  IMPORT_INVALID: "Arquivo {formato} inválido.",
+  IMPORT_EMPTY: "Nenhuma música encontrada no arquivo.",
+  IMPORT_TOO_LARGE: "Arquivo com músicas demais (máximo {max}).",
+  FILE_TOO_LARGE: "Arquivo muito grande (máximo {max} MB).",
+  MULTIPART_REQUIRED: "Envie o arquivo como multipart/form-data.",
+  INVALID_MULTIPART: "Formulário multipart inválido.",
+  UNSUPPORTED_IMAGE: "Formato de imagem não suportado. Use JPEG, PNG, WebP ou GIF.",
+  INVALID_IMAGE: "Imagem inválida ou corrompida.",
+  IMAGE_TOO_SMALL: "Imagem muito pequena (mínimo {min} pixels no menor lado).",
+  IMAGE_TOO_LARGE: "Imagem com resolução grande demais (máximo {max} megapixels).",
+  AVATAR_NOT_FOUND: "Você não tem avatar.",
+  STORAGE_UNAVAILABLE: "Não foi possível salvar o arquivo. Tente novamente.",
+  UPSTREAM_RATE_LIMITED: "Serviço de música sobrecarregado. Tente novamente em instantes.",
+  UPSTREAM_CIRCUIT_OPEN: "Serviço de música temporariamente indisponível.",
+  UPSTREAM_UNAVAILABLE: "Não foi possível conectar ao serviço de música.",
+  UPSTREAM_TIMEOUT: "O serviço de música demorou demais para responder.",
+  UPSTREAM_AUTH: "Falha de autenticação com o serviço de música.",
+  UPSTREAM_ERROR: "Erro no serviço de música.",
+
+  // ---------- Spotify do usuário ----------
+  SPOTIFY_NOT_LINKED: "Conta Spotify não vinculada.",
+  SPOTIFY_ACCESS_REVOKED: "Acesso ao Spotify revogado. Vincule a conta novamente.",
+  SPOTIFY_ERROR: "Erro ao comunicar com o Spotify.",
+
+  // ---------- Configuração ----------
+  CONFIG_INVALID: "Configuração inválida.",
+  CONFIG_VERSION_NOT_FOUND: "Versão {versao} da configuração não encontrada.",
+
+  // ---------- Validação de campos ----------
+  "validacao.obrigatorio": "Campo obrigatório.",
+  "validacao.texto": "Deve ser um texto.",
+  "validacao.min_texto": "Deve ter ao menos {min} caractere(s).",
+  "validacao.max_texto": "Deve ter no máximo {max} caracteres.",
+  "validacao.formato": "Formato inválido.",
+  "validacao.email": "Email inválido.",
+  "validacao.pais": "Código de país inválido (ISO 3166-1, ex.: BR).",
+  "validacao.inteiro": "Deve ser um número inteiro.",
+  "validacao.numero": "Deve ser um número.",
+  "validacao.intervalo": "Deve estar entre {min} e {max}.",
+  "validacao.minimo": "Deve ser no mínimo {min}.",
+  "validacao.maximo": "Deve ser no máximo {max}.",
+  "validacao.booleano": "Deve ser true ou false.",
+  "validacao.opcao": "Deve ser um de: {opcoes}.",
+  "validacao.lista": "Deve ser uma lista.",
+  "validacao.min_itens": "Informe ao menos {min} item(ns).",
+  "validacao.max_itens": "Máximo de {max} itens.",
+  "validacao.objeto": "Deve ser um objeto.",
+  "validacao.data": "Data inválida.",
+  "validacao.chave_desconhecida": "Chave desconhecida.",
+  "validacao.um_dos": "Informe ao menos um destes campos: {campos}.",
+  "validacao.invalido": "Valor inválido.",
+  "validacao.senha_incorreta": "Senha incorreta.",
+  "validacao.igual_atual": "Igual ao valor atual.",
+
+  // ---------- Mensagens de sucesso ----------
+  "usuarios.criado": "Usuário criado com sucesso!",
+  "usuarios.login": "Login bem-sucedido!",
+  "usuarios.logout": "Logout realizado.",
+  "usuarios.logout_todos": "Todas as sessões foram encerradas.",
+  "perfil.atualizado": "Perfil atualizado com sucesso!",
+  "avatar.atualizado": "Avatar atualizado!",
+  "avatar.removido": "Avatar removido.",
+  "conta.email_verificado": "Email confirmado!",
+  "conta.email_alterado": "Email alterado!",
+  "conta.verificacao_enviada": "Enviamos um link de confirmação para {email}.",
+  "conta.troca_email_enviada": "Enviamos um link para {email}. A troca vale depois que você confirmar.",
+  "conta.redefinicao_enviada": "Se houver uma conta com este email, enviamos um link para redefinir a senha.",
+  "conta.senha_redefinida": "Senha redefinida. Faça login com a nova senha.",
+  "conta.senha_alterada": "Senha alterada. As outras sessões foram encerradas.",
+  "conta.excluida": "Conta excluída. Seus dados foram removidos.",
+  "curtidas.adicionada": "Música curtida com sucesso!",
+  "curtidas.removida": "Música removida das curtidas!",
+  "curtidas.nome": "Curtidas",
+  "biblioteca.adicionada": "Música adicionada à biblioteca!",
+  "biblioteca.removida": "Música removida da biblioteca!",
+  "biblioteca.nome": "Biblioteca",
+  "playlists.excluida": "Playlist excluída!",
+  "playlists.musica_adicionada": "Música adicionada à playlist!",
+  "playlists.musica_removida": "Música removida da playlist!",
+  "playlists.musicas_removidas": "Músicas removidas da playlist!",
+  "playlists.exportada_spotify": "Playlist exportada para o Spotify!",
+  "playlists.link_gerado": "Novo link de compartilhamento gerado. O anterior deixou de funcionar.",
+  "convites.enviado": "Convite enviado!",
+  "convites.aceito": "Convite aceito. A playlist já aparece na sua lista.",
+  "convites.recusado": "Convite recusado.",
+  "convites.cancelado": "Convite cancelado.",
+  "membros.atualizado": "Papel do membro atualizado.",
+  "membros.removido": "Membro removido da playlist.",
+  "social.seguindo": "Agora você segue este usuário.",
+  "social.deixou_de_seguir": "Você deixou de seguir este usuário.",
+  "social.curtidas_publicas": "Suas curtidas agora aparecem para quem segue você.",
+  "social.curtidas_privadas": "Suas curtidas não aparecem mais para quem segue você.",
+  "buscas.historico_ligado": "Histórico de buscas ligado.",
+  "buscas.historico_desligado": "Histórico de buscas desligado. Suas próximas buscas não serão salvas.",
+  "buscas.historico_apagado": "Histórico de buscas apagado.",
+  "tendencias.atualizadas": "Tendências atualizadas.",
+  "faixas.atualizadas": "Atualização das faixas concluída.",
+  "feedback.enviado": "Feedback enviado com sucesso!",
+  "spotify.desvinculada": "Conta Spotify desvinculada.",
+  "spotify.importacao_concluida": "Importação concluída!",
+  "importacao.concluida": "Importação concluída!",
+  "config.salva": "Configurações salvas com sucesso!",
+  "config.sem_alteracao": "Nenhuma alteração.",
+  "config.restaurada": "Configuração da versão {versao} restaurada.",
+
+  // ---------- Recomendações ----------
+  "recomendacoes.motivo.curtida": "Porque você curtiu {titulo}",
+  "recomendacoes.motivo.biblioteca": "Porque você tem {titulo} na biblioteca",
+  "recomendacoes.motivo.playlist": "Porque {titulo} está nas suas playlists",
+  "recomendacoes.motivo.artista": "Porque você ouve {artista}",
+  "recomendacoes.motivo.populares": "Em alta no FindMySong",
+
+  // ---------- Emails ----------
+  "emails.verificacao.assunto": "Confirme seu email no FindMySong",
+  "emails.verificacao.texto":
+    "Olá, {nome}!\n\nPara confirmar seu email, abra o link abaixo (válido por 48 horas):\n\n{link}\n\nSe você não criou uma conta no FindMySong, ignore esta mensagem.",
+  "emails.troca_email.assunto": "Confirme seu novo email no FindMySong",
+  "emails.troca_email.texto":
+    "Olá, {nome}!\n\nRecebemos um pedido para trocar o email da sua conta para {email}. Para confirmar, abra o link abaixo (válido por 24 horas):\n\n{link}\n\nSe não foi você, ignore esta mensagem.",
+  "emails.email_alterado.assunto": "O email da sua conta FindMySong foi alterado",
+  "emails.email_alterado.texto":
+    "Olá, {nome}!\n\nO email da sua conta agora é {email}. Se não foi você, responda esta mensagem o quanto antes.",
+  "emails.redefinicao.assunto": "Redefinição de senha do FindMySong",
+  "emails.redefinicao.texto":
+    "Olá, {nome}!\n\nPara escolher uma nova senha, abra o link abaixo (válido por 1 hora):\n\n{link}\n\nSe você não pediu, ignore esta mensagem: sua senha continua a mesma.",
+  "emails.senha_alterada.assunto": "Sua senha do FindMySong foi alterada",
+  "emails.senha_alterada.texto":
+    "Olá, {nome}!\n\nA senha da sua conta foi alterada e todas as sessões foram encerradas. Se não foi você, redefina a senha pelo \"Esqueci minha senha\" agora.",
+};
@@ -0,0 +1,141 @@
+// ===============================
+// Rate limiting e bloqueio de login
+// ===============================
+// Contadores por chave em janela fixa, guardados num store plugável:
+//   RATE_LIMIT_STORE = memoria (padrão, uma instância) | postgres (várias)
+// RATE_LIMIT_ENABLED=false desliga tudo (útil em testes locais).
+//
+// Store = { incrementar(chave, janelaMs), consultar(chave),
+//           definir(chave, total, janelaMs), remover(chave) }
+// e cada chamada devolve { total, restanteMs } (ou null se a chave não existe).
+//
+// Bloqueio progressivo de login, em dois níveis:
+//   - conta (email) + IP: a partir da 5ª falha seguida, a conta fica
+//     bloqueada por 1 min para aquele IP, e o tempo dobra a cada nova falha
+//     (2, 4, 8... até 1 h). Sem o IP na chave, qualquer um trancaria a conta
+//     de outra pessoa errando a senha de propósito.
+//   - só a conta, somando todos os IPs: a partir da 20ª falha, bloqueio de
+//     1 min que dobra até 15 min. Segura quem tenta a mesma conta de muitos
+//     IPs; o limite alto e o teto curto evitam que um estranho deixe o dono
+//     de fora por muito tempo.
+// Um login certo zera os dois.
+const criarStoreMemoria = require("./memoria");
+const criarStorePostgres = require("./postgres");
+
+const MINUTO = 60 * 1000;
+const HORA = 60 * MINUTO;
+
+const STORES = {
+  memoria: criarStoreMemoria,
+  postgres: criarStorePostgres,
+};
+
+const BLOQUEIO = {
+  falhasAntes: 5,
+  inicialMs: MINUTO,
+  maximoMs: HORA,
+  // Falhas mais antigas que isso são esquecidas
+  janelaFalhasMs: 24 * HORA,
+};
+
+const BLOQUEIO_CONTA = {
+  falhasAntes: 20,
+  inicialMs: MINUTO,
+  maximoMs: 15 * MINUTO,
+  janelaFalhasMs: 24 * HORA,
+};
+
+let storeAtual = null;
+
+function ligado() {
+  return process.env.RATE_LIMIT_ENABLED !== "false";
+}
+
+function criarStore(nome = process.env.RATE_LIMIT_STORE || "memoria") {
+  const fabrica = STORES[nome];
+  if (!fabrica) {
+    throw new Error(`RATE_LIMIT_STORE inválido: "${nome}". Use ${Object.keys(STORES).join(", ")}.`);
+  }
+  return fabrica();
+}
+
+// Store compartilhado pelo app (criado no primeiro uso)
+function store() {
+  if (!storeAtual) storeAtual = criarStore();
+  return storeAtual;
+}
+
+// Troca o store (testes ou app montado com outro banco)
+function usarStore(novo) {
+  storeAtual = novo;
+}
+
+// Conta uma batida em "chave" e diz se passou do limite.
+// -> { permitido, total, restantes, restanteMs }
+async function consumir(chave, { limite, janelaMs }) {
+  if (!ligado()) return { permitido: true, total: 0, restantes: limite, restanteMs: 0 };
+  const { total, restanteMs } = await store().incrementar(chave, janelaMs);
+  return { permitido: total <= limite, total, restantes: Math.max(limite - total, 0), restanteMs };
+}
+
+// ===============================
+// Bloqueio de login por conta e IP, e por conta
+// ===============================
+const normalizarEmail = (email) => String(email).trim().toLowerCase();
+
+// [chave, regra] de cada nível de bloqueio que vale para a tentativa
+function niveisDeBloqueio(email, ip) {
+  const conta = normalizarEmail(email);
+  return [
+    [`${conta}:${ip}`, BLOQUEIO],
+    [`conta:${conta}`, BLOQUEIO_CONTA],
+  ];
+}
+
+// Tempo restante de bloqueio da conta para o IP (0 = liberada)
+async function bloqueioLogin(email, ip) {
+  if (!ligado()) return 0;
+  const bloqueios = await Promise.all(
+    niveisDeBloqueio(email, ip).map(([chave]) => store().consultar(`login:bloqueio:${chave}`))
+  );
+  return Math.max(0, ...bloqueios.map((b) => (b ? b.restanteMs : 0)));
+}
+
+// Registra uma falha; devolve o tempo de bloqueio aplicado (0 = ainda não)
+async function registrarFalhaLogin(email, ip) {
+  if (!ligado()) return 0;
+  const duracoes = await Promise.all(
+    niveisDeBloqueio(email, ip).map(async ([chave, regra]) => {
+      const { total } = await store().incrementar(`login:falhas:${chave}`, regra.janelaFalhasMs);
+      if (total < regra.falhasAntes) return 0;
+
+      const duracaoMs = Math.min(regra.inicialMs * 2 ** (total - regra.falhasAntes), regra.maximoMs);
+      await store().definir(`login:bloqueio:${chave}`, 1, duracaoMs);
+      return duracaoMs;
+    })
+  );
+  return Math.max(...duracoes);
+}
+
+async function limparFalhasLogin(email, ip) {
+  if (!ligado()) return;
+  await Promise.all(
+    niveisDeBloqueio(email, ip).flatMap(([chave]) => [
+      store().remover(`login:falhas:${chave}`),
+      store().remover(`login:bloqueio:${chave}`),
+    ])
+  );
+}
+
+module.exports = {
+  MINUTO,
+  HORA,
+  BLOQUEIO,
+  BLOQUEIO_CONTA,
+  criarStore,
+  usarStore,
+  consumir,
+  bloqueioLogin,
+  registrarFalhaLogin,
+  limparFalhasLogin,
+};
@@ -0,0 +1,59 @@
+// ===============================
+// Store de limites em memória (uma instância só)
+// ===============================
+// Contadores por janela fixa: a primeira batida abre a janela, as seguintes
+// só somam até ela vencer. Com várias instâncias atrás de um balanceador cada
+// uma conta separado; nesse caso use o store "postgres".
+
+function criarStoreMemoria({ limpezaMs = 60 * 1000 } = {}) {
+  const contadores = new Map();
+
+  function ativo(chave) {
+    const item = contadores.get(chave);
+    if (!item) return null;
+    if (item.expiraEm <= Date.now()) {
+      contadores.delete(chave);
+      return null;
+    }
+    return item;
+  }
+
+  const formatar = (item) => ({ total: item.total, restanteMs: item.expiraEm - Date.now() });
+
+  async function incrementar(chave, janelaMs) {
+    const item = ativo(chave);
+    if (item) {
+      item.total += 1;
+      return formatar(item);
+    }
+    return definir(chave, 1, janelaMs);
+  }
+
+  async function consultar(chave) {
+    const item = ativo(chave);
+    return item ? formatar(item) : null;
+  }
+
+  async function definir(chave, total, janelaMs) {
+    const item = { total, expiraEm: Date.now() + janelaMs };
+    contadores.set(chave, item);
+    return formatar(item);
+  }
+
+  async function remover(chave) {
+    contadores.delete(chave);
+  }
+
+  // Tira da memória as janelas vencidas (unref: não segura o processo aberto)
+  const timer = setInterval(() => {
+    const agora = Date.now();
+    for (const [chave, item] of contadores) {
+      if (item.expiraEm <= agora) contadores.delete(chave);
+    }
+  }, limpezaMs);
+  timer.unref();
+
+  return { incrementar, consultar, definir, remover };
+}
+
+module.exports = criarStoreMemoria;
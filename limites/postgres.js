@@ -0,0 +1,64 @@
+// ===============================
+// Store de limites no Postgres (várias instâncias)
+// ===============================
+// Mesmo contrato do store em memória, na tabela "limites_taxa". O incremento
+// é um único UPSERT, então instâncias diferentes somam no mesmo contador.
+// O tempo restante é calculado pelo relógio do banco.
+const pool = require("../db/connection");
+const log = require("../observabilidade/log");
+
+const RESTANTE = "GREATEST(EXTRACT(EPOCH FROM (expira_em - NOW())) * 1000, 0)::float8 AS restante_ms";
+
+function criarStorePostgres({ db = pool, limpezaMs = 10 * 60 * 1000 } = {}) {
+  const formatar = (row) => (row ? { total: row.total, restanteMs: Math.ceil(row.restante_ms) } : null);
+
+  async function incrementar(chave, janelaMs) {
+    const r = await db.query(
+      `INSERT INTO limites_taxa (chave, total, expira_em)
+       VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+       ON CONFLICT (chave) DO UPDATE
+          SET total = CASE WHEN limites_taxa.expira_em <= NOW() THEN 1
+                           ELSE limites_taxa.total + 1 END,
+              expira_em = CASE WHEN limites_taxa.expira_em <= NOW() THEN EXCLUDED.expira_em
+                               ELSE limites_taxa.expira_em END
+       RETURNING total, ${RESTANTE}`,
+      [chave, janelaMs]
+    );
+    return formatar(r.rows[0]);
+  }
+
+  async function consultar(chave) {
+    const r = await db.query(
+      `SELECT total, ${RESTANTE} FROM limites_taxa WHERE chave = $1 AND expira_em > NOW()`,
+      [chave]
+    );
+    return formatar(r.rows[0]);
+  }
+
+  async function definir(chave, total, janelaMs) {
+    const r = await db.query(
+      `INSERT INTO limites_taxa (chave, total, expira_em)
+       VALUES ($1, $2, NOW() + $3 * INTERVAL '1 millisecond')
+       ON CONFLICT (chave) DO UPDATE SET total = EXCLUDED.total, expira_em = EXCLUDED.expira_em
+       RETURNING total, ${RESTANTE}`,
+      [chave, total, janelaMs]
+    );
+    return formatar(r.rows[0]);
+  }
+
+  async function remover(chave) {
+    await db.query("DELETE FROM limites_taxa WHERE chave = $1", [chave]);
+  }
+
+  // Apaga janelas vencidas de tempos em tempos (qualquer instância pode fazer)
+  const timer = setInterval(() => {
+    db.query("DELETE FROM limites_taxa WHERE expira_em <= NOW()").catch((err) =>
+      log.error("Falha na limpeza dos limites de taxa", { erro: err })
+    );
+  }, limpezaMs);
+  timer.unref();
+
+  return { incrementar, consultar, definir, remover };
+}
+
+module.exports = criarStorePostgres;
@@ -0,0 +1,89 @@
+// ===============================
+// Autenticação (JWT)
+// ===============================
+const jwt = require("jsonwebtoken");
+const { NaoAutenticadoError, AcessoNegadoError } = require("../erros");
+require("dotenv").config();
+
+// Sem segredo não há como assinar/verificar tokens: falha já na inicialização
+if (!process.env.JWT_SECRET) {
+  throw new Error("JWT_SECRET não definido. Configure a variável de ambiente antes de iniciar o servidor.");
+}
+
+const JWT_SECRET = process.env.JWT_SECRET;
+// Access token de vida curta; a sessão é renovada via refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+// Papéis em ordem crescente de permissão
+const PAPEIS = ["user", "moderator", "admin"];
+
+// Gera o access token entregue no login / refresh
+function assinarToken(usuario) {
+  return jwt.sign({ id: usuario.id, email: usuario.email, papel: usuario.papel || "user" }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+}
+
+// Exige "Authorization: Bearer <token>" e preenche req.usuario = { id, email, papel }
+function autenticar(req, res, next) {
+  const auth = req.headers.authorization || "";
+  const [tipo, token] = auth.split(" ");
+
+  if (tipo !== "Bearer" || !token) {
+    return next(new NaoAutenticadoError());
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.usuario = {
+      id: Number(payload.id),
+      email: payload.email,
+      papel: PAPEIS.includes(payload.papel) ? payload.papel : "user",
+    };
+    return next();
+  } catch {
+    return next(new NaoAutenticadoError("TOKEN_INVALID"));
+  }
+}
+
+// Para rotas públicas que mudam um pouco com login (ex.: "você segue esta
+// pessoa"): sem Authorization segue anônimo; com token, valida como autenticar.
+function autenticarOpcional(req, res, next) {
+  if (!req.headers.authorization) return next();
+  return autenticar(req, res, next);
+}
+
+// Garante que o id de usuário vindo da URL (ou do corpo) é o mesmo do token.
+// Uso: app.get("/api/likes/:userId", autenticar, exigirMesmoUsuario("userId"), ...)
+// Se o campo não vier na requisição, vale o usuário do token.
+function exigirMesmoUsuario(campo) {
+  return (req, res, next) => {
+    const valor = req.params[campo] ?? req.body?.[campo];
+    if (valor !== undefined && valor !== null && valor !== "" && Number(valor) !== req.usuario.id) {
+      return next(new AcessoNegadoError());
+    }
+    return next();
+  };
+}
+
+// Libera só os papéis informados. Usar depois de autenticar.
+// Uso: router.use(autenticar, exigirPapel("admin"))
+// O papel vem do token: uma mudança de papel vale a partir do próximo
+// refresh (no máximo ACCESS_TOKEN_EXPIRES_IN).
+function exigirPapel(...papeis) {
+  return (req, res, next) => {
+    if (!req.usuario || !papeis.includes(req.usuario.papel)) {
+      return next(new AcessoNegadoError());
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  PAPEIS,
+  assinarToken,
+  autenticar,
+  autenticarOpcional,
+  exigirMesmoUsuario,
+  exigirPapel,
+};
@@ -0,0 +1,84 @@
+// ===============================
+// Idioma da requisição + tratador central de erros
+// ===============================
+// definirIdioma: escolhe o idioma pelo Accept-Language; sem cabeçalho (ou sem
+// idioma suportado) usa o "language" da configuração do site. Deixa
+// req.idioma e req.t(chave, params) para as rotas.
+//
+// tratarErros: último middleware do app. Toda rota passa o erro para
+// next(err) e a resposta sai aqui, no formato { code, message, erros? }.
+const { traduzir, idiomaDoCabecalho, idiomaSuportado, IDIOMA_PADRAO } = require("../i18n");
+const { ErroApi, erroDoPostgres } = require("../erros");
+const { valorConfig } = require("../services/configuracoes");
+const log = require("../observabilidade/log");
+
+async function definirIdioma(req, res, next) {
+  let idioma = idiomaDoCabecalho(req.get("accept-language"));
+  if (!idioma) {
+    try {
+      idioma = idiomaSuportado(await valorConfig("language"));
+    } catch {
+      // Sem banco: segue no idioma padrão
+    }
+  }
+  req.idioma = idioma || IDIOMA_PADRAO;
+  req.t = (chave, params) => traduzir(chave, req.idioma, params);
+  res.set("Content-Language", req.idioma);
+  res.vary("Accept-Language");
+  next();
+}
+
+// Erros do express.json() / urlencoded()
+function erroDoCorpo(err) {
+  if (err?.type === "entity.parse.failed") return new ErroApi("INVALID_JSON", { status: 400 });
+  if (err?.type === "entity.too.large") return new ErroApi("PAYLOAD_TOO_LARGE", { status: 413 });
+  if (err?.expose && err.status >= 400 && err.status < 500) {
+    return new ErroApi("INVALID_VALUE", { status: err.status });
+  }
+  return null;
+}
+
+function rotaNaoEncontrada(req, res) {
+  log.debug("rota não encontrada", { method: req.method, path: req.url });
+  const idioma = req.idioma || IDIOMA_PADRAO;
+  return res
+    .status(404)
+    .json({ code: "ROUTE_NOT_FOUND", message: traduzir("ROUTE_NOT_FOUND", idioma), path: req.url });
+}
+
+// Os 4 parâmetros são obrigatórios: é assim que o Express reconhece o tratador
+function tratarErros(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  let erro = err instanceof ErroApi ? err : erroDoPostgres(err) || erroDoCorpo(err);
+  if (!erro) {
+    log.error("erro não tratado", { method: req.method, path: req.originalUrl, erro: err });
+    erro = new ErroApi("INTERNAL_ERROR");
+  } else if (erro.status >= 500) {
+    const causa = erro.causa || err;
+    log.error("falha ao atender a requisição", {
+      method: req.method,
+      path: req.originalUrl,
+      code: erro.codigo,
+      erro: causa.message,
+      resposta: causa.response?.data,
+    });
+  }
+
+  const idioma = req.idioma || IDIOMA_PADRAO;
+  if (erro.retryAfterMs !== undefined) {
+    res.set("Retry-After", String(Math.max(1, Math.ceil(erro.retryAfterMs / 1000))));
+  }
+
+  const corpo = { code: erro.codigo, message: traduzir(erro.codigo, idioma, erro.params) };
+  if (erro.erros?.length) {
+    corpo.erros = {};
+    for (const e of erro.erros) {
+      if (corpo.erros[e.campo] === undefined)
+        corpo.erros[e.campo] = traduzir(`validacao.${e.regra}`, idioma, e.params);
+    }
+  }
+  return res.status(erro.status).json(corpo);
+}
+
+module.exports = { definirIdioma, rotaNaoEncontrada, tratarErros };
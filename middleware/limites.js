@@ -0,0 +1,61 @@
+// ===============================
+// Rate limiting nas rotas
+// ===============================
+// limitarTaxa({ nome, limite, janelaMs, chave }) conta cada requisição no
+// bucket "<nome>:<chave(req)>" e responde 429 (com Retry-After) quando o
+// limite da janela estoura. chave padrão = IP.
+//
+// Os cabeçalhos RateLimit-Limit / -Remaining / -Reset vão em toda resposta.
+// Se o store falhar (ex.: banco fora), a requisição passa: o limite é uma
+// proteção, não pode derrubar a rota.
+const { ErroApi } = require("../erros");
+const log = require("../observabilidade/log");
+const { MINUTO, HORA, consumir } = require("../limites");
+
+const porIp = (req) => `ip:${req.ip}`;
+// Para rotas autenticadas (depois de autenticar)
+const porUsuario = (req) => `usuario:${req.usuario.id}`;
+
+function limitarTaxa({ nome, limite, janelaMs, chave = porIp }) {
+  return async (req, res, next) => {
+    let resultado;
+    try {
+      resultado = await consumir(`${nome}:${chave(req)}`, { limite, janelaMs });
+    } catch (err) {
+      log.error("Falha no store de limites; requisição liberada", { limite: nome, erro: err });
+      return next();
+    }
+
+    const segundos = Math.max(1, Math.ceil(resultado.restanteMs / 1000));
+    res.set("RateLimit-Limit", String(limite));
+    res.set("RateLimit-Remaining", String(resultado.restantes));
+    res.set("RateLimit-Reset", String(segundos));
+
+    if (!resultado.permitido) {
+      return next(
+        new ErroApi("TOO_MANY_REQUESTS", {
+          status: 429,
+          params: { segundos },
+          retryAfterMs: resultado.restanteMs,
+        })
+      );
+    }
+    return next();
+  };
+}
+
+// Limites usados nas rotas de autenticação, de escrita pública e nas que
+// disparam muitas chamadas ao catálogo (importação), processam imagens
+// (avatar) ou enviam emails (emailConta, senhaEsquecida)
+const limites = {
+  login: limitarTaxa({ nome: "login", limite: 20, janelaMs: 15 * MINUTO }),
+  cadastro: limitarTaxa({ nome: "cadastro", limite: 5, janelaMs: HORA }),
+  refresh: limitarTaxa({ nome: "refresh", limite: 60, janelaMs: 15 * MINUTO }),
+  feedback: limitarTaxa({ nome: "feedback", limite: 10, janelaMs: 10 * MINUTO }),
+  importacao: limitarTaxa({ nome: "importacao", limite: 20, janelaMs: HORA, chave: porUsuario }),
+  avatar: limitarTaxa({ nome: "avatar", limite: 20, janelaMs: HORA, chave: porUsuario }),
+  emailConta: limitarTaxa({ nome: "email_conta", limite: 5, janelaMs: HORA, chave: porUsuario }),
+  senhaEsquecida: limitarTaxa({ nome: "senha_esquecida", limite: 5, janelaMs: 15 * MINUTO }),
+};
+
+module.exports = { limitarTaxa, limites };
@@ -0,0 +1,84 @@
+// ===============================
+// Acesso às playlists (membros e versão)
+// ===============================
+// Cada playlist tem membros em playlist_membros com um papel:
+//   viewer < editor < owner
+// O criador (playlists.usuario_id) é sempre owner.
+//
+// Concorrência otimista: playlists.versao sobe a cada alteração. Quem edita
+// pode mandar a versão que viu em "If-Match" (ou "versao" no corpo); se
+// outra pessoa alterou antes, a resposta é 409 PLAYLIST_VERSION_CONFLICT
+// com a versão atual. Sem versão, a alteração é aplicada sobre a atual.
+const pool = require("../db/connection");
+const { AcessoNegadoError, ConflitoError, NaoEncontradoError, ValidacaoError } = require("../erros");
+
+// Papéis em ordem crescente de permissão
+const PAPEIS_PLAYLIST = ["viewer", "editor", "owner"];
+
+function temPapel(papel, minimo) {
+  return PAPEIS_PLAYLIST.indexOf(papel) >= PAPEIS_PLAYLIST.indexOf(minimo);
+}
+
+// Carrega a playlist de :playlistId em req.playlist (com meu_papel) e exige
+// ao menos o papel informado: 404 se não existir, 403 se não for membro ou
+// o papel não bastar. Usar depois de autenticar.
+// Uso: router.post("/:playlistId/musicas", autenticar, carregarPlaylist("editor"), ...)
+function carregarPlaylist(papelMinimo) {
+  return async (req, res, next) => {
+    const playlistId = Number(req.params.playlistId);
+    if (!Number.isInteger(playlistId)) return next(new NaoEncontradoError("PLAYLIST_NOT_FOUND"));
+
+    try {
+      const r = await pool.query(
+        `SELECT p.*, m.papel AS meu_papel
+           FROM playlists p
+           LEFT JOIN playlist_membros m ON m.playlist_id = p.id AND m.usuario_id = $2
+          WHERE p.id = $1`,
+        [playlistId, req.usuario.id]
+      );
+      if (r.rows.length === 0) throw new NaoEncontradoError("PLAYLIST_NOT_FOUND");
+      if (!r.rows[0].meu_papel || !temPapel(r.rows[0].meu_papel, papelMinimo)) {
+        throw new AcessoNegadoError();
+      }
+
+      req.playlist = r.rows[0];
+      res.set("X-Playlist-Version", String(req.playlist.versao));
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+// Lê a versão esperada em req.versaoEsperada (null se não veio).
+// If-Match aceita 3, "3" ou W/"3".
+function lerVersaoEsperada(req, res, next) {
+  const cabecalho = req.get("If-Match");
+  const bruta = cabecalho !== undefined ? cabecalho.trim().replace(/^W\//, "").replace(/"/g, "") : req.body?.versao;
+
+  if (bruta === undefined || bruta === null || bruta === "" || bruta === "*") {
+    req.versaoEsperada = null;
+    return next();
+  }
+  const versao = Number(bruta);
+  if (!Number.isInteger(versao) || versao < 1) {
+    return next(ValidacaoError.campo("versao", "inteiro"));
+  }
+  req.versaoEsperada = versao;
+  return next();
+}
+
+// Dentro de uma transação: compara a versão atual (já travada) com a esperada
+function conferirVersao(atual, esperada) {
+  if (esperada !== null && esperada !== undefined && atual !== esperada) {
+    throw new ConflitoError("PLAYLIST_VERSION_CONFLICT", { versao: atual });
+  }
+}
+
+module.exports = {
+  PAPEIS_PLAYLIST,
+  temPapel,
+  carregarPlaylist,
+  lerVersaoEsperada,
+  conferirVersao,
+};
@@ -0,0 +1,114 @@
+// ===============================
+// Exportação / importação nas rotas
+// ===============================
+// Exportar: GET .../exportar?formato=json|csv|m3u8|xspf (padrão json)
+//   validarExportacao confere a query; enviarExportacao responde o arquivo.
+//
+// Importar: POST .../importar, de duas formas:
+//   - o arquivo cru no corpo, com o Content-Type do formato (text/csv,
+//     audio/x-mpegurl, application/xspf+xml...) ou text/plain + ?formato=
+//   - JSON { formato, conteudo } (ou o próprio JSON exportado, como está)
+// Sem formato informado, ele é deduzido pelo Content-Type ou pelo conteúdo.
+// lerImportacao deixa em req.importacao = { formato, entradas, market }
+// (market padrão = default_market da configuração).
+// Arquivos até LIMITE_IMPORTACAO; o JSON é lido por lerJsonImportacao, que o
+// app monta antes do express.json() global (limite padrão de 100kb).
+const express = require("express");
+const { ErroApi, ValidacaoError } = require("../erros");
+const { validarOuFalhar, validarQuery } = require("../validacao");
+const { MAX_LINHAS_IMPORTACAO } = require("../services/importacao");
+const { valorConfig } = require("../services/configuracoes");
+const {
+  FORMATOS_EXPORTACAO,
+  FORMATOS_IMPORTACAO,
+  FORMATO_DO_TIPO,
+  detectarFormato,
+  exportar,
+  ler,
+} = require("../formatos");
+
+const validarExportacao = validarQuery({
+  formato: { tipo: "opcao", opcoes: FORMATOS_EXPORTACAO, padrao: "json" },
+});
+
+// "Músicas de Domingo" -> "musicas-de-domingo"
+function nomeDeArquivo(nome) {
+  const base = String(nome || "musicas")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return base || "musicas";
+}
+
+// dados = { tipo, nome, descricao, musicas } (ver formatos/)
+function enviarExportacao(res, formato, dados) {
+  const { conteudo, tipo, extensao } = exportar(formato, dados);
+  const data = new Date().toISOString().slice(0, 10);
+  res.set("Content-Disposition", `attachment; filename="${nomeDeArquivo(dados.nome)}-${data}.${extensao}"`);
+  res.type(tipo);
+  res.send(conteudo);
+}
+
+const LIMITE_IMPORTACAO = "5mb";
+
+// Arquivo cru (o JSON já passou por lerJsonImportacao)
+const lerTexto = express.text({
+  type: ["text/*", ...Object.keys(FORMATO_DO_TIPO).filter((t) => t !== "application/json")],
+  limit: LIMITE_IMPORTACAO,
+});
+
+const lerJsonImportacao = express.json({ limit: LIMITE_IMPORTACAO });
+
+const CAMPOS_QUERY = {
+  formato: { tipo: "opcao", opcoes: FORMATOS_IMPORTACAO },
+  market: { tipo: "pais" },
+};
+
+// Corpo -> { formato, conteudo } conforme a forma de envio
+function conteudoDoCorpo(req, formatoDaQuery) {
+  const body = req.body;
+  if (typeof body === "string") {
+    const tipo = (req.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+    return { formato: formatoDaQuery || FORMATO_DO_TIPO[tipo] || detectarFormato(body), conteudo: body };
+  }
+
+  // JSON: envelope { formato, conteudo } ou o documento exportado direto
+  if (body && !Array.isArray(body) && typeof body === "object" && "conteudo" in body) {
+    const { formato } = validarOuFalhar({ formato: CAMPOS_QUERY.formato }, body);
+    const { conteudo } = body;
+    if (conteudo === null || conteudo === undefined) throw ValidacaoError.campo("conteudo", "obrigatorio");
+    return { formato: formato || formatoDaQuery || detectarFormato(conteudo), conteudo };
+  }
+  return { formato: formatoDaQuery || "json", conteudo: body };
+}
+
+function lerImportacao(req, res, next) {
+  lerTexto(req, res, async (erroLeitura) => {
+    if (erroLeitura) return next(erroLeitura);
+    try {
+      const query = validarOuFalhar(CAMPOS_QUERY, req.query, { coagirTexto: true });
+      const { formato, conteudo } = conteudoDoCorpo(req, query.formato);
+
+      let entradas;
+      try {
+        entradas = ler(formato, conteudo);
+      } catch (err) {
+        throw new ErroApi("IMPORT_INVALID", { status: 400, params: { formato }, causa: err });
+      }
+      if (entradas.length === 0) throw new ErroApi("IMPORT_EMPTY", { status: 400 });
+      if (entradas.length > MAX_LINHAS_IMPORTACAO) {
+        throw new ErroApi("IMPORT_TOO_LARGE", { status: 413, params: { max: MAX_LINHAS_IMPORTACAO } });
+      }
+
+      const market = (query.market || (await valorConfig("default_market"))).toUpperCase();
+      req.importacao = { formato, entradas, market };
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  });
+}
+
+module.exports = { validarExportacao, enviarExportacao, lerImportacao, lerJsonImportacao };
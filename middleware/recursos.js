@@ -0,0 +1,25 @@
+// ===============================
+// Recursos liga/desliga (configuração "features")
+// ===============================
+const { NaoEncontradoError } = require("../erros");
+const log = require("../observabilidade/log");
+const { valorConfig } = require("../services/configuracoes");
+
+// Responde 404 quando o recurso está desligado na configuração do site.
+// Uso: router.post("/", exigirRecurso("feedback"), ...)
+function exigirRecurso(nome) {
+  return async (req, res, next) => {
+    try {
+      const features = await valorConfig("features");
+      if (features[nome] === false) {
+        return next(new NaoEncontradoError("FEATURE_DISABLED"));
+      }
+    } catch (err) {
+      // Sem acesso à configuração: segue com o recurso ligado
+      log.error("Falha ao ler os recursos da configuração", { recurso: nome, erro: err });
+    }
+    return next();
+  };
+}
+
+module.exports = { exigirRecurso };
@@ -0,0 +1,74 @@
+// ===============================
+// Id da requisição, log de acesso e métricas HTTP
+// ===============================
+// Primeiro middleware do app:
+//   - req.id: o X-Request-Id recebido (se for um id razoável) ou um UUID
+//     novo; volta no cabeçalho X-Request-Id da resposta
+//   - todo log feito durante a requisição leva request_id (observabilidade/log.js)
+//   - ao terminar: uma linha de log de acesso e as métricas http_* com a rota
+//     "modelo" (/api/playlists/:playlistId), para não criar uma série por id
+const crypto = require("crypto");
+const log = require("../observabilidade/log");
+const metricas = require("../observabilidade/metricas");
+
+const ID_VALIDO = /^[\w.:-]{1,128}$/;
+
+// Health check e scrape de métricas só aparecem no log em LOG_LEVEL=debug
+const ROTAS_SILENCIOSAS = new Set(["/metrics", "/health", "/health/live", "/health/ready"]);
+
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Rota modelo da requisição ("/api/likes/:userId") ou "(nao_encontrada)".
+// req.baseUrl já foi restaurado quando a resposta sai pelo tratador de
+// erros, então o prefixo é recuperado casando req.route.path com o fim do
+// caminho pedido.
+function rotaModelo(req) {
+  if (!req.route) return "(nao_encontrada)";
+  const modelo = String(req.route.path);
+  const caminho = req.originalUrl.split("?")[0];
+  const regex = new RegExp(
+    `${escaparRegex(modelo).replace(/:\w+/g, "[^/]+").replace(/\/$/, "")}/?$`
+  );
+  const m = caminho.match(regex);
+  const base = m ? caminho.slice(0, m.index) : req.baseUrl;
+  return `${base}${modelo}`.replace(/(.)\/$/, "$1");
+}
+
+function contextoDaRequisicao({ logAcesso = true } = {}) {
+  return (req, res, next) => {
+    const recebido = req.get("X-Request-Id");
+    req.id = recebido && ID_VALIDO.test(recebido) ? recebido : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+
+    const inicio = process.hrtime.bigint();
+    res.on("finish", () => {
+      const segundos = metricas.segundosDesde(inicio);
+      const rota = rotaModelo(req);
+      metricas.http.requisicoes.inc({ method: req.method, route: rota, status: res.statusCode });
+      metricas.http.duracao.observar({ method: req.method, route: rota }, segundos);
+
+      if (!logAcesso) return;
+      const campos = {
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        route: rota,
+        status: res.statusCode,
+        duracao_ms: Math.round(segundos * 1000 * 10) / 10,
+        usuario_id: req.usuario?.id,
+        ip: req.ip,
+      };
+      const nivel = ROTAS_SILENCIOSAS.has(campos.path)
+        ? "debug"
+        : res.statusCode >= 500
+          ? "error"
+          : "info";
+      log[nivel]("requisicao", campos);
+    });
+
+    log.comContexto({ request_id: req.id }, next);
+  };
+}
+
+module.exports = { contextoDaRequisicao, rotaModelo };
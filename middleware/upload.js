@@ -0,0 +1,86 @@
+// ===============================
+// Upload de arquivo (multipart/form-data)
+// ===============================
+// receberArquivo({ campo, maxBytes }) lê um único arquivo do campo informado
+// para a memória e deixa:
+//   req.arquivo = { buffer, nome, tipo }  (tipo = o que o cliente declarou)
+//   req.body    = os demais campos de texto do formulário
+// Arquivo acima de maxBytes: 413 FILE_TOO_LARGE. Sem o arquivo: 400 no campo.
+// Outros arquivos no formulário são descartados.
+const busboy = require("busboy");
+const { ErroApi, ValidacaoError } = require("../erros");
+
+// Folga para o envelope do multipart (boundary, cabeçalhos e campos de texto)
+const FOLGA_BYTES = 64 * 1024;
+
+function erroTamanho(maxBytes) {
+  return new ErroApi("FILE_TOO_LARGE", { status: 413, params: { max: Math.floor(maxBytes / 1024 / 1024) } });
+}
+
+function lerFormulario(req, { campo, maxBytes }) {
+  return new Promise((resolve, reject) => {
+    let leitor;
+    try {
+      leitor = busboy({
+        headers: req.headers,
+        limits: { fileSize: maxBytes, files: 3, fields: 20, fieldSize: 1024, parts: 30 },
+      });
+    } catch (err) {
+      reject(new ErroApi("INVALID_MULTIPART", { status: 400, causa: err }));
+      return;
+    }
+
+    const campos = {};
+    let arquivo = null;
+    let excedeu = false;
+
+    leitor.on("field", (nome, valor) => {
+      campos[nome] = valor;
+    });
+    leitor.on("file", (nome, stream, info) => {
+      if (nome !== campo || arquivo) {
+        stream.resume();
+        return;
+      }
+      const partes = [];
+      arquivo = { nome: info.filename, tipo: info.mimeType, partes };
+      stream.on("data", (parte) => partes.push(parte));
+      stream.on("limit", () => {
+        excedeu = true;
+      });
+    });
+    leitor.on("error", (err) => reject(new ErroApi("INVALID_MULTIPART", { status: 400, causa: err })));
+    leitor.on("close", () => {
+      if (excedeu) return reject(erroTamanho(maxBytes));
+      const lido = arquivo && { nome: arquivo.nome, tipo: arquivo.tipo, buffer: Buffer.concat(arquivo.partes) };
+      return resolve({ campos, arquivo: lido });
+    });
+
+    req.pipe(leitor);
+  });
+}
+
+function receberArquivo({ campo, maxBytes }) {
+  return async (req, res, next) => {
+    if (!req.is("multipart/form-data")) {
+      return next(new ErroApi("MULTIPART_REQUIRED", { status: 415 }));
+    }
+    // Content-Length muito acima do limite: recusa sem ler o corpo
+    if (Number(req.get("content-length")) > maxBytes + FOLGA_BYTES) {
+      res.set("Connection", "close");
+      return next(erroTamanho(maxBytes));
+    }
+
+    try {
+      const { campos, arquivo } = await lerFormulario(req, { campo, maxBytes });
+      if (!arquivo || arquivo.buffer.length === 0) throw ValidacaoError.campo(campo, "obrigatorio");
+      req.arquivo = arquivo;
+      req.body = campos;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = { receberArquivo };
@@ -0,0 +1 @@
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS avatar_url TEXT;
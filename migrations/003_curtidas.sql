@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS curtidas (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  spotify_id VARCHAR(64) NOT NULL,
+  titulo  TEXT,
+  artista TEXT,
+  imagem  TEXT,
+  url     TEXT,
+  criado_em TIMESTAMP DEFAULT NOW(),
+  CONSTRAINT curtidas_usuario_spotify_key UNIQUE (usuario_id, spotify_id)
+);
@@ -0,0 +1,21 @@
+CREATE TABLE IF NOT EXISTS playlists (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  nome      VARCHAR(120) NOT NULL,
+  descricao TEXT DEFAULT '',
+  data_criacao TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS playlists_usuario_idx ON playlists (usuario_id);
+
+CREATE TABLE IF NOT EXISTS playlist_musicas (
+  id SERIAL PRIMARY KEY,
+  playlist_id INTEGER NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  spotify_id VARCHAR(64) NOT NULL,
+  titulo  TEXT,
+  artista TEXT,
+  imagem  TEXT,
+  url     TEXT,
+  adicionada_em TIMESTAMP DEFAULT NOW(),
+  CONSTRAINT playlist_musicas_playlist_spotify_key UNIQUE (playlist_id, spotify_id)
+);
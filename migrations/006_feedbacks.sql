@@ -0,0 +1,7 @@
+CREATE TABLE IF NOT EXISTS feedbacks (
+  id SERIAL PRIMARY KEY,
+  query      TEXT NOT NULL,
+  nota       INTEGER NOT NULL,
+  comentario TEXT DEFAULT '',
+  data_envio TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,8 @@
+CREATE TABLE IF NOT EXISTS configuracoes (
+  id SERIAL PRIMARY KEY,
+  site_name      VARCHAR(120) DEFAULT 'FindMySong',
+  theme          VARCHAR(20)  DEFAULT 'light',
+  items_per_page INTEGER      DEFAULT 20,
+  language       VARCHAR(10)  DEFAULT 'pt-BR',
+  updated_at TIMESTAMP DEFAULT NOW()
+);
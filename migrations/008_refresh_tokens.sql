@@ -0,0 +1,17 @@
+-- Refresh tokens rotativos. Só o hash SHA-256 do token é guardado.
+-- Tokens da mesma sessão (login) compartilham a mesma "familia"; se um token
+-- já rotacionado for reapresentado, a família inteira é revogada.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  familia UUID NOT NULL,
+  user_agent TEXT,
+  criado_em TIMESTAMP NOT NULL DEFAULT NOW(),
+  expira_em TIMESTAMP NOT NULL,
+  revogado_em TIMESTAMP,
+  substituido_por INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS refresh_tokens_usuario_idx ON refresh_tokens (usuario_id);
+CREATE INDEX IF NOT EXISTS refresh_tokens_familia_idx ON refresh_tokens (familia);
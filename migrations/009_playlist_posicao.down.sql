@@ -0,0 +1,4 @@
+ALTER TABLE playlists DROP COLUMN IF EXISTS atualizada_em;
+ALTER TABLE playlist_musicas DROP CONSTRAINT IF EXISTS playlist_musicas_playlist_posicao_key;
+ALTER TABLE playlist_musicas DROP COLUMN IF EXISTS duracao_ms;
+ALTER TABLE playlist_musicas DROP COLUMN IF EXISTS posicao;
@@ -0,0 +1,21 @@
+-- Ordem explícita das músicas na playlist (1..n) e duração para os totais
+ALTER TABLE playlist_musicas ADD COLUMN IF NOT EXISTS posicao INTEGER;
+ALTER TABLE playlist_musicas ADD COLUMN IF NOT EXISTS duracao_ms INTEGER;
+
+UPDATE playlist_musicas pm
+   SET posicao = o.nova
+  FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY playlist_id ORDER BY adicionada_em, id) AS nova
+      FROM playlist_musicas
+  ) o
+ WHERE pm.id = o.id;
+
+ALTER TABLE playlist_musicas ALTER COLUMN posicao SET NOT NULL;
+
+-- DEFERRABLE: a checagem acontece no fim do comando, o que permite
+-- deslocar várias posições num único UPDATE ao reordenar
+ALTER TABLE playlist_musicas
+  ADD CONSTRAINT playlist_musicas_playlist_posicao_key
+  UNIQUE (playlist_id, posicao) DEFERRABLE INITIALLY IMMEDIATE;
+
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS atualizada_em TIMESTAMP DEFAULT NOW();
@@ -0,0 +1,3 @@
+ALTER TABLE playlists DROP COLUMN IF EXISTS spotify_playlist_id;
+DROP TABLE IF EXISTS spotify_autorizacoes;
+DROP TABLE IF EXISTS spotify_contas;
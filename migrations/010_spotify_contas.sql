@@ -0,0 +1,23 @@
+-- Vínculo entre usuário do FindMySong e conta Spotify (Authorization Code + PKCE).
+-- Os tokens ficam cifrados (AES-256-GCM, ver services/cripto.js).
+CREATE TABLE IF NOT EXISTS spotify_contas (
+  usuario_id INTEGER PRIMARY KEY REFERENCES usuarios(id) ON DELETE CASCADE,
+  spotify_user_id VARCHAR(128) NOT NULL,
+  access_token TEXT NOT NULL,
+  refresh_token TEXT NOT NULL,
+  expira_em TIMESTAMP NOT NULL,
+  escopos TEXT,
+  conectado_em TIMESTAMP NOT NULL DEFAULT NOW(),
+  atualizado_em TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Autorizações em andamento: "state" enviado ao Spotify + code_verifier do PKCE
+CREATE TABLE IF NOT EXISTS spotify_autorizacoes (
+  state VARCHAR(64) PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  code_verifier VARCHAR(128) NOT NULL,
+  criado_em TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Playlist do Spotify gerada a partir da nossa (para reexportar no mesmo lugar)
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS spotify_playlist_id VARCHAR(64);
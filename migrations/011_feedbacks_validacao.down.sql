@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS feedbacks_data_envio_idx;
+ALTER TABLE feedbacks DROP CONSTRAINT IF EXISTS feedbacks_nota_check;
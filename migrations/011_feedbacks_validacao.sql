@@ -0,0 +1,6 @@
+-- Notas válidas: 1 a 5. NOT VALID para não falhar com linhas antigas fora
+-- da faixa; novas inserções/alterações já são checadas.
+ALTER TABLE feedbacks
+  ADD CONSTRAINT feedbacks_nota_check CHECK (nota BETWEEN 1 AND 5) NOT VALID;
+
+CREATE INDEX IF NOT EXISTS feedbacks_data_envio_idx ON feedbacks (data_envio);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS auditoria;
+ALTER TABLE usuarios DROP CONSTRAINT IF EXISTS usuarios_papel_check;
+ALTER TABLE usuarios DROP COLUMN IF EXISTS suspenso_motivo;
+ALTER TABLE usuarios DROP COLUMN IF EXISTS suspenso_em;
+ALTER TABLE usuarios DROP COLUMN IF EXISTS papel;
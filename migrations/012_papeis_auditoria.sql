@@ -0,0 +1,21 @@
+-- Papéis de acesso e suspensão de contas
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS papel VARCHAR(20) NOT NULL DEFAULT 'user';
+ALTER TABLE usuarios
+  ADD CONSTRAINT usuarios_papel_check CHECK (papel IN ('user', 'moderator', 'admin'));
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS suspenso_em TIMESTAMP;
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS suspenso_motivo TEXT;
+
+-- Registro de toda ação administrativa (quem fez, o quê, em quem)
+CREATE TABLE IF NOT EXISTS auditoria (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+  acao VARCHAR(60) NOT NULL,
+  alvo_tipo VARCHAR(40),
+  alvo_id VARCHAR(64),
+  detalhes JSONB,
+  ip VARCHAR(64),
+  criado_em TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS auditoria_criado_em_idx ON auditoria (criado_em);
+CREATE INDEX IF NOT EXISTS auditoria_alvo_idx ON auditoria (alvo_tipo, alvo_id);
@@ -0,0 +1,20 @@
+CREATE TABLE IF NOT EXISTS configuracoes (
+  id SERIAL PRIMARY KEY,
+  site_name      VARCHAR(120) DEFAULT 'FindMySong',
+  theme          VARCHAR(20)  DEFAULT 'light',
+  items_per_page INTEGER      DEFAULT 20,
+  language       VARCHAR(10)  DEFAULT 'pt-BR',
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+INSERT INTO configuracoes (site_name, theme, items_per_page, language, updated_at)
+SELECT COALESCE(valores->>'site_name', 'FindMySong'),
+       COALESCE(valores->>'theme', 'light'),
+       COALESCE((valores->>'items_per_page')::int, 20),
+       COALESCE(valores->>'language', 'pt-BR'),
+       criado_em
+  FROM configuracao_versoes
+ ORDER BY versao DESC
+ LIMIT 1;
+
+DROP TABLE IF EXISTS configuracao_versoes;
@@ -0,0 +1,30 @@
+-- Configuração do site versionada: cada alteração grava um snapshot completo
+-- (valores) e o que mudou em relação à versão anterior (alteracoes).
+CREATE TABLE IF NOT EXISTS configuracao_versoes (
+  versao INTEGER PRIMARY KEY,
+  valores JSONB NOT NULL,
+  alteracoes JSONB NOT NULL DEFAULT '[]',
+  usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+  origem VARCHAR(20) NOT NULL DEFAULT 'edicao',
+  restaurada_de INTEGER,
+  comentario TEXT,
+  criado_em TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT configuracao_versoes_origem_check CHECK (origem IN ('edicao', 'rollback', 'migracao'))
+);
+
+-- A configuração mais recente da tabela antiga vira a versão 1
+INSERT INTO configuracao_versoes (versao, valores, origem, criado_em)
+SELECT 1,
+       jsonb_strip_nulls(jsonb_build_object(
+         'site_name', site_name,
+         'theme', theme,
+         'items_per_page', items_per_page,
+         'language', language
+       )),
+       'migracao',
+       COALESCE(updated_at, NOW())
+  FROM configuracoes
+ ORDER BY updated_at DESC NULLS LAST, id DESC
+ LIMIT 1;
+
+DROP TABLE IF EXISTS configuracoes;
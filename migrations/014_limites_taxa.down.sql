@@ -0,0 +1 @@
+DROP TABLE IF EXISTS limites_taxa;
@@ -0,0 +1,10 @@
+-- Contadores de rate limiting / bloqueio de login (store "postgres").
+-- Uma linha por chave ("login:ip:1.2.3.4", "login:falhas:ana@x.com"...),
+-- válida até expira_em.
+CREATE TABLE IF NOT EXISTS limites_taxa (
+  chave VARCHAR(255) PRIMARY KEY,
+  total INTEGER NOT NULL,
+  expira_em TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS limites_taxa_expira_em_idx ON limites_taxa (expira_em);
@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS curtidas_usuario_criado_idx;
+DROP TABLE IF EXISTS seguidores;
+DROP INDEX IF EXISTS playlists_publicas_idx;
+ALTER TABLE playlists DROP CONSTRAINT IF EXISTS playlists_slug_key;
+ALTER TABLE playlists DROP COLUMN IF EXISTS slug;
+ALTER TABLE playlists DROP CONSTRAINT IF EXISTS playlists_visibilidade_check;
+ALTER TABLE playlists DROP COLUMN IF EXISTS visibilidade;
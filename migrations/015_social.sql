@@ -0,0 +1,29 @@
+-- Visibilidade das playlists e link de compartilhamento
+--   public   = aparece no perfil do dono e no feed de quem o segue
+--   unlisted = só quem tem o link (slug) vê
+--   private  = só o dono
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS visibilidade VARCHAR(10) NOT NULL DEFAULT 'private';
+ALTER TABLE playlists
+  ADD CONSTRAINT playlists_visibilidade_check
+  CHECK (visibilidade IN ('public', 'unlisted', 'private'));
+-- Gerado pelo app (aleatório, não derivado do id) na primeira vez que a
+-- playlist deixa de ser privada; trocar o slug invalida o link antigo
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS slug VARCHAR(32);
+ALTER TABLE playlists ADD CONSTRAINT playlists_slug_key UNIQUE (slug);
+
+CREATE INDEX IF NOT EXISTS playlists_publicas_idx
+  ON playlists (usuario_id, atualizada_em) WHERE visibilidade = 'public';
+
+-- Quem segue quem
+CREATE TABLE IF NOT EXISTS seguidores (
+  seguidor_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  seguido_id  INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  criado_em TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (seguidor_id, seguido_id),
+  CONSTRAINT seguidores_proprio_check CHECK (seguidor_id <> seguido_id)
+);
+
+CREATE INDEX IF NOT EXISTS seguidores_seguido_idx ON seguidores (seguido_id);
+
+-- Feed: curtidas recentes de cada usuário
+CREATE INDEX IF NOT EXISTS curtidas_usuario_criado_idx ON curtidas (usuario_id, criado_em);
@@ -0,0 +1,4 @@
+ALTER TABLE playlists DROP COLUMN IF EXISTS versao;
+ALTER TABLE playlist_musicas DROP COLUMN IF EXISTS adicionada_por;
+DROP TABLE IF EXISTS playlist_convites;
+DROP TABLE IF EXISTS playlist_membros;
@@ -0,0 +1,55 @@
+-- Playlists colaborativas: membros com papel, convites, autoria das músicas
+-- e versão para controle de concorrência otimista.
+--   viewer = vê a playlist e as músicas
+--   editor = também adiciona, remove e reordena músicas
+--   owner  = também edita nome/visibilidade, convida, gerencia membros e exclui
+-- playlists.usuario_id continua sendo o criador: é sempre owner e não pode
+-- ser removido nem rebaixado.
+CREATE TABLE IF NOT EXISTS playlist_membros (
+  playlist_id INTEGER NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  usuario_id  INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  papel VARCHAR(10) NOT NULL,
+  criado_em TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (playlist_id, usuario_id),
+  CONSTRAINT playlist_membros_papel_check CHECK (papel IN ('viewer', 'editor', 'owner'))
+);
+
+CREATE INDEX IF NOT EXISTS playlist_membros_usuario_idx ON playlist_membros (usuario_id);
+
+-- O criador de cada playlist existente vira owner
+INSERT INTO playlist_membros (playlist_id, usuario_id, papel, criado_em)
+SELECT id, usuario_id, 'owner', COALESCE(data_criacao, NOW()) FROM playlists
+ON CONFLICT DO NOTHING;
+
+-- Convites: só um pendente por pessoa e playlist; os respondidos ficam de histórico
+CREATE TABLE IF NOT EXISTS playlist_convites (
+  id SERIAL PRIMARY KEY,
+  playlist_id   INTEGER NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  convidado_id  INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  convidado_por INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+  papel  VARCHAR(10) NOT NULL,
+  estado VARCHAR(10) NOT NULL DEFAULT 'pendente',
+  criado_em TIMESTAMP NOT NULL DEFAULT NOW(),
+  respondido_em TIMESTAMP,
+  CONSTRAINT playlist_convites_papel_check CHECK (papel IN ('viewer', 'editor', 'owner')),
+  CONSTRAINT playlist_convites_estado_check
+    CHECK (estado IN ('pendente', 'aceito', 'recusado', 'cancelado'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS playlist_convites_pendente_key
+  ON playlist_convites (playlist_id, convidado_id) WHERE estado = 'pendente';
+CREATE INDEX IF NOT EXISTS playlist_convites_convidado_idx
+  ON playlist_convites (convidado_id) WHERE estado = 'pendente';
+
+-- Quem adicionou cada música (NULL se a conta foi excluída)
+ALTER TABLE playlist_musicas
+  ADD COLUMN IF NOT EXISTS adicionada_por INTEGER REFERENCES usuarios(id) ON DELETE SET NULL;
+
+UPDATE playlist_musicas pm
+   SET adicionada_por = p.usuario_id
+  FROM playlists p
+ WHERE p.id = pm.playlist_id AND pm.adicionada_por IS NULL;
+
+-- Sobe a cada alteração; quem edita envia a versão que viu (If-Match ou
+-- "versao" no corpo) e recebe 409 se alguém alterou antes
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS versao INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,5 @@
+DROP MATERIALIZED VIEW IF EXISTS tendencias_diarias;
+DROP TABLE IF EXISTS buscas;
+ALTER TABLE biblioteca DROP COLUMN IF EXISTS market;
+ALTER TABLE curtidas DROP COLUMN IF EXISTS market;
+ALTER TABLE usuarios DROP COLUMN IF EXISTS historico_buscas;
@@ -0,0 +1,51 @@
+-- Histórico de buscas por usuário e tendências a partir da atividade no app
+
+-- Opt-out: com false, as buscas do usuário deixam de ser registradas
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS historico_buscas BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Mercado (país ISO 3166-1) em que a música foi curtida/salva; NULL nos
+-- registros antigos, que só contam nas tendências sem filtro de mercado
+ALTER TABLE curtidas ADD COLUMN IF NOT EXISTS market VARCHAR(2);
+ALTER TABLE biblioteca ADD COLUMN IF NOT EXISTS market VARCHAR(2);
+
+-- query = como foi digitada; termo = normalizada (minúsculas, espaços
+-- simples), usada para agrupar repetições
+CREATE TABLE IF NOT EXISTS buscas (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  query  VARCHAR(200) NOT NULL,
+  termo  VARCHAR(200) NOT NULL,
+  market VARCHAR(2),
+  criado_em TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS buscas_usuario_criado_idx ON buscas (usuario_id, criado_em DESC);
+CREATE INDEX IF NOT EXISTS buscas_criado_idx ON buscas (criado_em);
+
+-- Contagem diária por mercado ('' = sem mercado) e origem, só dos últimos
+-- 31 dias (a maior janela das tendências). Atualizada de tempos em tempos
+-- por services/tendencias.js com REFRESH ... CONCURRENTLY, que exige o
+-- índice único abaixo. Nas buscas conta pessoas diferentes por dia: repetir
+-- a mesma busca não infla o ranking.
+CREATE MATERIALIZED VIEW IF NOT EXISTS tendencias_diarias AS
+  SELECT c.criado_em::date AS dia, COALESCE(c.market, '') AS market, 'curtida' AS origem,
+         c.spotify_id AS chave, MAX(c.titulo) AS titulo, MAX(c.artista) AS artista,
+         MAX(c.imagem) AS imagem, MAX(c.url) AS url, COUNT(*)::int AS total
+    FROM curtidas c
+   WHERE c.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4
+  UNION ALL
+  SELECT b.criado_em::date, COALESCE(b.market, ''), 'biblioteca',
+         b.spotify_id, MAX(b.titulo), MAX(b.artista), MAX(b.imagem), MAX(b.url), COUNT(*)::int
+    FROM biblioteca b
+   WHERE b.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4
+  UNION ALL
+  SELECT s.criado_em::date, COALESCE(s.market, ''), 'busca',
+         s.termo, NULL, NULL, NULL, NULL, COUNT(DISTINCT s.usuario_id)::int
+    FROM buscas s
+   WHERE s.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4;
+
+CREATE UNIQUE INDEX IF NOT EXISTS tendencias_diarias_key
+  ON tendencias_diarias (dia, market, origem, chave);
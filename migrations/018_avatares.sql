@@ -0,0 +1,5 @@
+-- Avatares enviados para o próprio backend (armazenamento/)
+-- avatar_chave = prefixo dos arquivos no armazenamento ("avatares/12/<id>");
+-- cada tamanho fica em "<prefixo>-<tamanho>.webp". NULL quando o usuário não
+-- tem avatar enviado (avatar_url antigo, de URL externa, continua valendo).
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS avatar_chave VARCHAR(200);
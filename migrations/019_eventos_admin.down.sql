@@ -0,0 +1 @@
+DROP SEQUENCE IF EXISTS eventos_admin_id_seq;
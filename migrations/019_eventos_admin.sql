@@ -0,0 +1,4 @@
+-- Ids dos eventos do painel admin (services/eventosAdmin.js). Os eventos em si
+-- não são gravados: vão por NOTIFY para todas as instâncias, e o id vem daqui
+-- para ser o mesmo em todas (Last-Event-ID funciona em qualquer instância).
+CREATE SEQUENCE IF NOT EXISTS eventos_admin_id_seq;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS feedbacks_usuario_idx;
+ALTER TABLE feedbacks DROP COLUMN IF EXISTS usuario_id;
+DROP TABLE IF EXISTS tokens_conta;
+ALTER TABLE usuarios DROP COLUMN IF EXISTS email_verificado_em;
@@ -0,0 +1,30 @@
+-- Ciclo de vida da conta: verificação de email, redefinição de senha, troca
+-- de email e exclusão (LGPD)
+
+-- NULL = email ainda não confirmado. Contas que já existiam contam como
+-- verificadas, para ninguém perder acesso com a migração.
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS email_verificado_em TIMESTAMP;
+UPDATE usuarios SET email_verificado_em = COALESCE(criado_em, NOW()) WHERE email_verificado_em IS NULL;
+
+-- Tokens de uso único enviados por email (só o hash SHA-256 fica no banco)
+--   verificacao_email: confirma "email" (o atual da conta)
+--   troca_email:       confirma e aplica "email" (o novo endereço)
+--   redefinicao_senha: permite definir uma nova senha sem a atual
+CREATE TABLE IF NOT EXISTS tokens_conta (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  tipo VARCHAR(20) NOT NULL
+    CONSTRAINT tokens_conta_tipo_check CHECK (tipo IN ('verificacao_email', 'troca_email', 'redefinicao_senha')),
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  email VARCHAR(180),
+  expira_em TIMESTAMP NOT NULL,
+  usado_em TIMESTAMP,
+  criado_em TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tokens_conta_usuario_idx ON tokens_conta (usuario_id, tipo);
+
+-- Quem enviou o feedback (quando estava logado). Ao excluir a conta o vínculo
+-- some e o comentário é apagado; query e nota ficam para os relatórios.
+ALTER TABLE feedbacks ADD COLUMN IF NOT EXISTS usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS feedbacks_usuario_idx ON feedbacks (usuario_id) WHERE usuario_id IS NOT NULL;
@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS playlist_musicas_busca_trgm_idx;
+DROP INDEX IF EXISTS playlist_musicas_busca_fts_idx;
+DROP INDEX IF EXISTS biblioteca_busca_trgm_idx;
+DROP INDEX IF EXISTS biblioteca_busca_fts_idx;
+DROP INDEX IF EXISTS curtidas_busca_trgm_idx;
+DROP INDEX IF EXISTS curtidas_busca_fts_idx;
+DROP INDEX IF EXISTS biblioteca_usuario_id_idx;
+DROP INDEX IF EXISTS curtidas_usuario_id_idx;
+DROP FUNCTION IF EXISTS musica_busca(TEXT, TEXT);
+DROP FUNCTION IF EXISTS normalizar_busca(TEXT);
+-- As extensões ficam: podem estar em uso por outros objetos do banco
@@ -0,0 +1,39 @@
+-- Busca em "minhas músicas" (curtidas, biblioteca e playlists) e paginação
+-- por cursor nas listagens
+
+-- pg_trgm: semelhança por trigramas (tolera erro de digitação) e LIKE indexado
+-- unaccent: "coracao" encontra "Coração"
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- Texto pesquisável de uma música: título + artista, minúsculo e sem acentos.
+-- IMMUTABLE para poder entrar nos índices (unaccent() é só STABLE porque o
+-- dicionário pode mudar); o search_path fica fixo no da migração para a
+-- função achar o unaccent mesmo num restore com search_path vazio.
+CREATE OR REPLACE FUNCTION normalizar_busca(texto TEXT) RETURNS TEXT
+  LANGUAGE sql IMMUTABLE PARALLEL SAFE
+  SET search_path FROM CURRENT
+  AS $$ SELECT lower(unaccent(COALESCE(texto, ''))) $$;
+
+CREATE OR REPLACE FUNCTION musica_busca(titulo TEXT, artista TEXT) RETURNS TEXT
+  LANGUAGE sql IMMUTABLE PARALLEL SAFE
+  SET search_path FROM CURRENT
+  AS $$ SELECT normalizar_busca(COALESCE(titulo, '') || ' ' || COALESCE(artista, '')) $$;
+
+-- Listagens paginadas por id (mais recentes primeiro)
+CREATE INDEX IF NOT EXISTS curtidas_usuario_id_idx ON curtidas (usuario_id, id DESC);
+CREATE INDEX IF NOT EXISTS biblioteca_usuario_id_idx ON biblioteca (usuario_id, id DESC);
+
+-- Busca por palavras (prefixo) e por semelhança
+CREATE INDEX IF NOT EXISTS curtidas_busca_fts_idx
+  ON curtidas USING gin (to_tsvector('simple', musica_busca(titulo, artista)));
+CREATE INDEX IF NOT EXISTS curtidas_busca_trgm_idx
+  ON curtidas USING gin (musica_busca(titulo, artista) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS biblioteca_busca_fts_idx
+  ON biblioteca USING gin (to_tsvector('simple', musica_busca(titulo, artista)));
+CREATE INDEX IF NOT EXISTS biblioteca_busca_trgm_idx
+  ON biblioteca USING gin (musica_busca(titulo, artista) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS playlist_musicas_busca_fts_idx
+  ON playlist_musicas USING gin (to_tsvector('simple', musica_busca(titulo, artista)));
+CREATE INDEX IF NOT EXISTS playlist_musicas_busca_trgm_idx
+  ON playlist_musicas USING gin (musica_busca(titulo, artista) gin_trgm_ops);
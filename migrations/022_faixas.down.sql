@@ -0,0 +1,72 @@
+-- Volta a copiar os dados das músicas em cada tabela (os ids normalizados
+-- e as repetidas removidas não voltam)
+DROP MATERIALIZED VIEW IF EXISTS tendencias_diarias;
+
+DROP INDEX IF EXISTS playlist_musicas_spotify_idx;
+DROP INDEX IF EXISTS biblioteca_spotify_idx;
+DROP INDEX IF EXISTS curtidas_spotify_idx;
+
+ALTER TABLE curtidas
+  DROP CONSTRAINT IF EXISTS curtidas_spotify_id_fkey,
+  ADD COLUMN IF NOT EXISTS titulo TEXT, ADD COLUMN IF NOT EXISTS artista TEXT,
+  ADD COLUMN IF NOT EXISTS imagem TEXT, ADD COLUMN IF NOT EXISTS url TEXT;
+ALTER TABLE biblioteca
+  DROP CONSTRAINT IF EXISTS biblioteca_spotify_id_fkey,
+  ADD COLUMN IF NOT EXISTS titulo TEXT, ADD COLUMN IF NOT EXISTS artista TEXT,
+  ADD COLUMN IF NOT EXISTS imagem TEXT, ADD COLUMN IF NOT EXISTS url TEXT;
+ALTER TABLE playlist_musicas
+  DROP CONSTRAINT IF EXISTS playlist_musicas_spotify_id_fkey,
+  ADD COLUMN IF NOT EXISTS titulo TEXT, ADD COLUMN IF NOT EXISTS artista TEXT,
+  ADD COLUMN IF NOT EXISTS imagem TEXT, ADD COLUMN IF NOT EXISTS url TEXT,
+  ADD COLUMN IF NOT EXISTS duracao_ms INTEGER;
+
+UPDATE curtidas c SET titulo = f.titulo, artista = f.artista, imagem = f.imagem, url = f.url
+  FROM faixas f WHERE f.id = c.spotify_id;
+UPDATE biblioteca b SET titulo = f.titulo, artista = f.artista, imagem = f.imagem, url = f.url
+  FROM faixas f WHERE f.id = b.spotify_id;
+UPDATE playlist_musicas pm
+   SET titulo = f.titulo, artista = f.artista, imagem = f.imagem, url = f.url, duracao_ms = f.duracao_ms
+  FROM faixas f WHERE f.id = pm.spotify_id;
+
+-- Índices de busca da migração 021
+CREATE INDEX IF NOT EXISTS curtidas_busca_fts_idx
+  ON curtidas USING gin (to_tsvector('simple', musica_busca(titulo, artista)));
+CREATE INDEX IF NOT EXISTS curtidas_busca_trgm_idx
+  ON curtidas USING gin (musica_busca(titulo, artista) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS biblioteca_busca_fts_idx
+  ON biblioteca USING gin (to_tsvector('simple', musica_busca(titulo, artista)));
+CREATE INDEX IF NOT EXISTS biblioteca_busca_trgm_idx
+  ON biblioteca USING gin (musica_busca(titulo, artista) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS playlist_musicas_busca_fts_idx
+  ON playlist_musicas USING gin (to_tsvector('simple', musica_busca(titulo, artista)));
+CREATE INDEX IF NOT EXISTS playlist_musicas_busca_trgm_idx
+  ON playlist_musicas USING gin (musica_busca(titulo, artista) gin_trgm_ops);
+
+-- View das tendências como na migração 017
+CREATE MATERIALIZED VIEW IF NOT EXISTS tendencias_diarias AS
+  SELECT c.criado_em::date AS dia, COALESCE(c.market, '') AS market, 'curtida' AS origem,
+         c.spotify_id AS chave, MAX(c.titulo) AS titulo, MAX(c.artista) AS artista,
+         MAX(c.imagem) AS imagem, MAX(c.url) AS url, COUNT(*)::int AS total
+    FROM curtidas c
+   WHERE c.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4
+  UNION ALL
+  SELECT b.criado_em::date, COALESCE(b.market, ''), 'biblioteca',
+         b.spotify_id, MAX(b.titulo), MAX(b.artista), MAX(b.imagem), MAX(b.url), COUNT(*)::int
+    FROM biblioteca b
+   WHERE b.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4
+  UNION ALL
+  SELECT s.criado_em::date, COALESCE(s.market, ''), 'busca',
+         s.termo, NULL, NULL, NULL, NULL, COUNT(DISTINCT s.usuario_id)::int
+    FROM buscas s
+   WHERE s.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4;
+
+CREATE UNIQUE INDEX IF NOT EXISTS tendencias_diarias_key
+  ON tendencias_diarias (dia, market, origem, chave);
+
+DROP TABLE IF EXISTS faixa_artistas;
+DROP TABLE IF EXISTS faixas;
+DROP TABLE IF EXISTS albuns;
+DROP TABLE IF EXISTS artistas;
@@ -0,0 +1,173 @@
+-- Catálogo local de faixas (com artistas e álbuns), pelo id do provedor.
+-- curtidas, biblioteca e playlist_musicas passam a guardar só o spotify_id;
+-- título, artista, capa etc. ficam em "faixas", gravadas pelo servidor a
+-- partir do catálogo (services/faixas.js) e atualizadas de tempos em tempos.
+
+CREATE TABLE IF NOT EXISTS artistas (
+  id VARCHAR(64) PRIMARY KEY,
+  provedor VARCHAR(20) NOT NULL,
+  nome TEXT NOT NULL,
+  atualizado_em TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS albuns (
+  id VARCHAR(64) PRIMARY KEY,
+  provedor VARCHAR(20) NOT NULL,
+  titulo TEXT NOT NULL,
+  imagem TEXT,
+  atualizado_em TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- atualizado_em = última vez que os dados vieram do catálogo (NULL = nunca:
+-- as faixas trazidas das tabelas antigas abaixo, com o que os clientes
+-- mandaram, até a primeira atualização). indisponivel_em = o provedor deixou
+-- de encontrar a faixa; os últimos dados conhecidos continuam valendo.
+CREATE TABLE IF NOT EXISTS faixas (
+  id VARCHAR(64) PRIMARY KEY,
+  provedor VARCHAR(20),
+  titulo TEXT,
+  artista TEXT,
+  album_id VARCHAR(64) REFERENCES albuns(id) ON DELETE SET NULL,
+  imagem TEXT,
+  url TEXT,
+  preview_url TEXT,
+  duracao_ms INTEGER,
+  explicita BOOLEAN NOT NULL DEFAULT FALSE,
+  criado_em TIMESTAMP NOT NULL DEFAULT NOW(),
+  atualizado_em TIMESTAMP,
+  indisponivel_em TIMESTAMP
+);
+
+-- Fila da atualização: nunca atualizadas primeiro, depois as mais antigas
+CREATE INDEX IF NOT EXISTS faixas_atualizado_idx ON faixas (atualizado_em NULLS FIRST);
+CREATE INDEX IF NOT EXISTS faixas_album_idx ON faixas (album_id);
+
+-- Busca em "minhas músicas" (funções da migração 021)
+CREATE INDEX IF NOT EXISTS faixas_busca_fts_idx
+  ON faixas USING gin (to_tsvector('simple', musica_busca(titulo, artista)));
+CREATE INDEX IF NOT EXISTS faixas_busca_trgm_idx
+  ON faixas USING gin (musica_busca(titulo, artista) gin_trgm_ops);
+
+-- Créditos na ordem do provedor ("A, B" -> posições 1 e 2)
+CREATE TABLE IF NOT EXISTS faixa_artistas (
+  faixa_id VARCHAR(64) NOT NULL REFERENCES faixas(id) ON DELETE CASCADE,
+  artista_id VARCHAR(64) NOT NULL REFERENCES artistas(id) ON DELETE CASCADE,
+  posicao SMALLINT NOT NULL,
+  PRIMARY KEY (faixa_id, posicao)
+);
+
+CREATE INDEX IF NOT EXISTS faixa_artistas_artista_idx ON faixa_artistas (artista_id);
+
+-- ===============================
+-- Dados existentes
+-- ===============================
+-- Clientes antigos chegaram a gravar o URI ou o link no lugar do id
+-- ("spotify:track:<id>", "https://open.spotify.com/track/<id>?si=...").
+-- Mesmas formas aceitas na importação (formatos/index.js); só nesta migração.
+CREATE OR REPLACE FUNCTION pg_temp.id_da_faixa(ref TEXT) RETURNS TEXT
+  LANGUAGE sql IMMUTABLE
+  AS $$
+    SELECT COALESCE(
+      substring(btrim(ref) FROM '^spotify:track:([0-9A-Za-z]{22})$'),
+      substring(ref FROM 'open\.spotify\.com/(?:intl-[a-z-]+/)?track/([0-9A-Za-z]{22})'),
+      substring(ref FROM 'deezer\.com/(?:[a-z]{2}/)?track/([0-9]+)'),
+      btrim(ref)
+    )
+  $$;
+
+-- Uma faixa por id, com o dado mais recente não vazio de cada campo
+INSERT INTO faixas (id, titulo, artista, imagem, url, duracao_ms, criado_em)
+SELECT id,
+       (array_agg(titulo ORDER BY em DESC NULLS LAST) FILTER (WHERE titulo <> ''))[1],
+       (array_agg(artista ORDER BY em DESC NULLS LAST) FILTER (WHERE artista <> ''))[1],
+       (array_agg(imagem ORDER BY em DESC NULLS LAST) FILTER (WHERE imagem <> ''))[1],
+       (array_agg(url ORDER BY em DESC NULLS LAST) FILTER (WHERE url <> ''))[1],
+       (array_agg(duracao_ms ORDER BY em DESC NULLS LAST) FILTER (WHERE duracao_ms IS NOT NULL))[1],
+       COALESCE(MIN(em), NOW())
+  FROM (
+    SELECT pg_temp.id_da_faixa(spotify_id) AS id, titulo, artista, imagem, url,
+           NULL::int AS duracao_ms, criado_em AS em
+      FROM curtidas
+    UNION ALL
+    SELECT pg_temp.id_da_faixa(spotify_id), titulo, artista, imagem, url, NULL, criado_em
+      FROM biblioteca
+    UNION ALL
+    SELECT pg_temp.id_da_faixa(spotify_id), titulo, artista, imagem, url, duracao_ms, adicionada_em
+      FROM playlist_musicas
+  ) copias
+ GROUP BY id
+ON CONFLICT (id) DO NOTHING;
+
+-- Repetidas depois de normalizar o id: fica a mais antiga
+DELETE FROM curtidas c
+ USING curtidas o
+ WHERE o.usuario_id = c.usuario_id AND o.id < c.id
+   AND pg_temp.id_da_faixa(o.spotify_id) = pg_temp.id_da_faixa(c.spotify_id);
+DELETE FROM biblioteca b
+ USING biblioteca o
+ WHERE o.usuario_id = b.usuario_id AND o.id < b.id
+   AND pg_temp.id_da_faixa(o.spotify_id) = pg_temp.id_da_faixa(b.spotify_id);
+DELETE FROM playlist_musicas pm
+ USING playlist_musicas o
+ WHERE o.playlist_id = pm.playlist_id AND o.posicao < pm.posicao
+   AND pg_temp.id_da_faixa(o.spotify_id) = pg_temp.id_da_faixa(pm.spotify_id);
+
+UPDATE curtidas SET spotify_id = pg_temp.id_da_faixa(spotify_id)
+ WHERE spotify_id <> pg_temp.id_da_faixa(spotify_id);
+UPDATE biblioteca SET spotify_id = pg_temp.id_da_faixa(spotify_id)
+ WHERE spotify_id <> pg_temp.id_da_faixa(spotify_id);
+UPDATE playlist_musicas SET spotify_id = pg_temp.id_da_faixa(spotify_id)
+ WHERE spotify_id <> pg_temp.id_da_faixa(spotify_id);
+
+-- Sem buracos nas posições das playlists que perderam repetidas
+UPDATE playlist_musicas pm
+   SET posicao = o.nova
+  FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY playlist_id ORDER BY posicao) AS nova
+      FROM playlist_musicas
+  ) o
+ WHERE pm.id = o.id AND pm.posicao <> o.nova;
+
+DROP FUNCTION pg_temp.id_da_faixa(TEXT);
+
+-- ===============================
+-- Tabelas de uso passam a apontar para "faixas"
+-- ===============================
+-- A view das tendências lia os campos copiados: agora só conta, e os
+-- dados das músicas vêm de "faixas" na consulta (services/tendencias.js)
+DROP MATERIALIZED VIEW IF EXISTS tendencias_diarias;
+
+ALTER TABLE curtidas
+  DROP COLUMN titulo, DROP COLUMN artista, DROP COLUMN imagem, DROP COLUMN url,
+  ADD CONSTRAINT curtidas_spotify_id_fkey FOREIGN KEY (spotify_id) REFERENCES faixas(id);
+ALTER TABLE biblioteca
+  DROP COLUMN titulo, DROP COLUMN artista, DROP COLUMN imagem, DROP COLUMN url,
+  ADD CONSTRAINT biblioteca_spotify_id_fkey FOREIGN KEY (spotify_id) REFERENCES faixas(id);
+ALTER TABLE playlist_musicas
+  DROP COLUMN titulo, DROP COLUMN artista, DROP COLUMN imagem, DROP COLUMN url,
+  DROP COLUMN duracao_ms,
+  ADD CONSTRAINT playlist_musicas_spotify_id_fkey FOREIGN KEY (spotify_id) REFERENCES faixas(id);
+
+CREATE INDEX IF NOT EXISTS curtidas_spotify_idx ON curtidas (spotify_id);
+CREATE INDEX IF NOT EXISTS biblioteca_spotify_idx ON biblioteca (spotify_id);
+CREATE INDEX IF NOT EXISTS playlist_musicas_spotify_idx ON playlist_musicas (spotify_id);
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS tendencias_diarias AS
+  SELECT c.criado_em::date AS dia, COALESCE(c.market, '') AS market, 'curtida' AS origem,
+         c.spotify_id AS chave, COUNT(*)::int AS total
+    FROM curtidas c
+   WHERE c.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4
+  UNION ALL
+  SELECT b.criado_em::date, COALESCE(b.market, ''), 'biblioteca', b.spotify_id, COUNT(*)::int
+    FROM biblioteca b
+   WHERE b.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4
+  UNION ALL
+  SELECT s.criado_em::date, COALESCE(s.market, ''), 'busca', s.termo, COUNT(DISTINCT s.usuario_id)::int
+    FROM buscas s
+   WHERE s.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4;
+
+CREATE UNIQUE INDEX IF NOT EXISTS tendencias_diarias_key
+  ON tendencias_diarias (dia, market, origem, chave);
@@ -0,0 +1,2 @@
+-- Opt-in: só com true as curtidas do usuário aparecem no feed de quem o segue
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS curtidas_publicas BOOLEAN NOT NULL DEFAULT FALSE;
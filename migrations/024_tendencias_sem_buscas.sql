@@ -0,0 +1,19 @@
+-- As buscas em alta passam a contar pessoas distintas direto em "buscas"
+-- (services/tendencias.js): a soma das contagens diárias por mercado contava
+-- a mesma pessoa várias vezes. A view fica só com curtidas e biblioteca.
+DROP MATERIALIZED VIEW IF EXISTS tendencias_diarias;
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS tendencias_diarias AS
+  SELECT c.criado_em::date AS dia, COALESCE(c.market, '') AS market, 'curtida' AS origem,
+         c.spotify_id AS chave, COUNT(*)::int AS total
+    FROM curtidas c
+   WHERE c.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4
+  UNION ALL
+  SELECT b.criado_em::date, COALESCE(b.market, ''), 'biblioteca', b.spotify_id, COUNT(*)::int
+    FROM biblioteca b
+   WHERE b.criado_em >= CURRENT_DATE - 31
+   GROUP BY 1, 2, 4;
+
+CREATE UNIQUE INDEX IF NOT EXISTS tendencias_diarias_key
+  ON tendencias_diarias (dia, market, origem, chave);
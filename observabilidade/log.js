@@ -0,0 +1,83 @@
+// ===============================
+// Logs estruturados (JSON, uma linha por evento)
+// ===============================
+// log.info("mensagem", { campo: valor }) escreve, por exemplo:
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"mensagem","request_id":"...","campo":"valor"}
+// time/level/msg seguem os nomes que os coletores de log já entendem.
+// Dentro de uma requisição o request_id entra sozinho: o middleware
+// (middleware/requisicao.js) roda o resto do pipeline em comContexto().
+//
+// LOG_LEVEL = debug | info (padrão) | warn | error | silent
+// LOG_FORMAT = json (padrão) | texto (legível, para desenvolvimento)
+// Um Error em qualquer campo vira { nome, mensagem, codigo, stack }.
+const { AsyncLocalStorage } = require("async_hooks");
+
+const NIVEIS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const contexto = new AsyncLocalStorage();
+
+// Lido a cada chamada: os testes (e o modo demo) ajustam pelo ambiente
+function nivelMinimo() {
+  return NIVEIS[process.env.LOG_LEVEL] ?? NIVEIS.info;
+}
+
+function serializarErro(err) {
+  return {
+    nome: err.name,
+    mensagem: err.message,
+    ...(err.codigo || err.code ? { codigo: err.codigo || err.code } : {}),
+    stack: err.stack,
+  };
+}
+
+function serializar(campos) {
+  const saida = {};
+  for (const [chave, valor] of Object.entries(campos || {})) {
+    if (valor === undefined) continue;
+    saida[chave] = valor instanceof Error ? serializarErro(valor) : valor;
+  }
+  return saida;
+}
+
+function formatarTexto({ time, level, msg, ...resto }) {
+  const extras = Object.entries(resto)
+    .map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`)
+    .join(" ");
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extras ? ` ${extras}` : ""}`;
+}
+
+function escrever(nivel, msg, campos) {
+  if (NIVEIS[nivel] < nivelMinimo()) return;
+
+  const linha = {
+    time: new Date().toISOString(),
+    level: nivel,
+    msg,
+    ...contexto.getStore(),
+    ...serializar(campos),
+  };
+  let texto;
+  try {
+    texto = process.env.LOG_FORMAT === "texto" ? formatarTexto(linha) : JSON.stringify(linha);
+  } catch {
+    // Campo circular ou BigInt: não derruba quem está logando
+    texto = JSON.stringify({ time: linha.time, level: nivel, msg, erro_log: "campos não serializáveis" });
+  }
+  (NIVEIS[nivel] >= NIVEIS.warn ? process.stderr : process.stdout).write(`${texto}\n`);
+}
+
+// Executa fn com campos fixos (ex.: { request_id }) em todo log feito dentro dela
+function comContexto(campos, fn) {
+  return contexto.run({ ...contexto.getStore(), ...campos }, fn);
+}
+
+const log = {
+  debug: (msg, campos) => escrever("debug", msg, campos),
+  info: (msg, campos) => escrever("info", msg, campos),
+  warn: (msg, campos) => escrever("warn", msg, campos),
+  error: (msg, campos) => escrever("error", msg, campos),
+  comContexto,
+  contextoAtual: () => contexto.getStore() || {},
+};
+
+module.exports = log;
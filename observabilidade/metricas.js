@@ -0,0 +1,160 @@
+// ===============================
+// Métricas no formato do Prometheus (texto, versão 0.0.4)
+// ===============================
+// Registro mínimo, sem dependências:
+//   contador(nome, ajuda, labels)            -> { inc(valores, n = 1) }
+//   histograma(nome, ajuda, labels, buckets) -> { observar(valores, segundos) }
+//   coletado(nome, ajuda, tipo, coletar)     -> lido só na hora do scrape;
+//     coletar() devolve [{ labels: {...}, valor }]
+// renderizar() monta o texto servido em GET /metrics.
+//
+// Os instrumentos do app ficam definidos no fim deste arquivo; nomes e
+// labels seguem as convenções do Prometheus (inglês, snake_case, unidade
+// no sufixo).
+
+const BUCKETS_PADRAO = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metricas = new Map();
+
+function escaparLabel(valor) {
+  return String(valor).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function textoLabels(labels) {
+  const pares = Object.entries(labels).map(([k, v]) => `${k}="${escaparLabel(v)}"`);
+  return pares.length ? `{${pares.join(",")}}` : "";
+}
+
+// Chave estável de uma combinação de labels (na ordem declarada)
+function chaveDe(nomesLabels, valores = {}) {
+  return JSON.stringify(nomesLabels.map((l) => (valores[l] === undefined ? "" : String(valores[l]))));
+}
+
+function labelsDaChave(nomesLabels, chave) {
+  const valores = JSON.parse(chave);
+  return Object.fromEntries(nomesLabels.map((l, i) => [l, valores[i]]));
+}
+
+function registrar(metrica) {
+  if (metricas.has(metrica.nome)) throw new Error(`Métrica duplicada: ${metrica.nome}`);
+  metricas.set(metrica.nome, metrica);
+  return metrica;
+}
+
+function contador(nome, ajuda, labels = []) {
+  const valores = new Map();
+  registrar({
+    nome,
+    ajuda,
+    tipo: "counter",
+    linhas: () =>
+      [...valores].map(([chave, valor]) => `${nome}${textoLabels(labelsDaChave(labels, chave))} ${valor}`),
+  });
+  return {
+    inc(rotulos, n = 1) {
+      const chave = chaveDe(labels, rotulos);
+      valores.set(chave, (valores.get(chave) || 0) + n);
+    },
+  };
+}
+
+function histograma(nome, ajuda, labels = [], buckets = BUCKETS_PADRAO) {
+  const series = new Map();
+  registrar({
+    nome,
+    ajuda,
+    tipo: "histogram",
+    linhas: () => {
+      const saida = [];
+      for (const [chave, s] of series) {
+        const base = labelsDaChave(labels, chave);
+        buckets.forEach((le, i) => {
+          saida.push(`${nome}_bucket${textoLabels({ ...base, le })} ${s.contagens[i]}`);
+        });
+        saida.push(`${nome}_bucket${textoLabels({ ...base, le: "+Inf" })} ${s.total}`);
+        saida.push(`${nome}_sum${textoLabels(base)} ${s.soma}`);
+        saida.push(`${nome}_count${textoLabels(base)} ${s.total}`);
+      }
+      return saida;
+    },
+  });
+  return {
+    observar(rotulos, valor) {
+      const chave = chaveDe(labels, rotulos);
+      let s = series.get(chave);
+      if (!s) {
+        s = { contagens: buckets.map(() => 0), soma: 0, total: 0 };
+        series.set(chave, s);
+      }
+      // Buckets cumulativos: conta em todos com le >= valor
+      buckets.forEach((le, i) => {
+        if (valor <= le) s.contagens[i] += 1;
+      });
+      s.soma += valor;
+      s.total += 1;
+    },
+  };
+}
+
+function coletado(nome, ajuda, tipo, coletar) {
+  registrar({
+    nome,
+    ajuda,
+    tipo,
+    linhas: () => (coletar() || []).map(({ labels = {}, valor }) => `${nome}${textoLabels(labels)} ${valor}`),
+  });
+}
+
+function renderizar() {
+  const partes = [];
+  for (const m of metricas.values()) {
+    let linhas;
+    try {
+      linhas = m.linhas();
+    } catch {
+      // Um coletor com problema não derruba o scrape inteiro
+      continue;
+    }
+    partes.push(`# HELP ${m.nome} ${m.ajuda}`, `# TYPE ${m.nome} ${m.tipo}`, ...linhas);
+  }
+  return `${partes.join("\n")}\n`;
+}
+
+// Segundos desde inicio (process.hrtime.bigint())
+function segundosDesde(inicio) {
+  return Number(process.hrtime.bigint() - inicio) / 1e9;
+}
+
+// ===============================
+// Instrumentos do app
+// ===============================
+const http = {
+  requisicoes: contador("http_requests_total", "Requisições HTTP atendidas", ["method", "route", "status"]),
+  duracao: histograma("http_request_duration_seconds", "Tempo de resposta HTTP", ["method", "route"]),
+};
+
+const banco = {
+  consultas: histograma("db_query_duration_seconds", "Duração das consultas ao Postgres", ["outcome"]),
+};
+
+const upstream = {
+  duracao: histograma(
+    "upstream_request_duration_seconds",
+    "Duração das chamadas a serviços externos (com retries)",
+    ["service", "outcome"]
+  ),
+  erros: contador("upstream_errors_total", "Falhas em serviços externos, por código", ["service", "code"]),
+  renovacoesToken: contador("spotify_token_refreshes_total", "Tokens do Spotify gerados/renovados", ["type"]),
+};
+
+module.exports = {
+  BUCKETS_PADRAO,
+  contador,
+  histograma,
+  coletado,
+  renderizar,
+  segundosDesde,
+  http,
+  banco,
+  upstream,
+};
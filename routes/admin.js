@@ -0,0 +1,271 @@
+// ===============================
+// ADMIN – Usuários e auditoria
+// ===============================
+// Montado em /api/admin, depois do guard de papel (ver server.js): todas as
+// rotas daqui exigem admin. Cada alteração é registrada em "auditoria" na
+// mesma transação.
+const express = require("express");
+const pool = require("../db/connection");
+const emTransacao = require("../db/transacao");
+const { PAPEIS } = require("../middleware/auth");
+const { revogarTodosDoUsuario } = require("../services/tokens");
+const { registrarAuditoria } = require("../services/auditoria");
+const { atualizarTendencias } = require("../services/tendencias");
+const { atualizarFaixas } = require("../services/faixas");
+const { ErroApi, NaoEncontradoError } = require("../erros");
+const { CAMPOS_PAGINACAO, validarCorpo, validarQuery } = require("../validacao");
+
+const router = express.Router();
+
+// Dados do usuário + contagem de curtidas, biblioteca e playlists
+const SQL_USUARIO = `
+  SELECT u.id, u.nome, u.email, u.papel, u.criado_em, u.suspenso_em, u.suspenso_motivo,
+         (SELECT COUNT(*)::int FROM curtidas c WHERE c.usuario_id = u.id)   AS curtidas,
+         (SELECT COUNT(*)::int FROM biblioteca b WHERE b.usuario_id = u.id) AS biblioteca,
+         (SELECT COUNT(*)::int FROM playlists p WHERE p.usuario_id = u.id)  AS playlists
+    FROM usuarios u`;
+
+// Valida :id e impede que o admin altere a própria conta (evita ficar sem
+// nenhum admin por engano)
+function alvoDaRota(req, res, next) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return next(new NaoEncontradoError("USER_NOT_FOUND"));
+  if (req.method !== "GET" && id === req.usuario.id) {
+    return next(new ErroApi("SELF_CHANGE_FORBIDDEN", { status: 400 }));
+  }
+  req.alvoId = id;
+  return next();
+}
+
+// ===============================
+// Usuários
+// ===============================
+
+// GET /api/admin/usuarios?q=ana&papel=admin&status=ativo|suspenso&limit=20&offset=0
+const validarFiltrosUsuarios = validarQuery({
+  q: { tipo: "texto", max: 120 },
+  papel: { tipo: "opcao", opcoes: PAPEIS },
+  status: { tipo: "opcao", opcoes: ["ativo", "suspenso"] },
+  ...CAMPOS_PAGINACAO,
+});
+
+router.get("/usuarios", validarFiltrosUsuarios, async (req, res, next) => {
+  const { limit, offset } = req.query;
+  const condicoes = [];
+  const params = [];
+
+  if (req.query.q) {
+    params.push(`%${req.query.q.replace(/[\\%_]/g, "\\$&")}%`);
+    condicoes.push(`(u.nome ILIKE $${params.length} OR u.email ILIKE $${params.length})`);
+  }
+  if (req.query.papel) {
+    params.push(req.query.papel);
+    condicoes.push(`u.papel = $${params.length}`);
+  }
+  if (req.query.status) {
+    condicoes.push(req.query.status === "ativo" ? "u.suspenso_em IS NULL" : "u.suspenso_em IS NOT NULL");
+  }
+  const where = condicoes.length ? `WHERE ${condicoes.join(" AND ")}` : "";
+
+  try {
+    const [itens, total] = await Promise.all([
+      pool.query(
+        `${SQL_USUARIO} ${where}
+         ORDER BY u.id
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM usuarios u ${where}`, params),
+    ]);
+    res.json({ itens: itens.rows, total: total.rows[0].total, limit, offset });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/usuarios/:id", alvoDaRota, async (req, res, next) => {
+  try {
+    const r = await pool.query(`${SQL_USUARIO} WHERE u.id = $1`, [req.alvoId]);
+    if (r.rows.length === 0) throw new NaoEncontradoError("USER_NOT_FOUND");
+    res.json(r.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /api/admin/usuarios/:id/papel  { papel: "user" | "moderator" | "admin" }
+const validarPapel = validarCorpo({ papel: { tipo: "opcao", obrigatorio: true, opcoes: PAPEIS } });
+
+router.patch("/usuarios/:id/papel", alvoDaRota, validarPapel, async (req, res, next) => {
+  const { papel } = req.body;
+
+  try {
+    const usuario = await emTransacao(async (client) => {
+      const atual = await client.query("SELECT papel FROM usuarios WHERE id = $1 FOR UPDATE", [
+        req.alvoId,
+      ]);
+      if (atual.rows.length === 0) return null;
+
+      await client.query("UPDATE usuarios SET papel = $1 WHERE id = $2", [papel, req.alvoId]);
+      await registrarAuditoria(client, {
+        req,
+        acao: "usuario.papel",
+        alvoTipo: "usuario",
+        alvoId: req.alvoId,
+        detalhes: { de: atual.rows[0].papel, para: papel },
+      });
+      return (await client.query(`${SQL_USUARIO} WHERE u.id = $1`, [req.alvoId])).rows[0];
+    });
+
+    if (!usuario) throw new NaoEncontradoError("USER_NOT_FOUND");
+    res.json(usuario);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/admin/usuarios/:id/suspender  { motivo? }
+// Encerra todas as sessões: o access token atual vale até expirar, mas o
+// refresh e o login passam a ser recusados.
+const validarSuspensao = validarCorpo({ motivo: { tipo: "texto", max: 500 } });
+
+router.post("/usuarios/:id/suspender", alvoDaRota, validarSuspensao, async (req, res, next) => {
+  const motivo = req.body.motivo || null;
+
+  try {
+    const usuario = await emTransacao(async (client) => {
+      const r = await client.query(
+        `UPDATE usuarios SET suspenso_em = COALESCE(suspenso_em, NOW()), suspenso_motivo = $1
+          WHERE id = $2
+          RETURNING id`,
+        [motivo, req.alvoId]
+      );
+      if (r.rows.length === 0) return null;
+
+      const sessoes = await revogarTodosDoUsuario(req.alvoId, client);
+      await registrarAuditoria(client, {
+        req,
+        acao: "usuario.suspender",
+        alvoTipo: "usuario",
+        alvoId: req.alvoId,
+        detalhes: { motivo, sessoes_revogadas: sessoes },
+      });
+      return (await client.query(`${SQL_USUARIO} WHERE u.id = $1`, [req.alvoId])).rows[0];
+    });
+
+    if (!usuario) throw new NaoEncontradoError("USER_NOT_FOUND");
+    res.json(usuario);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/usuarios/:id/reativar", alvoDaRota, async (req, res, next) => {
+  try {
+    const usuario = await emTransacao(async (client) => {
+      const r = await client.query(
+        `UPDATE usuarios SET suspenso_em = NULL, suspenso_motivo = NULL
+          WHERE id = $1
+          RETURNING id`,
+        [req.alvoId]
+      );
+      if (r.rows.length === 0) return null;
+
+      await registrarAuditoria(client, {
+        req,
+        acao: "usuario.reativar",
+        alvoTipo: "usuario",
+        alvoId: req.alvoId,
+      });
+      return (await client.query(`${SQL_USUARIO} WHERE u.id = $1`, [req.alvoId])).rows[0];
+    });
+
+    if (!usuario) throw new NaoEncontradoError("USER_NOT_FOUND");
+    res.json(usuario);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Auditoria
+// ===============================
+// GET /api/admin/auditoria?usuario_id=1&acao=usuario.papel&alvo_id=5&limit=50&offset=0
+const validarFiltrosAuditoria = validarQuery({
+  usuario_id: { tipo: "inteiro", min: 1 },
+  acao: { tipo: "texto", max: 60 },
+  alvo_tipo: { tipo: "texto", max: 40 },
+  alvo_id: { tipo: "texto", max: 64 },
+  ...CAMPOS_PAGINACAO,
+});
+
+router.get("/auditoria", validarFiltrosAuditoria, async (req, res, next) => {
+  const { limit, offset } = req.query;
+  const condicoes = [];
+  const params = [];
+  const filtros = [
+    ["usuario_id", "a.usuario_id"],
+    ["acao", "a.acao"],
+    ["alvo_tipo", "a.alvo_tipo"],
+    ["alvo_id", "a.alvo_id"],
+  ];
+  for (const [campo, coluna] of filtros) {
+    if (req.query[campo] === undefined) continue;
+    params.push(String(req.query[campo]));
+    condicoes.push(`${coluna}::text = $${params.length}`);
+  }
+  const where = condicoes.length ? `WHERE ${condicoes.join(" AND ")}` : "";
+
+  try {
+    const [itens, total] = await Promise.all([
+      pool.query(
+        `SELECT a.id, a.usuario_id, u.email AS usuario_email, a.acao, a.alvo_tipo, a.alvo_id,
+                a.detalhes, a.ip, a.criado_em
+           FROM auditoria a
+           LEFT JOIN usuarios u ON u.id = a.usuario_id
+           ${where}
+          ORDER BY a.criado_em DESC, a.id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM auditoria a ${where}`, params),
+    ]);
+    res.json({ itens: itens.rows, total: total.rows[0].total, limit, offset });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Tendências
+// ===============================
+// Atualiza a materialized view na hora, sem esperar o próximo ciclo
+router.post("/tendencias/atualizar", async (req, res, next) => {
+  try {
+    const atualizadoEm = await atualizarTendencias();
+    res.json({ message: req.t("tendencias.atualizadas"), atualizado_em: atualizadoEm });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Faixas
+// ===============================
+// Uma rodada da atualização das faixas agora: { limite?: 1..1000, validade_ms?: 0.. }
+// validade_ms = 0 revisa mesmo as que acabaram de ser atualizadas
+const validarAtualizacaoFaixas = validarCorpo({
+  limite: { tipo: "inteiro", min: 1, max: 1000 },
+  validade_ms: { tipo: "inteiro", min: 0 },
+});
+
+router.post("/faixas/atualizar", validarAtualizacaoFaixas, async (req, res, next) => {
+  try {
+    const resumo = await atualizarFaixas({ limite: req.body.limite, validadeMs: req.body.validade_ms });
+    res.json({ message: req.t("faixas.atualizadas"), ...resumo });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
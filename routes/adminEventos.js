@@ -0,0 +1,74 @@
+// ===============================
+// ADMIN – Eventos ao vivo (Server-Sent Events)
+// ===============================
+// Montado em /api/admin/eventos, depois do guard de admin.
+// GET /api/admin/eventos?tipos=feedback.criado,curtida.criada
+//   Mantém a conexão aberta e envia cada evento como
+//     id: 42
+//     event: feedback.criado
+//     data: { "id": "42", "tipo": "feedback.criado", "criado_em": "...", "dados": { ... } }
+//   tipos = filtro (padrão: todos, ver TIPOS_EVENTO em services/eventosAdmin.js)
+//   Last-Event-ID (cabeçalho, ou ?ultimo_id=) repete o que foi perdido desde
+//   aquele id. Se ele já saiu do buffer, antes da repetição vem um
+//   "event: lacuna": recarregue as listas pelas rotas REST.
+// O EventSource do navegador não envia Authorization: use um cliente SSE
+// baseado em fetch (ex.: @microsoft/fetch-event-source) com o Bearer token.
+const express = require("express");
+const { TIPOS_EVENTO, assinarEventos } = require("../services/eventosAdmin");
+const { validarQuery } = require("../validacao");
+
+const router = express.Router();
+
+// Comentário periódico: mantém proxies e balanceadores sem derrubar a conexão
+const HEARTBEAT_MS = Number(process.env.ADMIN_EVENTOS_HEARTBEAT_MS) || 25000;
+const RETRY_MS = 5000;
+
+const validarFiltro = validarQuery({
+  tipos: { tipo: "lista", item: { tipo: "opcao", opcoes: TIPOS_EVENTO }, unicos: true },
+  ultimo_id: { tipo: "texto", formato: "^\\d{1,20}$" },
+});
+
+function formatar(evento) {
+  if (evento.tipo === "lacuna") return "event: lacuna\ndata: {}\n\n";
+  return `id: ${evento.id}\nevent: ${evento.tipo}\ndata: ${JSON.stringify(evento)}\n\n`;
+}
+
+router.get("/", validarFiltro, async (req, res) => {
+  const tipos = req.query.tipos?.length ? new Set(req.query.tipos) : null;
+  const ultimoId = req.get("Last-Event-ID") || req.query.ultimo_id || null;
+  const enviar = (evento) => {
+    if (evento.tipo === "lacuna" || !tipos || tipos.has(evento.tipo)) res.write(formatar(evento));
+  };
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // nginx: não segurar a resposta em buffer
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Eventos novos que chegarem antes de a repetição terminar esperam na fila
+  let fila = [];
+  const assinatura = await assinarEventos((evento) => (fila ? fila.push(evento) : enviar(evento)), {
+    ultimoId,
+  });
+  if (assinatura.lacuna) enviar({ tipo: "lacuna" });
+  for (const evento of [...assinatura.pendentes, ...fila]) enviar(evento);
+  fila = null;
+
+  // Caiu enquanto assinava: o "close" já passou
+  if (res.destroyed) {
+    assinatura.cancelar();
+    return;
+  }
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    assinatura.cancelar();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+// ===============================
+// Biblioteca
+// ===============================
+// Montado em /api/library. Mesmas regras das curtidas: sempre o usuário do
+// token; as rotas com :userId só aceitam o próprio id.
+const express = require("express");
+const pool = require("../db/connection");
+const { autenticar, exigirMesmoUsuario } = require("../middleware/auth");
+const { limites } = require("../middleware/limites");
+const { validarExportacao, enviarExportacao, lerImportacao } = require("../middleware/portabilidade");
+const { importarEntradas, salvarMusicas } = require("../services/importacao");
+const { valorConfig } = require("../services/configuracoes");
+const { COLUNAS_FAIXA, idDaFaixa, garantirFaixa } = require("../services/faixas");
+const { listarPagina, CAMPOS_LISTAGEM } = require("../services/minhasMusicas");
+const { CAMPOS_MUSICA, validarCorpo, validarQuery } = require("../validacao");
+
+const router = express.Router();
+
+// Aceita usuario_id no corpo (clientes antigos); exigirMesmoUsuario confere
+// market (opcional, padrão default_market) é o país usado nas tendências.
+// Título, artista etc. vêm do catálogo pelo spotify_id (404 se não existir).
+const validarMusica = validarCorpo({
+  ...CAMPOS_MUSICA,
+  market: { tipo: "pais" },
+});
+
+// Paginada como as curtidas (ver listarCurtidas em routes/curtidas.js)
+async function listarBiblioteca(req, res, next) {
+  try {
+    const { limit, cursor } = req.query;
+    const pagina = await listarPagina("biblioteca", req.usuario.id, { limit, cursor });
+    res.json(limit === undefined && !cursor ? pagina.itens : pagina);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function removerDaBiblioteca(req, res, next) {
+  const { spotifyId } = req.params;
+  try {
+    await pool.query(
+      "DELETE FROM biblioteca WHERE spotify_id = $1 AND usuario_id = $2",
+      [spotifyId, req.usuario.id]
+    );
+    res.json({ message: req.t("biblioteca.removida") });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ===============================
+// Exportar / importar (formatos em formatos/)
+// ===============================
+// Antes de "/:userId" para "exportar" não ser lido como id
+router.get("/exportar", autenticar, validarExportacao, async (req, res, next) => {
+  try {
+    const r = await pool.query(
+      `SELECT t.spotify_id, ${COLUNAS_FAIXA}
+         FROM biblioteca t JOIN faixas f ON f.id = t.spotify_id
+        WHERE t.usuario_id = $1 ORDER BY t.id DESC`,
+      [req.usuario.id]
+    );
+    enviarExportacao(res, req.query.formato, {
+      tipo: "biblioteca",
+      nome: req.t("biblioteca.nome"),
+      musicas: r.rows,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/importar", autenticar, limites.importacao, lerImportacao, async (req, res, next) => {
+  const { formato, entradas, market } = req.importacao;
+  try {
+    const resultado = await importarEntradas(entradas, {
+      market,
+      salvar: (musicas) => salvarMusicas("biblioteca", req.usuario.id, musicas, market),
+    });
+    res.json({ message: req.t("importacao.concluida"), formato, ...resultado });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const validarPagina = validarQuery(CAMPOS_LISTAGEM);
+
+router.get("/me", autenticar, validarPagina, listarBiblioteca);
+router.get("/:userId", autenticar, exigirMesmoUsuario("userId"), validarPagina, listarBiblioteca);
+
+router.post("/", autenticar, exigirMesmoUsuario("usuario_id"), validarMusica, async (req, res, next) => {
+  try {
+    const market = (req.body.market || (await valorConfig("default_market"))).toUpperCase();
+    const faixa = await garantirFaixa(idDaFaixa(req.body.spotify_id), { market });
+    await pool.query(
+      `INSERT INTO biblioteca (usuario_id, spotify_id, market)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (usuario_id, spotify_id) DO NOTHING`,
+      [req.usuario.id, faixa.id, market]
+    );
+    res.json({ message: req.t("biblioteca.adicionada") });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/me/:spotifyId", autenticar, removerDaBiblioteca);
+router.delete("/:spotifyId/:userId", autenticar, exigirMesmoUsuario("userId"), removerDaBiblioteca);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+// ===============================
+// Spotify – Busca e Top 10
+// ===============================
+// Montado em /api/spotify, antes das rotas da conta do usuário
+// (routes/spotifyConta.js), que dependem do recurso "spotify_vinculo".
+const express = require("express");
+const { catalogo } = require("../catalog");
+const { autenticarOpcional } = require("../middleware/auth");
+const { registrarBusca } = require("../services/historicoBuscas");
+const { valorConfig } = require("../services/configuracoes");
+const { validarQuery } = require("../validacao");
+
+const router = express.Router();
+
+// Usa o provedor configurado em CATALOG_PROVIDER.
+//   ?q=love&market=BR (padrão: default_market da configuração)&limit=20&offset=0&type=track
+// Com type=track (padrão) a resposta continua sendo a lista de faixas; o total
+// e o próximo offset vão nos headers X-Total-Count / X-Next-Offset.
+// Com outros tipos (type=album,artist,playlist ou combinações) a resposta é
+// um objeto por tipo, como na API do Spotify: { tracks: {...}, albums: {...} }.
+// Se o provedor estiver fora do ar e houver resultado antigo em cache, ele é
+// devolvido com X-Stale: true (ou desatualizado: true em cada tipo).
+// Com login, a primeira página de cada busca entra no histórico do usuário
+// (routes/historicoBuscas.js) e nas tendências.
+const TIPOS_BUSCA = {
+  track: ["tracks", "buscarFaixas"],
+  album: ["albums", "buscarAlbuns"],
+  artist: ["artists", "buscarArtistas"],
+  playlist: ["playlists", "buscarPlaylists"],
+};
+
+const validarBuscaSpotify = validarQuery({
+  q: { tipo: "texto", obrigatorio: true, max: 200 },
+  market: { tipo: "pais" },
+  type: {
+    tipo: "lista",
+    min: 1,
+    unicos: true,
+    item: { tipo: "opcao", opcoes: Object.keys(TIPOS_BUSCA) },
+    padrao: ["track"],
+  },
+});
+
+router.get("/search", autenticarOpcional, validarBuscaSpotify, async (req, res, next) => {
+  try {
+    const { q, limit, offset } = req.query;
+    const market = (req.query.market || (await valorConfig("default_market"))).toUpperCase();
+    const tipos = req.query.type;
+
+    const resultados = await Promise.all(
+      tipos.map((t) => catalogo[TIPOS_BUSCA[t][1]](q, { market, limit, offset }))
+    );
+    if (req.usuario && !Number(offset)) await registrarBusca(req.usuario.id, q, market);
+
+    if (tipos.length === 1 && tipos[0] === "track") {
+      const [faixas] = resultados;
+      res.set("X-Total-Count", String(faixas.total));
+      if (faixas.desatualizado) res.set("X-Stale", "true");
+      if (faixas.proximo_offset !== null) res.set("X-Next-Offset", String(faixas.proximo_offset));
+      return res.json(faixas.itens);
+    }
+
+    const resposta = {};
+    tipos.forEach((t, i) => (resposta[TIPOS_BUSCA[t][0]] = resultados[i]));
+    return res.json(resposta);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Lançamentos mais recentes (default_market da configuração). Apesar do
+// nome antigo, /top10 não é ranking: o que está em alta no app fica em
+// /api/trending. /lancamentos é o mesmo que /top10.
+async function lancamentos(req, res, next) {
+  try {
+    const market = await valorConfig("default_market");
+    const { itens, desatualizado } = await catalogo.lancamentos({ market, limit: 10 });
+    if (desatualizado) res.set("X-Stale", "true");
+    res.json(itens);
+  } catch (err) {
+    next(err);
+  }
+}
+
+router.get("/lancamentos", lancamentos);
+router.get("/top10", lancamentos);
+
+module.exports = router;
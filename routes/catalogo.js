@@ -0,0 +1,79 @@
+// ===============================
+// Catálogo musical
+// ===============================
+// Montado em /api/catalogo. Sempre responde no formato normalizado
+// (ver catalog/index.js), qualquer que seja o provedor configurado.
+const express = require("express");
+const { catalogo } = require("../catalog");
+const { autenticar, exigirPapel } = require("../middleware/auth");
+const { NaoEncontradoError } = require("../erros");
+const { validarQuery } = require("../validacao");
+
+const router = express.Router();
+
+const BUSCAS = {
+  faixa: "buscarFaixas",
+  album: "buscarAlbuns",
+  artista: "buscarArtistas",
+  playlist: "buscarPlaylists",
+};
+
+// GET /api/catalogo/busca?q=love&tipo=faixa|album|artista|playlist&market=BR&limit=20&offset=0
+const validarBusca = validarQuery({
+  q: { tipo: "texto", obrigatorio: true, max: 200 },
+  tipo: { tipo: "opcao", opcoes: Object.keys(BUSCAS), padrao: "faixa" },
+  market: { tipo: "pais" },
+});
+
+router.get("/busca", validarBusca, async (req, res, next) => {
+  const { q, tipo } = req.query;
+
+  try {
+    const { market, limit, offset } = req.query;
+    const resultado = await catalogo[BUSCAS[tipo]](q, { market, limit, offset });
+    res.json({ provedor: catalogo.nome, tipo, ...resultado });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/faixas/:id", async (req, res, next) => {
+  try {
+    const faixa = await catalogo.obterFaixa(req.params.id, { market: req.query.market });
+    if (!faixa) throw new NaoEncontradoError("TRACK_NOT_FOUND");
+    res.json(faixa);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/lancamentos", async (req, res, next) => {
+  try {
+    const { market, limit } = req.query;
+    const { itens, desatualizado } = await catalogo.lancamentos({ market, limit });
+    if (desatualizado) res.set("X-Stale", "true");
+    res.json(itens);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Diagnóstico (cache, retries, circuito, tokens): só admin, como o resto
+// da parte operacional em /api/admin
+const soAdmin = [autenticar, exigirPapel("admin")];
+
+// Acertos/erros do cache de buscas
+router.get("/cache", soAdmin, (req, res) => {
+  res.json(catalogo.estatisticasCache());
+});
+
+// Cache + situação do provedor externo (retries, circuito, tokens)
+router.get("/status", soAdmin, (req, res) => {
+  res.json({
+    provedor: catalogo.nome,
+    cache: catalogo.estatisticasCache(),
+    upstream: catalogo.estatisticasUpstream(),
+  });
+});
+
+module.exports = router;
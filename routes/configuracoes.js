@@ -0,0 +1,125 @@
+// ===============================
+// ADMIN – Configurações e Temas
+// ===============================
+// Montado em /api/admin/config (só admin, ver server.js). A leitura pública
+// dos valores fica em GET /api/config.
+const express = require("express");
+const { NaoEncontradoError } = require("../erros");
+const { CAMPOS_PAGINACAO, validarCorpo, validarQuery } = require("../validacao");
+const {
+  descreverSchema,
+  obterConfiguracao,
+  obterVersao,
+  listarHistorico,
+  compararVersoes,
+  atualizarConfiguracao,
+  restaurarVersao,
+} = require("../services/configuracoes");
+
+const router = express.Router();
+
+function numeroVersao(valor) {
+  const n = Number(valor);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+// Retorna as configurações atuais (versão no header X-Config-Version)
+router.get("/", async (req, res, next) => {
+  try {
+    const { versao, valores } = await obterConfiguracao();
+    res.set("X-Config-Version", String(versao));
+    res.json(valores);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Atualização parcial: só as chaves enviadas mudam.
+// POST mantido por compatibilidade com o painel antigo; mesmo comportamento.
+async function salvar(req, res, next) {
+  try {
+    const r = await atualizarConfiguracao(req.body, { req });
+    res.set("X-Config-Version", String(r.versao));
+    res.json({
+      ok: true,
+      message: req.t(r.alterada ? "config.salva" : "config.sem_alteracao"),
+      versao: r.versao,
+      alteracoes: r.alteracoes,
+      valores: r.valores,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+router.patch("/", salvar);
+router.post("/", salvar);
+
+// Chaves aceitas, tipos, limites e padrões
+router.get("/schema", (req, res) => res.json(descreverSchema()));
+
+// GET /api/admin/config/historico?limit=20&offset=0
+router.get("/historico", validarQuery(CAMPOS_PAGINACAO), async (req, res, next) => {
+  const { limit, offset } = req.query;
+
+  try {
+    res.json(await listarHistorico({ limit, offset }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/versoes/:versao", async (req, res, next) => {
+  const versao = numeroVersao(req.params.versao);
+  if (!versao) return next(new NaoEncontradoError("CONFIG_VERSION_NOT_FOUND", { versao: req.params.versao }));
+
+  try {
+    res.json(await obterVersao(versao));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/admin/config/diff?de=3&para=5 (para = versão atual se omitido;
+// 0 = valores padrão)
+const validarDiff = validarQuery({
+  de: { tipo: "inteiro", obrigatorio: true, min: 0 },
+  para: { tipo: "inteiro", min: 0 },
+});
+
+router.get("/diff", validarDiff, async (req, res, next) => {
+  try {
+    const { de } = req.query;
+    const para = req.query.para ?? (await obterConfiguracao()).versao;
+    res.json(await compararVersoes(de, para));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/admin/config/rollback  { versao, comentario? }
+// Cria uma versão nova com os valores da versão informada.
+const validarRollback = validarCorpo({
+  versao: { tipo: "inteiro", obrigatorio: true, min: 1 },
+  comentario: { tipo: "texto", max: 500 },
+});
+
+router.post("/rollback", validarRollback, async (req, res, next) => {
+  const { versao } = req.body;
+  const comentario = req.body.comentario || null;
+
+  try {
+    const r = await restaurarVersao(versao, { req, comentario });
+    res.set("X-Config-Version", String(r.versao));
+    res.json({
+      ok: true,
+      message: r.alterada ? req.t("config.restaurada", { versao }) : req.t("config.sem_alteracao"),
+      versao: r.versao,
+      alteracoes: r.alteracoes,
+      valores: r.valores,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
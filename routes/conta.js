@@ -0,0 +1,145 @@
+// ===============================
+// Conta – verificação de email, senha e dados pessoais (LGPD)
+// ===============================
+// Montado em /api/usuarios, junto com routes/usuarios.js.
+//   POST   /email/verificar         { token }  confirma verificação ou troca de email
+//   POST   /me/email/reenviar       reenvia o link de verificação
+//   POST   /me/email                { novo_email, senha }  manda o link para o novo endereço
+//   POST   /senha/esqueci           { email }  sempre 202, exista a conta ou não
+//   POST   /senha/redefinir         { token, nova_senha }
+//   POST   /me/senha                { senha_atual, nova_senha }  devolve tokens novos
+//   GET    /me/dados                download (JSON) de tudo o que guardamos
+//   DELETE /me                      { senha }  exclui a conta
+// Trocar ou redefinir a senha encerra todas as sessões.
+// Regras e consultas em services/conta.js.
+const express = require("express");
+const pool = require("../db/connection");
+const { autenticar } = require("../middleware/auth");
+const { limites } = require("../middleware/limites");
+const { emitirTokens } = require("../services/tokens");
+const conta = require("../services/conta");
+const log = require("../observabilidade/log");
+const { ConflitoError, NaoEncontradoError } = require("../erros");
+const { validarCorpo } = require("../validacao");
+
+const router = express.Router();
+
+// Mesmas regras do cadastro (routes/usuarios.js)
+const SENHA = { tipo: "texto", obrigatorio: true, min: 6, max: 200 };
+const SENHA_ATUAL = { tipo: "texto", obrigatorio: true, max: 200 };
+const TOKEN = { tipo: "texto", obrigatorio: true, max: 200 };
+
+// ===============================
+// Email
+// ===============================
+const validarToken = validarCorpo({ token: TOKEN });
+
+router.post("/email/verificar", validarToken, async (req, res, next) => {
+  try {
+    const { tipo, usuario } = await conta.confirmarEmail(req.body.token, req.idioma);
+    res.json({
+      message: req.t(tipo === "troca_email" ? "conta.email_alterado" : "conta.email_verificado"),
+      email: usuario.email,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/me/email/reenviar", autenticar, limites.emailConta, async (req, res, next) => {
+  try {
+    const r = await pool.query("SELECT id, nome, email, email_verificado_em FROM usuarios WHERE id = $1", [
+      req.usuario.id,
+    ]);
+    const usuario = r.rows[0];
+    if (!usuario) throw new NaoEncontradoError("USER_NOT_FOUND");
+    if (usuario.email_verificado_em) throw new ConflitoError("EMAIL_ALREADY_VERIFIED");
+    await conta.solicitarVerificacao(usuario, req.idioma);
+    res.status(202).json({ message: req.t("conta.verificacao_enviada", { email: usuario.email }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const validarTrocaEmail = validarCorpo({
+  novo_email: { tipo: "email", obrigatorio: true },
+  senha: SENHA_ATUAL,
+});
+
+router.post("/me/email", autenticar, limites.emailConta, validarTrocaEmail, async (req, res, next) => {
+  try {
+    await conta.conferirSenha(req.usuario.id, req.body.senha);
+    await conta.solicitarTrocaEmail(req.usuario.id, req.body.novo_email, req.idioma);
+    res.status(202).json({ message: req.t("conta.troca_email_enviada", { email: req.body.novo_email }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Senha
+// ===============================
+const validarEsqueci = validarCorpo({ email: { tipo: "texto", obrigatorio: true, max: 180 } });
+
+// Responde antes de procurar a conta: nem o tempo de resposta nem uma falha
+// no envio do email podem indicar se o endereço tem conta
+router.post("/senha/esqueci", limites.senhaEsquecida, validarEsqueci, (req, res) => {
+  res.status(202).json({ message: req.t("conta.redefinicao_enviada") });
+  conta
+    .solicitarRedefinicao(req.body.email, req.idioma)
+    .catch((err) => log.error("Falha ao enviar a redefinição de senha", { erro: err }));
+});
+
+const validarRedefinicao = validarCorpo({ token: TOKEN, nova_senha: SENHA });
+
+router.post("/senha/redefinir", validarRedefinicao, async (req, res, next) => {
+  try {
+    const usuario = await conta.redefinirSenha(req.body.token, req.body.nova_senha);
+    await conta.avisarSenhaAlterada(usuario, req.idioma);
+    res.json({ message: req.t("conta.senha_redefinida") });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const validarTrocaSenha = validarCorpo({ senha_atual: SENHA_ATUAL, nova_senha: SENHA });
+
+// As outras sessões caem; esta recebe um par de tokens novo
+router.post("/me/senha", autenticar, validarTrocaSenha, async (req, res, next) => {
+  try {
+    const usuario = await conta.alterarSenha(req.usuario.id, req.body.senha_atual, req.body.nova_senha);
+    await conta.avisarSenhaAlterada(usuario, req.idioma);
+    const sessao = await emitirTokens(usuario, { userAgent: req.get("user-agent") });
+    res.json({ message: req.t("conta.senha_alterada"), ...sessao });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Dados pessoais (LGPD)
+// ===============================
+router.get("/me/dados", autenticar, async (req, res, next) => {
+  try {
+    const dados = await conta.exportarDados(req.usuario.id);
+    res.set("Content-Disposition", `attachment; filename="findmysong-dados-${req.usuario.id}.json"`);
+    res.set("Cache-Control", "no-store");
+    res.json(dados);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const validarExclusao = validarCorpo({ senha: SENHA_ATUAL });
+
+router.delete("/me", autenticar, validarExclusao, async (req, res, next) => {
+  try {
+    await conta.conferirSenha(req.usuario.id, req.body.senha);
+    const removidos = await conta.excluirConta(req.usuario.id, { req });
+    res.json({ message: req.t("conta.excluida"), removidos });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// ===============================
+// Curtidas (Likes)
+// ===============================
+// Montado em /api/likes. Todas as rotas usam o usuário do token. As rotas
+// antigas com :userId continuam existindo, mas só aceitam o próprio id.
+const express = require("express");
+const pool = require("../db/connection");
+const { autenticar, exigirMesmoUsuario } = require("../middleware/auth");
+const { limites } = require("../middleware/limites");
+const { validarExportacao, enviarExportacao, lerImportacao } = require("../middleware/portabilidade");
+const { importarEntradas, salvarMusicas } = require("../services/importacao");
+const { publicarEvento } = require("../services/eventosAdmin");
+const { valorConfig } = require("../services/configuracoes");
+const { COLUNAS_FAIXA, idDaFaixa, garantirFaixa } = require("../services/faixas");
+const { listarPagina, CAMPOS_LISTAGEM } = require("../services/minhasMusicas");
+const { CAMPOS_MUSICA, validarCorpo, validarQuery } = require("../validacao");
+
+const router = express.Router();
+
+// Sem ?limit nem ?cursor: a lista inteira no corpo, como sempre foi.
+// Com qualquer um dos dois, em páginas (mais recente primeiro; limit padrão
+// 50, máx. 200) no mesmo formato do feed e de /api/usuarios/me/musicas:
+// { itens, proximo_cursor } (null na última página).
+async function listarCurtidas(req, res, next) {
+  try {
+    const { limit, cursor } = req.query;
+    const pagina = await listarPagina("curtidas", req.usuario.id, { limit, cursor });
+    res.json(limit === undefined && !cursor ? pagina.itens : pagina);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function removerCurtida(req, res, next) {
+  const { spotifyId } = req.params;
+  try {
+    await pool.query(
+      "DELETE FROM curtidas WHERE usuario_id = $1 AND spotify_id = $2",
+      [req.usuario.id, spotifyId]
+    );
+    res.json({ message: req.t("curtidas.removida") });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ===============================
+// Exportar / importar (formatos em formatos/)
+// ===============================
+// Antes de "/:userId" para "exportar" não ser lido como id
+router.get("/exportar", autenticar, validarExportacao, async (req, res, next) => {
+  try {
+    const r = await pool.query(
+      `SELECT t.spotify_id, ${COLUNAS_FAIXA}
+         FROM curtidas t JOIN faixas f ON f.id = t.spotify_id
+        WHERE t.usuario_id = $1 ORDER BY t.id DESC`,
+      [req.usuario.id]
+    );
+    enviarExportacao(res, req.query.formato, {
+      tipo: "curtidas",
+      nome: req.t("curtidas.nome"),
+      musicas: r.rows,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/importar", autenticar, limites.importacao, lerImportacao, async (req, res, next) => {
+  const { formato, entradas, market } = req.importacao;
+  try {
+    const resultado = await importarEntradas(entradas, {
+      market,
+      salvar: (musicas) => salvarMusicas("curtidas", req.usuario.id, musicas, market),
+    });
+    if (resultado.adicionadas > 0) {
+      await publicarEvento("curtidas.importadas", {
+        usuario_id: req.usuario.id,
+        total: resultado.adicionadas,
+        formato,
+        market,
+      });
+    }
+    res.json({ message: req.t("importacao.concluida"), formato, ...resultado });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const validarPagina = validarQuery(CAMPOS_LISTAGEM);
+
+router.get("/me", autenticar, validarPagina, listarCurtidas);
+router.get("/:userId", autenticar, exigirMesmoUsuario("userId"), validarPagina, listarCurtidas);
+
+// Aceita usuario_id no corpo (clientes antigos); exigirMesmoUsuario confere
+// market (opcional, padrão default_market) é o país usado nas tendências.
+// Título, artista etc. vêm do catálogo pelo spotify_id (404 se não existir).
+const validarMusica = validarCorpo({
+  ...CAMPOS_MUSICA,
+  market: { tipo: "pais" },
+});
+
+router.post("/", autenticar, exigirMesmoUsuario("usuario_id"), validarMusica, async (req, res, next) => {
+  try {
+    const market = (req.body.market || (await valorConfig("default_market"))).toUpperCase();
+    const faixa = await garantirFaixa(idDaFaixa(req.body.spotify_id), { market });
+    const r = await pool.query(
+      `INSERT INTO curtidas (usuario_id, spotify_id, market)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (usuario_id, spotify_id) DO NOTHING`,
+      [req.usuario.id, faixa.id, market]
+    );
+    if (r.rowCount > 0) {
+      await publicarEvento("curtida.criada", {
+        usuario_id: req.usuario.id,
+        spotify_id: faixa.id,
+        titulo: faixa.titulo,
+        artista: faixa.artista,
+        market,
+      });
+    }
+    res.json({ message: req.t("curtidas.adicionada") });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/me/:spotifyId", autenticar, removerCurtida);
+router.delete("/:spotifyId/:userId", autenticar, exigirMesmoUsuario("userId"), removerCurtida);
+
+module.exports = router;
@@ -0,0 +1,282 @@
+// ===============================
+// FEEDBACKS – Coleta e Relatórios
+// ===============================
+// Montado em /api/feedback. Listagem, relatórios e exportação aceitam os
+// mesmos filtros:
+//   de, ate           -> intervalo de data_envio (YYYY-MM-DD ou ISO)
+//   nota              -> nota exata (1..5)
+//   nota_min/nota_max -> faixa de notas
+//   q                 -> trecho do texto pesquisado (query)
+// Enviar feedback é público (com login, o feedback fica ligado à conta, para
+// a exportação/exclusão de dados); ler (listagem, relatórios, exportação)
+// exige moderador ou admin.
+const express = require("express");
+const pool = require("../db/connection");
+const { autenticar, autenticarOpcional, exigirPapel } = require("../middleware/auth");
+const { exigirRecurso } = require("../middleware/recursos");
+const { limites } = require("../middleware/limites");
+const { CAMPOS_PAGINACAO, validarCorpo, validarOuFalhar } = require("../validacao");
+const { gerarCsv } = require("../formatos/csv");
+const { publicarEvento } = require("../services/eventosAdmin");
+
+const router = express.Router();
+
+const INTERVALOS = ["day", "week", "month"];
+const FORMATOS = ["csv", "json"];
+
+// Palavras ignoradas na contagem de termos dos comentários (pt/en/es)
+const STOPWORDS = [
+  "a", "o", "as", "os", "e", "é", "de", "da", "do", "das", "dos", "em", "no", "na",
+  "nos", "nas", "um", "uma", "uns", "umas", "que", "para", "pra", "por", "com", "sem",
+  "se", "mas", "mais", "muito", "muita", "não", "nao", "sim", "eu", "ele", "ela", "isso",
+  "esse", "essa", "este", "esta", "foi", "ser", "ter", "tem", "ao", "à", "já", "ja",
+  "the", "and", "or", "of", "to", "in", "is", "it", "for", "on", "was", "this", "that",
+  "el", "la", "los", "las", "y", "en", "es", "un", "una", "por", "con", "lo", "del",
+];
+
+const NOTA = { tipo: "inteiro", min: 1, max: 5 };
+
+const CAMPOS_FILTRO = {
+  de: { tipo: "data" },
+  ate: { tipo: "data" },
+  nota: NOTA,
+  nota_min: NOTA,
+  nota_max: NOTA,
+  q: { tipo: "texto", max: 200 },
+};
+
+// Monta o WHERE a partir dos filtros da query string (já validados).
+// "ate" só com a data (YYYY-MM-DD) inclui o dia inteiro.
+function montarFiltros(filtros, ateOriginal) {
+  const condicoes = [];
+  const params = [];
+  const add = (sql, valor) => {
+    params.push(valor);
+    condicoes.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (filtros.de) add("data_envio >= ?", filtros.de);
+  if (filtros.ate) {
+    const ate = new Date(filtros.ate);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(ateOriginal))) ate.setUTCDate(ate.getUTCDate() + 1);
+    add("data_envio < ?", ate);
+  }
+  if (filtros.nota) add("nota = ?", filtros.nota);
+  if (filtros.nota_min) add("nota >= ?", filtros.nota_min);
+  if (filtros.nota_max) add("nota <= ?", filtros.nota_max);
+  if (filtros.q) add("query ILIKE ?", `%${filtros.q.replace(/[\\%_]/g, "\\$&")}%`);
+
+  return { where: condicoes.length ? `WHERE ${condicoes.join(" AND ")}` : "", params };
+}
+
+// Middleware: valida os filtros e os campos próprios da rota ("extras"),
+// deixa o WHERE pronto em req.filtros e os valores limpos em req.query
+function filtros(extras = {}) {
+  const campos = { ...CAMPOS_FILTRO, ...extras };
+  return (req, res, next) => {
+    try {
+      const valores = validarOuFalhar(campos, req.query, { coagirTexto: true });
+      req.filtros = montarFiltros(valores, req.query.ate);
+      req.query = valores;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+const limiteRelatorio = (padrao) => ({ tipo: "inteiro", min: 1, max: 100, padrao });
+
+// ===============================
+// Coleta
+// ===============================
+const validarFeedback = validarCorpo({
+  query: { tipo: "texto", obrigatorio: true, max: 500 },
+  nota: { ...NOTA, obrigatorio: true },
+  comentario: { tipo: "texto", max: 2000, padrao: "" },
+});
+
+router.post("/", exigirRecurso("feedback"), limites.feedback, autenticarOpcional, validarFeedback, async (req, res, next) => {
+  const { query, nota, comentario } = req.body;
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO feedbacks (query, nota, comentario, data_envio, usuario_id)
+       VALUES ($1, $2, $3, NOW(), $4)
+       RETURNING id`,
+      [query, nota, comentario, req.usuario?.id ?? null]
+    );
+    // Texto encurtado: o evento só avisa, o feedback completo está na listagem
+    await publicarEvento("feedback.criado", {
+      id: r.rows[0].id,
+      nota,
+      query: query.slice(0, 200),
+      comentario: comentario.slice(0, 200),
+    });
+
+    res.status(201).json({ message: req.t("feedback.enviado") });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Daqui em diante: só moderador/admin
+router.use(autenticar, exigirPapel("moderator", "admin"));
+
+// ===============================
+// Listagem
+// ===============================
+// GET /api/feedback?limit=20&offset=0&<filtros>
+router.get("/", filtros(CAMPOS_PAGINACAO), async (req, res, next) => {
+  const { where, params } = req.filtros;
+  const { limit, offset } = req.query;
+
+  try {
+    const [itens, total] = await Promise.all([
+      pool.query(
+        `SELECT id, query, nota, comentario, data_envio FROM feedbacks ${where}
+         ORDER BY data_envio DESC, id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM feedbacks ${where}`, params),
+    ]);
+    res.json({ itens: itens.rows, total: total.rows[0].total, limit, offset });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Relatórios
+// ===============================
+
+// Média por período: ?intervalo=day|week|month
+const filtrosMedia = filtros({ intervalo: { tipo: "opcao", opcoes: INTERVALOS, padrao: "day" } });
+
+router.get("/relatorios/media", filtrosMedia, async (req, res, next) => {
+  const { intervalo } = req.query;
+  const { where, params } = req.filtros;
+
+  try {
+    const r = await pool.query(
+      `SELECT date_trunc('${intervalo}', data_envio) AS periodo,
+              ROUND(AVG(nota)::numeric, 2)::float AS media,
+              COUNT(*)::int AS total
+         FROM feedbacks ${where}
+        GROUP BY 1
+        ORDER BY 1`,
+      params
+    );
+    res.json(r.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Consultas com pior média: ?minimo=2 (mínimo de avaliações) &limit=10
+const filtrosPiores = filtros({
+  minimo: { tipo: "inteiro", min: 1, padrao: 1 },
+  limit: limiteRelatorio(10),
+});
+
+router.get("/relatorios/piores-consultas", filtrosPiores, async (req, res, next) => {
+  const { where, params } = req.filtros;
+  const { minimo, limit } = req.query;
+
+  try {
+    const r = await pool.query(
+      `SELECT LOWER(TRIM(query)) AS query,
+              ROUND(AVG(nota)::numeric, 2)::float AS media,
+              COUNT(*)::int AS total,
+              MAX(data_envio) AS ultimo_envio
+         FROM feedbacks ${where}
+        GROUP BY 1
+       HAVING COUNT(*) >= $${params.length + 1}
+        ORDER BY media ASC, total DESC
+        LIMIT $${params.length + 2}`,
+      [...params, minimo, limit]
+    );
+    res.json(r.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Quantidade de feedbacks por nota
+router.get("/relatorios/distribuicao", filtros(), async (req, res, next) => {
+  const { where, params } = req.filtros;
+
+  try {
+    const r = await pool.query(
+      `SELECT nota, COUNT(*)::int AS total FROM feedbacks ${where} GROUP BY nota`,
+      params
+    );
+    const distribuicao = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    let soma = 0;
+    for (const row of r.rows) {
+      distribuicao[row.nota] = row.total;
+      total += row.total;
+      soma += row.nota * row.total;
+    }
+    res.json({ distribuicao, total, media: total ? Math.round((soma / total) * 100) / 100 : null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Palavras mais frequentes nos comentários: ?limit=20
+router.get("/relatorios/palavras", filtros({ limit: limiteRelatorio(20) }), async (req, res, next) => {
+  const { where, params } = req.filtros;
+  const { limit } = req.query;
+
+  try {
+    const r = await pool.query(
+      `SELECT palavra, COUNT(*)::int AS total
+         FROM (
+           SELECT regexp_split_to_table(LOWER(comentario), '[^[:alnum:]]+') AS palavra
+             FROM feedbacks ${where}
+         ) p
+        WHERE LENGTH(palavra) >= 3
+          AND palavra <> ALL($${params.length + 1}::text[])
+        GROUP BY palavra
+        ORDER BY total DESC, palavra
+        LIMIT $${params.length + 2}`,
+      [...params, STOPWORDS, limit]
+    );
+    res.json(r.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Exportação
+// ===============================
+// GET /api/feedback/exportar?formato=csv|json&<filtros>
+const filtrosExportacao = filtros({ formato: { tipo: "opcao", opcoes: FORMATOS, padrao: "csv" } });
+
+router.get("/exportar", filtrosExportacao, async (req, res, next) => {
+  const { formato } = req.query;
+  const { where, params } = req.filtros;
+
+  try {
+    const r = await pool.query(
+      `SELECT id, query, nota, comentario, data_envio FROM feedbacks ${where}
+       ORDER BY data_envio DESC, id DESC`,
+      params
+    );
+    const nome = `feedbacks-${new Date().toISOString().slice(0, 10)}.${formato}`;
+    res.set("Content-Disposition", `attachment; filename="${nome}"`);
+
+    if (formato === "json") return res.json(r.rows);
+
+    res.type("text/csv; charset=utf-8");
+    return res.send(gerarCsv(["id", "query", "nota", "comentario", "data_envio"], r.rows));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
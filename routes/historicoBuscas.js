@@ -0,0 +1,72 @@
+// ===============================
+// Histórico de buscas do usuário
+// ===============================
+// Montado em /api/usuarios. As buscas são gravadas em /api/spotify/search
+// (services/historicoBuscas.js) enquanto o histórico estiver ligado.
+const express = require("express");
+const pool = require("../db/connection");
+const { autenticar } = require("../middleware/auth");
+const { validarCorpo, validarQuery } = require("../validacao");
+
+const router = express.Router();
+
+// GET /api/usuarios/me/buscas?limit=10
+// -> { ativo, itens: [{ query, market, em }] } – a mais recente de cada termo
+const validarRecentes = validarQuery({
+  limit: { tipo: "inteiro", min: 1, max: 50, padrao: 10 },
+});
+
+router.get("/me/buscas", autenticar, validarRecentes, async (req, res, next) => {
+  try {
+    const [itens, usuario] = await Promise.all([
+      pool.query(
+        `SELECT query, market, em
+           FROM (
+             SELECT DISTINCT ON (termo) query, market, criado_em AS em, id
+               FROM buscas
+              WHERE usuario_id = $1
+              ORDER BY termo, criado_em DESC, id DESC
+           ) recentes
+          ORDER BY em DESC, id DESC
+          LIMIT $2`,
+        [req.usuario.id, req.query.limit]
+      ),
+      pool.query("SELECT historico_buscas FROM usuarios WHERE id = $1", [req.usuario.id]),
+    ]);
+    res.json({ ativo: usuario.rows[0]?.historico_buscas ?? false, itens: itens.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Liga/desliga o registro. Desligar não apaga o que já existe (ver DELETE).
+const validarPreferencia = validarCorpo({
+  ativo: { tipo: "booleano", obrigatorio: true },
+});
+
+router.patch("/me/buscas", autenticar, validarPreferencia, async (req, res, next) => {
+  try {
+    await pool.query("UPDATE usuarios SET historico_buscas = $1 WHERE id = $2", [
+      req.body.ativo,
+      req.usuario.id,
+    ]);
+    res.json({
+      message: req.t(req.body.ativo ? "buscas.historico_ligado" : "buscas.historico_desligado"),
+      ativo: req.body.ativo,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Apaga todo o histórico (as buscas também saem das tendências no próximo refresh)
+router.delete("/me/buscas", autenticar, async (req, res, next) => {
+  try {
+    const r = await pool.query("DELETE FROM buscas WHERE usuario_id = $1", [req.usuario.id]);
+    res.json({ message: req.t("buscas.historico_apagado"), removidas: r.rowCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
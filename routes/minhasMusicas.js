@@ -0,0 +1,43 @@
+// ===============================
+// Minhas músicas – busca nas curtidas, biblioteca e playlists
+// ===============================
+// Montado em /api/usuarios.
+// GET /api/usuarios/me/musicas?q=coracao&origem=curtidas,playlists&artista=&de=&ate=&ordem=titulo&limit=50&cursor=
+//   q       -> palavras do título/artista (prefixo, sem acento) ou parecidas (erros de digitação)
+//   origem  -> curtidas, biblioteca, playlists (padrão: todas)
+//   artista -> trecho do nome do artista
+//   de, ate -> data em que a música entrou (YYYY-MM-DD ou ISO; "ate" só com a data inclui o dia)
+//   ordem   -> relevancia (padrão com q), recentes (padrão sem q), titulo, artista
+// -> { ordem, itens: [{ spotify_id, titulo, artista, imagem, url, preview_url, duracao_ms,
+//      adicionada_em, origens, playlists: [{ id, nome }], relevancia? }], proximo_cursor }
+// Regras da busca em services/minhasMusicas.js.
+const express = require("express");
+const { autenticar } = require("../middleware/auth");
+const { ORIGENS, ORDENS, CAMPOS_PAGINA, buscarMinhasMusicas } = require("../services/minhasMusicas");
+const { validarOuFalhar } = require("../validacao");
+
+const router = express.Router();
+
+const CAMPOS_BUSCA = {
+  q: { tipo: "texto", max: 200 },
+  origem: { tipo: "lista", unicos: true, item: { tipo: "opcao", opcoes: ORIGENS } },
+  artista: { tipo: "texto", max: 200 },
+  de: { tipo: "data" },
+  ate: { tipo: "data" },
+  ordem: { tipo: "opcao", opcoes: Object.keys(ORDENS) },
+  ...CAMPOS_PAGINA,
+};
+
+router.get("/me/musicas", autenticar, async (req, res, next) => {
+  try {
+    const filtros = validarOuFalhar(CAMPOS_BUSCA, req.query, { coagirTexto: true });
+    if (filtros.ate && /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.ate))) {
+      filtros.ate.setUTCDate(filtros.ate.getUTCDate() + 1);
+    }
+    res.json(await buscarMinhasMusicas(req.usuario.id, filtros));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
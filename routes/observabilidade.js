@@ -0,0 +1,147 @@
+// ===============================
+// Observabilidade – métricas e health checks
+// ===============================
+// Montado na raiz do app (fora de /api):
+//   GET /metrics       -> métricas no formato do Prometheus. Com METRICS_TOKEN
+//                         definido, exige "Authorization: Bearer <token>".
+//   GET /health/live   -> o processo está de pé (não consulta nada)
+//   GET /health/ready  -> pronto para atender: 503 só se o banco não responde.
+//                         Circuito do catálogo aberto -> 200 com status
+//                         "degradado" (no geral e em dependencias.catalogo).
+//   GET /health        -> o mesmo que /health/ready
+const crypto = require("crypto");
+const express = require("express");
+const pool = require("../db/connection");
+const { catalogo } = require("../catalog");
+const metricas = require("../observabilidade/metricas");
+
+const router = express.Router();
+
+// Tempo máximo do SELECT 1 da prontidão
+const TIMEOUT_BANCO_MS = Number(process.env.HEALTH_DB_TIMEOUT_MS) || 2000;
+
+// ===============================
+// Métricas lidas na hora do scrape
+// ===============================
+metricas.coletado("pg_pool_connections", "Conexões do pool do Postgres, por estado", "gauge", () => {
+  const e = pool.estatisticas();
+  if (!e) return [];
+  return [
+    { labels: { state: "total" }, valor: e.total },
+    { labels: { state: "idle" }, valor: e.ociosas },
+    { labels: { state: "waiting" }, valor: e.aguardando },
+  ];
+});
+
+metricas.coletado("catalog_cache_requests_total", "Consultas ao cache do catálogo, por resultado", "counter", () => {
+  const c = catalogo.estatisticasCache();
+  return [
+    { labels: { provider: c.provedor, result: "hit" }, valor: c.hits },
+    { labels: { provider: c.provedor, result: "miss" }, valor: c.misses },
+    { labels: { provider: c.provedor, result: "coalesced" }, valor: c.coalesced },
+    { labels: { provider: c.provedor, result: "stale" }, valor: c.stale_servidos },
+  ];
+});
+
+metricas.coletado("catalog_cache_entries", "Itens no cache do catálogo", "gauge", () => [
+  { valor: catalogo.estatisticasCache().tamanho },
+]);
+
+metricas.coletado("upstream_retries_total", "Novas tentativas contra o provedor do catálogo", "counter", () => {
+  const u = catalogo.estatisticasUpstream();
+  return u ? [{ labels: { service: u.nome }, valor: u.retries }] : [];
+});
+
+metricas.coletado("upstream_circuit_open", "1 se o circuito do provedor do catálogo está aberto", "gauge", () => {
+  const u = catalogo.estatisticasUpstream();
+  return u ? [{ labels: { service: u.nome }, valor: u.circuito === "aberto" ? 1 : 0 }] : [];
+});
+
+metricas.coletado("process_uptime_seconds", "Tempo desde o início do processo", "gauge", () => [
+  { valor: Math.round(process.uptime()) },
+]);
+
+metricas.coletado("process_resident_memory_bytes", "Memória residente do processo", "gauge", () => [
+  { valor: process.memoryUsage().rss },
+]);
+
+metricas.coletado("nodejs_heap_used_bytes", "Heap do V8 em uso", "gauge", () => [
+  { valor: process.memoryUsage().heapUsed },
+]);
+
+// ===============================
+// GET /metrics
+// ===============================
+function tokenConfere(recebido, esperado) {
+  const a = crypto.createHash("sha256").update(recebido).digest();
+  const b = crypto.createHash("sha256").update(esperado).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+router.get("/metrics", (req, res) => {
+  const esperado = process.env.METRICS_TOKEN;
+  if (esperado) {
+    const recebido = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    if (!recebido || !tokenConfere(recebido, esperado)) {
+      return res.status(401).json({ code: "UNAUTHORIZED", message: req.t("UNAUTHORIZED") });
+    }
+  }
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.set("Cache-Control", "no-store");
+  return res.send(metricas.renderizar());
+});
+
+// ===============================
+// Health checks
+// ===============================
+router.get("/health/live", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ status: "ok", uptime_s: Math.round(process.uptime()) });
+});
+
+async function verificarBanco() {
+  const inicio = process.hrtime.bigint();
+  let timer;
+  try {
+    await Promise.race([
+      pool.query("SELECT 1"),
+      new Promise((_, rejeitar) => {
+        timer = setTimeout(() => rejeitar(new Error(`sem resposta em ${TIMEOUT_BANCO_MS} ms`)), TIMEOUT_BANCO_MS);
+      }),
+    ]);
+    return { status: "ok", latencia_ms: Math.round(metricas.segundosDesde(inicio) * 1000) };
+  } catch (err) {
+    return { status: "erro", erro: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// O catálogo não é consultado: com o circuito aberto as buscas já falham
+// rápido (ou saem do cache), então o app está degradado, não fora do ar.
+// Por isso não entra no "ok": tirar a instância do balanceador por causa do
+// provedor derrubaria também login, curtidas e playlists.
+function verificarCatalogo() {
+  const cache = catalogo.estatisticasCache();
+  const upstream = catalogo.estatisticasUpstream();
+  const circuito = upstream ? upstream.circuito : "fechado";
+  return { status: circuito === "aberto" ? "degradado" : "ok", provedor: cache.provedor, circuito };
+}
+
+async function prontidao(req, res) {
+  const dependencias = { banco: await verificarBanco(), catalogo: verificarCatalogo() };
+  const ok = dependencias.banco.status === "ok";
+  const degradado = Object.values(dependencias).some((d) => d.status === "degradado");
+  res.set("Cache-Control", "no-store");
+  res.status(ok ? 200 : 503).json({
+    status: ok ? (degradado ? "degradado" : "ok") : "erro",
+    ok,
+    verificado_em: new Date().toISOString(),
+    dependencias,
+  });
+}
+
+router.get("/health/ready", prontidao);
+router.get("/health", prontidao);
+
+module.exports = router;
@@ -0,0 +1,267 @@
+// ===============================
+// Playlists colaborativas – convites e membros
+// ===============================
+// Montado em /api/playlists, antes de routes/playlists.js (por causa de
+// GET /convites x GET /:userId). Papéis e carregamento da playlist em
+// middleware/playlists.js.
+//
+// Fluxo: um owner convida (POST /:playlistId/convites), o convidado vê em
+// GET /convites e aceita ou recusa. Ao aceitar vira membro com o papel do
+// convite. Owners mudam papéis e removem membros; qualquer membro pode sair.
+// O criador da playlist é sempre owner e não pode ser removido nem rebaixado.
+const express = require("express");
+const pool = require("../db/connection");
+const emTransacao = require("../db/transacao");
+const { autenticar } = require("../middleware/auth");
+const { PAPEIS_PLAYLIST, carregarPlaylist, temPapel } = require("../middleware/playlists");
+const { AcessoNegadoError, ConflitoError, NaoEncontradoError } = require("../erros");
+const { validarCorpo } = require("../validacao");
+
+const router = express.Router();
+
+const podeVer = carregarPlaylist("viewer");
+const eDono = carregarPlaylist("owner");
+
+function idDoParametro(valor) {
+  const id = Number(valor);
+  return Number.isInteger(id) ? id : 0;
+}
+
+// ===============================
+// Convites recebidos
+// ===============================
+// GET /api/playlists/convites -> convites pendentes do usuário
+router.get("/convites", autenticar, async (req, res, next) => {
+  try {
+    const r = await pool.query(
+      `SELECT c.id, c.papel, c.criado_em,
+              p.id AS playlist_id, p.nome AS playlist_nome, p.descricao AS playlist_descricao,
+              u.id AS por_id, u.nome AS por_nome, u.avatar_url AS por_avatar_url
+         FROM playlist_convites c
+         JOIN playlists p ON p.id = c.playlist_id
+         LEFT JOIN usuarios u ON u.id = c.convidado_por
+        WHERE c.convidado_id = $1 AND c.estado = 'pendente'
+        ORDER BY c.criado_em DESC, c.id DESC`,
+      [req.usuario.id]
+    );
+    res.json(
+      r.rows.map((c) => ({
+        id: c.id,
+        papel: c.papel,
+        criado_em: c.criado_em,
+        playlist: { id: c.playlist_id, nome: c.playlist_nome, descricao: c.playlist_descricao },
+        convidado_por: c.por_id ? { id: c.por_id, nome: c.por_nome, avatar_url: c.por_avatar_url } : null,
+      }))
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/convites/:conviteId/aceitar", autenticar, async (req, res, next) => {
+  try {
+    const convite = await emTransacao(async (client) => {
+      const r = await client.query(
+        `UPDATE playlist_convites
+            SET estado = 'aceito', respondido_em = NOW()
+          WHERE id = $1 AND convidado_id = $2 AND estado = 'pendente'
+          RETURNING playlist_id, papel`,
+        [idDoParametro(req.params.conviteId), req.usuario.id]
+      );
+      if (r.rows.length === 0) throw new NaoEncontradoError("INVITE_NOT_FOUND");
+
+      // Se já virou membro por outro caminho, fica com o papel do convite
+      await client.query(
+        `INSERT INTO playlist_membros (playlist_id, usuario_id, papel) VALUES ($1, $2, $3)
+         ON CONFLICT (playlist_id, usuario_id) DO UPDATE SET papel = EXCLUDED.papel`,
+        [r.rows[0].playlist_id, req.usuario.id, r.rows[0].papel]
+      );
+      return r.rows[0];
+    });
+    res.json({ message: req.t("convites.aceito"), ...convite });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/convites/:conviteId/recusar", autenticar, async (req, res, next) => {
+  try {
+    const r = await pool.query(
+      `UPDATE playlist_convites
+          SET estado = 'recusado', respondido_em = NOW()
+        WHERE id = $1 AND convidado_id = $2 AND estado = 'pendente'`,
+      [idDoParametro(req.params.conviteId), req.usuario.id]
+    );
+    if (r.rowCount === 0) throw new NaoEncontradoError("INVITE_NOT_FOUND");
+    res.json({ message: req.t("convites.recusado") });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Convites enviados (owners)
+// ===============================
+router.get("/:playlistId/convites", autenticar, eDono, async (req, res, next) => {
+  try {
+    const r = await pool.query(
+      `SELECT c.id, c.papel, c.criado_em, u.id AS usuario_id, u.nome, u.avatar_url
+         FROM playlist_convites c
+         JOIN usuarios u ON u.id = c.convidado_id
+        WHERE c.playlist_id = $1 AND c.estado = 'pendente'
+        ORDER BY c.criado_em DESC, c.id DESC`,
+      [req.playlist.id]
+    );
+    res.json(r.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/playlists/:playlistId/convites  { usuario_id | email, papel = "editor" }
+// Convidar de novo quem já tem convite pendente só troca o papel (200).
+const validarConvite = validarCorpo(
+  {
+    usuario_id: { tipo: "inteiro", min: 1 },
+    email: { tipo: "email" },
+    papel: { tipo: "opcao", opcoes: PAPEIS_PLAYLIST, padrao: "editor" },
+  },
+  { umDos: ["usuario_id", "email"] }
+);
+
+router.post("/:playlistId/convites", autenticar, eDono, validarConvite, async (req, res, next) => {
+  const { usuario_id: usuarioId, email, papel } = req.body;
+
+  try {
+    const alvo = await pool.query(
+      `SELECT id FROM usuarios
+        WHERE suspenso_em IS NULL
+          AND ($1::int IS NOT NULL AND id = $1 OR $1::int IS NULL AND LOWER(email) = LOWER($2))`,
+      [usuarioId ?? null, email ?? null]
+    );
+    if (alvo.rows.length === 0) throw new NaoEncontradoError("USER_NOT_FOUND");
+    const convidadoId = alvo.rows[0].id;
+
+    const resultado = await emTransacao(async (client) => {
+      const membro = await client.query(
+        "SELECT 1 FROM playlist_membros WHERE playlist_id = $1 AND usuario_id = $2",
+        [req.playlist.id, convidadoId]
+      );
+      if (membro.rows.length > 0) throw new ConflitoError("ALREADY_MEMBER");
+
+      const atualizado = await client.query(
+        `UPDATE playlist_convites SET papel = $3, convidado_por = $4
+          WHERE playlist_id = $1 AND convidado_id = $2 AND estado = 'pendente'
+          RETURNING id, papel, criado_em`,
+        [req.playlist.id, convidadoId, papel, req.usuario.id]
+      );
+      if (atualizado.rows.length > 0) return { novo: false, convite: atualizado.rows[0] };
+
+      const criado = await client.query(
+        `INSERT INTO playlist_convites (playlist_id, convidado_id, convidado_por, papel)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, papel, criado_em`,
+        [req.playlist.id, convidadoId, req.usuario.id, papel]
+      );
+      return { novo: true, convite: criado.rows[0] };
+    });
+
+    res.status(resultado.novo ? 201 : 200).json({
+      message: req.t("convites.enviado"),
+      ...resultado.convite,
+      usuario_id: convidadoId,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:playlistId/convites/:conviteId", autenticar, eDono, async (req, res, next) => {
+  try {
+    const r = await pool.query(
+      `UPDATE playlist_convites
+          SET estado = 'cancelado', respondido_em = NOW()
+        WHERE id = $1 AND playlist_id = $2 AND estado = 'pendente'`,
+      [idDoParametro(req.params.conviteId), req.playlist.id]
+    );
+    if (r.rowCount === 0) throw new NaoEncontradoError("INVITE_NOT_FOUND");
+    res.json({ message: req.t("convites.cancelado") });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Membros
+// ===============================
+// GET /api/playlists/:playlistId/membros
+// -> [{ id, nome, avatar_url, papel, criador, desde }] (owners primeiro)
+router.get("/:playlistId/membros", autenticar, podeVer, async (req, res, next) => {
+  try {
+    const r = await pool.query(
+      `SELECT u.id, u.nome, u.avatar_url, m.papel, (u.id = p.usuario_id) AS criador, m.criado_em AS desde
+         FROM playlist_membros m
+         JOIN playlists p ON p.id = m.playlist_id
+         JOIN usuarios u ON u.id = m.usuario_id
+        WHERE m.playlist_id = $1
+        ORDER BY array_position($2::text[], m.papel::text) DESC, m.criado_em, u.id`,
+      [req.playlist.id, PAPEIS_PLAYLIST]
+    );
+    res.json(r.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Carrega o membro de :usuarioId em req.membro; o criador não pode ser alterado
+async function carregarMembro(req, res, next) {
+  const usuarioId = idDoParametro(req.params.usuarioId);
+  if (usuarioId === req.playlist.usuario_id) return next(new AcessoNegadoError("PLAYLIST_CREATOR_LOCKED"));
+
+  try {
+    const r = await pool.query(
+      "SELECT usuario_id, papel FROM playlist_membros WHERE playlist_id = $1 AND usuario_id = $2",
+      [req.playlist.id, usuarioId]
+    );
+    if (r.rows.length === 0) throw new NaoEncontradoError("MEMBER_NOT_FOUND");
+    req.membro = r.rows[0];
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+const validarPapel = validarCorpo({
+  papel: { tipo: "opcao", opcoes: PAPEIS_PLAYLIST, obrigatorio: true },
+});
+
+router.patch("/:playlistId/membros/:usuarioId", autenticar, eDono, carregarMembro, validarPapel, async (req, res, next) => {
+  try {
+    await pool.query(
+      "UPDATE playlist_membros SET papel = $3 WHERE playlist_id = $1 AND usuario_id = $2",
+      [req.playlist.id, req.membro.usuario_id, req.body.papel]
+    );
+    res.json({ message: req.t("membros.atualizado"), usuario_id: req.membro.usuario_id, papel: req.body.papel });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Owners removem qualquer membro; os demais só a si mesmos (sair da playlist)
+router.delete("/:playlistId/membros/:usuarioId", autenticar, podeVer, carregarMembro, async (req, res, next) => {
+  if (req.membro.usuario_id !== req.usuario.id && !temPapel(req.playlist.meu_papel, "owner")) {
+    return next(new AcessoNegadoError());
+  }
+
+  try {
+    await pool.query("DELETE FROM playlist_membros WHERE playlist_id = $1 AND usuario_id = $2", [
+      req.playlist.id,
+      req.membro.usuario_id,
+    ]);
+    res.json({ message: req.t("membros.removido") });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,498 @@
+// ===============================
+// Playlists
+// ===============================
+// Montado em /api/playlists. As músicas de cada playlist têm posição
+// explícita (1..n) em playlist_musicas.posicao, sem buracos.
+//
+// Visibilidade: "private" (padrão, só o dono), "unlisted" (quem tem o link)
+// ou "public" (também no perfil e no feed dos seguidores). O link usa um
+// slug aleatório, criado quando a playlist deixa de ser privada.
+//
+// Colaboração: quem acessa é membro da playlist com papel viewer, editor ou
+// owner (middleware/playlists.js); convites e membros ficam em
+// routes/playlistMembros.js. Toda alteração sobe playlists.versao, devolvida
+// em X-Playlist-Version; mandar a versão vista em If-Match evita sobrescrever
+// a alteração de outro membro (409 PLAYLIST_VERSION_CONFLICT).
+const crypto = require("crypto");
+const express = require("express");
+const pool = require("../db/connection");
+const emTransacao = require("../db/transacao");
+const { autenticar, exigirMesmoUsuario } = require("../middleware/auth");
+const { carregarPlaylist, lerVersaoEsperada, conferirVersao } = require("../middleware/playlists");
+const { exigirRecurso } = require("../middleware/recursos");
+const { limites } = require("../middleware/limites");
+const { validarExportacao, enviarExportacao, lerImportacao } = require("../middleware/portabilidade");
+const { importarEntradas } = require("../services/importacao");
+const { exportarPlaylist } = require("../services/spotifyConta");
+const { publicarEvento } = require("../services/eventosAdmin");
+const { COLUNAS_FAIXA, idDaFaixa, garantirFaixas } = require("../services/faixas");
+const { ErroApi, AcessoNegadoError, NaoEncontradoError } = require("../erros");
+const { CAMPOS_MUSICA, validarCorpo, validarOuFalhar } = require("../validacao");
+
+const router = express.Router();
+
+const podeVer = carregarPlaylist("viewer");
+const podeEditar = carregarPlaylist("editor");
+const eDono = carregarPlaylist("owner");
+
+const VISIBILIDADES = ["private", "unlisted", "public"];
+
+// 96 bits aleatórios: impossível de adivinhar a partir do id ou de outro link
+function novoSlug() {
+  return crypto.randomBytes(12).toString("base64url");
+}
+
+// Bloqueia a linha da playlist até o fim da transação: alterações
+// simultâneas na mesma playlist são aplicadas uma de cada vez. Com
+// versaoEsperada, falha se a playlist já mudou desde essa versão.
+async function travarPlaylist(client, playlistId, versaoEsperada = null) {
+  const r = await client.query("SELECT versao FROM playlists WHERE id = $1 FOR UPDATE", [playlistId]);
+  conferirVersao(r.rows[0].versao, versaoEsperada);
+  return r.rows[0].versao;
+}
+
+// Renumera as posições para 1..n mantendo a ordem atual
+async function compactarPosicoes(client, playlistId) {
+  await client.query(
+    `UPDATE playlist_musicas pm
+        SET posicao = o.nova
+       FROM (
+         SELECT id, ROW_NUMBER() OVER (ORDER BY posicao) AS nova
+           FROM playlist_musicas
+          WHERE playlist_id = $1
+       ) o
+      WHERE pm.id = o.id AND pm.posicao <> o.nova`,
+    [playlistId]
+  );
+}
+
+// Marca a alteração e devolve a nova versão
+async function tocarPlaylist(client, playlistId) {
+  const r = await client.query(
+    "UPDATE playlists SET atualizada_em = NOW(), versao = versao + 1 WHERE id = $1 RETURNING versao",
+    [playlistId]
+  );
+  return r.rows[0].versao;
+}
+
+function enviarVersao(res, versao) {
+  res.set("X-Playlist-Version", String(versao));
+}
+
+async function listarMusicas(db, playlistId) {
+  const r = await db.query(
+    `SELECT pm.id, pm.spotify_id, ${COLUNAS_FAIXA},
+            pm.posicao, pm.adicionada_em, pm.adicionada_por, u.nome AS adicionada_por_nome
+       FROM playlist_musicas pm
+       JOIN faixas f ON f.id = pm.spotify_id
+       LEFT JOIN usuarios u ON u.id = pm.adicionada_por
+      WHERE pm.playlist_id = $1
+      ORDER BY pm.posicao`,
+    [playlistId]
+  );
+  return r.rows;
+}
+
+// Aceita { spotify_id } ou { musicas: [{ spotify_id }, ...] }; os dados de
+// cada música vêm do catálogo (services/faixas.js)
+const CAMPOS_MUSICAS = {
+  musicas: {
+    tipo: "lista",
+    obrigatorio: true,
+    min: 1,
+    max: 500,
+    item: { tipo: "objeto", campos: CAMPOS_MUSICA },
+  },
+};
+
+function musicasDoCorpo(req, res, next) {
+  try {
+    const body = req.body ?? {};
+    const lista = body.musicas === undefined ? [body] : body.musicas;
+    req.musicas = validarOuFalhar(CAMPOS_MUSICAS, { musicas: lista }).musicas.map((m) => ({
+      spotify_id: idDaFaixa(m.spotify_id),
+    }));
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// ===============================
+// Listagem / criação
+// ===============================
+// Playlists próprias e compartilhadas com o usuário, com meu_papel
+async function listarPlaylists(req, res, next) {
+  try {
+    const r = await pool.query(
+      `SELECT p.*, m.papel AS meu_papel
+         FROM playlists p
+         JOIN playlist_membros m ON m.playlist_id = p.id
+        WHERE m.usuario_id = $1
+        ORDER BY p.id DESC`,
+      [req.usuario.id]
+    );
+    res.json(r.rows);
+  } catch (err) {
+    next(err);
+  }
+}
+
+router.get("/me", autenticar, listarPlaylists);
+router.get("/:userId", autenticar, exigirMesmoUsuario("userId"), listarPlaylists);
+
+const CAMPOS_PLAYLIST = {
+  nome: { tipo: "texto", obrigatorio: true, max: 120 },
+  descricao: { tipo: "texto", max: 500, padrao: "" },
+  visibilidade: { tipo: "opcao", opcoes: VISIBILIDADES, padrao: "private" },
+};
+
+router.post("/", autenticar, exigirMesmoUsuario("usuario_id"), validarCorpo(CAMPOS_PLAYLIST), async (req, res, next) => {
+  const { nome, descricao, visibilidade } = req.body;
+
+  try {
+    const playlist = await emTransacao(async (client) => {
+      const r = await client.query(
+        `INSERT INTO playlists (usuario_id, nome, descricao, visibilidade, slug, data_criacao)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         RETURNING *`,
+        [req.usuario.id, nome, descricao, visibilidade, visibilidade === "private" ? null : novoSlug()]
+      );
+      await client.query(
+        "INSERT INTO playlist_membros (playlist_id, usuario_id, papel) VALUES ($1, $2, 'owner')",
+        [r.rows[0].id, req.usuario.id]
+      );
+      return r.rows[0];
+    });
+    await publicarEvento("playlist.criada", {
+      id: playlist.id,
+      usuario_id: playlist.usuario_id,
+      nome: playlist.nome,
+      visibilidade: playlist.visibilidade,
+    });
+    enviarVersao(res, playlist.versao);
+    res.status(201).json({ ...playlist, meu_papel: "owner" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Link de compartilhamento
+// ===============================
+// GET /api/playlists/compartilhada/:slug – sem login; vale para "public" e
+// "unlisted". Playlist privada (ou de conta suspensa) responde 404, igual a
+// um slug que não existe.
+router.get("/compartilhada/:slug", async (req, res, next) => {
+  try {
+    const r = await pool.query(
+      `SELECT p.id, p.nome, p.descricao, p.visibilidade, p.slug, p.data_criacao, p.atualizada_em,
+              u.id AS dono_id, u.nome AS dono_nome, u.avatar_url AS dono_avatar_url
+         FROM playlists p
+         JOIN usuarios u ON u.id = p.usuario_id
+        WHERE p.slug = $1 AND p.visibilidade <> 'private' AND u.suspenso_em IS NULL`,
+      [req.params.slug]
+    );
+    if (r.rows.length === 0) throw new NaoEncontradoError("PLAYLIST_NOT_FOUND");
+
+    const { dono_id, dono_nome, dono_avatar_url, ...playlist } = r.rows[0];
+    const musicas = await listarMusicas(pool, playlist.id);
+    res.json({
+      ...playlist,
+      dono: { id: dono_id, nome: dono_nome, avatar_url: dono_avatar_url },
+      total_musicas: musicas.length,
+      duracao_total_ms: musicas.reduce((soma, m) => soma + (m.duracao_ms || 0), 0),
+      musicas,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Troca o slug: o link antigo para de funcionar na hora
+router.post("/:playlistId/link", autenticar, eDono, async (req, res, next) => {
+  try {
+    const r = await pool.query(
+      "UPDATE playlists SET slug = $1 WHERE id = $2 RETURNING id, visibilidade, slug",
+      [novoSlug(), req.playlist.id]
+    );
+    res.json({ message: req.t("playlists.link_gerado"), ...r.rows[0] });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Detalhe / edição / exclusão
+// ===============================
+router.get("/:playlistId/detalhes", autenticar, podeVer, async (req, res, next) => {
+  try {
+    const musicas = await listarMusicas(pool, req.playlist.id);
+    res.json({
+      ...req.playlist,
+      total_musicas: musicas.length,
+      duracao_total_ms: musicas.reduce((soma, m) => soma + (m.duracao_ms || 0), 0),
+      musicas,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const validarEdicao = validarCorpo(
+  {
+    nome: CAMPOS_PLAYLIST.nome,
+    descricao: { tipo: "texto", max: 500 },
+    visibilidade: { tipo: "opcao", opcoes: VISIBILIDADES },
+  },
+  { parcial: true, umDos: ["nome", "descricao", "visibilidade"] }
+);
+
+router.patch("/:playlistId", autenticar, eDono, validarEdicao, lerVersaoEsperada, async (req, res, next) => {
+  const { nome, descricao, visibilidade } = req.body;
+  // Ao sair de "private" pela primeira vez a playlist ganha um slug
+  const slug = visibilidade && visibilidade !== "private" ? novoSlug() : null;
+
+  try {
+    const playlist = await emTransacao(async (client) => {
+      await travarPlaylist(client, req.playlist.id, req.versaoEsperada);
+      const r = await client.query(
+        `UPDATE playlists
+            SET nome = COALESCE($1, nome),
+                descricao = COALESCE($2, descricao),
+                visibilidade = COALESCE($3, visibilidade),
+                slug = COALESCE(slug, $4),
+                atualizada_em = NOW(),
+                versao = versao + 1
+          WHERE id = $5
+          RETURNING *`,
+        [nome ?? null, descricao ?? null, visibilidade ?? null, slug, req.playlist.id]
+      );
+      return r.rows[0];
+    });
+    enviarVersao(res, playlist.versao);
+    res.json({ ...playlist, meu_papel: req.playlist.meu_papel });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:playlistId", autenticar, eDono, async (req, res, next) => {
+  try {
+    // playlist_musicas, membros e convites são removidos em cascata
+    await pool.query("DELETE FROM playlists WHERE id = $1", [req.playlist.id]);
+    res.json({ message: req.t("playlists.excluida") });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Músicas da playlist
+// ===============================
+router.get("/:playlistId/musicas", autenticar, podeVer, async (req, res, next) => {
+  try {
+    res.json(await listarMusicas(pool, req.playlist.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Adiciona as músicas no fim da playlist, na ordem recebida, em nome de
+// usuarioId. As que já estão na playlist (ou repetidas na lista) são
+// ignoradas; todas precisam existir em "faixas" (garantirFaixas).
+// Devolve { adicionadas, versao }.
+async function adicionarMusicas(playlistId, musicas, { usuarioId, versaoEsperada = null }) {
+  return emTransacao(async (client) => {
+    let versao = await travarPlaylist(client, playlistId, versaoEsperada);
+
+    const r = await client.query(
+      "SELECT spotify_id, posicao FROM playlist_musicas WHERE playlist_id = $1",
+      [playlistId]
+    );
+    const existentes = new Set(r.rows.map((row) => row.spotify_id));
+    let posicao = r.rows.reduce((max, row) => Math.max(max, row.posicao), 0);
+    let total = 0;
+
+    for (const m of musicas) {
+      if (existentes.has(m.spotify_id)) continue;
+      existentes.add(m.spotify_id);
+      posicao += 1;
+      total += 1;
+      await client.query(
+        `INSERT INTO playlist_musicas (playlist_id, spotify_id, posicao, adicionada_em, adicionada_por)
+         VALUES ($1, $2, $3, NOW(), $4)`,
+        [playlistId, m.spotify_id, posicao, usuarioId]
+      );
+    }
+
+    if (total > 0) versao = await tocarPlaylist(client, playlistId);
+    return { adicionadas: total, versao };
+  });
+}
+
+router.post("/:playlistId/musicas", autenticar, podeEditar, musicasDoCorpo, lerVersaoEsperada, async (req, res, next) => {
+  try {
+    // Antes da transação: a consulta ao catálogo não segura a playlist travada
+    await garantirFaixas(req.musicas.map((m) => m.spotify_id));
+    const { adicionadas, versao } = await adicionarMusicas(req.playlist.id, req.musicas, {
+      usuarioId: req.usuario.id,
+      versaoEsperada: req.versaoEsperada,
+    });
+    enviarVersao(res, versao);
+    res.status(201).json({ message: req.t("playlists.musica_adicionada"), adicionadas, versao });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Devolve { removidas, versao }
+async function removerMusicas(playlistId, spotifyIds, versaoEsperada = null) {
+  return emTransacao(async (client) => {
+    let versao = await travarPlaylist(client, playlistId, versaoEsperada);
+    const r = await client.query(
+      "DELETE FROM playlist_musicas WHERE playlist_id = $1 AND spotify_id = ANY($2::text[])",
+      [playlistId, spotifyIds]
+    );
+    if (r.rowCount > 0) {
+      await compactarPosicoes(client, playlistId);
+      versao = await tocarPlaylist(client, playlistId);
+    }
+    return { removidas: r.rowCount, versao };
+  });
+}
+
+// Remoção em lote: { spotify_ids: ["...", "..."] }
+const validarRemocao = validarCorpo({
+  spotify_ids: {
+    tipo: "lista",
+    obrigatorio: true,
+    min: 1,
+    max: 500,
+    unicos: true,
+    item: CAMPOS_MUSICA.spotify_id,
+  },
+});
+
+router.delete("/:playlistId/musicas", autenticar, podeEditar, validarRemocao, lerVersaoEsperada, async (req, res, next) => {
+  try {
+    const { removidas, versao } = await removerMusicas(req.playlist.id, req.body.spotify_ids, req.versaoEsperada);
+    enviarVersao(res, versao);
+    res.json({ message: req.t("playlists.musicas_removidas"), removidas, versao });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:playlistId/musicas/:spotifyId", autenticar, podeEditar, lerVersaoEsperada, async (req, res, next) => {
+  try {
+    const { removidas, versao } = await removerMusicas(req.playlist.id, [req.params.spotifyId], req.versaoEsperada);
+    if (removidas === 0) throw new NaoEncontradoError("TRACK_NOT_IN_PLAYLIST");
+    enviarVersao(res, versao);
+    res.json({ message: req.t("playlists.musica_removida"), versao });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move a música da posição "de" para a posição "para" (1..n).
+// As músicas entre as duas posições deslocam uma casa; o resto não muda.
+// As posições valem para a versão que o cliente viu: com dois editores
+// ao mesmo tempo, mande If-Match (ou "versao") para não mover a música errada.
+const validarReordenacao = validarCorpo({
+  de: { tipo: "inteiro", obrigatorio: true, min: 1 },
+  para: { tipo: "inteiro", obrigatorio: true, min: 1 },
+});
+
+router.post("/:playlistId/reordenar", autenticar, podeEditar, validarReordenacao, lerVersaoEsperada, async (req, res, next) => {
+  const { de, para } = req.body;
+
+  try {
+    const resultado = await emTransacao(async (client) => {
+      let versao = await travarPlaylist(client, req.playlist.id, req.versaoEsperada);
+
+      const r = await client.query(
+        "SELECT COUNT(*)::int AS total FROM playlist_musicas WHERE playlist_id = $1",
+        [req.playlist.id]
+      );
+      const total = r.rows[0].total;
+      if (de > total || para > total) return null;
+
+      if (de !== para) {
+        await client.query(
+          `UPDATE playlist_musicas
+              SET posicao = CASE
+                    WHEN posicao = $2 THEN $3
+                    WHEN $2 < $3 THEN posicao - 1
+                    ELSE posicao + 1
+                  END
+            WHERE playlist_id = $1
+              AND posicao BETWEEN LEAST($2::int, $3::int) AND GREATEST($2::int, $3::int)`,
+          [req.playlist.id, de, para]
+        );
+        versao = await tocarPlaylist(client, req.playlist.id);
+      }
+      return { versao, musicas: await listarMusicas(client, req.playlist.id) };
+    });
+
+    if (!resultado) throw new ErroApi("POSITION_OUT_OF_RANGE", { status: 400 });
+    enviarVersao(res, resultado.versao);
+    res.json(resultado.musicas);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Exportar / importar arquivo (formatos em formatos/)
+// ===============================
+router.get("/:playlistId/exportar", autenticar, podeVer, validarExportacao, async (req, res, next) => {
+  try {
+    enviarExportacao(res, req.query.formato, {
+      tipo: "playlist",
+      nome: req.playlist.nome,
+      descricao: req.playlist.descricao,
+      musicas: await listarMusicas(pool, req.playlist.id),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Músicas do arquivo entram no fim da playlist, na ordem do arquivo
+router.post("/:playlistId/importar", autenticar, podeEditar, limites.importacao, lerImportacao, async (req, res, next) => {
+  const { formato, entradas, market } = req.importacao;
+  try {
+    const resultado = await importarEntradas(entradas, {
+      market,
+      salvar: async (musicas) => {
+        const { adicionadas, versao } = await adicionarMusicas(req.playlist.id, musicas, {
+          usuarioId: req.usuario.id,
+        });
+        enviarVersao(res, versao);
+        return adicionadas;
+      },
+    });
+    res.json({ message: req.t("importacao.concluida"), formato, ...resultado });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Exportar para o Spotify do usuário
+// ===============================
+const vinculoSpotifyLigado = exigirRecurso("spotify_vinculo");
+
+// Só o criador: spotify_playlist_id aponta para a playlist na conta dele
+router.post("/:playlistId/exportar/spotify", autenticar, vinculoSpotifyLigado, eDono, async (req, res, next) => {
+  try {
+    if (req.playlist.usuario_id !== req.usuario.id) throw new AcessoNegadoError();
+    const resultado = await exportarPlaylist(req.usuario.id, req.playlist);
+    res.json({ message: req.t("playlists.exportada_spotify"), ...resultado });
+  } catch (err) {
+    next(err instanceof ErroApi ? err : new ErroApi("SPOTIFY_ERROR", { status: 502, causa: err }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// ===============================
+// Recomendações
+// ===============================
+// Montado em /api/recommendations
+const express = require("express");
+const { autenticar } = require("../middleware/auth");
+const { recomendarPara } = require("../services/recomendacoes");
+const { valorConfig } = require("../services/configuracoes");
+const { validarQuery } = require("../validacao");
+
+const router = express.Router();
+
+const validarFiltros = validarQuery({
+  limit: { tipo: "inteiro", min: 1, max: 50, padrao: 20 },
+  market: { tipo: "pais" },
+});
+
+// GET /api/recommendations?limit=20&market=BR (padrão: default_market da configuração)
+// -> { estrategia, itens: [{ ..., score, motivo }] } (motivo no idioma da requisição)
+router.get("/", autenticar, validarFiltros, async (req, res, next) => {
+  try {
+    const market = req.query.market || (await valorConfig("default_market"));
+    const { estrategia, itens } = await recomendarPara(req.usuario.id, { limit: req.query.limit, market });
+    res.json({
+      estrategia,
+      itens: itens.map((item) => ({ ...item, motivo: req.t(item.motivo.chave, item.motivo.params) })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
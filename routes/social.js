@@ -0,0 +1,233 @@
+// ===============================
+// Social – seguir, perfis públicos e feed
+// ===============================
+// Montado em /api/usuarios, junto das rotas de conta. Perfis e listas são
+// públicos, mas nunca mostram email; contas suspensas somem (404). Só
+// playlists com visibilidade "public" aparecem no perfil e no feed, e as
+// curtidas só entram no feed de quem ligou curtidas_publicas (PATCH /me/privacidade).
+const express = require("express");
+const pool = require("../db/connection");
+const { autenticar } = require("../middleware/auth");
+const { ErroApi, NaoEncontradoError, ValidacaoError } = require("../erros");
+const { validarCorpo, validarQuery } = require("../validacao");
+
+const router = express.Router();
+
+function paginacao(query) {
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || 20, 1), 100);
+  const offset = Math.max(Number.parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+// Valida :id e garante que o usuário existe e não está suspenso
+async function carregarUsuarioPublico(req, res, next) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return next(new NaoEncontradoError("USER_NOT_FOUND"));
+
+  try {
+    const r = await pool.query(
+      "SELECT id FROM usuarios WHERE id = $1 AND suspenso_em IS NULL",
+      [id]
+    );
+    if (r.rows.length === 0) throw new NaoEncontradoError("USER_NOT_FOUND");
+    req.alvoId = id;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// ===============================
+// Seguir / deixar de seguir
+// ===============================
+router.post("/:id/seguir", autenticar, carregarUsuarioPublico, async (req, res, next) => {
+  if (req.alvoId === req.usuario.id) return next(new ErroApi("SELF_FOLLOW", { status: 400 }));
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO seguidores (seguidor_id, seguido_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [req.usuario.id, req.alvoId]
+    );
+    res.status(r.rowCount > 0 ? 201 : 200).json({ message: req.t("social.seguindo"), seguindo: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:id/seguir", autenticar, async (req, res, next) => {
+  try {
+    await pool.query("DELETE FROM seguidores WHERE seguidor_id = $1 AND seguido_id = $2", [
+      req.usuario.id,
+      Number(req.params.id) || 0,
+    ]);
+    res.json({ message: req.t("social.deixou_de_seguir"), seguindo: false });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Privacidade
+// ===============================
+// Seguir não precisa de aprovação, então as curtidas ficam fora do feed
+// até o dono ligar. Playlists seguem a visibilidade de cada uma.
+const validarPrivacidade = validarCorpo({
+  curtidas_publicas: { tipo: "booleano", obrigatorio: true },
+});
+
+router.patch("/me/privacidade", autenticar, validarPrivacidade, async (req, res, next) => {
+  try {
+    await pool.query("UPDATE usuarios SET curtidas_publicas = $1 WHERE id = $2", [
+      req.body.curtidas_publicas,
+      req.usuario.id,
+    ]);
+    res.json({
+      message: req.t(req.body.curtidas_publicas ? "social.curtidas_publicas" : "social.curtidas_privadas"),
+      curtidas_publicas: req.body.curtidas_publicas,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Seguidores / seguindo
+// ===============================
+// GET /api/usuarios/:id/seguidores?limit=20&offset=0  (mesmo formato em /seguindo)
+// -> { itens: [{ id, nome, avatar_url, desde }], total, limit, offset }
+function listarConexoes(coluna, outra) {
+  return async (req, res, next) => {
+    const { limit, offset } = paginacao(req.query);
+    try {
+      const [itens, total] = await Promise.all([
+        pool.query(
+          `SELECT u.id, u.nome, u.avatar_url, s.criado_em AS desde
+             FROM seguidores s
+             JOIN usuarios u ON u.id = s.${outra}
+            WHERE s.${coluna} = $1 AND u.suspenso_em IS NULL
+            ORDER BY s.criado_em DESC, u.id DESC
+            LIMIT $2 OFFSET $3`,
+          [req.alvoId, limit, offset]
+        ),
+        pool.query(
+          `SELECT COUNT(*)::int AS total
+             FROM seguidores s
+             JOIN usuarios u ON u.id = s.${outra}
+            WHERE s.${coluna} = $1 AND u.suspenso_em IS NULL`,
+          [req.alvoId]
+        ),
+      ]);
+      res.json({ itens: itens.rows, total: total.rows[0].total, limit, offset });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+router.get("/:id/seguidores", carregarUsuarioPublico, listarConexoes("seguido_id", "seguidor_id"));
+router.get("/:id/seguindo", carregarUsuarioPublico, listarConexoes("seguidor_id", "seguido_id"));
+
+// ===============================
+// Playlists públicas do usuário
+// ===============================
+router.get("/:id/playlists", carregarUsuarioPublico, async (req, res, next) => {
+  try {
+    const r = await pool.query(
+      `SELECT p.id, p.nome, p.descricao, p.slug, p.data_criacao, p.atualizada_em,
+              (SELECT COUNT(*)::int FROM playlist_musicas pm WHERE pm.playlist_id = p.id) AS total_musicas
+         FROM playlists p
+        WHERE p.usuario_id = $1 AND p.visibilidade = 'public'
+        ORDER BY p.atualizada_em DESC NULLS LAST, p.id DESC`,
+      [req.alvoId]
+    );
+    res.json(r.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ===============================
+// Feed
+// ===============================
+// GET /api/usuarios/me/feed?limit=20&cursor=...
+// Curtidas (de quem as deixou públicas) e playlists públicas criadas/atualizadas
+// por quem você segue, da mais recente para a mais antiga. proximo_cursor = null quando acabou.
+const validarFeed = validarQuery({
+  limit: { tipo: "inteiro", min: 1, max: 100, padrao: 20 },
+  cursor: { tipo: "texto", max: 200 },
+});
+
+const SQL_FEED = `
+  WITH seguidos AS (
+    SELECT u.id, u.nome, u.avatar_url, u.curtidas_publicas
+      FROM seguidores s
+      JOIN usuarios u ON u.id = s.seguido_id
+     WHERE s.seguidor_id = $1 AND u.suspenso_em IS NULL
+  ),
+  eventos AS (
+    SELECT 'curtida' AS tipo, c.id, c.criado_em AS em, c.usuario_id,
+           json_build_object(
+             'spotify_id', c.spotify_id, 'titulo', f.titulo, 'artista', f.artista,
+             'imagem', f.imagem, 'url', f.url
+           ) AS dados
+      FROM curtidas c
+      JOIN faixas f ON f.id = c.spotify_id
+     WHERE c.usuario_id IN (SELECT id FROM seguidos WHERE curtidas_publicas)
+    UNION ALL
+    SELECT 'playlist', p.id, p.atualizada_em, p.usuario_id,
+           json_build_object(
+             'id', p.id, 'nome', p.nome, 'descricao', p.descricao, 'slug', p.slug,
+             'acao', CASE WHEN p.atualizada_em <= p.data_criacao THEN 'criada' ELSE 'atualizada' END,
+             'total_musicas', (SELECT COUNT(*) FROM playlist_musicas pm WHERE pm.playlist_id = p.id)
+           )
+      FROM playlists p
+     WHERE p.usuario_id IN (SELECT id FROM seguidos) AND p.visibilidade = 'public'
+  )
+  SELECT e.tipo, e.id, e.em, e.em::text AS em_cursor, e.dados,
+         s.id AS usuario_id, s.nome, s.avatar_url
+    FROM eventos e
+    JOIN seguidos s ON s.id = e.usuario_id
+   WHERE e.em IS NOT NULL
+     AND ($2::timestamp IS NULL OR (e.em, e.tipo, e.id) < ($2::timestamp, $3::text, $4::int))
+   ORDER BY e.em DESC, e.tipo DESC, e.id DESC
+   LIMIT $5`;
+
+// O cursor aponta para o último evento entregue: [em, tipo, id] em base64url.
+// "em" vai como texto do próprio banco para não perder precisão nem fuso.
+function codificarCursor(evento) {
+  return Buffer.from(JSON.stringify([evento.em_cursor, evento.tipo, evento.id])).toString("base64url");
+}
+
+function decodificarCursor(cursor) {
+  try {
+    const [em, tipo, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof em === "string" && typeof tipo === "string" && Number.isInteger(id)) {
+      return [em, tipo, id];
+    }
+  } catch {
+    // cai no erro abaixo
+  }
+  throw ValidacaoError.campo("cursor", "invalido");
+}
+
+router.get("/me/feed", autenticar, validarFeed, async (req, res, next) => {
+  const { limit, cursor } = req.query;
+  try {
+    const [em, tipo, id] = cursor ? decodificarCursor(cursor) : [null, null, null];
+    const r = await pool.query(SQL_FEED, [req.usuario.id, em, tipo, id, limit]);
+
+    const itens = r.rows.map((e) => ({
+      tipo: e.tipo,
+      em: e.em,
+      usuario: { id: e.usuario_id, nome: e.nome, avatar_url: e.avatar_url },
+      [e.tipo === "curtida" ? "musica" : "playlist"]: e.dados,
+    }));
+    const ultimo = r.rows[r.rows.length - 1];
+    res.json({ itens, proximo_cursor: r.rows.length === limit ? codificarCursor(ultimo) : null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
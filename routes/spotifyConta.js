@@ -0,0 +1,117 @@
+// ===============================
+// Conta Spotify do usuário (vínculo + importação)
+// ===============================
+// Montado em /api/spotify. Fluxo de vínculo:
+//   1. front chama GET /auth/url (com Bearer) e redireciona para a URL recebida
+//   2. Spotify redireciona para GET /auth/callback (SPOTIFY_REDIRECT_URI)
+//   3. callback grava os tokens e volta para o front (FRONTEND_URL)
+const express = require("express");
+const { autenticar } = require("../middleware/auth");
+const { exigirRecurso } = require("../middleware/recursos");
+const log = require("../observabilidade/log");
+const { ErroApi, ValidacaoError } = require("../erros");
+const { validarCorpo } = require("../validacao");
+const {
+  gerarUrlAutorizacao,
+  concluirAutorizacao,
+  statusVinculo,
+  desvincular,
+  listarPlaylistsSpotify,
+  importarParaBiblioteca,
+} = require("../services/spotifyConta");
+
+const router = express.Router();
+
+// Tudo aqui depende do recurso "spotify_vinculo" ligado na configuração
+router.use(exigirRecurso("spotify_vinculo"));
+
+function frontendUrl(resultado) {
+  const base = process.env.FRONTEND_URL || "https://findmysong.vercel.app";
+  return `${base.replace(/\/$/, "")}/perfil?spotify=${resultado}`;
+}
+
+// Falhas da API do Spotify viram 502; erros já tipados (ex.: conta não
+// vinculada, 409) passam como estão
+function erroSpotify(err) {
+  return err instanceof ErroApi ? err : new ErroApi("SPOTIFY_ERROR", { status: 502, causa: err });
+}
+
+router.get("/auth/url", autenticar, async (req, res, next) => {
+  try {
+    res.json({ url: await gerarUrlAutorizacao(req.usuario.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Chamado pelo navegador após o consentimento (sem Bearer: o "state" identifica o usuário)
+router.get("/auth/callback", async (req, res) => {
+  const { code, state, error } = req.query;
+
+  if (error || !code || !state) {
+    return res.redirect(frontendUrl(error === "access_denied" ? "negado" : "erro"));
+  }
+
+  try {
+    await concluirAutorizacao(String(code), String(state));
+    return res.redirect(frontendUrl("conectado"));
+  } catch (err) {
+    log.error("Falha no callback do Spotify", { erro: err, resposta: err.response?.data });
+    return res.redirect(frontendUrl("erro"));
+  }
+});
+
+router.get("/auth/status", autenticar, async (req, res, next) => {
+  try {
+    res.json(await statusVinculo(req.usuario.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/auth", autenticar, async (req, res, next) => {
+  try {
+    await desvincular(req.usuario.id);
+    res.json({ message: req.t("spotify.desvinculada") });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Playlists do usuário no Spotify
+router.get("/me/playlists", autenticar, async (req, res, next) => {
+  try {
+    res.json(await listarPlaylistsSpotify(req.usuario.id));
+  } catch (err) {
+    next(erroSpotify(err));
+  }
+});
+
+// Importa para a biblioteca: { salvas: true, playlist_ids: ["..."] }
+const validarImportacao = validarCorpo({
+  salvas: { tipo: "booleano", padrao: false },
+  playlist_ids: {
+    tipo: "lista",
+    padrao: [],
+    max: 50,
+    unicos: true,
+    item: { tipo: "texto", min: 1, max: 64 },
+  },
+});
+
+router.post("/importar", autenticar, validarImportacao, async (req, res, next) => {
+  const { salvas, playlist_ids: playlistIds } = req.body;
+
+  if (!salvas && playlistIds.length === 0) {
+    return next(new ValidacaoError([{ campo: "", regra: "um_dos", params: { campos: "salvas, playlist_ids" } }]));
+  }
+
+  try {
+    const resultado = await importarParaBiblioteca(req.usuario.id, { salvas, playlistIds });
+    res.json({ message: req.t("spotify.importacao_concluida"), ...resultado });
+  } catch (err) {
+    next(erroSpotify(err));
+  }
+});
+
+module.exports = router;
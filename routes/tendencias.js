@@ -0,0 +1,37 @@
+// ===============================
+// Tendências – músicas e buscas em alta
+// ===============================
+// Montado em /api/trending, sem login. Os números vêm da atividade no
+// próprio FindMySong (services/tendencias.js), não do Spotify.
+// Buscas só aparecem depois de um número mínimo de pessoas (services/tendencias.js).
+//   ?periodo=day|week|month (padrão week)&market=BR (opcional)&limit=10
+// -> { periodo, market, atualizado_em, itens: [...] }
+const express = require("express");
+const { PERIODOS, musicasEmAlta, buscasEmAlta, ultimaAtualizacao } = require("../services/tendencias");
+const { validarQuery } = require("../validacao");
+
+const router = express.Router();
+
+const validarFiltros = validarQuery({
+  periodo: { tipo: "opcao", opcoes: Object.keys(PERIODOS), padrao: "week" },
+  market: { tipo: "pais" },
+  limit: { tipo: "inteiro", min: 1, max: 50, padrao: 10 },
+});
+
+function listar(consulta) {
+  return async (req, res, next) => {
+    const { periodo, limit } = req.query;
+    const market = req.query.market ?? null;
+    try {
+      const itens = await consulta({ periodo, market, limit });
+      res.json({ periodo, market, atualizado_em: ultimaAtualizacao(), itens });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+router.get("/musicas", validarFiltros, listar(musicasEmAlta));
+router.get("/buscas", validarFiltros, listar(buscasEmAlta));
+
+module.exports = router;
@@ -1,88 +1,269 @@
+// ===============================
+// Usuários – cadastro, login, sessões e perfil
+// ===============================
+// Montado em /api/usuarios.
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const pool = require("../db/connection");
-require("dotenv").config();
+const { autenticar, autenticarOpcional, exigirMesmoUsuario } = require("../middleware/auth");
+const {
+  emitirTokens,
+  rotacionarRefreshToken,
+  revogarRefreshToken,
+  revogarTodosDoUsuario,
+} = require("../services/tokens");
+const { limites } = require("../middleware/limites");
+const { bloqueioLogin, registrarFalhaLogin, limparFalhasLogin } = require("../limites");
+const { ErroApi, NaoAutenticadoError, NaoEncontradoError, ConflitoError } = require("../erros");
+const { validarCorpo, validarOuFalhar } = require("../validacao");
+const { receberArquivo } = require("../middleware/upload");
+const { publicarEvento } = require("../services/eventosAdmin");
+const { tentarEnviarVerificacao } = require("../services/conta");
+const { MAX_BYTES: MAX_BYTES_AVATAR, salvarAvatar, removerAvatar, urlsDoAvatar } = require("../services/avatares");
 
 const router = express.Router();
 
-// Rota de cadastro
-router.post("/register", async (req, res) => {
+// ===============================
+// Cadastro / login
+// ===============================
+const validarCadastro = validarCorpo({
+  nome: { tipo: "texto", obrigatorio: true, max: 120 },
+  email: { tipo: "email", obrigatorio: true },
+  senha: { tipo: "texto", obrigatorio: true, min: 6, max: 200 },
+});
+
+router.post("/register", limites.cadastro, validarCadastro, async (req, res, next) => {
   const { nome, email, senha } = req.body;
 
-  if (!nome || !email || !senha) {
-    return res.status(400).json({ message: "Preencha todos os campos." });
+  try {
+    // A constraint UNIQUE diferencia maiúsculas; o login não
+    const existente = await pool.query("SELECT 1 FROM usuarios WHERE LOWER(email) = LOWER($1)", [
+      email,
+    ]);
+    if (existente.rows.length > 0) throw new ConflitoError("EMAIL_IN_USE");
+
+    const senhaHash = await bcrypt.hash(senha, 10);
+    const result = await pool.query(
+      "INSERT INTO usuarios (nome, email, senha) VALUES ($1,$2,$3) RETURNING id, nome, email",
+      [nome, email, senhaHash]
+    );
+    await publicarEvento("usuario.criado", { usuario: result.rows[0] });
+    // O login não espera a verificação; email_verificado avisa o front
+    await tentarEnviarVerificacao(result.rows[0], req.idioma);
+    return res
+      .status(201)
+      .json({ message: req.t("usuarios.criado"), usuario: result.rows[0] });
+  } catch (err) {
+    return next(err);
   }
+});
+
+const validarLogin = validarCorpo({
+  email: { tipo: "texto", obrigatorio: true, max: 180 },
+  senha: { tipo: "texto", obrigatorio: true, max: 200 },
+});
+
+// Hash de uma senha qualquer: quando o email não existe a comparação roda
+// mesmo assim, para o tempo de resposta não revelar quais contas existem
+const HASH_FICTICIO = bcrypt.hashSync("senha-ficticia", 10);
+
+// Falha de login: sempre a mesma resposta (conta inexistente ou senha
+// errada) e conta para os bloqueios progressivos (conta naquele IP e conta)
+async function falhaDeLogin(email, ip) {
+  const bloqueioMs = await registrarFalhaLogin(email, ip);
+  if (bloqueioMs > 0) return erroContaBloqueada(bloqueioMs);
+  return new NaoAutenticadoError("INVALID_CREDENTIALS");
+}
+
+function erroContaBloqueada(restanteMs) {
+  return new ErroApi("LOGIN_LOCKED", {
+    status: 429,
+    params: { segundos: Math.ceil(restanteMs / 1000) },
+    retryAfterMs: restanteMs,
+  });
+}
+
+router.post("/login", limites.login, validarLogin, async (req, res, next) => {
+  const { email, senha } = req.body;
 
   try {
-    const existe = await pool.query("SELECT * FROM usuarios WHERE email = $1", [email]);
-    if (existe.rows.length > 0) {
-      return res.status(400).json({ message: "E-mail já cadastrado." });
-    }
-
-    const senhaCriptografada = await bcrypt.hash(senha, 10);
-    const novo = await pool.query(
-      "INSERT INTO usuarios (nome, email, senha) VALUES ($1, $2, $3) RETURNING id, nome, email",
-      [nome, email, senhaCriptografada]
+    const bloqueioMs = await bloqueioLogin(email, req.ip);
+    if (bloqueioMs > 0) throw erroContaBloqueada(bloqueioMs);
+
+    const result = await pool.query(
+      "SELECT * FROM usuarios WHERE LOWER(email) = LOWER($1)",
+      [email]
     );
+    const user = result.rows[0];
+    const senhaCorreta = await bcrypt.compare(senha, user ? user.senha : HASH_FICTICIO);
+    if (!user || !senhaCorreta) throw await falhaDeLogin(email, req.ip);
+
+    await limparFalhasLogin(email, req.ip);
+    if (user.suspenso_em) throw new ErroApi("ACCOUNT_SUSPENDED", { status: 403 });
 
-    res.status(201).json({ message: "Usuário criado com sucesso!", usuario: novo.rows[0] });
+    const sessao = await emitirTokens(user, { userAgent: req.get("user-agent") });
+    return res.json({ message: req.t("usuarios.login"), ...sessao });
   } catch (err) {
-    console.error("Erro ao criar usuário:", err);
-    res.status(500).json({ message: "Erro no servidor" });
+    return next(err);
   }
 });
 
-// Rota de login
-router.post("/login", async (req, res) => {
-  const { email, senha } = req.body;
+const validarRefreshToken = validarCorpo({
+  refresh_token: { tipo: "texto", obrigatorio: true, max: 200 },
+});
 
-  // Verifica se veio email e senha
-  if (!email || !senha) {
-    return res.status(400).json({ message: "Preencha todos os campos." });
+// Troca o refresh token por um novo par de tokens (rotação)
+router.post("/refresh", limites.refresh, validarRefreshToken, async (req, res, next) => {
+  try {
+    const sessao = await rotacionarRefreshToken(req.body.refresh_token, {
+      userAgent: req.get("user-agent"),
+    });
+    return res.json(sessao);
+  } catch (err) {
+    return next(err);
   }
+});
 
+// Logout deste dispositivo (revoga a sessão do refresh token enviado)
+router.post("/logout", validarRefreshToken, async (req, res, next) => {
   try {
-    // Busca usuário (sem case-sensitive)
-    const resultado = await pool.query(
-      "SELECT * FROM usuarios WHERE LOWER(email) = LOWER($1)",
-      [email]
-    );
+    await revogarRefreshToken(req.body.refresh_token);
+    return res.json({ message: req.t("usuarios.logout") });
+  } catch (err) {
+    return next(err);
+  }
+});
 
-    // Se não existir no banco
-    if (resultado.rows.length === 0) {
-      return res.status(404).json({ message: "Usuário não encontrado." });
-    }
+// Logout de todos os dispositivos
+router.post("/logout-all", autenticar, async (req, res, next) => {
+  try {
+    const sessoes = await revogarTodosDoUsuario(req.usuario.id);
+    return res.json({ message: req.t("usuarios.logout_todos"), sessoes });
+  } catch (err) {
+    return next(err);
+  }
+});
 
-    const usuario = resultado.rows[0];
+router.get("/me", autenticar, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, nome, email, papel, email_verificado_em IS NOT NULL AS email_verificado, curtidas_publicas
+         FROM usuarios WHERE id = $1`,
+      [req.usuario.id]
+    );
+    if (result.rows.length === 0) throw new NaoAutenticadoError();
+    return res.json(result.rows[0]);
+  } catch (err) {
+    return next(err);
+  }
+});
 
-    // Verifica se a senha existe e confere
-    if (!usuario.senha) {
-      return res.status(400).json({ message: "Senha inválida no cadastro." });
-    }
+// ===============================
+// Perfil do Usuário
+// ===============================
+// O avatar não entra aqui: é enviado como arquivo em POST /profile/me/avatar
+// (avatar_url vindo no corpo é ignorado, para não exibir URLs externas)
+const validarPerfil = validarCorpo({
+  nome: { tipo: "texto", obrigatorio: true, max: 120 },
+});
 
-    const senhaCorreta = await bcrypt.compare(senha, usuario.senha);
-    if (!senhaCorreta) {
-      return res.status(401).json({ message: "Senha incorreta." });
-    }
+async function atualizarPerfil(req, res, next) {
+  try {
+    await pool.query("UPDATE usuarios SET nome = $1 WHERE id = $2", [req.body.nome, req.usuario.id]);
+    res.json({ ok: true, message: req.t("perfil.atualizado") });
+  } catch (err) {
+    next(err);
+  }
+}
 
-    // Gera token
-    const token = jwt.sign(
-      { id: usuario.id, email: usuario.email },
-      process.env.JWT_SECRET || "segredo123",
-      { expiresIn: "7d" }
+router.get("/profile/me", autenticar, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, nome, email, email_verificado_em IS NOT NULL AS email_verificado, avatar_url, avatar_chave
+         FROM usuarios WHERE id = $1`,
+      [req.usuario.id]
     );
+    if (result.rows.length === 0) throw new NaoEncontradoError("USER_NOT_FOUND");
+    const { avatar_chave, ...perfil } = result.rows[0];
+    res.json({ ...perfil, avatares: urlsDoAvatar(avatar_chave) });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    res.status(200).json({
-      message: "Login bem-sucedido!",
-      usuario: { id: usuario.id, nome: usuario.nome, email: usuario.email },
-      token,
-    });
+// Perfil público: sem email, com contagens sociais. Com login, "voce_segue"
+// diz se quem pergunta segue a pessoa. Contas suspensas não aparecem.
+router.get("/profile/:id", autenticarOpcional, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) throw new NaoEncontradoError("USER_NOT_FOUND");
+    const result = await pool.query(
+      `SELECT u.id, u.nome, u.avatar_url, u.criado_em AS membro_desde,
+              (SELECT COUNT(*)::int FROM seguidores s
+                 JOIN usuarios x ON x.id = s.seguidor_id AND x.suspenso_em IS NULL
+                WHERE s.seguido_id = u.id) AS seguidores,
+              (SELECT COUNT(*)::int FROM seguidores s
+                 JOIN usuarios x ON x.id = s.seguido_id AND x.suspenso_em IS NULL
+                WHERE s.seguidor_id = u.id) AS seguindo,
+              (SELECT COUNT(*)::int FROM playlists p
+                WHERE p.usuario_id = u.id AND p.visibilidade = 'public') AS playlists_publicas,
+              EXISTS (SELECT 1 FROM seguidores s
+                       WHERE s.seguidor_id = $2 AND s.seguido_id = u.id) AS voce_segue
+         FROM usuarios u
+        WHERE u.id = $1 AND u.suspenso_em IS NULL`,
+      [id, req.usuario?.id ?? null]
+    );
+    if (result.rows.length === 0) throw new NaoEncontradoError("USER_NOT_FOUND");
+    const perfil = result.rows[0];
+    if (!req.usuario) delete perfil.voce_segue;
+    res.json(perfil);
   } catch (err) {
-    console.error("Erro no login:", err);
-    res.status(500).json({ message: "Erro interno no servidor." });
+    next(err);
   }
 });
 
+router.post("/profile/me", autenticar, validarPerfil, atualizarPerfil);
+router.post("/profile/:id", autenticar, exigirMesmoUsuario("id"), validarPerfil, atualizarPerfil);
+
+// ===============================
+// Avatar
+// ===============================
+// POST /api/usuarios/profile/me/avatar  (multipart/form-data)
+//   avatar = a imagem (JPEG, PNG, WebP ou GIF; até AVATAR_MAX_BYTES)
+//   x, y, lado = recorte quadrado opcional, em pixels da imagem original
+// -> { message, avatar_url, avatares: { "64": url, "256": url, "512": url } }
+// Processamento e armazenamento em services/avatares.js.
+const CAMPOS_RECORTE = {
+  x: { tipo: "inteiro", min: 0, obrigatorio: true },
+  y: { tipo: "inteiro", min: 0, obrigatorio: true },
+  lado: { tipo: "inteiro", min: 1, obrigatorio: true },
+};
+
+async function enviarAvatar(req, res, next) {
+  try {
+    const pediuRecorte = Object.keys(CAMPOS_RECORTE).some((c) => req.body[c] !== undefined);
+    const recorte = pediuRecorte ? validarOuFalhar(CAMPOS_RECORTE, req.body, { coagirTexto: true }) : null;
+    const avatar = await salvarAvatar(req.usuario.id, req.arquivo.buffer, recorte);
+    res.json({ message: req.t("avatar.atualizado"), ...avatar });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function apagarAvatar(req, res, next) {
+  try {
+    if (!(await removerAvatar(req.usuario.id))) throw new NaoEncontradoError("AVATAR_NOT_FOUND");
+    res.json({ message: req.t("avatar.removido") });
+  } catch (err) {
+    next(err);
+  }
+}
+
+const receberAvatar = receberArquivo({ campo: "avatar", maxBytes: MAX_BYTES_AVATAR });
+
+router.post("/profile/me/avatar", autenticar, limites.avatar, receberAvatar, enviarAvatar);
+router.post("/profile/:id/avatar", autenticar, exigirMesmoUsuario("id"), limites.avatar, receberAvatar, enviarAvatar);
+router.delete("/profile/me/avatar", autenticar, apagarAvatar);
+router.delete("/profile/:id/avatar", autenticar, exigirMesmoUsuario("id"), apagarAvatar);
 
 module.exports = router;
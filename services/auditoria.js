@@ -0,0 +1,24 @@
+// ===============================
+// Auditoria de ações administrativas
+// ===============================
+// Toda ação feita por admin/moderador (mudança de papel, suspensão,
+// configurações...) vira uma linha em "auditoria". Recebe o db para poder
+// gravar na mesma transação da ação auditada.
+const pool = require("../db/connection");
+
+async function registrarAuditoria(db, { req, acao, alvoTipo = null, alvoId = null, detalhes = null }) {
+  await (db || pool).query(
+    `INSERT INTO auditoria (usuario_id, acao, alvo_tipo, alvo_id, detalhes, ip)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      req?.usuario?.id ?? null,
+      acao,
+      alvoTipo,
+      alvoId === null ? null : String(alvoId),
+      detalhes === null ? null : JSON.stringify(detalhes),
+      req?.ip ?? null,
+    ]
+  );
+}
+
+module.exports = { registrarAuditoria };
@@ -0,0 +1,211 @@
+// ===============================
+// Avatares enviados pelos usuários
+// ===============================
+// O arquivo enviado passa por:
+//   1. detecção do tipo pelos primeiros bytes (o Content-Type do upload não
+//      conta): JPEG, PNG, WebP ou GIF (só o 1º quadro)
+//   2. limites de dimensão (mínimo AVATAR_MIN_LADO no menor lado, máximo
+//      AVATAR_MAX_PIXELS no total, conferido antes de decodificar)
+//   3. rotação pelo EXIF e recorte quadrado: o recorte pedido ({ x, y, lado }
+//      em pixels da imagem já rotacionada) ou o quadrado mais "interessante"
+//   4. redimensionamento para cada um dos TAMANHOS, em WebP, sem metadados
+// Os arquivos vão para o armazenamento (armazenamento/) com um nome novo a
+// cada envio; avatar_url aponta para o tamanho principal e avatar_chave
+// guarda o prefixo. Os arquivos do avatar anterior são apagados depois que
+// o banco já aponta para o novo.
+const crypto = require("crypto");
+const sharp = require("sharp");
+const pool = require("../db/connection");
+const { armazenamento } = require("../armazenamento");
+const { ErroApi, NaoEncontradoError, ValidacaoError } = require("../erros");
+const log = require("../observabilidade/log");
+
+const TAMANHOS = [64, 256, 512];
+const TAMANHO_PRINCIPAL = 256;
+const MAX_BYTES = Number(process.env.AVATAR_MAX_BYTES) || 5 * 1024 * 1024;
+const MIN_LADO = Number(process.env.AVATAR_MIN_LADO) || 64;
+const MAX_PIXELS = Number(process.env.AVATAR_MAX_PIXELS) || 25_000_000;
+const QUALIDADE_WEBP = 82;
+const CACHE_ARQUIVO = "public, max-age=31536000, immutable";
+
+// ===============================
+// Tipo real do arquivo
+// ===============================
+const ASSINATURAS = [
+  { tipo: "image/jpeg", formato: "jpeg", confere: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    tipo: "image/png",
+    formato: "png",
+    confere: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    tipo: "image/webp",
+    formato: "webp",
+    confere: (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP",
+  },
+  { tipo: "image/gif", formato: "gif", confere: (b) => /^GIF8[79]a$/.test(b.toString("latin1", 0, 6)) },
+];
+
+// -> { tipo, formato } ou null
+function detectarTipo(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const achado = ASSINATURAS.find((a) => a.confere(buffer));
+  return achado ? { tipo: achado.tipo, formato: achado.formato } : null;
+}
+
+// ===============================
+// Processamento
+// ===============================
+// Orientações EXIF 5 a 8 giram 90°: largura e altura trocam
+function dimensoesVisiveis({ width, height, orientation }) {
+  return orientation >= 5 ? { largura: height, altura: width } : { largura: width, altura: height };
+}
+
+function conferirRecorte(recorte, { largura, altura }) {
+  const { x, y, lado } = recorte;
+  if (![x, y, lado].every(Number.isInteger) || x < 0 || y < 0 || lado < MIN_LADO) {
+    throw ValidacaoError.campo("recorte", "invalido");
+  }
+  if (x + lado > largura || y + lado > altura) throw ValidacaoError.campo("recorte", "invalido");
+}
+
+// buffer -> { [tamanho]: Buffer WebP }. recorte opcional { x, y, lado }.
+async function gerarTamanhos(buffer, recorte = null) {
+  if (buffer.length > MAX_BYTES) {
+    throw new ErroApi("FILE_TOO_LARGE", { status: 413, params: { max: Math.floor(MAX_BYTES / 1024 / 1024) } });
+  }
+  const detectado = detectarTipo(buffer);
+  if (!detectado) throw new ErroApi("UNSUPPORTED_IMAGE", { status: 415 });
+
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new ErroApi("INVALID_IMAGE", { status: 400, causa: err });
+  }
+  // Cabeçalho de um formato com conteúdo de outro: não arrisca
+  if (meta.format !== detectado.formato || !meta.width || !meta.height) {
+    throw new ErroApi("INVALID_IMAGE", { status: 400 });
+  }
+  if (meta.width * meta.height > MAX_PIXELS) {
+    throw new ErroApi("IMAGE_TOO_LARGE", { status: 400, params: { max: Math.floor(MAX_PIXELS / 1_000_000) } });
+  }
+  const dimensoes = dimensoesVisiveis(meta);
+  if (Math.min(dimensoes.largura, dimensoes.altura) < MIN_LADO) {
+    throw new ErroApi("IMAGE_TOO_SMALL", { status: 400, params: { min: MIN_LADO } });
+  }
+  if (recorte) conferirRecorte(recorte, dimensoes);
+
+  try {
+    // rotate() sem argumento aplica o EXIF; os metadados não vão para a saída
+    let base = sharp(buffer, { limitInputPixels: MAX_PIXELS }).rotate();
+    if (recorte) {
+      base = base.extract({ left: recorte.x, top: recorte.y, width: recorte.lado, height: recorte.lado });
+      // extract depois de rotate exige materializar o passo anterior
+      base = sharp(await base.toBuffer(), { limitInputPixels: MAX_PIXELS });
+    }
+
+    const saidas = await Promise.all(
+      TAMANHOS.map((tamanho) =>
+        base
+          .clone()
+          .resize(tamanho, tamanho, { fit: "cover", position: sharp.strategy.attention })
+          .webp({ quality: QUALIDADE_WEBP })
+          .toBuffer()
+      )
+    );
+    return Object.fromEntries(TAMANHOS.map((tamanho, i) => [tamanho, saidas[i]]));
+  } catch (err) {
+    throw new ErroApi("INVALID_IMAGE", { status: 400, causa: err });
+  }
+}
+
+// ===============================
+// Armazenamento
+// ===============================
+const chaveDoTamanho = (prefixo, tamanho) => `${prefixo}-${tamanho}.webp`;
+
+// avatar_chave -> { "64": url, "256": url, "512": url } (ou null)
+function urlsDoAvatar(prefixo) {
+  if (!prefixo) return null;
+  const store = armazenamento();
+  return Object.fromEntries(TAMANHOS.map((t) => [t, store.url(chaveDoTamanho(prefixo, t))]));
+}
+
+// Não lança: arquivo que sobrar não pode desfazer a troca já gravada
+async function removerArquivos(prefixo) {
+  if (!prefixo) return;
+  const store = armazenamento();
+  const resultados = await Promise.allSettled(TAMANHOS.map((t) => store.remover(chaveDoTamanho(prefixo, t))));
+  const falhas = resultados.filter((r) => r.status === "rejected");
+  if (falhas.length > 0) {
+    log.warn("Falha ao apagar arquivos de avatar antigo", { prefixo, erro: falhas[0].reason });
+  }
+}
+
+// Processa, envia e troca o avatar do usuário.
+// -> { avatar_url, avatares: { tamanho: url } }
+async function salvarAvatar(usuarioId, buffer, recorte = null) {
+  const arquivos = await gerarTamanhos(buffer, recorte);
+  const prefixo = `avatares/${usuarioId}/${crypto.randomBytes(12).toString("base64url")}`;
+  const store = armazenamento();
+
+  try {
+    await Promise.all(
+      TAMANHOS.map((t) =>
+        store.salvar(chaveDoTamanho(prefixo, t), arquivos[t], { tipo: "image/webp", cache: CACHE_ARQUIVO })
+      )
+    );
+  } catch (err) {
+    await removerArquivos(prefixo);
+    throw new ErroApi("STORAGE_UNAVAILABLE", { status: 503, causa: err });
+  }
+
+  const avatarUrl = store.url(chaveDoTamanho(prefixo, TAMANHO_PRINCIPAL));
+  let anterior;
+  try {
+    // Trava a linha para ler o prefixo anterior e trocar de uma vez
+    const r = await pool.query(
+      `UPDATE usuarios u SET avatar_url = $2, avatar_chave = $3
+         FROM (SELECT id, avatar_chave FROM usuarios WHERE id = $1 FOR UPDATE) antes
+        WHERE u.id = antes.id
+        RETURNING antes.avatar_chave AS anterior`,
+      [usuarioId, avatarUrl, prefixo]
+    );
+    if (r.rows.length === 0) throw new NaoEncontradoError("USER_NOT_FOUND");
+    anterior = r.rows[0].anterior;
+  } catch (err) {
+    await removerArquivos(prefixo);
+    throw err;
+  }
+
+  await removerArquivos(anterior);
+  return { avatar_url: avatarUrl, avatares: urlsDoAvatar(prefixo) };
+}
+
+// Volta o usuário para "sem avatar". -> true se havia algum
+async function removerAvatar(usuarioId) {
+  const r = await pool.query(
+    `UPDATE usuarios u SET avatar_url = NULL, avatar_chave = NULL
+       FROM (SELECT id, avatar_url, avatar_chave FROM usuarios WHERE id = $1 FOR UPDATE) antes
+      WHERE u.id = antes.id
+      RETURNING antes.avatar_url, antes.avatar_chave`,
+    [usuarioId]
+  );
+  const antes = r.rows[0];
+  if (!antes || (!antes.avatar_url && !antes.avatar_chave)) return false;
+  await removerArquivos(antes.avatar_chave);
+  return true;
+}
+
+module.exports = {
+  TAMANHOS,
+  TAMANHO_PRINCIPAL,
+  MAX_BYTES,
+  detectarTipo,
+  gerarTamanhos,
+  urlsDoAvatar,
+  removerArquivos,
+  salvarAvatar,
+  removerAvatar,
+};
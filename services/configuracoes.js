@@ -0,0 +1,279 @@
+// ===============================
+// Configuração do site (versionada)
+// ===============================
+// Cada alteração cria uma nova linha em configuracao_versoes com o snapshot
+// completo dos valores e a lista do que mudou. Rollback = nova versão com os
+// valores de uma versão antiga (o histórico nunca é reescrito).
+//
+// SCHEMA descreve as chaves aceitas. Chaves novas no SCHEMA passam a valer
+// com o valor padrão sem precisar de migração; valores antigos que não
+// passam mais na validação também voltam ao padrão na leitura.
+const pool = require("../db/connection");
+const emTransacao = require("../db/transacao");
+const { registrarAuditoria } = require("./auditoria");
+const { ValidacaoError, NaoEncontradoError } = require("../erros");
+const { padraoDe, validarValor, validarCampos } = require("../validacao");
+
+// Chave do advisory lock que serializa as gravações de configuração
+const LOCK_KEY = 724002;
+const CACHE_TTL_MS = 30 * 1000;
+
+const SCHEMA = {
+  site_name: { tipo: "texto", obrigatorio: true, min: 1, max: 120, padrao: "FindMySong", descricao: "Nome exibido no site" },
+  theme: { tipo: "opcao", obrigatorio: true, opcoes: ["light", "dark", "system"], padrao: "light", descricao: "Tema padrão" },
+  items_per_page: { tipo: "inteiro", obrigatorio: true, min: 5, max: 100, padrao: 20, descricao: "Itens por página nas listagens" },
+  language: { tipo: "opcao", obrigatorio: true, opcoes: ["pt-BR", "en", "es"], padrao: "pt-BR", descricao: "Idioma padrão" },
+  default_market: {
+    tipo: "pais",
+    obrigatorio: true,
+    padrao: "BR",
+    descricao: "Mercado (país ISO 3166-1) usado quando a requisição não informa",
+  },
+  featured_playlists: {
+    tipo: "lista",
+    obrigatorio: true,
+    item: { tipo: "texto", min: 1, max: 64 },
+    max: 20,
+    unicos: true,
+    padrao: [],
+    descricao: "IDs de playlists em destaque na home",
+  },
+  features: {
+    tipo: "objeto",
+    obrigatorio: true,
+    estrito: true,
+    descricao: "Liga/desliga recursos do app",
+    campos: {
+      recomendacoes: { tipo: "booleano", obrigatorio: true, padrao: true, descricao: "Recomendações personalizadas" },
+      feedback: { tipo: "booleano", obrigatorio: true, padrao: true, descricao: "Envio de feedback das buscas" },
+      spotify_vinculo: { tipo: "booleano", obrigatorio: true, padrao: true, descricao: "Vincular conta Spotify e exportar/importar" },
+    },
+  },
+};
+
+// Valores inválidos -> HTTP 400 (erros por campo, ver validacao/)
+class ConfiguracaoInvalidaError extends ValidacaoError {
+  constructor(erros) {
+    super(erros, "CONFIG_INVALID");
+    this.name = "ConfiguracaoInvalidaError";
+  }
+}
+
+// Versão pedida não existe -> HTTP 404
+class VersaoNaoEncontradaError extends NaoEncontradoError {
+  constructor(versao) {
+    super("CONFIG_VERSION_NOT_FOUND", { versao });
+    this.name = "VersaoNaoEncontradaError";
+    this.versao = versao;
+  }
+}
+
+// ===============================
+// Validação
+// ===============================
+
+// Aplica uma atualização parcial sobre os valores atuais.
+// Lança ConfiguracaoInvalidaError com todos os problemas encontrados.
+function aplicarAlteracoes(atuais, parcial) {
+  if (!parcial || typeof parcial !== "object" || Array.isArray(parcial)) {
+    throw new ConfiguracaoInvalidaError([{ campo: "", regra: "objeto" }]);
+  }
+
+  const erros = [];
+  const novos = validarCampos(SCHEMA, parcial, erros, { estrito: true, parcial: true, atual: atuais });
+  if (erros.length) throw new ConfiguracaoInvalidaError(erros);
+  return novos;
+}
+
+// Completa com os padrões e descarta valores gravados que não são mais válidos
+function normalizar(gravados = {}) {
+  const valores = {};
+  for (const [chave, def] of Object.entries(SCHEMA)) {
+    const erros = [];
+    const valor =
+      gravados[chave] === undefined || gravados[chave] === null
+        ? undefined
+        : validarValor(def, gravados[chave], chave, erros, {
+            // Objetos: campos novos no SCHEMA entram com o padrão
+            atual: def.tipo === "objeto" ? padraoDe(def) : undefined,
+          });
+    valores[chave] = valor === undefined || erros.length ? padraoDe(def) : valor;
+  }
+  return valores;
+}
+
+// Lista de mudanças entre dois snapshots: [{ chave, de, para }]. Objetos são
+// comparados campo a campo ("features.feedback").
+function diferencas(antes, depois, prefixo = "") {
+  const mudancas = [];
+  const chaves = new Set([...Object.keys(antes || {}), ...Object.keys(depois || {})]);
+  for (const chave of chaves) {
+    const a = antes?.[chave];
+    const d = depois?.[chave];
+    const caminho = prefixo + chave;
+    const ehObjeto = (v) => v && typeof v === "object" && !Array.isArray(v);
+    if (ehObjeto(a) && ehObjeto(d)) {
+      mudancas.push(...diferencas(a, d, `${caminho}.`));
+    } else if (JSON.stringify(a) !== JSON.stringify(d)) {
+      mudancas.push({ chave: caminho, de: a ?? null, para: d ?? null });
+    }
+  }
+  return mudancas;
+}
+
+// Schema em formato JSON para o painel montar o formulário
+function descreverSchema(schema = SCHEMA) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([chave, def]) => {
+      const { campos, item, ...resto } = def;
+      const descricao = { ...resto };
+      if (campos) descricao.campos = descreverSchema(campos);
+      if (item) descricao.item = { ...item };
+      if (def.tipo === "objeto") descricao.padrao = padraoDe(def);
+      return [chave, descricao];
+    })
+  );
+}
+
+// ===============================
+// Leitura (com cache curto em memória)
+// ===============================
+let cache = null;
+
+async function lerUltimaVersao(db) {
+  const r = await db.query(
+    "SELECT versao, valores, criado_em FROM configuracao_versoes ORDER BY versao DESC LIMIT 1"
+  );
+  const linha = r.rows[0];
+  return {
+    versao: linha ? linha.versao : 0,
+    valores: normalizar(linha?.valores),
+    atualizado_em: linha ? linha.criado_em : null,
+  };
+}
+
+// { versao, valores, atualizado_em }. versao 0 = nada gravado ainda (padrões).
+async function obterConfiguracao() {
+  if (cache && cache.expiraEm > Date.now()) return cache.config;
+  const config = await lerUltimaVersao(pool);
+  cache = { config, expiraEm: Date.now() + CACHE_TTL_MS };
+  return config;
+}
+
+// Atalho para ler um valor: await valorConfig("default_market")
+async function valorConfig(chave) {
+  return (await obterConfiguracao()).valores[chave];
+}
+
+async function obterVersao(versao) {
+  const r = await pool.query(
+    `SELECT v.versao, v.valores, v.alteracoes, v.origem, v.restaurada_de, v.comentario,
+            v.criado_em, v.usuario_id, u.email AS usuario_email
+       FROM configuracao_versoes v
+       LEFT JOIN usuarios u ON u.id = v.usuario_id
+      WHERE v.versao = $1`,
+    [versao]
+  );
+  if (r.rows.length === 0) throw new VersaoNaoEncontradaError(versao);
+  return { ...r.rows[0], valores: normalizar(r.rows[0].valores) };
+}
+
+async function listarHistorico({ limit = 20, offset = 0 } = {}) {
+  const [itens, total] = await Promise.all([
+    pool.query(
+      `SELECT v.versao, v.alteracoes, v.origem, v.restaurada_de, v.comentario, v.criado_em,
+              v.usuario_id, u.email AS usuario_email
+         FROM configuracao_versoes v
+         LEFT JOIN usuarios u ON u.id = v.usuario_id
+        ORDER BY v.versao DESC
+        LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    ),
+    pool.query("SELECT COUNT(*)::int AS total FROM configuracao_versoes"),
+  ]);
+  return { itens: itens.rows, total: total.rows[0].total, limit, offset };
+}
+
+// Diferença entre duas versões (0 = valores padrão)
+async function compararVersoes(de, para) {
+  const valoresDe = de === 0 ? normalizar() : (await obterVersao(de)).valores;
+  const valoresPara = para === 0 ? normalizar() : (await obterVersao(para)).valores;
+  return { de, para, alteracoes: diferencas(valoresDe, valoresPara) };
+}
+
+// ===============================
+// Gravação
+// ===============================
+
+// Grava nova versão se "calcular(valoresAtuais)" devolver algo diferente.
+// Retorna { versao, valores, alteracoes, alterada }.
+async function gravarVersao(calcular, { req, origem, restauradaDe = null, comentario = null }) {
+  const resultado = await emTransacao(async (client) => {
+    await client.query("SELECT pg_advisory_xact_lock($1)", [LOCK_KEY]);
+    const atual = await lerUltimaVersao(client);
+    const valores = calcular(atual.valores);
+    const alteracoes = diferencas(atual.valores, valores);
+    if (alteracoes.length === 0) return { ...atual, alteracoes, alterada: false };
+
+    const versao = atual.versao + 1;
+    await client.query(
+      `INSERT INTO configuracao_versoes
+         (versao, valores, alteracoes, usuario_id, origem, restaurada_de, comentario)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        versao,
+        JSON.stringify(valores),
+        JSON.stringify(alteracoes),
+        req?.usuario?.id ?? null,
+        origem,
+        restauradaDe,
+        comentario,
+      ]
+    );
+    await registrarAuditoria(client, {
+      req,
+      acao: origem === "rollback" ? "config.rollback" : "config.salvar",
+      alvoTipo: "config",
+      alvoId: versao,
+      detalhes: { alteracoes, restaurada_de: restauradaDe },
+    });
+    return { versao, valores, alteracoes, alterada: true, atualizado_em: new Date() };
+  });
+
+  cache = null;
+  return resultado;
+}
+
+// Atualização parcial validada: { theme: "dark", features: { feedback: false } }
+function atualizarConfiguracao(parcial, { req, comentario } = {}) {
+  return gravarVersao((atuais) => aplicarAlteracoes(atuais, parcial), {
+    req,
+    origem: "edicao",
+    comentario,
+  });
+}
+
+// Volta para os valores de uma versão anterior (criando uma versão nova)
+async function restaurarVersao(versao, { req, comentario } = {}) {
+  const alvo = await obterVersao(versao);
+  return gravarVersao(() => alvo.valores, {
+    req,
+    origem: "rollback",
+    restauradaDe: versao,
+    comentario,
+  });
+}
+
+module.exports = {
+  SCHEMA,
+  ConfiguracaoInvalidaError,
+  VersaoNaoEncontradaError,
+  descreverSchema,
+  obterConfiguracao,
+  valorConfig,
+  obterVersao,
+  listarHistorico,
+  compararVersoes,
+  atualizarConfiguracao,
+  restaurarVersao,
+};
@@ -0,0 +1,375 @@
+// ===============================
+// Ciclo de vida da conta
+// ===============================
+// Tokens enviados por email (verificação, troca de email, redefinição de
+// senha), exportação dos dados pessoais e exclusão da conta (LGPD).
+// As rotas ficam em routes/conta.js; os textos dos emails em services/emails.js.
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const pool = require("../db/connection");
+const emTransacao = require("../db/transacao");
+const log = require("../observabilidade/log");
+const { hashToken, revogarTodosDoUsuario } = require("./tokens");
+const { registrarAuditoria } = require("./auditoria");
+const { removerArquivos } = require("./avatares");
+const emails = require("./emails");
+const { ErroApi, ValidacaoError, ConflitoError, NaoEncontradoError } = require("../erros");
+
+// Validade de cada tipo de token, em horas
+const VALIDADE_HORAS = {
+  verificacao_email: 48,
+  troca_email: 24,
+  redefinicao_senha: 1,
+};
+
+// ===============================
+// Tokens de uso único
+// ===============================
+// Gera um token novo (só o hash vai para o banco) e invalida os anteriores
+// do mesmo tipo ainda não usados: só o link mais recente funciona.
+async function criarTokenConta(db, usuarioId, tipo, email = null) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await db.query(
+    "UPDATE tokens_conta SET usado_em = NOW() WHERE usuario_id = $1 AND tipo = $2 AND usado_em IS NULL",
+    [usuarioId, tipo]
+  );
+  await db.query(
+    `INSERT INTO tokens_conta (usuario_id, tipo, token_hash, email, expira_em)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))`,
+    [usuarioId, tipo, hashToken(token), email, VALIDADE_HORAS[tipo]]
+  );
+  return token;
+}
+
+// Marca o token como usado e devolve { usuario_id, tipo, email }.
+// Inexistente, já usado, expirado ou de outro tipo -> 400 LINK_INVALID
+// (a mesma resposta para todos, sem dizer qual foi o caso).
+async function consumirTokenConta(db, token, tipos) {
+  const r = await db.query(
+    `UPDATE tokens_conta SET usado_em = NOW()
+      WHERE token_hash = $1 AND tipo = ANY($2::text[])
+        AND usado_em IS NULL AND expira_em > NOW()
+      RETURNING usuario_id, tipo, email`,
+    [hashToken(token), tipos]
+  );
+  if (r.rows.length === 0) throw new ErroApi("LINK_INVALID", { status: 400 });
+  return r.rows[0];
+}
+
+// Confere a senha atual antes de ações sensíveis (trocar senha/email, excluir)
+async function conferirSenha(usuarioId, senha, campo = "senha") {
+  const r = await pool.query("SELECT senha FROM usuarios WHERE id = $1", [usuarioId]);
+  if (r.rows.length === 0) throw new NaoEncontradoError("USER_NOT_FOUND");
+  if (!(await bcrypt.compare(senha, r.rows[0].senha))) throw ValidacaoError.campo(campo, "senha_incorreta");
+}
+
+// ===============================
+// Verificação e troca de email
+// ===============================
+// Envia (ou reenvia) o link de verificação para o email atual da conta
+async function solicitarVerificacao(usuario, idioma) {
+  const token = await criarTokenConta(pool, usuario.id, "verificacao_email", usuario.email);
+  await emails.enviarVerificacao(usuario, token, idioma);
+}
+
+// Cadastro: o email de verificação não pode derrubar a criação da conta
+// (dá para reenviar por POST /me/email/reenviar)
+async function tentarEnviarVerificacao(usuario, idioma) {
+  try {
+    await solicitarVerificacao(usuario, idioma);
+  } catch (err) {
+    log.error("Falha ao enviar email de verificação", { usuario_id: usuario.id, erro: err });
+  }
+}
+
+// A troca só vale depois que o novo endereço confirmar o link
+async function solicitarTrocaEmail(usuarioId, novoEmail, idioma) {
+  const r = await pool.query("SELECT id, nome, email FROM usuarios WHERE id = $1", [usuarioId]);
+  const usuario = r.rows[0];
+  if (!usuario) throw new NaoEncontradoError("USER_NOT_FOUND");
+  if (usuario.email.toLowerCase() === novoEmail.toLowerCase()) throw ValidacaoError.campo("novo_email", "igual_atual");
+
+  const emUso = await pool.query("SELECT 1 FROM usuarios WHERE LOWER(email) = LOWER($1)", [novoEmail]);
+  if (emUso.rows.length > 0) throw new ConflitoError("EMAIL_IN_USE");
+
+  const token = await criarTokenConta(pool, usuario.id, "troca_email", novoEmail);
+  await emails.enviarTrocaEmail(usuario, novoEmail, token, idioma);
+}
+
+// Confirma o token de verificacao_email ou de troca_email. Na troca, o
+// endereço antigo recebe um aviso: se não foi a pessoa, ela fica sabendo.
+// -> { tipo, usuario: { id, nome, email }, email_anterior }
+async function confirmarEmail(token, idioma) {
+  const confirmacao = await emTransacao(async (client) => {
+    const dados = await consumirTokenConta(client, token, ["verificacao_email", "troca_email"]);
+    const atual = await client.query("SELECT id, nome, email FROM usuarios WHERE id = $1 FOR UPDATE", [
+      dados.usuario_id,
+    ]);
+    const usuario = atual.rows[0];
+
+    if (dados.tipo === "verificacao_email") {
+      // O email mudou depois do envio: o link era para o endereço antigo
+      if (usuario.email.toLowerCase() !== dados.email.toLowerCase()) {
+        throw new ErroApi("LINK_INVALID", { status: 400 });
+      }
+      await client.query(
+        "UPDATE usuarios SET email_verificado_em = COALESCE(email_verificado_em, NOW()) WHERE id = $1",
+        [usuario.id]
+      );
+      return { tipo: dados.tipo, usuario, email_anterior: null };
+    }
+
+    // Troca: o endereço pode ter sido cadastrado por outra pessoa nesse meio tempo
+    const emUso = await client.query("SELECT 1 FROM usuarios WHERE LOWER(email) = LOWER($1) AND id <> $2", [
+      dados.email,
+      usuario.id,
+    ]);
+    if (emUso.rows.length > 0) throw new ConflitoError("EMAIL_IN_USE");
+
+    await client.query("UPDATE usuarios SET email = $1, email_verificado_em = NOW() WHERE id = $2", [
+      dados.email,
+      usuario.id,
+    ]);
+    // Links de verificação do endereço antigo deixam de valer
+    await client.query(
+      "UPDATE tokens_conta SET usado_em = NOW() WHERE usuario_id = $1 AND usado_em IS NULL AND tipo <> 'redefinicao_senha'",
+      [usuario.id]
+    );
+    return {
+      tipo: dados.tipo,
+      usuario: { ...usuario, email: dados.email },
+      email_anterior: usuario.email,
+    };
+  });
+
+  if (confirmacao.email_anterior) {
+    const { usuario, email_anterior } = confirmacao;
+    try {
+      await emails.avisarEmailAlterado({ ...usuario, email: email_anterior }, usuario.email, idioma);
+    } catch (err) {
+      log.error("Falha ao avisar troca de email", { usuario_id: usuario.id, erro: err });
+    }
+  }
+  return confirmacao;
+}
+
+// ===============================
+// Senha
+// ===============================
+// Esqueci a senha: só envia se a conta existir e estiver ativa, mas quem
+// chama responde sempre igual, para não revelar quais emails têm conta
+async function solicitarRedefinicao(email, idioma) {
+  const r = await pool.query(
+    "SELECT id, nome, email FROM usuarios WHERE LOWER(email) = LOWER($1) AND suspenso_em IS NULL",
+    [email]
+  );
+  const usuario = r.rows[0];
+  if (!usuario) return;
+  const token = await criarTokenConta(pool, usuario.id, "redefinicao_senha");
+  await emails.enviarRedefinicao(usuario, token, idioma);
+}
+
+// Nova senha e todas as sessões encerradas (quem tinha a senha antiga sai).
+// Redefinir pelo link também confirma o email: o link chegou nele.
+// -> { id, nome, email, papel }
+async function definirSenha(db, usuarioId, novaSenha, { confirmarEmail: confirmar = false } = {}) {
+  const senhaHash = await bcrypt.hash(novaSenha, 10);
+  const r = await db.query(
+    `UPDATE usuarios
+        SET senha = $2,
+            email_verificado_em = CASE WHEN $3::boolean THEN COALESCE(email_verificado_em, NOW())
+                                       ELSE email_verificado_em END
+      WHERE id = $1
+      RETURNING id, nome, email, papel`,
+    [usuarioId, senhaHash, confirmar]
+  );
+  if (r.rows.length === 0) throw new NaoEncontradoError("USER_NOT_FOUND");
+  await revogarTodosDoUsuario(usuarioId, db);
+  // Outros links de redefinição pendentes deixam de valer
+  await db.query(
+    "UPDATE tokens_conta SET usado_em = NOW() WHERE usuario_id = $1 AND tipo = 'redefinicao_senha' AND usado_em IS NULL",
+    [usuarioId]
+  );
+  return r.rows[0];
+}
+
+async function redefinirSenha(token, novaSenha) {
+  return emTransacao(async (client) => {
+    const { usuario_id } = await consumirTokenConta(client, token, ["redefinicao_senha"]);
+    return definirSenha(client, usuario_id, novaSenha, { confirmarEmail: true });
+  });
+}
+
+async function alterarSenha(usuarioId, senhaAtual, novaSenha) {
+  await conferirSenha(usuarioId, senhaAtual, "senha_atual");
+  return emTransacao((client) => definirSenha(client, usuarioId, novaSenha));
+}
+
+// Aviso por email depois de trocar/redefinir a senha (não lança)
+async function avisarSenhaAlterada(usuario, idioma) {
+  try {
+    await emails.avisarSenhaAlterada(usuario, idioma);
+  } catch (err) {
+    log.error("Falha ao enviar aviso de senha alterada", { usuario_id: usuario.id, erro: err });
+  }
+}
+
+// ===============================
+// Exportação (LGPD)
+// ===============================
+// Tudo o que guardamos sobre a pessoa, num único JSON. Segredos (hash da
+// senha, tokens de sessão, tokens do Spotify) não saem: só os metadados.
+async function exportarDados(usuarioId) {
+  const consultar = async (sql) => (await pool.query(sql, [usuarioId])).rows;
+
+  const [conta] = await consultar(
+    `SELECT id, nome, email, papel, criado_em, email_verificado_em, avatar_url,
+            historico_buscas, curtidas_publicas, suspenso_em, suspenso_motivo
+       FROM usuarios WHERE id = $1`
+  );
+  if (!conta) throw new NaoEncontradoError("USER_NOT_FOUND");
+
+  const playlists = await consultar(
+    `SELECT p.id, p.nome, p.descricao, p.visibilidade, p.data_criacao, p.atualizada_em,
+            COALESCE(json_agg(json_build_object(
+              'spotify_id', pm.spotify_id, 'titulo', f.titulo, 'artista', f.artista,
+              'posicao', pm.posicao, 'adicionada_em', pm.adicionada_em
+            ) ORDER BY pm.posicao) FILTER (WHERE pm.id IS NOT NULL), '[]') AS musicas
+       FROM playlists p
+       LEFT JOIN playlist_musicas pm ON pm.playlist_id = p.id
+       LEFT JOIN faixas f ON f.id = pm.spotify_id
+      WHERE p.usuario_id = $1
+      GROUP BY p.id
+      ORDER BY p.id`
+  );
+
+  return {
+    gerado_em: new Date().toISOString(),
+    conta,
+    curtidas: await consultar(
+      `SELECT c.spotify_id, f.titulo, f.artista, f.imagem, f.url, c.market, c.criado_em
+         FROM curtidas c JOIN faixas f ON f.id = c.spotify_id
+        WHERE c.usuario_id = $1 ORDER BY c.criado_em`
+    ),
+    biblioteca: await consultar(
+      `SELECT b.spotify_id, f.titulo, f.artista, f.imagem, f.url, b.market, b.criado_em
+         FROM biblioteca b JOIN faixas f ON f.id = b.spotify_id
+        WHERE b.usuario_id = $1 ORDER BY b.criado_em`
+    ),
+    playlists,
+    // Playlists de outras pessoas em que participa
+    participacoes: await consultar(
+      `SELECT pm.playlist_id, p.nome, pm.papel, pm.criado_em
+         FROM playlist_membros pm
+         JOIN playlists p ON p.id = pm.playlist_id
+        WHERE pm.usuario_id = $1 AND p.usuario_id <> $1
+        ORDER BY pm.criado_em`
+    ),
+    convites_recebidos: await consultar(
+      `SELECT playlist_id, papel, estado, criado_em, respondido_em
+         FROM playlist_convites WHERE convidado_id = $1 ORDER BY criado_em`
+    ),
+    seguindo: await consultar(
+      `SELECT u.id, u.nome, s.criado_em
+         FROM seguidores s JOIN usuarios u ON u.id = s.seguido_id
+        WHERE s.seguidor_id = $1 ORDER BY s.criado_em`
+    ),
+    seguidores: await consultar(
+      `SELECT u.id, u.nome, s.criado_em
+         FROM seguidores s JOIN usuarios u ON u.id = s.seguidor_id
+        WHERE s.seguido_id = $1 ORDER BY s.criado_em`
+    ),
+    buscas: await consultar(
+      "SELECT query, market, criado_em FROM buscas WHERE usuario_id = $1 ORDER BY criado_em"
+    ),
+    feedbacks: await consultar(
+      "SELECT query, nota, comentario, data_envio FROM feedbacks WHERE usuario_id = $1 ORDER BY data_envio"
+    ),
+    sessoes: await consultar(
+      `SELECT user_agent, criado_em, expira_em, revogado_em
+         FROM refresh_tokens WHERE usuario_id = $1 ORDER BY criado_em`
+    ),
+    spotify: (
+      await consultar(
+        "SELECT spotify_user_id, escopos, conectado_em FROM spotify_contas WHERE usuario_id = $1"
+      )
+    )[0] || null,
+    // Ações administrativas feitas por esta conta (com o IP de origem)
+    auditoria: await consultar(
+      `SELECT acao, alvo_tipo, alvo_id, ip, criado_em
+         FROM auditoria WHERE usuario_id = $1 ORDER BY criado_em`
+    ),
+  };
+}
+
+// ===============================
+// Exclusão (LGPD)
+// ===============================
+// Apaga curtidas, biblioteca e as playlists criadas pela pessoa (com as
+// músicas), e anonimiza os feedbacks: query e nota continuam nos relatórios,
+// sem vínculo e sem o comentário. O resto (sessões, seguidores, buscas,
+// participações, Spotify...) sai em cascata com a linha de usuarios.
+// Músicas que ela adicionou em playlists de outras pessoas ficam, sem autor.
+// -> contagens do que foi removido
+async function excluirConta(usuarioId, { req } = {}) {
+  const { avatarChave, removidos } = await emTransacao(async (client) => {
+    const r = await client.query("SELECT papel, avatar_chave FROM usuarios WHERE id = $1 FOR UPDATE", [
+      usuarioId,
+    ]);
+    if (r.rows.length === 0) throw new NaoEncontradoError("USER_NOT_FOUND");
+
+    // O painel admin não pode ficar sem ninguém
+    if (r.rows[0].papel === "admin") {
+      const outros = await client.query(
+        "SELECT 1 FROM usuarios WHERE papel = 'admin' AND suspenso_em IS NULL AND id <> $1 LIMIT 1",
+        [usuarioId]
+      );
+      if (outros.rows.length === 0) throw new ConflitoError("LAST_ADMIN");
+    }
+
+    const contar = async (sql) => (await client.query(sql, [usuarioId])).rowCount;
+    const removidos = {
+      feedbacks_anonimizados: await contar(
+        "UPDATE feedbacks SET usuario_id = NULL, comentario = '' WHERE usuario_id = $1"
+      ),
+      playlist_musicas: await contar(
+        "DELETE FROM playlist_musicas WHERE playlist_id IN (SELECT id FROM playlists WHERE usuario_id = $1)"
+      ),
+      playlists: await contar("DELETE FROM playlists WHERE usuario_id = $1"),
+      curtidas: await contar("DELETE FROM curtidas WHERE usuario_id = $1"),
+      biblioteca: await contar("DELETE FROM biblioteca WHERE usuario_id = $1"),
+    };
+
+    // Gravada antes do DELETE: o usuario_id da auditoria vira NULL em cascata
+    await registrarAuditoria(client, {
+      req,
+      acao: "conta.excluida",
+      alvoTipo: "usuario",
+      alvoId: usuarioId,
+      detalhes: removidos,
+    });
+    await client.query("DELETE FROM usuarios WHERE id = $1", [usuarioId]);
+    return { avatarChave: r.rows[0].avatar_chave, removidos };
+  });
+
+  // Arquivos só depois do commit (não lança)
+  if (avatarChave) await removerArquivos(avatarChave);
+  return removidos;
+}
+
+module.exports = {
+  VALIDADE_HORAS,
+  criarTokenConta,
+  consumirTokenConta,
+  conferirSenha,
+  solicitarVerificacao,
+  tentarEnviarVerificacao,
+  solicitarTrocaEmail,
+  confirmarEmail,
+  solicitarRedefinicao,
+  redefinirSenha,
+  alterarSenha,
+  avisarSenhaAlterada,
+  exportarDados,
+  excluirConta,
+};
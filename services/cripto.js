@@ -0,0 +1,30 @@
+// ===============================
+// Cifra de segredos guardados no banco (AES-256-GCM)
+// ===============================
+const crypto = require("crypto");
+
+// A chave vem de TOKEN_ENCRYPTION_KEY (qualquer texto longo e aleatório)
+function chave() {
+  const segredo = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!segredo) throw new Error("TOKEN_ENCRYPTION_KEY não definido.");
+  return crypto.createHash("sha256").update(segredo).digest();
+}
+
+// Formato: "v1:<iv>:<tag>:<dados>" (base64url)
+function cifrar(texto) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", chave(), iv);
+  const dados = Buffer.concat([cipher.update(String(texto), "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ["v1", iv, tag, dados].map((p) => (Buffer.isBuffer(p) ? p.toString("base64url") : p)).join(":");
+}
+
+function decifrar(valor) {
+  const [versao, iv, tag, dados] = String(valor).split(":");
+  if (versao !== "v1") throw new Error("Formato de segredo cifrado desconhecido.");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", chave(), Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([decipher.update(Buffer.from(dados, "base64url")), decipher.final()]).toString("utf8");
+}
+
+module.exports = { cifrar, decifrar };
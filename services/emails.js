@@ -0,0 +1,59 @@
+// ===============================
+// Emails da conta (textos)
+// ===============================
+// Cada função monta o email no idioma informado (chaves "emails.*" em i18n/)
+// e envia pelo transporte configurado (email/). Os links apontam para o
+// front: APP_URL (padrão http://localhost:5173) + caminho + ?token=...
+const { traduzir } = require("../i18n");
+const { enviarEmail } = require("../email");
+
+function link(caminho, token) {
+  const base = (process.env.APP_URL || "http://localhost:5173").replace(/\/+$/, "");
+  return `${base}${caminho}?token=${encodeURIComponent(token)}`;
+}
+
+function montar(tipo, idioma, params) {
+  return {
+    assunto: traduzir(`emails.${tipo}.assunto`, idioma, params),
+    texto: traduzir(`emails.${tipo}.texto`, idioma, params),
+  };
+}
+
+async function enviarVerificacao({ nome, email }, token, idioma) {
+  const { assunto, texto } = montar("verificacao", idioma, { nome, link: link("/verificar-email", token) });
+  await enviarEmail({ para: email, assunto, texto });
+}
+
+// Vai para o endereço novo: só ele pode confirmar a troca
+async function enviarTrocaEmail({ nome }, novoEmail, token, idioma) {
+  const { assunto, texto } = montar("troca_email", idioma, {
+    nome,
+    email: novoEmail,
+    link: link("/verificar-email", token),
+  });
+  await enviarEmail({ para: novoEmail, assunto, texto });
+}
+
+// Aviso ao endereço antigo, depois que a troca foi confirmada
+async function avisarEmailAlterado({ nome, email }, novoEmail, idioma) {
+  const { assunto, texto } = montar("email_alterado", idioma, { nome, email: novoEmail });
+  await enviarEmail({ para: email, assunto, texto });
+}
+
+async function enviarRedefinicao({ nome, email }, token, idioma) {
+  const { assunto, texto } = montar("redefinicao", idioma, { nome, link: link("/redefinir-senha", token) });
+  await enviarEmail({ para: email, assunto, texto });
+}
+
+async function avisarSenhaAlterada({ nome, email }, idioma) {
+  const { assunto, texto } = montar("senha_alterada", idioma, { nome });
+  await enviarEmail({ para: email, assunto, texto });
+}
+
+module.exports = {
+  enviarVerificacao,
+  enviarTrocaEmail,
+  avisarEmailAlterado,
+  enviarRedefinicao,
+  avisarSenhaAlterada,
+};
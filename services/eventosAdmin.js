@@ -0,0 +1,157 @@
+// ===============================
+// Eventos ao vivo do painel admin
+// ===============================
+// publicarEvento(tipo, dados) manda o evento por NOTIFY no canal
+// "eventos_admin"; toda instância do app escuta (LISTEN) o canal e repassa
+// para os painéis conectados a ela (routes/adminEventos.js). Assim um
+// cadastro feito na instância A aparece para o admin ligado na instância B.
+//
+// O id vem de uma sequence (migrations/019) e é o mesmo em todas as
+// instâncias. O Postgres entrega os NOTIFY na ordem dos commits, igual para
+// todos, então cada instância guarda os últimos TAMANHO_BUFFER eventos na
+// ordem de chegada e consegue repetir o que veio depois de um Last-Event-ID.
+// Se o id não está mais no buffer (ou a escuta caiu por um tempo), quem
+// reconecta recebe um aviso de "lacuna" e deve recarregar pelas rotas REST.
+const pool = require("../db/connection");
+const log = require("../observabilidade/log");
+const metricas = require("../observabilidade/metricas");
+
+const CANAL = "eventos_admin";
+// Importação de curtidas gera um evento só, com a quantidade (curtidas.importadas)
+const TIPOS_EVENTO = [
+  "usuario.criado",
+  "feedback.criado",
+  "curtida.criada",
+  "curtidas.importadas",
+  "playlist.criada",
+];
+const TAMANHO_BUFFER = Number(process.env.ADMIN_EVENTOS_BUFFER) || 500;
+const RECONEXAO_MS = 5000;
+
+// Eventos recentes, na ordem em que chegaram: { id, tipo, criado_em, dados }
+const buffer = [];
+// Funções (evento) => void dos painéis conectados nesta instância
+const assinantes = new Set();
+
+let escuta = null; // Promise da escuta ativa (ou em andamento)
+let pararEscuta = null;
+
+metricas.coletado("admin_events_subscribers", "Painéis admin conectados ao stream de eventos", "gauge", () => [
+  { valor: assinantes.size },
+]);
+
+// ===============================
+// Publicação
+// ===============================
+// Não lança: o evento é um extra, não pode derrubar o cadastro/curtida/...
+// "dados" precisa caber no limite do NOTIFY (8000 bytes): mande só o resumo.
+async function publicarEvento(tipo, dados) {
+  if (!TIPOS_EVENTO.includes(tipo)) throw new Error(`Tipo de evento desconhecido: ${tipo}`);
+  try {
+    await pool.query(
+      `SELECT pg_notify($1, json_build_object(
+          'id', nextval('eventos_admin_id_seq'),
+          'tipo', $2::text,
+          'criado_em', NOW(),
+          'dados', $3::json
+        )::text)`,
+      [CANAL, tipo, JSON.stringify(dados)]
+    );
+  } catch (err) {
+    log.error("Falha ao publicar evento do painel admin", { tipo, erro: err });
+  }
+}
+
+// ===============================
+// Recebimento (LISTEN)
+// ===============================
+function avisar(evento) {
+  for (const entregar of assinantes) {
+    try {
+      entregar(evento);
+    } catch (err) {
+      log.warn("Falha ao entregar evento ao painel", { erro: err });
+    }
+  }
+}
+
+function receber(payload) {
+  let evento;
+  try {
+    evento = JSON.parse(payload);
+    evento.id = String(evento.id);
+  } catch (err) {
+    log.warn("Evento do painel admin ilegível", { erro: err });
+    return;
+  }
+  buffer.push(evento);
+  if (buffer.length > TAMANHO_BUFFER) buffer.splice(0, buffer.length - TAMANHO_BUFFER);
+  avisar(evento);
+}
+
+// Começa a escutar o canal (uma vez por processo). Se a conexão cair, tenta
+// de novo a cada RECONEXAO_MS e avisa os painéis de que pode ter havido perda.
+function iniciarEventosAdmin() {
+  if (!escuta) {
+    escuta = pool
+      .escutar(CANAL, receber, { aoFalhar: reconectar })
+      .then((parar) => {
+        pararEscuta = parar;
+      })
+      .catch((err) => {
+        reconectar(err);
+      });
+  }
+  return escuta;
+}
+
+function reconectar(err) {
+  log.error("Escuta de eventos do painel admin caiu; tentando de novo", { erro: err });
+  pararEscuta = null;
+  avisar({ tipo: "lacuna" });
+  const timer = setTimeout(() => {
+    escuta = null;
+    iniciarEventosAdmin();
+  }, RECONEXAO_MS);
+  timer.unref();
+}
+
+async function pararEventosAdmin() {
+  const parar = pararEscuta;
+  escuta = null;
+  pararEscuta = null;
+  if (parar) await parar();
+}
+
+// ===============================
+// Assinatura
+// ===============================
+// Eventos do buffer depois de "ultimoId" (null = nenhum).
+// -> { eventos, lacuna } ; lacuna = o id não está mais no buffer
+function eventosDepoisDe(ultimoId) {
+  if (ultimoId === null || ultimoId === undefined) return { eventos: [], lacuna: false };
+  const posicao = buffer.findIndex((e) => e.id === String(ultimoId));
+  if (posicao === -1) return { eventos: buffer.slice(), lacuna: true };
+  return { eventos: buffer.slice(posicao + 1), lacuna: false };
+}
+
+// entregar(evento) é chamado a cada evento novo ({ tipo: "lacuna" } quando
+// a escuta caiu). O que veio depois de ultimoId já sai em "pendentes": a
+// leitura do buffer e a inscrição acontecem juntas, sem perder nada no meio.
+// -> { pendentes, lacuna, cancelar }
+async function assinarEventos(entregar, { ultimoId = null } = {}) {
+  await iniciarEventosAdmin();
+  const { eventos, lacuna } = eventosDepoisDe(ultimoId);
+  assinantes.add(entregar);
+  return { pendentes: eventos, lacuna, cancelar: () => assinantes.delete(entregar) };
+}
+
+module.exports = {
+  TIPOS_EVENTO,
+  TAMANHO_BUFFER,
+  publicarEvento,
+  iniciarEventosAdmin,
+  pararEventosAdmin,
+  eventosDepoisDe,
+  assinarEventos,
+};
@@ -0,0 +1,213 @@
+// ===============================
+// Faixas (catálogo local)
+// ===============================
+// Curtidas, biblioteca e playlists guardam só o id da faixa; os dados
+// (título, artista, capa, preview...) ficam em "faixas", com artistas e
+// álbuns (migração 022). Quem grava aqui é o servidor, com o que veio do
+// catálogo: o que o cliente manda junto com o spotify_id é ignorado.
+//
+// Os dados envelhecem (capa nova, preview que expira, faixa que some do
+// provedor): iniciarAtualizacaoFaixas() revisa em segundo plano as mais
+// antigas a cada FAIXAS_INTERVALO_MS (padrão 15 min), FAIXAS_LOTE por vez
+// (padrão 100), as que não são atualizadas há FAIXAS_VALIDADE_MS (padrão 7 dias).
+const pool = require("../db/connection");
+const emTransacao = require("../db/transacao");
+const { catalogo } = require("../catalog");
+const { CatalogoError } = require("../catalog/erros");
+const { NaoEncontradoError } = require("../erros");
+const { idDaReferencia } = require("../formatos");
+const log = require("../observabilidade/log");
+
+const INTERVALO_PADRAO_MS = 15 * 60 * 1000;
+const LOTE_PADRAO = 100;
+const VALIDADE_PADRAO_MS = 7 * 24 * 3600 * 1000;
+// Consultas ao catálogo em paralelo ao gravar faixas novas
+const CONSULTAS_SIMULTANEAS = 4;
+
+// Dados da faixa nos SELECTs das tabelas de uso (JOIN faixas f)
+const COLUNAS_FAIXA = "f.titulo, f.artista, f.imagem, f.url, f.preview_url, f.duracao_ms";
+
+// "spotify:track:<id>" ou o link público valem pelo id
+function idDaFaixa(ref) {
+  return idDaReferencia(ref) || String(ref).trim();
+}
+
+// ===============================
+// Gravação
+// ===============================
+// Grava (ou atualiza) faixas no formato do catálogo, com artistas e álbum
+async function salvarFaixas(faixas, db = null) {
+  if (faixas.length === 0) return;
+  const artistas = new Map();
+  const albuns = new Map();
+  for (const f of faixas) {
+    (f.artistas_ids || []).forEach((id, i) => {
+      if (id && f.artistas?.[i]) artistas.set(id, { id, provedor: f.provedor, nome: f.artistas[i] });
+    });
+    if (f.album_id && f.album) {
+      albuns.set(f.album_id, { id: f.album_id, provedor: f.provedor, titulo: f.album, imagem: f.imagem ?? null });
+    }
+  }
+  const creditos = faixas.flatMap((f) =>
+    (f.artistas_ids || [])
+      .filter((id) => artistas.has(id))
+      .map((artista_id, i) => ({ faixa_id: f.id, artista_id, posicao: i + 1 }))
+  );
+  const comCreditos = faixas.filter((f) => f.artistas_ids?.length).map((f) => f.id);
+
+  const gravar = async (client) => {
+    await client.query(
+      `INSERT INTO artistas (id, provedor, nome)
+       SELECT a.id, a.provedor, a.nome FROM json_to_recordset($1::json) AS a(id TEXT, provedor TEXT, nome TEXT)
+       ON CONFLICT (id) DO UPDATE SET nome = EXCLUDED.nome, atualizado_em = NOW()`,
+      [JSON.stringify([...artistas.values()])]
+    );
+    await client.query(
+      `INSERT INTO albuns (id, provedor, titulo, imagem)
+       SELECT a.id, a.provedor, a.titulo, a.imagem
+         FROM json_to_recordset($1::json) AS a(id TEXT, provedor TEXT, titulo TEXT, imagem TEXT)
+       ON CONFLICT (id) DO UPDATE
+         SET titulo = EXCLUDED.titulo, imagem = EXCLUDED.imagem, atualizado_em = NOW()`,
+      [JSON.stringify([...albuns.values()])]
+    );
+    await client.query(
+      `INSERT INTO faixas (id, provedor, titulo, artista, album_id, imagem, url, preview_url,
+                           duracao_ms, explicita, atualizado_em)
+       SELECT f.id, f.provedor, f.titulo, f.artista, f.album_id, f.imagem, f.url, f.preview_url,
+              f.duracao_ms, COALESCE(f.explicita, FALSE), NOW()
+         FROM json_to_recordset($1::json) AS f(id TEXT, provedor TEXT, titulo TEXT, artista TEXT,
+              album_id TEXT, imagem TEXT, url TEXT, preview_url TEXT, duracao_ms INT, explicita BOOLEAN)
+       ON CONFLICT (id) DO UPDATE
+         SET provedor = EXCLUDED.provedor, titulo = EXCLUDED.titulo, artista = EXCLUDED.artista,
+             album_id = EXCLUDED.album_id, imagem = EXCLUDED.imagem, url = EXCLUDED.url,
+             preview_url = EXCLUDED.preview_url, duracao_ms = EXCLUDED.duracao_ms,
+             explicita = EXCLUDED.explicita, atualizado_em = NOW(), indisponivel_em = NULL`,
+      [JSON.stringify(faixas.map((f) => ({ ...f, album_id: albuns.has(f.album_id) ? f.album_id : null })))]
+    );
+    await client.query("DELETE FROM faixa_artistas WHERE faixa_id = ANY($1::text[])", [comCreditos]);
+    await client.query(
+      `INSERT INTO faixa_artistas (faixa_id, artista_id, posicao)
+       SELECT c.faixa_id, c.artista_id, c.posicao
+         FROM json_to_recordset($1::json) AS c(faixa_id TEXT, artista_id TEXT, posicao INT)`,
+      [JSON.stringify(creditos)]
+    );
+  };
+  await (db ? gravar(db) : emTransacao(gravar));
+}
+
+// Garante que os ids existem em "faixas", buscando no catálogo os que ainda
+// não existem. Id que o catálogo não conhece -> 404 TRACK_NOT_FOUND; erro do
+// provedor sobe (melhor recusar do que gravar dados sem conferir).
+// -> Map(id -> { id, titulo, artista, imagem, url, preview_url, duracao_ms })
+async function garantirFaixas(ids, { market } = {}) {
+  const unicos = [...new Set(ids)];
+  const jaSalvas = await pool.query("SELECT id FROM faixas WHERE id = ANY($1::text[])", [unicos]);
+  const conhecidas = new Set(jaSalvas.rows.map((r) => r.id));
+  const faltando = unicos.filter((id) => !conhecidas.has(id));
+
+  const novas = [];
+  for (let i = 0; i < faltando.length; i += CONSULTAS_SIMULTANEAS) {
+    const lote = faltando.slice(i, i + CONSULTAS_SIMULTANEAS);
+    const encontradas = await Promise.all(lote.map((id) => catalogo.obterFaixa(id, { market })));
+    encontradas.forEach((faixa, j) => {
+      if (!faixa) throw new NaoEncontradoError("TRACK_NOT_FOUND");
+      // Gravada com o id pedido, mesmo que o provedor tenha trocado por outra versão
+      novas.push({ ...faixa, id: lote[j] });
+    });
+  }
+  await salvarFaixas(novas);
+
+  const r = await pool.query(
+    `SELECT f.id, ${COLUNAS_FAIXA} FROM faixas f WHERE f.id = ANY($1::text[])`,
+    [unicos]
+  );
+  return new Map(r.rows.map((f) => [f.id, f]));
+}
+
+async function garantirFaixa(id, opcoes) {
+  return (await garantirFaixas([id], opcoes)).get(id);
+}
+
+// ===============================
+// Atualização em segundo plano
+// ===============================
+// Revisa no provedor (sem o cache do catálogo, que na falha devolveria
+// dados vencidos) as faixas nunca confirmadas e as mais antigas. Só as que
+// alguém ainda curte, guarda ou tem em playlist: as outras ficam como estão.
+// Se o provedor falhar, para e deixa o resto para a próxima rodada.
+// -> { verificadas, atualizadas, indisponiveis, interrompida }
+async function atualizarFaixas({
+  limite = Number(process.env.FAIXAS_LOTE) || LOTE_PADRAO,
+  validadeMs = Number(process.env.FAIXAS_VALIDADE_MS) || VALIDADE_PADRAO_MS,
+} = {}) {
+  const r = await pool.query(
+    `SELECT f.id FROM faixas f
+      WHERE (f.atualizado_em IS NULL OR f.atualizado_em < NOW() - make_interval(secs => $1))
+        AND (EXISTS (SELECT 1 FROM curtidas c WHERE c.spotify_id = f.id)
+          OR EXISTS (SELECT 1 FROM biblioteca b WHERE b.spotify_id = f.id)
+          OR EXISTS (SELECT 1 FROM playlist_musicas pm WHERE pm.spotify_id = f.id))
+      ORDER BY f.atualizado_em NULLS FIRST, f.id
+      LIMIT $2`,
+    [validadeMs / 1000, limite]
+  );
+
+  const resumo = { verificadas: 0, atualizadas: 0, indisponiveis: 0, interrompida: false };
+  for (const { id } of r.rows) {
+    let faixa;
+    try {
+      faixa = await catalogo.obterFaixaSemCache(id);
+    } catch (err) {
+      if (!(err instanceof CatalogoError)) throw err;
+      log.warn("Atualização das faixas interrompida: catálogo indisponível", { erro: err });
+      resumo.interrompida = true;
+      break;
+    }
+    resumo.verificadas += 1;
+    if (faixa) {
+      await salvarFaixas([{ ...faixa, id }]);
+      resumo.atualizadas += 1;
+    } else {
+      await pool.query(
+        `UPDATE faixas SET atualizado_em = NOW(), indisponivel_em = COALESCE(indisponivel_em, NOW())
+          WHERE id = $1`,
+        [id]
+      );
+      resumo.indisponiveis += 1;
+    }
+  }
+  return resumo;
+}
+
+// Roda já e depois a cada intervaloMs (uma rodada por vez). Devolve a função que para o timer.
+function iniciarAtualizacaoFaixas({
+  intervaloMs = Number(process.env.FAIXAS_INTERVALO_MS) || INTERVALO_PADRAO_MS,
+} = {}) {
+  let rodando = false;
+  const atualizar = async () => {
+    if (rodando) return;
+    rodando = true;
+    try {
+      const resumo = await atualizarFaixas();
+      if (resumo.verificadas > 0) log.info("Faixas atualizadas", resumo);
+    } catch (err) {
+      log.error("Falha ao atualizar as faixas", { erro: err });
+    } finally {
+      rodando = false;
+    }
+  };
+
+  atualizar();
+  const timer = setInterval(atualizar, intervaloMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  COLUNAS_FAIXA,
+  idDaFaixa,
+  salvarFaixas,
+  garantirFaixas,
+  garantirFaixa,
+  atualizarFaixas,
+  iniciarAtualizacaoFaixas,
+};
@@ -0,0 +1,31 @@
+// ===============================
+// Histórico de buscas
+// ===============================
+// Cada busca feita com login (primeira página) vira uma linha em "buscas",
+// a não ser que o usuário tenha desligado o histórico
+// (usuarios.historico_buscas = false). Alimenta as buscas recentes do
+// usuário e as tendências (services/tendencias.js).
+const pool = require("../db/connection");
+const log = require("../observabilidade/log");
+
+// "  Ondas   de VERÃO " -> "ondas de verão"
+function normalizarTermo(query) {
+  return String(query).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// Não lança: falhar ao registrar não pode derrubar a busca
+async function registrarBusca(usuarioId, query, market) {
+  const termo = normalizarTermo(query);
+  if (!termo) return;
+  try {
+    await pool.query(
+      `INSERT INTO buscas (usuario_id, query, termo, market)
+       SELECT id, $2, $3, $4 FROM usuarios WHERE id = $1 AND historico_buscas`,
+      [usuarioId, String(query).trim(), termo, market || null]
+    );
+  } catch (err) {
+    log.error("Falha ao registrar a busca", { erro: err });
+  }
+}
+
+module.exports = { normalizarTermo, registrarBusca };
@@ -0,0 +1,193 @@
+// ===============================
+// Importação de músicas (curtidas, biblioteca, playlists)
+// ===============================
+// Cada entrada lida do arquivo (formatos/) é casada com uma faixa do catálogo:
+//   1. pelo id, quando o arquivo traz um (spotify_id, URI ou link)
+//   2. senão (ou se o id não existir no provedor atual), por busca no
+//      catálogo com "título artista" e comparação aproximada dos nomes
+// Só o que casou é gravado: as faixas do catálogo em "faixas"
+// (services/faixas.js) e os ids em curtidas/biblioteca/playlist. Repetidas
+// (no arquivo ou já salvas) são ignoradas pela unicidade
+// (usuario_id, spotify_id), então importar o mesmo arquivo de novo não duplica.
+const pool = require("../db/connection");
+const { catalogo } = require("../catalog");
+const { salvarFaixas } = require("./faixas");
+
+// Semelhança mínima (0..1) para aceitar uma faixa da busca
+const LIMIAR_SEMELHANCA = 0.75;
+const PESO_TITULO = 0.6;
+const CANDIDATOS_POR_BUSCA = 10;
+// Buscas ao catálogo em paralelo (o cache e o rate limit do provedor agradecem)
+const BUSCAS_SIMULTANEAS = 4;
+const MAX_LINHAS_IMPORTACAO = 2000;
+
+const TABELAS = ["curtidas", "biblioteca"];
+
+// "Garota de Ipanema (Remastered 2019) - Ao Vivo" -> "garota de ipanema"
+function normalizarNome(texto) {
+  return String(texto || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s[-–]\s.*$/, "")
+    .replace(/[([].*?[)\]]/g, " ")
+    .replace(/\b(?:feat|ft|featuring)\b\.?.*$/, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function bigramas(texto) {
+  const t = ` ${texto} `;
+  const lista = [];
+  for (let i = 0; i < t.length - 1; i += 1) lista.push(t.slice(i, i + 2));
+  return lista;
+}
+
+// Coeficiente de Dice sobre bigramas de caracteres (1 = iguais)
+function semelhanca(a, b) {
+  const x = normalizarNome(a);
+  const y = normalizarNome(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const contagem = new Map();
+  for (const bg of bigramas(x)) contagem.set(bg, (contagem.get(bg) || 0) + 1);
+  let comuns = 0;
+  const deY = bigramas(y);
+  for (const bg of deY) {
+    const n = contagem.get(bg);
+    if (n) {
+      comuns += 1;
+      contagem.set(bg, n - 1);
+    }
+  }
+  return (2 * comuns) / (bigramas(x).length + deY.length);
+}
+
+// "A, B & C feat. D" -> ["A", "B", "C", "D"]
+function separarArtistas(texto) {
+  return String(texto || "")
+    .split(/\s*(?:,|;|&|\/|\bfeat\.?|\bft\.?|\be\b|\band\b|\by\b)\s*/i)
+    .filter(Boolean);
+}
+
+function pontuar(entrada, faixa) {
+  const titulo = semelhanca(entrada.titulo, faixa.titulo);
+  if (!entrada.artista) return titulo;
+
+  // Compara o nome inteiro e cada artista separado ("Simon & Garfunkel")
+  const daEntrada = [entrada.artista, ...separarArtistas(entrada.artista)];
+  const daFaixa = [faixa.artista, ...(faixa.artistas || separarArtistas(faixa.artista))];
+  const artista = Math.max(0, ...daEntrada.flatMap((a) => daFaixa.map((b) => semelhanca(a, b))));
+  return PESO_TITULO * titulo + (1 - PESO_TITULO) * artista;
+}
+
+async function melhorDaBusca(entrada, market) {
+  const consultas = [
+    [normalizarNome(entrada.titulo), normalizarNome(separarArtistas(entrada.artista)[0])],
+    [normalizarNome(entrada.titulo)],
+  ].map((partes) => partes.filter(Boolean).join(" "));
+
+  for (const q of new Set(consultas)) {
+    if (!q) continue;
+    const { itens } = await catalogo.buscarFaixas(q, { market, limit: CANDIDATOS_POR_BUSCA });
+    const [melhor] = itens
+      .map((faixa) => ({ faixa, score: pontuar(entrada, faixa) }))
+      .sort((a, b) => b.score - a.score);
+    if (melhor && melhor.score >= LIMIAR_SEMELHANCA) return melhor.faixa;
+  }
+  return null;
+}
+
+// Faixa do catálogo para a entrada: { faixa, por: "id" | "busca" } ou null.
+// Erros do provedor (fora do ar, rate limit) sobem: melhor falhar a
+// importação do que marcar tudo como "não encontrada".
+async function casarEntrada(entrada, market) {
+  if (entrada.spotify_id) {
+    const faixa = await catalogo.obterFaixa(entrada.spotify_id, { market });
+    if (faixa) return { faixa, por: "id" };
+  }
+  if (!entrada.titulo) return null;
+  const faixa = await melhorDaBusca(entrada, market);
+  return faixa ? { faixa, por: "busca" } : null;
+}
+
+// Como Promise.all(itens.map(fn)), mas com no máximo "limite" ao mesmo tempo
+async function mapearComLimite(itens, limite, fn) {
+  const resultados = new Array(itens.length);
+  let proximo = 0;
+  const trabalhador = async () => {
+    while (proximo < itens.length) {
+      const i = proximo;
+      proximo += 1;
+      resultados[i] = await fn(itens[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limite, itens.length) }, trabalhador));
+  return resultados;
+}
+
+// Grava em curtidas/biblioteca (no mercado da importação); devolve quantas eram novas
+async function salvarMusicas(tabela, usuarioId, musicas, market = null) {
+  if (!TABELAS.includes(tabela)) throw new Error(`Tabela de importação inválida: ${tabela}`);
+  if (musicas.length === 0) return 0;
+  const r = await pool.query(
+    `INSERT INTO ${tabela} (usuario_id, spotify_id, market)
+     SELECT $1, m.spotify_id, $3
+       FROM json_to_recordset($2::json) AS m(spotify_id TEXT)
+     ON CONFLICT (usuario_id, spotify_id) DO NOTHING`,
+    [usuarioId, JSON.stringify(musicas), market]
+  );
+  return r.rowCount;
+}
+
+// Casa as entradas com o catálogo, grava as faixas encontradas e entrega as
+// músicas ([{ spotify_id }], na ordem do arquivo, sem repetidas) para
+// salvar(musicas) -> quantas foram adicionadas.
+// Devolve o relatório: { total, encontradas, por_id, aproximadas,
+//   adicionadas, ja_existentes, repetidas, nao_encontradas: [{ linha, ... }] }
+async function importarEntradas(entradas, { market, salvar }) {
+  const casamentos = await mapearComLimite(entradas, BUSCAS_SIMULTANEAS, (e) =>
+    casarEntrada(e, market)
+  );
+
+  const porId = new Map();
+  const naoEncontradas = [];
+  let viaId = 0;
+  casamentos.forEach((casamento, i) => {
+    const entrada = entradas[i];
+    if (!casamento) {
+      naoEncontradas.push({
+        linha: entrada.linha,
+        spotify_id: entrada.spotify_id ?? null,
+        titulo: entrada.titulo ?? null,
+        artista: entrada.artista ?? null,
+      });
+      return;
+    }
+    if (casamento.por === "id") viaId += 1;
+    if (!porId.has(casamento.faixa.id)) porId.set(casamento.faixa.id, casamento.faixa);
+  });
+
+  await salvarFaixas([...porId.values()]);
+  const musicas = [...porId.keys()].map((id) => ({ spotify_id: id }));
+  const adicionadas = await salvar(musicas);
+  const encontradas = entradas.length - naoEncontradas.length;
+
+  return {
+    total: entradas.length,
+    encontradas,
+    por_id: viaId,
+    aproximadas: encontradas - viaId,
+    adicionadas,
+    ja_existentes: musicas.length - adicionadas,
+    repetidas: encontradas - musicas.length,
+    nao_encontradas: naoEncontradas,
+  };
+}
+
+module.exports = {
+  MAX_LINHAS_IMPORTACAO,
+  salvarMusicas,
+  importarEntradas,
+};
@@ -0,0 +1,225 @@
+// ===============================
+// Minhas músicas: listagens paginadas e busca unificada
+// ===============================
+// listarPagina: curtidas ou biblioteca em páginas (cursor = último id).
+// buscarMinhasMusicas: uma lista só com as curtidas, a biblioteca e as
+// músicas das playlists de que a pessoa participa, agrupadas por faixa
+// (a mesma música curtida e em duas playlists aparece uma vez, com as origens).
+// A busca usa as funções de migrations/021 (índices em "faixas", migração
+// 022): palavras por prefixo (full-text) ou semelhança por trigramas, sem
+// diferenciar acentos.
+const pool = require("../db/connection");
+const { codificarCursor, decodificarCursor } = require("../db/cursor");
+const { ValidacaoError } = require("../erros");
+const { COLUNAS_FAIXA } = require("./faixas");
+
+const TABELAS = ["curtidas", "biblioteca"];
+const ORIGENS = ["curtidas", "biblioteca", "playlists"];
+
+// Cada ordenação: colunas do keyset (todas na mesma direção; spotify_id desempata)
+const ORDENS = {
+  relevancia: { colunas: [["relevancia", "float8"]], direcao: "DESC" },
+  recentes: { colunas: [["adicionada_em", "timestamp"]], direcao: "DESC" },
+  titulo: { colunas: [["titulo_ordem", "text"], ["artista_ordem", "text"]], direcao: "ASC" },
+  artista: { colunas: [["artista_ordem", "text"], ["titulo_ordem", "text"]], direcao: "ASC" },
+};
+
+// ?limit=&cursor= das listagens
+const LIMITE_PADRAO = 50;
+const CAMPOS_PAGINA = {
+  limit: { tipo: "inteiro", min: 1, max: 200, padrao: LIMITE_PADRAO },
+  cursor: { tipo: "texto", max: 500 },
+};
+// Curtidas/biblioteca: limit sem padrão, a ausência dele (e do cursor) pede tudo
+const CAMPOS_LISTAGEM = { ...CAMPOS_PAGINA, limit: { tipo: "inteiro", min: 1, max: 200 } };
+
+// Busca um item a mais para saber se existe próxima página
+function paginar(linhas, limit, chaveDe) {
+  const itens = linhas.slice(0, limit);
+  const proximo = linhas.length > limit ? codificarCursor(chaveDe(itens[itens.length - 1])) : null;
+  return { itens, proximo_cursor: proximo };
+}
+
+// ===============================
+// Curtidas / biblioteca
+// ===============================
+// Da mais recente para a mais antiga. -> { itens, proximo_cursor }
+// Sem limit nem cursor vem tudo (proximo_cursor = null), como antes da paginação.
+async function listarPagina(tabela, usuarioId, { limit, cursor }) {
+  if (!TABELAS.includes(tabela)) throw new Error(`Tabela inválida: ${tabela}`);
+  if (limit === undefined && !cursor) {
+    const r = await pool.query(
+      `SELECT t.*, ${COLUNAS_FAIXA}
+         FROM ${tabela} t
+         JOIN faixas f ON f.id = t.spotify_id
+        WHERE t.usuario_id = $1
+        ORDER BY t.id DESC`,
+      [usuarioId]
+    );
+    return { itens: r.rows, proximo_cursor: null };
+  }
+  limit ??= LIMITE_PADRAO;
+  const [antesDe] = cursor ? decodificarCursor(cursor, ["inteiro"]) : [null];
+  const r = await pool.query(
+    `SELECT t.*, ${COLUNAS_FAIXA}
+       FROM ${tabela} t
+       JOIN faixas f ON f.id = t.spotify_id
+      WHERE t.usuario_id = $1 AND ($2::int IS NULL OR t.id < $2::int)
+      ORDER BY t.id DESC
+      LIMIT $3`,
+    [usuarioId, antesDe, limit + 1]
+  );
+  return paginar(r.rows, limit, (item) => [item.id]);
+}
+
+// ===============================
+// Busca unificada
+// ===============================
+// Palavras da busca para o to_tsquery: sem acento, minúsculas, só letras e
+// números, cada uma como prefixo ("cora sel" -> "cora:* & sel:*")
+function prefixosDaBusca(q) {
+  const palavras = q.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return palavras.map((p) => `${p}:*`).join(" & ");
+}
+
+function escaparLike(texto) {
+  return texto.replace(/[\\%_]/g, "\\$&");
+}
+
+// filtros = { q, origem: [...], artista, de, ate, ordem, limit, cursor }
+// ordem padrão: relevancia com q, recentes sem; relevancia sem q vale recentes.
+// -> { itens, proximo_cursor }
+async function buscarMinhasMusicas(usuarioId, filtros) {
+  const { q, artista, de, ate, limit, cursor } = filtros;
+  const origens = filtros.origem?.length ? filtros.origem : ORIGENS;
+  const nomeOrdem = filtros.ordem && (q || filtros.ordem !== "relevancia") ? filtros.ordem : q ? "relevancia" : "recentes";
+  const ordem = ORDENS[nomeOrdem];
+
+  const params = [usuarioId];
+  const param = (valor) => {
+    params.push(valor);
+    return `$${params.length}`;
+  };
+
+  const pQ = q ? param(q) : null;
+  const prefixos = q ? prefixosDaBusca(q) : "";
+  const pPrefixos = prefixos ? param(prefixos) : null;
+  const pArtista = artista ? param(`%${escaparLike(artista)}%`) : null;
+  const pDe = de ? param(de) : null;
+  const pAte = ate ? param(ate) : null;
+
+  // Condições e relevância de cada tabela (faixa em "f"; coluna de data da tabela)
+  function ramo(colunaData) {
+    const doc = "musica_busca(f.titulo, f.artista)";
+    const condicoes = [];
+    let relevancia = "0";
+    if (pQ) {
+      const similar = `normalizar_busca(${pQ}) <% ${doc}`;
+      relevancia = `word_similarity(normalizar_busca(${pQ}), ${doc})`;
+      if (pPrefixos) {
+        const palavras = `to_tsvector('simple', ${doc}) @@ to_tsquery('simple', ${pPrefixos})`;
+        condicoes.push(`(${palavras} OR ${similar})`);
+        relevancia += ` + ts_rank(to_tsvector('simple', ${doc}), to_tsquery('simple', ${pPrefixos}))`;
+      } else {
+        condicoes.push(similar);
+      }
+    }
+    if (pArtista) condicoes.push(`normalizar_busca(f.artista) LIKE normalizar_busca(${pArtista})`);
+    if (pDe) condicoes.push(`${colunaData} >= ${pDe}`);
+    if (pAte) condicoes.push(`${colunaData} < ${pAte}`);
+    return { filtro: condicoes.map((c) => ` AND ${c}`).join(""), relevancia };
+  }
+
+  const fontes = [];
+  if (origens.includes("curtidas")) {
+    const { filtro, relevancia } = ramo("c.criado_em");
+    fontes.push(`
+      SELECT 'curtidas' AS origem, c.spotify_id, c.criado_em AS adicionada_em,
+             NULL::int AS playlist_id, NULL::text AS playlist_nome, ${relevancia} AS relevancia
+        FROM curtidas c
+        JOIN faixas f ON f.id = c.spotify_id
+       WHERE c.usuario_id = $1${filtro}`);
+  }
+  if (origens.includes("biblioteca")) {
+    const { filtro, relevancia } = ramo("b.criado_em");
+    fontes.push(`
+      SELECT 'biblioteca' AS origem, b.spotify_id, b.criado_em AS adicionada_em,
+             NULL::int AS playlist_id, NULL::text AS playlist_nome, ${relevancia} AS relevancia
+        FROM biblioteca b
+        JOIN faixas f ON f.id = b.spotify_id
+       WHERE b.usuario_id = $1${filtro}`);
+  }
+  if (origens.includes("playlists")) {
+    const { filtro, relevancia } = ramo("pm.adicionada_em");
+    fontes.push(`
+      SELECT 'playlists' AS origem, pm.spotify_id, pm.adicionada_em,
+             p.id AS playlist_id, p.nome AS playlist_nome, ${relevancia} AS relevancia
+        FROM playlist_musicas pm
+        JOIN faixas f ON f.id = pm.spotify_id
+        JOIN playlist_membros m ON m.playlist_id = pm.playlist_id AND m.usuario_id = $1
+        JOIN playlists p ON p.id = pm.playlist_id
+       WHERE TRUE${filtro}`);
+  }
+
+  // Keyset: (colunas..., spotify_id) depois do último item entregue
+  const colunas = ordem.colunas.map(([nome]) => nome);
+  let depoisDe = "";
+  if (cursor) {
+    // [ordem, ...colunas, spotify_id], tudo como texto
+    const valores = decodificarCursor(cursor, Array(colunas.length + 2).fill("texto"));
+    // Cursor de outra ordenação não serve para esta
+    if (valores[0] !== nomeOrdem) throw ValidacaoError.campo("cursor", "invalido");
+    const marcadores = ordem.colunas.map(([, tipo], i) => `${param(valores[i + 1])}::${tipo}`);
+    marcadores.push(param(valores[valores.length - 1]));
+    depoisDe = `WHERE (${colunas.join(", ")}, spotify_id) ${ordem.direcao === "DESC" ? "<" : ">"} (${marcadores.join(", ")})`;
+  }
+  const ordenacao = [...colunas, "spotify_id"].map((c) => `${c} ${ordem.direcao}`).join(", ");
+  const pLimite = param(limit + 1);
+
+  const r = await pool.query(
+    `WITH fontes AS (${fontes.join("\n      UNION ALL")}
+     ),
+     musicas AS (
+       SELECT spotify_id,
+              COALESCE(MAX(adicionada_em), 'epoch') AS adicionada_em,
+              array_agg(DISTINCT origem ORDER BY origem) AS origens,
+              COALESCE(
+                jsonb_agg(DISTINCT jsonb_build_object('id', playlist_id, 'nome', playlist_nome))
+                  FILTER (WHERE playlist_id IS NOT NULL),
+                '[]'
+              ) AS playlists,
+              MAX(relevancia)::float8 AS relevancia
+         FROM fontes
+        GROUP BY spotify_id
+     ),
+     ordenadas AS (
+       SELECT m.*, ${COLUNAS_FAIXA},
+              normalizar_busca(f.titulo) AS titulo_ordem, normalizar_busca(f.artista) AS artista_ordem
+         FROM musicas m
+         JOIN faixas f ON f.id = m.spotify_id
+     )
+     SELECT spotify_id, titulo, artista, imagem, url, preview_url, duracao_ms,
+            adicionada_em, origens, playlists, relevancia,
+            json_build_array(${colunas.map((c) => `${c}::text`).join(", ")}) AS chave
+       FROM ordenadas
+       ${depoisDe}
+      ORDER BY ${ordenacao}
+      LIMIT ${pLimite}`,
+    params
+  );
+
+  const pagina = paginar(r.rows, limit, (item) => [nomeOrdem, ...item.chave, item.spotify_id]);
+  pagina.itens = pagina.itens.map(({ chave, relevancia, ...item }) =>
+    q ? { ...item, relevancia: Math.round(relevancia * 1000) / 1000 } : item
+  );
+  return { ordem: nomeOrdem, ...pagina };
+}
+
+module.exports = {
+  ORIGENS,
+  ORDENS,
+  CAMPOS_PAGINA,
+  CAMPOS_LISTAGEM,
+  listarPagina,
+  buscarMinhasMusicas,
+};
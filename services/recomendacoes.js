@@ -0,0 +1,197 @@
+// ===============================
+// Recomendações personalizadas
+// ===============================
+// Sinais usados (peso x decaimento por idade, meia-vida ~21 dias):
+//   curtidas = 3, biblioteca = 2, músicas das próprias playlists = 1
+//
+// Candidatos:
+//   1. co-ocorrência: músicas que outros usuários têm junto com as suas
+//      (curtidas/biblioteca); quanto mais sementes em comum, maior o score
+//   2. artistas favoritos: faixas desses artistas vindas do catálogo
+// Sem nenhum sinal (cold start): o que está mais curtido no app no último mês.
+//
+// Músicas que o usuário já curtiu ou já tem na biblioteca/playlists não entram.
+const pool = require("../db/connection");
+const { catalogo } = require("../catalog");
+const log = require("../observabilidade/log");
+
+const DIAS_DECAIMENTO = 30;
+const MAX_POR_ARTISTA = 3;
+const PESO_ARTISTA = 0.5;
+
+// Sementes do usuário com peso já somado por música; origem = de onde veio
+// a maior parte do peso (escolhe a explicação da recomendação)
+const SQL_SEMENTES = `
+  SELECT s.spotify_id,
+         MAX(f.titulo)  AS titulo,
+         MAX(f.artista) AS artista,
+         SUM(s.peso)    AS peso,
+         (ARRAY_AGG(s.origem ORDER BY s.peso DESC))[1] AS origem
+    FROM (
+      SELECT spotify_id, 'curtida' AS origem,
+             3 * EXP(-EXTRACT(EPOCH FROM (NOW() - COALESCE(criado_em, NOW()))) / 86400 / $2) AS peso
+        FROM curtidas WHERE usuario_id = $1
+      UNION ALL
+      SELECT spotify_id, 'biblioteca',
+             2 * EXP(-EXTRACT(EPOCH FROM (NOW() - COALESCE(criado_em, NOW()))) / 86400 / $2)
+        FROM biblioteca WHERE usuario_id = $1
+      UNION ALL
+      SELECT pm.spotify_id, 'playlist',
+             1 * EXP(-EXTRACT(EPOCH FROM (NOW() - COALESCE(pm.adicionada_em, NOW()))) / 86400 / $2)
+        FROM playlist_musicas pm
+        JOIN playlists p ON p.id = pm.playlist_id
+       WHERE p.usuario_id = $1
+    ) s
+    JOIN faixas f ON f.id = s.spotify_id
+   GROUP BY s.spotify_id`;
+
+// Músicas de outros usuários que compartilham sementes com este
+const SQL_COOCORRENCIA = `
+  WITH sementes AS (${SQL_SEMENTES}),
+  acervo AS (
+    SELECT usuario_id, spotify_id FROM curtidas
+    UNION
+    SELECT usuario_id, spotify_id FROM biblioteca
+  ),
+  vizinhos AS (
+    SELECT a.usuario_id, s.titulo AS semente, s.origem, s.peso
+      FROM acervo a
+      JOIN sementes s ON s.spotify_id = a.spotify_id
+     WHERE a.usuario_id <> $1
+  )
+  SELECT c.spotify_id, f.titulo, f.artista, f.imagem, f.url,
+         SUM(v.peso)    AS score,
+         (ARRAY_AGG(v.semente ORDER BY v.peso DESC, v.semente))[1] AS semente,
+         (ARRAY_AGG(v.origem ORDER BY v.peso DESC, v.semente))[1] AS origem_semente
+    FROM vizinhos v
+    JOIN acervo c ON c.usuario_id = v.usuario_id
+    JOIN faixas f ON f.id = c.spotify_id
+   WHERE c.spotify_id NOT IN (SELECT spotify_id FROM sementes)
+   GROUP BY c.spotify_id, f.id
+   ORDER BY score DESC
+   LIMIT $3`;
+
+// Populares no app (cold start)
+const SQL_POPULARES = `
+  SELECT c.spotify_id, f.titulo, f.artista, f.imagem, f.url,
+         COUNT(DISTINCT c.usuario_id) AS score
+    FROM curtidas c
+    JOIN faixas f ON f.id = c.spotify_id
+   WHERE c.criado_em >= NOW() - INTERVAL '30 days'
+   GROUP BY c.spotify_id, f.id
+   ORDER BY score DESC, MAX(c.criado_em) DESC
+   LIMIT $1`;
+
+function primeiroArtista(artista) {
+  return String(artista || "").split(",")[0].trim();
+}
+
+function chaveTitulo(item) {
+  return `${String(item.titulo || "").toLowerCase().trim()}|${primeiroArtista(item.artista).toLowerCase()}`;
+}
+
+// Artistas mais presentes nas sementes (por peso)
+function artistasFavoritos(sementes, quantos = 3) {
+  const porArtista = new Map();
+  for (const s of sementes) {
+    const nome = primeiroArtista(s.artista);
+    if (!nome) continue;
+    porArtista.set(nome, (porArtista.get(nome) || 0) + Number(s.peso));
+  }
+  return [...porArtista.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, quantos)
+    .map(([nome, peso]) => ({ nome, peso }));
+}
+
+// Faixas dos artistas favoritos no catálogo. Se o catálogo falhar, seguimos
+// só com a co-ocorrência.
+async function candidatosPorArtista(artistas, market) {
+  const candidatos = [];
+  const pesoMaximo = artistas[0]?.peso || 1;
+
+  for (const artista of artistas) {
+    try {
+      const { itens } = await catalogo.buscarFaixas(artista.nome, { market, limit: 10 });
+      for (const f of itens) {
+        if (!f.artista || !f.artista.toLowerCase().includes(artista.nome.toLowerCase())) continue;
+        candidatos.push({
+          spotify_id: f.id,
+          titulo: f.titulo,
+          artista: f.artista,
+          imagem: f.imagem,
+          url: f.url,
+          score: (PESO_ARTISTA * artista.peso) / pesoMaximo,
+          motivo: { chave: "recomendacoes.motivo.artista", params: { artista: artista.nome } },
+        });
+      }
+    } catch (err) {
+      log.warn("Catálogo indisponível nas recomendações", { erro: err });
+      break;
+    }
+  }
+  return candidatos;
+}
+
+// Ordena por score, remove repetidas (mesmo id ou mesmo título+artista),
+// limita músicas por artista para variar a lista
+function ranquear(candidatos, conhecidas, limit) {
+  const vistos = new Set();
+  const porArtista = new Map();
+  const resultado = [];
+
+  for (const c of [...candidatos].sort((a, b) => b.score - a.score)) {
+    const chave = chaveTitulo(c);
+    if (conhecidas.has(c.spotify_id) || vistos.has(c.spotify_id) || vistos.has(chave)) continue;
+
+    const artista = primeiroArtista(c.artista).toLowerCase();
+    if ((porArtista.get(artista) || 0) >= MAX_POR_ARTISTA) continue;
+
+    vistos.add(c.spotify_id);
+    vistos.add(chave);
+    porArtista.set(artista, (porArtista.get(artista) || 0) + 1);
+    resultado.push({ ...c, score: Math.round(c.score * 1000) / 1000 });
+    if (resultado.length >= limit) break;
+  }
+  return resultado;
+}
+
+// Cada item traz motivo = { chave, params }: a chave de i18n da explicação,
+// traduzida na rota no idioma da requisição
+async function recomendarPara(usuarioId, { limit = 20, market = "BR" } = {}) {
+  const sementes = (await pool.query(SQL_SEMENTES, [usuarioId, DIAS_DECAIMENTO])).rows;
+
+  if (sementes.length === 0) {
+    const populares = (await pool.query(SQL_POPULARES, [limit * 2])).rows.map((p) => ({
+      ...p,
+      score: Number(p.score),
+      motivo: { chave: "recomendacoes.motivo.populares" },
+    }));
+    return { estrategia: "populares", itens: ranquear(populares, new Set(), limit) };
+  }
+
+  const conhecidas = new Set(sementes.map((s) => s.spotify_id));
+
+  const coocorrencia = (
+    await pool.query(SQL_COOCORRENCIA, [usuarioId, DIAS_DECAIMENTO, limit * 5])
+  ).rows;
+  const scoreMaximo = Number(coocorrencia[0]?.score) || 1;
+  const porCoocorrencia = coocorrencia.map((c) => ({
+    spotify_id: c.spotify_id,
+    titulo: c.titulo,
+    artista: c.artista,
+    imagem: c.imagem,
+    url: c.url,
+    score: Number(c.score) / scoreMaximo,
+    motivo: { chave: `recomendacoes.motivo.${c.origem_semente}`, params: { titulo: c.semente } },
+  }));
+
+  const porArtista = await candidatosPorArtista(artistasFavoritos(sementes), market);
+
+  return {
+    estrategia: "personalizada",
+    itens: ranquear([...porCoocorrencia, ...porArtista], conhecidas, limit),
+  };
+}
+
+module.exports = { recomendarPara };
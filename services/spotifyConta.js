@@ -0,0 +1,358 @@
+// ===============================
+// Spotify em nome do usuário (Authorization Code + PKCE)
+// ===============================
+const crypto = require("crypto");
+const axios = require("axios");
+const pool = require("../db/connection");
+const { normalizarFaixa } = require("../catalog/spotify");
+const { cifrar, decifrar } = require("./cripto");
+const { salvarFaixas } = require("./faixas");
+const log = require("../observabilidade/log");
+const metricas = require("../observabilidade/metricas");
+const { ConflitoError } = require("../erros");
+
+const ESCOPOS = [
+  "playlist-read-private",
+  "playlist-modify-private",
+  "playlist-modify-public",
+  "user-library-read",
+].join(" ");
+
+// Tempo máximo entre gerar a URL e o Spotify chamar o callback
+const AUTORIZACAO_MINUTOS = 10;
+// Ids de faixa do Spotify: 22 caracteres base62
+const SPOTIFY_ID = /^[0-9A-Za-z]{22}$/;
+// Limite de faixas lidas por importação (evita loops gigantes)
+const MAX_FAIXAS_IMPORTACAO = 2000;
+
+// Usuário ainda não vinculou (ou o Spotify revogou o acesso) -> HTTP 409
+class SpotifyNaoVinculadoError extends ConflitoError {
+  constructor(codigo = "SPOTIFY_NOT_LINKED") {
+    super(codigo);
+    this.name = "SpotifyNaoVinculadoError";
+  }
+}
+
+function redirectUri() {
+  return process.env.SPOTIFY_REDIRECT_URI || "http://localhost:3000/api/spotify/auth/callback";
+}
+
+function base64url(buffer) {
+  return buffer.toString("base64url");
+}
+
+// Chamada ao endpoint de token de contas do Spotify
+async function pedirToken(params) {
+  const resp = await axios.post(
+    "https://accounts.spotify.com/api/token",
+    new URLSearchParams({ client_id: process.env.SPOTIFY_CLIENT_ID, ...params }).toString(),
+    {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      timeout: 8000,
+    }
+  );
+  return resp.data;
+}
+
+// ===============================
+// Vínculo
+// ===============================
+
+// Gera a URL de consentimento do Spotify e guarda state + code_verifier
+async function gerarUrlAutorizacao(usuarioId) {
+  const state = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(64));
+  const codeChallenge = base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+
+  await pool.query(
+    "DELETE FROM spotify_autorizacoes WHERE usuario_id = $1 OR criado_em < NOW() - make_interval(mins => $2)",
+    [usuarioId, AUTORIZACAO_MINUTOS]
+  );
+  await pool.query(
+    "INSERT INTO spotify_autorizacoes (state, usuario_id, code_verifier) VALUES ($1, $2, $3)",
+    [state, usuarioId, codeVerifier]
+  );
+
+  const params = new URLSearchParams({
+    client_id: process.env.SPOTIFY_CLIENT_ID,
+    response_type: "code",
+    redirect_uri: redirectUri(),
+    code_challenge_method: "S256",
+    code_challenge: codeChallenge,
+    state,
+    scope: ESCOPOS,
+  });
+  return `https://accounts.spotify.com/authorize?${params.toString()}`;
+}
+
+// Callback do Spotify: troca o code pelos tokens e grava o vínculo.
+// Devolve o id do usuário vinculado (ou lança erro se o state for inválido).
+async function concluirAutorizacao(code, state) {
+  const r = await pool.query(
+    `DELETE FROM spotify_autorizacoes
+      WHERE state = $1 AND criado_em >= NOW() - make_interval(mins => $2)
+      RETURNING usuario_id, code_verifier`,
+    [state, AUTORIZACAO_MINUTOS]
+  );
+  if (r.rows.length === 0) throw new Error("Autorização Spotify inválida ou expirada.");
+  const { usuario_id, code_verifier } = r.rows[0];
+
+  const tokens = await pedirToken({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri(),
+    code_verifier,
+  });
+
+  const perfil = await axios.get("https://api.spotify.com/v1/me", {
+    headers: { Authorization: `Bearer ${tokens.access_token}` },
+    timeout: 8000,
+  });
+
+  await pool.query(
+    `INSERT INTO spotify_contas
+       (usuario_id, spotify_user_id, access_token, refresh_token, expira_em, escopos)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5), $6)
+     ON CONFLICT (usuario_id) DO UPDATE
+       SET spotify_user_id = EXCLUDED.spotify_user_id,
+           access_token = EXCLUDED.access_token,
+           refresh_token = EXCLUDED.refresh_token,
+           expira_em = EXCLUDED.expira_em,
+           escopos = EXCLUDED.escopos,
+           atualizado_em = NOW()`,
+    [
+      usuario_id,
+      perfil.data.id,
+      cifrar(tokens.access_token),
+      cifrar(tokens.refresh_token),
+      tokens.expires_in,
+      tokens.scope || ESCOPOS,
+    ]
+  );
+  return usuario_id;
+}
+
+async function statusVinculo(usuarioId) {
+  const r = await pool.query(
+    "SELECT spotify_user_id, escopos, conectado_em FROM spotify_contas WHERE usuario_id = $1",
+    [usuarioId]
+  );
+  if (r.rows.length === 0) return { conectado: false };
+  return { conectado: true, ...r.rows[0] };
+}
+
+async function desvincular(usuarioId) {
+  await pool.query("DELETE FROM spotify_contas WHERE usuario_id = $1", [usuarioId]);
+}
+
+// Access token válido do usuário; renova com o refresh token quando falta
+// menos de 1 minuto para expirar. O Spotify é chamado sem transação aberta
+// (nada fica travado esperando a rede) e a gravação só vale se o
+// access_token ainda for o que foi lido: se duas requisições renovarem ao
+// mesmo tempo, a segunda não sobrescreve a primeira.
+async function tokenDoUsuario(usuarioId, { repetir = true } = {}) {
+  const r = await pool.query("SELECT * FROM spotify_contas WHERE usuario_id = $1", [usuarioId]);
+  const conta = r.rows[0];
+  if (!conta) throw new SpotifyNaoVinculadoError();
+
+  if (new Date(conta.expira_em).getTime() - 60000 > Date.now()) {
+    return { token: decifrar(conta.access_token), spotifyUserId: conta.spotify_user_id };
+  }
+
+  let tokens;
+  try {
+    tokens = await pedirToken({
+      grant_type: "refresh_token",
+      refresh_token: decifrar(conta.refresh_token),
+    });
+  } catch (err) {
+    if (err.response?.data?.error !== "invalid_grant") throw err;
+    // invalid_grant = usuário revogou o acesso no Spotify, ou outra
+    // requisição já trocou este refresh token (e a linha mudou: lê de novo)
+    const apagada = await pool.query(
+      "DELETE FROM spotify_contas WHERE usuario_id = $1 AND access_token = $2",
+      [usuarioId, conta.access_token]
+    );
+    if (apagada.rowCount === 0 && repetir) return tokenDoUsuario(usuarioId, { repetir: false });
+    throw new SpotifyNaoVinculadoError("SPOTIFY_ACCESS_REVOKED");
+  }
+
+  const gravada = await pool.query(
+    `UPDATE spotify_contas
+        SET access_token = $1,
+            refresh_token = COALESCE($2, refresh_token),
+            expira_em = NOW() + make_interval(secs => $3),
+            atualizado_em = NOW()
+      WHERE usuario_id = $4 AND access_token = $5`,
+    [
+      cifrar(tokens.access_token),
+      tokens.refresh_token ? cifrar(tokens.refresh_token) : null,
+      tokens.expires_in,
+      usuarioId,
+      conta.access_token,
+    ]
+  );
+  metricas.upstream.renovacoesToken.inc({ type: "user" });
+  if (gravada.rowCount > 0) {
+    log.info("Token do Spotify do usuário renovado", { usuario_id: usuarioId });
+  }
+  // Sem gravar (outra requisição renovou antes), o token recebido vale do mesmo jeito
+  return { token: tokens.access_token, spotifyUserId: conta.spotify_user_id };
+}
+
+// Cliente axios autenticado como o usuário
+async function apiDoUsuario(usuarioId) {
+  const { token, spotifyUserId } = await tokenDoUsuario(usuarioId);
+  const api = axios.create({
+    baseURL: "https://api.spotify.com/v1",
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: 10000,
+  });
+  return { api, spotifyUserId };
+}
+
+// Percorre uma listagem paginada do Spotify (campo "next")
+async function paginar(api, url, params, limite = MAX_FAIXAS_IMPORTACAO) {
+  const itens = [];
+  let proxima = url;
+  let query = params;
+  while (proxima && itens.length < limite) {
+    const r = await api.get(proxima, { params: query });
+    itens.push(...r.data.items);
+    proxima = r.data.next;
+    query = undefined; // "next" já vem com offset/limit
+  }
+  return itens.slice(0, limite);
+}
+
+// ===============================
+// Exportar playlist
+// ===============================
+
+// Cria (ou atualiza, se já exportada antes) a playlist no Spotify do usuário
+// com as músicas na ordem atual. Devolve { spotify_playlist_id, url, total, ignoradas }.
+async function exportarPlaylist(usuarioId, playlist) {
+  const { api, spotifyUserId } = await apiDoUsuario(usuarioId);
+
+  const r = await pool.query(
+    "SELECT spotify_id FROM playlist_musicas WHERE playlist_id = $1 ORDER BY posicao",
+    [playlist.id]
+  );
+  // Faixas de outros provedores do catálogo (Deezer, fixtures) não existem no Spotify
+  const ids = r.rows.map((m) => m.spotify_id).filter((id) => SPOTIFY_ID.test(id));
+  const uris = ids.map((id) => `spotify:track:${id}`);
+  const ignoradas = r.rows.length - ids.length;
+
+  let spotifyPlaylistId = playlist.spotify_playlist_id;
+  let url = null;
+
+  if (spotifyPlaylistId) {
+    try {
+      const existente = await api.get(`/playlists/${spotifyPlaylistId}`, {
+        params: { fields: "id,external_urls" },
+      });
+      url = existente.data.external_urls?.spotify;
+      await api.put(`/playlists/${spotifyPlaylistId}`, {
+        name: playlist.nome,
+        description: playlist.descricao || "",
+      });
+    } catch (err) {
+      // Apagada no Spotify: cria de novo
+      if (err.response?.status !== 404) throw err;
+      spotifyPlaylistId = null;
+    }
+  }
+
+  if (!spotifyPlaylistId) {
+    const criada = await api.post(`/users/${encodeURIComponent(spotifyUserId)}/playlists`, {
+      name: playlist.nome,
+      description: playlist.descricao || "",
+      public: false,
+    });
+    spotifyPlaylistId = criada.data.id;
+    url = criada.data.external_urls?.spotify;
+  }
+
+  // PUT substitui o conteúdo (máx. 100 por chamada); o resto vai via POST
+  await api.put(`/playlists/${spotifyPlaylistId}/tracks`, { uris: uris.slice(0, 100) });
+  for (let i = 100; i < uris.length; i += 100) {
+    await api.post(`/playlists/${spotifyPlaylistId}/tracks`, { uris: uris.slice(i, i + 100) });
+  }
+
+  await pool.query("UPDATE playlists SET spotify_playlist_id = $1 WHERE id = $2", [
+    spotifyPlaylistId,
+    playlist.id,
+  ]);
+
+  return { spotify_playlist_id: spotifyPlaylistId, url, total: uris.length, ignoradas };
+}
+
+// ===============================
+// Importar para a biblioteca
+// ===============================
+
+// Playlists do usuário no Spotify (para ele escolher o que importar)
+async function listarPlaylistsSpotify(usuarioId) {
+  const { api } = await apiDoUsuario(usuarioId);
+  const itens = await paginar(api, "/me/playlists", { limit: 50 }, 500);
+  return itens.map((p) => ({
+    id: p.id,
+    nome: p.name,
+    total: p.tracks?.total ?? 0,
+    imagem: p.images?.[0]?.url || null,
+    dono: p.owner?.id,
+  }));
+}
+
+// As faixas vêm da API do Spotify (não do cliente): entram direto em "faixas"
+async function salvarNaBiblioteca(usuarioId, faixas) {
+  if (faixas.length === 0) return 0;
+  await salvarFaixas(faixas);
+  const r = await pool.query(
+    `INSERT INTO biblioteca (usuario_id, spotify_id)
+     SELECT $1, id FROM unnest($2::text[]) AS id
+     ON CONFLICT (usuario_id, spotify_id) DO NOTHING`,
+    [usuarioId, faixas.map((f) => f.id)]
+  );
+  return r.rowCount;
+}
+
+// Importa faixas salvas ("Músicas Curtidas") e/ou playlists escolhidas
+// para a biblioteca. Faixas locais/indisponíveis são ignoradas.
+async function importarParaBiblioteca(usuarioId, { salvas = false, playlistIds = [] } = {}) {
+  const { api } = await apiDoUsuario(usuarioId);
+  const porId = new Map();
+
+  const guardar = (track) => {
+    if (track && track.id && !track.is_local && !porId.has(track.id)) {
+      porId.set(track.id, normalizarFaixa(track));
+    }
+  };
+
+  if (salvas) {
+    const itens = await paginar(api, "/me/tracks", { limit: 50 });
+    itens.forEach((item) => guardar(item.track));
+  }
+
+  for (const playlistId of playlistIds) {
+    const itens = await paginar(api, `/playlists/${encodeURIComponent(playlistId)}/tracks`, {
+      limit: 100,
+    });
+    itens.forEach((item) => guardar(item.track));
+  }
+
+  const faixas = [...porId.values()].slice(0, MAX_FAIXAS_IMPORTACAO);
+  const adicionadas = await salvarNaBiblioteca(usuarioId, faixas);
+  return { encontradas: faixas.length, adicionadas };
+}
+
+module.exports = {
+  SpotifyNaoVinculadoError,
+  gerarUrlAutorizacao,
+  concluirAutorizacao,
+  statusVinculo,
+  desvincular,
+  exportarPlaylist,
+  listarPlaylistsSpotify,
+  importarParaBiblioteca,
+};
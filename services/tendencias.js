@@ -0,0 +1,106 @@
+// ===============================
+// Tendências (o que está em alta no FindMySong)
+// ===============================
+// Músicas: curtidas e biblioteca agregadas por dia na materialized view
+// "tendencias_diarias" (migrações 017, 022 e 024; os dados das músicas vêm
+// de "faixas" na hora da consulta). A view é atualizada a cada
+// TENDENCIAS_INTERVALO_MS (padrão 10 min) pelo servidor, então os números
+// podem estar alguns minutos atrasados.
+// Buscas: contadas direto em "buscas", por pessoa distinta na janela toda.
+// Somar contagens diárias contaria a mesma pessoa uma vez por dia e por
+// mercado, o que furaria o mínimo de pessoas.
+const pool = require("../db/connection");
+const log = require("../observabilidade/log");
+
+// Janelas em dias, contando hoje
+const PERIODOS = { day: 1, week: 7, month: 30 };
+
+// Peso de cada origem na pontuação das músicas
+const PESOS = { curtida: 2, biblioteca: 1 };
+
+// Termo buscado por menos pessoas que isso não aparece: a lista é pública e
+// uma busca isolada pode ser um nome, um e-mail...
+const MIN_PESSOAS_PADRAO = 5;
+
+const INTERVALO_PADRAO_MS = 10 * 60 * 1000;
+
+let atualizadoEm = null;
+
+async function atualizarTendencias(db = pool) {
+  // CONCURRENTLY: as leituras continuam vendo os dados antigos durante o refresh
+  await db.query("REFRESH MATERIALIZED VIEW CONCURRENTLY tendencias_diarias");
+  atualizadoEm = new Date();
+  return atualizadoEm;
+}
+
+// Atualiza já e depois a cada intervaloMs. Devolve a função que para o timer.
+function iniciarAtualizacaoTendencias({
+  intervaloMs = Number(process.env.TENDENCIAS_INTERVALO_MS) || INTERVALO_PADRAO_MS,
+} = {}) {
+  const atualizar = () =>
+    atualizarTendencias().catch((err) => log.error("Falha ao atualizar as tendências", { erro: err }));
+
+  atualizar();
+  const timer = setInterval(atualizar, intervaloMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// Filtro comum: janela + mercado opcional ($1 = dias, $2 = market ou null)
+const FILTRO = `dia > CURRENT_DATE - $1::int AND ($2::text IS NULL OR market = $2)`;
+
+// -> [{ posicao, spotify_id, titulo, artista, imagem, url, curtidas, biblioteca, pontos }]
+async function musicasEmAlta({ periodo, market = null, limit }) {
+  const r = await pool.query(
+    `SELECT t.chave AS spotify_id, f.titulo, f.artista, f.imagem, f.url,
+            COALESCE(SUM(t.total) FILTER (WHERE t.origem = 'curtida'), 0)::int AS curtidas,
+            COALESCE(SUM(t.total) FILTER (WHERE t.origem = 'biblioteca'), 0)::int AS biblioteca
+       FROM tendencias_diarias t
+       LEFT JOIN faixas f ON f.id = t.chave
+      WHERE t.origem IN ('curtida', 'biblioteca') AND ${FILTRO}
+      GROUP BY t.chave, f.id
+      ORDER BY SUM(t.total * CASE t.origem WHEN 'curtida' THEN $3::int ELSE $4::int END) DESC, t.chave
+      LIMIT $5`,
+    [PERIODOS[periodo], market, PESOS.curtida, PESOS.biblioteca, limit]
+  );
+  return r.rows.map((m, i) => ({
+    posicao: i + 1,
+    ...m,
+    pontos: m.curtidas * PESOS.curtida + m.biblioteca * PESOS.biblioteca,
+  }));
+}
+
+// -> [{ posicao, termo, pessoas }] (pessoas distintas no período; só termos
+// com pelo menos TENDENCIAS_MIN_PESSOAS, padrão 5)
+async function buscasEmAlta({
+  periodo,
+  market = null,
+  limit,
+  minPessoas = Number(process.env.TENDENCIAS_MIN_PESSOAS) || MIN_PESSOAS_PADRAO,
+}) {
+  const r = await pool.query(
+    `SELECT termo, COUNT(DISTINCT usuario_id)::int AS pessoas
+       FROM buscas
+      WHERE criado_em >= CURRENT_DATE - $1::int + 1 AND ($2::text IS NULL OR market = $2)
+      GROUP BY termo
+     HAVING COUNT(DISTINCT usuario_id) >= $4
+      ORDER BY pessoas DESC, termo
+      LIMIT $3`,
+    [PERIODOS[periodo], market, limit, minPessoas]
+  );
+  return r.rows.map((b, i) => ({ posicao: i + 1, ...b }));
+}
+
+function ultimaAtualizacao() {
+  return atualizadoEm;
+}
+
+module.exports = {
+  PERIODOS,
+  PESOS,
+  atualizarTendencias,
+  iniciarAtualizacaoTendencias,
+  musicasEmAlta,
+  buscasEmAlta,
+  ultimaAtualizacao,
+};
@@ -0,0 +1,158 @@
+// ===============================
+// Sessões: access token + refresh token rotativo
+// ===============================
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const pool = require("../db/connection");
+const log = require("../observabilidade/log");
+const { assinarToken } = require("../middleware/auth");
+const { NaoAutenticadoError } = require("../erros");
+
+const REFRESH_TOKEN_DIAS = Number(process.env.REFRESH_TOKEN_DIAS) || 30;
+
+// Erro de sessão (refresh inválido, expirado, reutilizado...) -> HTTP 401
+const CODIGOS_SESSAO = {
+  invalido: "SESSION_INVALID",
+  revogado: "SESSION_REVOKED",
+  reuso: "SESSION_REUSED",
+  suspenso: "ACCOUNT_SUSPENDED",
+  expirado: "SESSION_EXPIRED",
+};
+
+class SessaoInvalidaError extends NaoAutenticadoError {
+  constructor(motivo) {
+    super(CODIGOS_SESSAO[motivo]);
+    this.name = "SessaoInvalidaError";
+    this.motivo = motivo;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Cria um novo refresh token na família informada e devolve o valor em claro
+async function criarRefreshToken(db, usuarioId, familia, userAgent) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const r = await db.query(
+    `INSERT INTO refresh_tokens (usuario_id, token_hash, familia, user_agent, expira_em)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING id`,
+    [usuarioId, hashToken(token), familia, userAgent || null, REFRESH_TOKEN_DIAS]
+  );
+  return { id: r.rows[0].id, token };
+}
+
+function respostaDeSessao(usuario, refreshToken) {
+  const token = assinarToken(usuario);
+  const { iat, exp } = jwt.decode(token);
+  return { token, refresh_token: refreshToken, expires_in: exp - iat };
+}
+
+// Login: abre uma nova família de refresh tokens
+async function emitirTokens(usuario, { userAgent } = {}) {
+  const { token } = await criarRefreshToken(pool, usuario.id, crypto.randomUUID(), userAgent);
+  return respostaDeSessao(usuario, token);
+}
+
+// Troca um refresh token válido por um novo par (o antigo é revogado).
+// Se um token já revogado for usado de novo, consideramos que vazou e
+// encerramos a família inteira.
+async function rotacionarRefreshToken(refreshToken, { userAgent } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const r = await client.query(
+      `SELECT rt.*, u.email, u.papel, u.suspenso_em
+         FROM refresh_tokens rt
+         JOIN usuarios u ON u.id = rt.usuario_id
+        WHERE rt.token_hash = $1
+        FOR UPDATE OF rt`,
+      [hashToken(refreshToken)]
+    );
+    const atual = r.rows[0];
+
+    if (!atual) {
+      await client.query("ROLLBACK");
+      throw new SessaoInvalidaError("invalido");
+    }
+
+    // Revogado por logout: apenas inválido
+    if (atual.revogado_em && !atual.substituido_por) {
+      await client.query("ROLLBACK");
+      throw new SessaoInvalidaError("revogado");
+    }
+
+    // Já foi trocado por outro token: reuso
+    if (atual.revogado_em) {
+      await client.query(
+        "UPDATE refresh_tokens SET revogado_em = NOW() WHERE familia = $1 AND revogado_em IS NULL",
+        [atual.familia]
+      );
+      await client.query("COMMIT");
+      log.warn("Reuso de refresh token detectado; sessão revogada", { usuario_id: atual.usuario_id });
+      throw new SessaoInvalidaError("reuso");
+    }
+
+    // Conta suspensa: encerra todas as sessões do usuário
+    if (atual.suspenso_em) {
+      await client.query(
+        "UPDATE refresh_tokens SET revogado_em = NOW() WHERE usuario_id = $1 AND revogado_em IS NULL",
+        [atual.usuario_id]
+      );
+      await client.query("COMMIT");
+      throw new SessaoInvalidaError("suspenso");
+    }
+
+    if (new Date(atual.expira_em) <= new Date()) {
+      await client.query("ROLLBACK");
+      throw new SessaoInvalidaError("expirado");
+    }
+
+    const novo = await criarRefreshToken(client, atual.usuario_id, atual.familia, userAgent);
+    await client.query(
+      "UPDATE refresh_tokens SET revogado_em = NOW(), substituido_por = $1 WHERE id = $2",
+      [novo.id, atual.id]
+    );
+    await client.query("COMMIT");
+
+    return respostaDeSessao(
+      { id: atual.usuario_id, email: atual.email, papel: atual.papel },
+      novo.token
+    );
+  } catch (err) {
+    if (!(err instanceof SessaoInvalidaError)) await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Logout de um dispositivo: revoga a família do refresh token informado
+async function revogarRefreshToken(refreshToken) {
+  const r = await pool.query(
+    `UPDATE refresh_tokens SET revogado_em = NOW()
+      WHERE familia = (SELECT familia FROM refresh_tokens WHERE token_hash = $1)
+        AND revogado_em IS NULL`,
+    [hashToken(refreshToken)]
+  );
+  return r.rowCount;
+}
+
+// Logout de todos os dispositivos (db opcional: para usar dentro de transação)
+async function revogarTodosDoUsuario(usuarioId, db = pool) {
+  const r = await db.query(
+    "UPDATE refresh_tokens SET revogado_em = NOW() WHERE usuario_id = $1 AND revogado_em IS NULL",
+    [usuarioId]
+  );
+  return r.rowCount;
+}
+
+module.exports = {
+  SessaoInvalidaError,
+  hashToken,
+  emitirTokens,
+  rotacionarRefreshToken,
+  revogarRefreshToken,
+  revogarTodosDoUsuario,
+};
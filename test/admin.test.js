@@ -0,0 +1,173 @@
+// Feedback, administração de usuários, auditoria e configurações
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+
+let api;
+let admin;
+let bruno;
+let ana;
+before(async () => {
+  api = await iniciarServidor();
+  admin = await api.entrar("admin@findmysong.dev");
+  bruno = await api.entrar("bruno@findmysong.dev");
+  ana = await api.entrar("ana@findmysong.dev");
+});
+after(() => api.encerrar());
+
+test("feedback: envio público e leitura só para moderação", async () => {
+  const invalido = await api.chamar("POST", "/api/feedback", { corpo: { query: "x", nota: 9 } });
+  assert.equal(invalido.status, 400);
+  assert.ok(invalido.corpo.erros.nota);
+
+  const enviado = await api.chamar("POST", "/api/feedback", {
+    corpo: { query: "forró pé de serra", nota: 1, comentario: "=HYPERLINK(\"x\")" },
+  });
+  assert.equal(enviado.status, 201);
+
+  assert.equal((await api.chamar("GET", "/api/feedback")).status, 401);
+  assert.equal((await api.chamar("GET", "/api/feedback", { token: ana.token })).status, 403);
+
+  const { token } = bruno;
+  const lista = await api.chamar("GET", "/api/feedback?nota_max=2", { token });
+  assert.equal(lista.status, 200);
+  assert.ok(lista.corpo.itens.every((f) => f.nota <= 2));
+
+  const relatorios = [
+    "/api/feedback/relatorios/media",
+    "/api/feedback/relatorios/piores-consultas",
+    "/api/feedback/relatorios/distribuicao",
+    "/api/feedback/relatorios/palavras",
+  ];
+  for (const rota of relatorios) {
+    assert.equal((await api.chamar("GET", rota, { token })).status, 200, rota);
+  }
+
+  const csv = await api.chamar("GET", "/api/feedback/exportar?formato=csv", { token });
+  assert.match(csv.headers.get("content-type"), /text\/csv/);
+  assert.match(csv.texto, /'=HYPERLINK/);
+  const json = await api.chamar("GET", "/api/feedback/exportar?formato=json", { token });
+  assert.ok(json.corpo.length >= 5);
+
+  // Parâmetro inválido é 400, não cai no padrão
+  const invalidos = [
+    "/api/feedback?limit=abc",
+    "/api/feedback?offset=-1",
+    "/api/feedback/relatorios/media?intervalo=ano",
+    "/api/feedback/relatorios/piores-consultas?minimo=0",
+    "/api/feedback/relatorios/palavras?limit=500",
+    "/api/feedback/exportar?formato=xml",
+  ];
+  for (const rota of invalidos) {
+    const r = await api.chamar("GET", rota, { token });
+    assert.equal(r.status, 400, rota);
+    assert.equal(r.corpo.code, "VALIDATION_ERROR", rota);
+  }
+});
+
+test("admin: usuários, papéis, suspensão e auditoria", async () => {
+  const { token } = admin;
+  assert.equal((await api.chamar("GET", "/api/admin/usuarios", { token: bruno.token })).status, 403);
+
+  const lista = await api.chamar("GET", "/api/admin/usuarios?q=ana", { token });
+  assert.equal(lista.corpo.total, 1);
+  const alvo = lista.corpo.itens[0];
+  assert.ok(alvo.curtidas > 0);
+
+  const detalhe = await api.chamar("GET", `/api/admin/usuarios/${alvo.id}`, { token });
+  assert.equal(detalhe.corpo.email, "ana@findmysong.dev");
+
+  const papel = await api.chamar("PATCH", `/api/admin/usuarios/${alvo.id}/papel`, {
+    token,
+    corpo: { papel: "moderator" },
+  });
+  assert.equal(papel.corpo.papel, "moderator");
+  const papelInvalido = await api.chamar("PATCH", `/api/admin/usuarios/${alvo.id}/papel`, {
+    token,
+    corpo: { papel: "dono" },
+  });
+  assert.equal(papelInvalido.status, 400);
+
+  const meuId = (await api.chamar("GET", "/api/usuarios/me", { token })).corpo.id;
+  const propria = await api.chamar("POST", `/api/admin/usuarios/${meuId}/suspender`, { token });
+  assert.equal(propria.corpo.code, "SELF_CHANGE_FORBIDDEN");
+
+  const suspensa = await api.chamar("POST", `/api/admin/usuarios/${alvo.id}/suspender`, {
+    token,
+    corpo: { motivo: "teste" },
+  });
+  assert.ok(suspensa.corpo.suspenso_em);
+  const login = await api.chamar("POST", "/api/usuarios/login", {
+    corpo: { email: "ana@findmysong.dev", senha: "demo1234" },
+  });
+  assert.equal(login.status, 403);
+  const refresh = await api.chamar("POST", "/api/usuarios/refresh", {
+    corpo: { refresh_token: ana.refresh_token },
+  });
+  assert.equal(refresh.status, 401);
+
+  const reativada = await api.chamar("POST", `/api/admin/usuarios/${alvo.id}/reativar`, { token });
+  assert.equal(reativada.corpo.suspenso_em, null);
+  await api.entrar("ana@findmysong.dev");
+
+  const auditoria = await api.chamar("GET", `/api/admin/auditoria?alvo_id=${alvo.id}`, { token });
+  assert.deepEqual(
+    auditoria.corpo.itens.map((a) => a.acao),
+    ["usuario.reativar", "usuario.suspender", "usuario.papel"]
+  );
+  assert.equal((await api.chamar("GET", "/api/admin/auditoria?limit=0", { token })).status, 400);
+  assert.equal((await api.chamar("GET", "/api/admin/usuarios?offset=x", { token })).status, 400);
+
+  const inexistente = await api.chamar("GET", "/api/admin/usuarios/99999", { token });
+  assert.equal(inexistente.status, 404);
+});
+
+test("admin: configurações versionadas, diff e rollback", async () => {
+  const { token } = admin;
+  const atual = await api.chamar("GET", "/api/admin/config", { token });
+  assert.equal(atual.status, 200);
+
+  const schema = await api.chamar("GET", "/api/admin/config/schema", { token });
+  assert.ok(schema.corpo.theme);
+
+  const invalida = await api.chamar("PATCH", "/api/admin/config", {
+    token,
+    corpo: { theme: "rosa", chave_nova: 1 },
+  });
+  assert.equal(invalida.status, 400);
+  assert.equal(invalida.corpo.code, "CONFIG_INVALID");
+
+  const v1 = await api.chamar("PATCH", "/api/admin/config", { token, corpo: { theme: "dark" } });
+  assert.equal(v1.corpo.versao, 1);
+  const v2 = await api.chamar("POST", "/api/admin/config", {
+    token,
+    corpo: { language: "en", features: { feedback: false } },
+  });
+  assert.equal(v2.corpo.versao, 2);
+
+  // Idioma padrão e recurso desligado valem para o site
+  const feedback = await api.chamar("POST", "/api/feedback", { corpo: { query: "x", nota: 3 } });
+  assert.equal(feedback.status, 404);
+  assert.equal(feedback.corpo.message, "Feature disabled.");
+
+  const historico = await api.chamar("GET", "/api/admin/config/historico", { token });
+  assert.deepEqual(
+    historico.corpo.itens.map((v) => v.versao),
+    [2, 1]
+  );
+  assert.equal((await api.chamar("GET", "/api/admin/config/historico?limit=101", { token })).status, 400);
+  const versao = await api.chamar("GET", "/api/admin/config/versoes/1", { token });
+  assert.equal(versao.corpo.valores.theme, "dark");
+  assert.equal((await api.chamar("GET", "/api/admin/config/versoes/50", { token })).status, 404);
+
+  const diff = await api.chamar("GET", "/api/admin/config/diff?de=1&para=2", { token });
+  assert.deepEqual(diff.corpo.alteracoes.map((a) => a.chave).sort(), ["features.feedback", "language"]);
+
+  const rollback = await api.chamar("POST", "/api/admin/config/rollback", {
+    token,
+    corpo: { versao: 1 },
+  });
+  assert.equal(rollback.corpo.versao, 3);
+  assert.equal(rollback.corpo.valores.language, "pt-BR");
+  assert.equal((await api.chamar("GET", "/api/config")).headers.get("x-config-version"), "3");
+});
@@ -0,0 +1,131 @@
+// Eventos ao vivo do painel admin (SSE)
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+const { pararEventosAdmin } = require("../services/eventosAdmin");
+
+let api;
+let admin;
+let ana;
+before(async () => {
+  api = await iniciarServidor();
+  admin = await api.entrar("admin@findmysong.dev");
+  ana = await api.entrar("ana@findmysong.dev");
+});
+after(async () => {
+  await pararEventosAdmin();
+  await api.encerrar();
+});
+
+// Abre o stream e vai juntando os eventos; esperar(n) aguarda n eventos
+async function abrirStream(consulta = "", cabecalhos = {}) {
+  const controle = new AbortController();
+  const r = await fetch(`${api.base}/api/admin/eventos${consulta}`, {
+    headers: { Authorization: `Bearer ${admin.token}`, ...cabecalhos },
+    signal: controle.signal,
+  });
+  const leitor = r.body.getReader();
+  const decodificador = new TextDecoder();
+  const eventos = [];
+  let resto = "";
+
+  async function esperar(quantos, limiteMs = 5000) {
+    const prazo = Date.now() + limiteMs;
+    while (eventos.length < quantos) {
+      if (Date.now() > prazo) throw new Error(`Só ${eventos.length} de ${quantos} eventos chegaram`);
+      const { value, done } = await leitor.read();
+      if (done) break;
+      resto += decodificador.decode(value, { stream: true });
+      const blocos = resto.split("\n\n");
+      resto = blocos.pop();
+      for (const bloco of blocos) {
+        const campos = Object.fromEntries(
+          bloco
+            .split("\n")
+            .filter((l) => !l.startsWith(":") && l.includes(": "))
+            .map((l) => [l.slice(0, l.indexOf(": ")), l.slice(l.indexOf(": ") + 2)])
+        );
+        if (campos.event) eventos.push({ id: campos.id, tipo: campos.event, dados: JSON.parse(campos.data).dados });
+      }
+    }
+    return eventos;
+  }
+
+  return { status: r.status, headers: r.headers, esperar, fechar: () => controle.abort() };
+}
+
+test("só admin abre o stream; tipos desconhecidos são recusados", async () => {
+  assert.equal((await api.chamar("GET", "/api/admin/eventos")).status, 401);
+  assert.equal((await api.chamar("GET", "/api/admin/eventos", { token: ana.token })).status, 403);
+  const invalido = await api.chamar("GET", "/api/admin/eventos?tipos=senha.trocada", { token: admin.token });
+  assert.equal(invalido.status, 400);
+});
+
+test("cadastros e feedbacks chegam ao vivo, respeitando o filtro", async () => {
+  const stream = await abrirStream("?tipos=usuario.criado,feedback.criado");
+  assert.equal(stream.status, 200);
+  assert.match(stream.headers.get("content-type"), /^text\/event-stream/);
+
+  await api.chamar("POST", "/api/likes", { token: ana.token, corpo: { spotify_id: "fx-trk-016", titulo: "Fora" } });
+  await api.chamar("POST", "/api/usuarios/register", {
+    corpo: { nome: "Dora", email: "dora@findmysong.dev", senha: "segredo123" },
+  });
+  await api.chamar("POST", "/api/feedback", { corpo: { query: "farol", nota: 4, comentario: "achei!" } });
+
+  const eventos = await stream.esperar(2);
+  stream.fechar();
+  assert.deepEqual(
+    eventos.map((e) => e.tipo),
+    ["usuario.criado", "feedback.criado"]
+  );
+  assert.equal(eventos[0].dados.usuario.email, "dora@findmysong.dev");
+  assert.equal(eventos[1].dados.nota, 4);
+  assert.ok(Number(eventos[1].id) > Number(eventos[0].id));
+});
+
+test("importação de curtidas publica um evento com a quantidade", async () => {
+  const stream = await abrirStream("?tipos=curtidas.importadas");
+  const csv = [
+    '"Track URI","Track Name","Artist Name(s)","Album Name","Track Duration (ms)"',
+    '"","Viola no Peito","Trio Sertao Azul","",0',
+    '"","Porteira Aberta","Trio Sertao Azul","",0',
+  ].join("\n");
+  const r = await api.chamar("POST", "/api/likes/importar?formato=spotify_csv", {
+    token: ana.token,
+    corpo: csv,
+    cabecalhos: { "Content-Type": "text/csv" },
+  });
+  assert.equal(r.corpo.adicionadas, 2);
+
+  const [evento] = await stream.esperar(1);
+  stream.fechar();
+  assert.equal(evento.tipo, "curtidas.importadas");
+  assert.equal(evento.dados.total, 2);
+  assert.equal(evento.dados.formato, "spotify_csv");
+});
+
+test("Last-Event-ID repete o que foi perdido; id fora do buffer avisa a lacuna", async () => {
+  const primeira = await abrirStream("?tipos=curtida.criada,playlist.criada");
+  await api.chamar("POST", "/api/likes", { token: ana.token, corpo: { spotify_id: "fx-trk-017", titulo: "Uma" } });
+  const [curtida] = await primeira.esperar(1);
+  primeira.fechar();
+  assert.equal(curtida.tipo, "curtida.criada");
+  assert.equal(curtida.dados.spotify_id, "fx-trk-017");
+
+  // Desconectado: a playlist criada agora só chega na repetição
+  await api.chamar("POST", "/api/playlists", { token: ana.token, corpo: { nome: "Perdida" } });
+
+  const retomada = await abrirStream("?tipos=curtida.criada,playlist.criada", { "Last-Event-ID": curtida.id });
+  const repetidos = await retomada.esperar(1);
+  retomada.fechar();
+  assert.deepEqual(
+    repetidos.map((e) => [e.tipo, e.dados.nome]),
+    [["playlist.criada", "Perdida"]]
+  );
+
+  const antiga = await abrirStream("?ultimo_id=999999&tipos=playlist.criada");
+  const comLacuna = await antiga.esperar(2);
+  antiga.fechar();
+  assert.equal(comLacuna[0].tipo, "lacuna");
+  assert.equal(comLacuna[1].dados.nome, "Perdida");
+});
@@ -0,0 +1,59 @@
+// ===============================
+// Apoio aos testes de ponta a ponta
+// ===============================
+// Cada arquivo *.test.js roda em um processo próprio (node --test) e sobe o
+// app no modo "test": PGlite em memória, catálogo de fixtures e os dados de
+// exemplo de demo/dados.js. As requisições passam por HTTP de verdade.
+process.env.APP_MODE = "test";
+
+const { once } = require("events");
+const { criarAppDemo } = require("../demo");
+const { SENHA_DEMO } = require("../demo/dados");
+
+async function iniciarServidor() {
+  const { app, db } = await criarAppDemo({ modo: "test" });
+  const servidor = app.listen(0, "127.0.0.1");
+  await once(servidor, "listening");
+  const base = `http://127.0.0.1:${servidor.address().port}`;
+
+  // chamar("POST", "/api/...", { corpo, token, cabecalhos }) -> { status, corpo, headers, texto }
+  // corpo em texto vai cru (o Content-Type vem em cabecalhos), FormData vai
+  // como multipart; o resto vira JSON.
+  async function chamar(metodo, caminho, { corpo, token, cabecalhos = {} } = {}) {
+    const headers = { ...cabecalhos };
+    const cru = typeof corpo === "string" || corpo instanceof FormData;
+    if (corpo !== undefined && !cru) headers["Content-Type"] = "application/json";
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const r = await fetch(base + caminho, {
+      method: metodo,
+      headers,
+      body: corpo === undefined || cru ? corpo : JSON.stringify(corpo),
+      redirect: "manual",
+    });
+    const texto = await r.text();
+    let json;
+    try {
+      json = JSON.parse(texto);
+    } catch {
+      json = undefined;
+    }
+    return { status: r.status, corpo: json, texto, headers: r.headers };
+  }
+
+  // Faz login e devolve { token, refresh_token, ... }
+  async function entrar(email, senha = SENHA_DEMO) {
+    const r = await chamar("POST", "/api/usuarios/login", { corpo: { email, senha } });
+    if (r.status !== 200) throw new Error(`Login de ${email} falhou: ${r.status} ${r.texto}`);
+    return r.corpo;
+  }
+
+  async function encerrar() {
+    await new Promise((resolve) => servidor.close(resolve));
+    await db.end();
+  }
+
+  return { base, db, chamar, entrar, encerrar };
+}
+
+module.exports = { iniciarServidor, SENHA_DEMO };
@@ -0,0 +1,135 @@
+// Upload de avatar: validação, recorte/redimensionamento e limpeza
+process.env.AVATAR_MAX_BYTES = String(200 * 1024);
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { iniciarServidor } = require("./apoio");
+
+let api;
+let ana;
+before(async () => {
+  api = await iniciarServidor();
+  ana = await api.entrar("ana@findmysong.dev");
+});
+after(() => api.encerrar());
+
+function imagem(largura, altura, formato = "png") {
+  return sharp({ create: { width: largura, height: altura, channels: 3, background: "#3366cc" } })
+    .toFormat(formato)
+    .toBuffer();
+}
+
+function formulario(conteudo, { nome = "foto.png", tipo = "image/png", campos = {} } = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(campos)) form.append(k, String(v));
+  form.append("avatar", new Blob([conteudo], { type: tipo }), nome);
+  return form;
+}
+
+async function baixar(url) {
+  const r = await fetch(api.base + url);
+  return { status: r.status, tipo: r.headers.get("content-type"), conteudo: Buffer.from(await r.arrayBuffer()) };
+}
+
+test("upload gera os tamanhos padrão em WebP, quadrados", async () => {
+  const { token } = ana;
+  const r = await api.chamar("POST", "/api/usuarios/profile/me/avatar", {
+    token,
+    corpo: formulario(await imagem(300, 200)),
+  });
+  assert.equal(r.status, 200);
+  assert.deepEqual(Object.keys(r.corpo.avatares), ["64", "256", "512"]);
+  assert.equal(r.corpo.avatar_url, r.corpo.avatares["256"]);
+
+  for (const [tamanho, url] of Object.entries(r.corpo.avatares)) {
+    const arquivo = await baixar(url);
+    assert.equal(arquivo.status, 200);
+    assert.equal(arquivo.tipo, "image/webp");
+    const meta = await sharp(arquivo.conteudo).metadata();
+    assert.deepEqual([meta.format, meta.width, meta.height], ["webp", Number(tamanho), Number(tamanho)]);
+  }
+
+  const perfil = await api.chamar("GET", "/api/usuarios/profile/me", { token });
+  assert.deepEqual(perfil.corpo.avatares, r.corpo.avatares);
+  const publico = await api.chamar("GET", `/api/usuarios/profile/${perfil.corpo.id}`);
+  assert.equal(publico.corpo.avatar_url, r.corpo.avatar_url);
+
+  // URL externa no perfil não substitui mais o avatar
+  await api.chamar("POST", "/api/usuarios/profile/me", {
+    token,
+    corpo: { nome: "Ana Souza", avatar_url: "https://rastreador.example/pixel.png" },
+  });
+  assert.equal((await api.chamar("GET", "/api/usuarios/profile/me", { token })).corpo.avatar_url, r.corpo.avatar_url);
+});
+
+test("trocar o avatar apaga os arquivos do anterior; recorte fora da imagem é recusado", async () => {
+  const { token } = ana;
+  const antes = (await api.chamar("GET", "/api/usuarios/profile/me", { token })).corpo;
+
+  const foraDaImagem = await api.chamar("POST", "/api/usuarios/profile/me/avatar", {
+    token,
+    corpo: formulario(await imagem(400, 300, "jpeg"), { nome: "f.jpg", campos: { x: 200, y: 0, lado: 300 } }),
+  });
+  assert.equal(foraDaImagem.status, 400);
+  assert.ok(foraDaImagem.corpo.erros.recorte);
+
+  const r = await api.chamar("POST", "/api/usuarios/profile/me/avatar", {
+    token,
+    corpo: formulario(await imagem(400, 300, "jpeg"), { nome: "f.jpg", campos: { x: 100, y: 0, lado: 300 } }),
+  });
+  assert.equal(r.status, 200);
+  assert.notEqual(r.corpo.avatar_url, antes.avatar_url);
+
+  for (const url of Object.values(antes.avatares)) assert.equal((await baixar(url)).status, 404);
+  assert.equal((await baixar(r.corpo.avatares["512"])).status, 200);
+});
+
+test("só imagens de verdade, dentro dos limites", async () => {
+  const { token } = ana;
+  const enviar = (corpo) => api.chamar("POST", "/api/usuarios/profile/me/avatar", { token, corpo });
+
+  // Extensão e Content-Type de imagem não bastam
+  const falsa = await enviar(formulario(Buffer.from("<svg onload=alert(1)>".repeat(4))));
+  assert.equal(falsa.status, 415);
+  assert.equal(falsa.corpo.code, "UNSUPPORTED_IMAGE");
+
+  const pequena = await enviar(formulario(await imagem(40, 40)));
+  assert.equal(pequena.corpo.code, "IMAGE_TOO_SMALL");
+
+  // Ruído não comprime: passa do limite de 200 KB do teste
+  const ruido = await sharp(crypto.randomBytes(400 * 400 * 3), { raw: { width: 400, height: 400, channels: 3 } })
+    .png()
+    .toBuffer();
+  const grande = await enviar(formulario(ruido));
+  assert.equal(grande.status, 413);
+  assert.equal(grande.corpo.code, "FILE_TOO_LARGE");
+
+  const semArquivo = new FormData();
+  semArquivo.append("x", "1");
+  assert.equal((await enviar(semArquivo)).status, 400);
+
+  const json = await api.chamar("POST", "/api/usuarios/profile/me/avatar", { token, corpo: { avatar: "x" } });
+  assert.equal(json.corpo.code, "MULTIPART_REQUIRED");
+
+  const outroUsuario = await api.chamar("POST", "/api/usuarios/profile/99999/avatar", {
+    token,
+    corpo: formulario(await imagem(100, 100)),
+  });
+  assert.equal(outroUsuario.status, 403);
+});
+
+test("remover o avatar apaga os arquivos", async () => {
+  const { token } = ana;
+  const antes = (await api.chamar("GET", "/api/usuarios/profile/me", { token })).corpo;
+
+  assert.equal((await api.chamar("DELETE", "/api/usuarios/profile/me/avatar", { token })).status, 200);
+  const depois = (await api.chamar("GET", "/api/usuarios/profile/me", { token })).corpo;
+  assert.equal(depois.avatar_url, null);
+  assert.equal(depois.avatares, null);
+  assert.equal((await baixar(antes.avatares["64"])).status, 404);
+
+  const deNovo = await api.chamar("DELETE", "/api/usuarios/profile/me/avatar", { token });
+  assert.equal(deNovo.corpo.code, "AVATAR_NOT_FOUND");
+});
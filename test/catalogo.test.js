@@ -0,0 +1,152 @@
+// Catálogo, busca, recomendações, conta Spotify e rotas gerais
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+
+let api;
+let ana;
+before(async () => {
+  api = await iniciarServidor();
+  ana = await api.entrar("ana@findmysong.dev");
+});
+after(() => api.encerrar());
+
+test("health, raiz, configuração pública e rota inexistente", async () => {
+  const health = await api.chamar("GET", "/health");
+  assert.equal(health.status, 200);
+  assert.equal(health.corpo.ok, true);
+  assert.match((await api.chamar("GET", "/")).texto, /FindMySong/);
+
+  const config = await api.chamar("GET", "/api/config");
+  assert.equal(config.status, 200);
+  assert.equal(config.corpo.default_market, "BR");
+  assert.equal(config.headers.get("x-config-version"), "0");
+
+  const nada = await api.chamar("GET", "/api/nao-existe");
+  assert.equal(nada.status, 404);
+  assert.equal(nada.corpo.code, "ROUTE_NOT_FOUND");
+});
+
+test("JSON inválido vira 400 INVALID_JSON", async () => {
+  const r = await fetch(`${api.base}/api/usuarios/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: "{quebrado",
+  });
+  assert.equal(r.status, 400);
+  assert.equal((await r.json()).code, "INVALID_JSON");
+});
+
+test("catálogo: busca por tipo, faixa, lançamentos e status", async () => {
+  const faixas = await api.chamar("GET", "/api/catalogo/busca?q=verão&limit=2");
+  assert.equal(faixas.status, 200);
+  assert.equal(faixas.corpo.itens.length, 2);
+  assert.ok(faixas.corpo.total >= 2);
+
+  const artistas = await api.chamar("GET", "/api/catalogo/busca?q=banda&tipo=artista");
+  assert.ok(artistas.corpo.itens.every((a) => a.nome));
+
+  const semQ = await api.chamar("GET", "/api/catalogo/busca?tipo=xyz");
+  assert.equal(semQ.status, 400);
+  assert.deepEqual(Object.keys(semQ.corpo.erros).sort(), ["q", "tipo"]);
+
+  const faixa = await api.chamar("GET", "/api/catalogo/faixas/fx-trk-001");
+  assert.equal(faixa.corpo.id, "fx-trk-001");
+  assert.equal(faixa.corpo.provedor, "fixture");
+  const inexistente = await api.chamar("GET", "/api/catalogo/faixas/nao-existe");
+  assert.equal(inexistente.status, 404);
+
+  const lancamentos = await api.chamar("GET", "/api/catalogo/lancamentos?limit=3");
+  assert.equal(lancamentos.corpo.length, 3);
+
+  // Diagnóstico só para admin
+  assert.equal((await api.chamar("GET", "/api/catalogo/cache")).status, 401);
+  assert.equal((await api.chamar("GET", "/api/catalogo/status", { token: ana.token })).status, 403);
+  const admin = await api.entrar("admin@findmysong.dev");
+  const cache = await api.chamar("GET", "/api/catalogo/cache", { token: admin.token });
+  assert.ok(cache.corpo.hits + cache.corpo.misses > 0);
+  const status = await api.chamar("GET", "/api/catalogo/status", { token: admin.token });
+  assert.equal(status.corpo.provedor, "fixture");
+});
+
+test("busca no formato Spotify e top 10", async () => {
+  const faixas = await api.chamar("GET", "/api/spotify/search?q=a&limit=5");
+  assert.equal(faixas.status, 200);
+  assert.ok(Array.isArray(faixas.corpo));
+  assert.ok(Number(faixas.headers.get("x-total-count")) >= faixas.corpo.length);
+
+  const varios = await api.chamar("GET", "/api/spotify/search?q=a&type=track,album");
+  assert.deepEqual(Object.keys(varios.corpo).sort(), ["albums", "tracks"]);
+
+  const invalida = await api.chamar("GET", "/api/spotify/search?q=a&type=podcast");
+  assert.equal(invalida.status, 400);
+
+  const top = await api.chamar("GET", "/api/spotify/top10");
+  assert.equal(top.status, 200);
+  assert.ok(top.corpo.length > 0 && top.corpo.length <= 10);
+});
+
+test("recomendações a partir das curtidas", async () => {
+  assert.equal((await api.chamar("GET", "/api/recommendations")).status, 401);
+
+  const r = await api.chamar("GET", "/api/recommendations?limit=5", { token: ana.token });
+  assert.equal(r.status, 200);
+  assert.ok(r.corpo.itens.length > 0);
+  const curtidas = (await api.chamar("GET", "/api/likes/me", { token: ana.token })).corpo;
+  const jaCurtidas = new Set(curtidas.map((c) => c.spotify_id));
+  assert.ok(r.corpo.itens.every((i) => !jaCurtidas.has(i.spotify_id)));
+});
+
+test("recomendações explicam pela origem da semente", async () => {
+  await api.chamar("POST", "/api/usuarios/register", {
+    corpo: { nome: "Hugo", email: "hugo@findmysong.dev", senha: "segredo123" },
+  });
+  const { token } = await api.entrar("hugo@findmysong.dev", "segredo123");
+  await api.chamar("POST", "/api/library", { token, corpo: { spotify_id: "fx-trk-001" } });
+
+  const r = await api.chamar("GET", "/api/recommendations?limit=10", { token });
+  assert.equal(r.corpo.estrategia, "personalizada");
+  const motivos = r.corpo.itens.map((i) => i.motivo).filter((m) => !m.startsWith("Porque você ouve"));
+  assert.ok(motivos.length > 0);
+  assert.ok(motivos.every((m) => m === "Porque você tem Ondas de Verão na biblioteca"), motivos.join("; "));
+
+  const ingles = await api.chamar("GET", "/api/recommendations?limit=10", {
+    token,
+    cabecalhos: { "Accept-Language": "en" },
+  });
+  assert.ok(ingles.corpo.itens.some((i) => i.motivo === "Because Ondas de Verão is in your library"));
+
+  for (const query of ["limit=abc", "limit=0", "limit=51", "market=ZZ"]) {
+    const invalido = await api.chamar("GET", `/api/recommendations?${query}`, { token });
+    assert.equal(invalido.status, 400, query);
+  }
+});
+
+test("conta Spotify: vínculo e importação sem conta conectada", async () => {
+  const { token } = ana;
+  const url = await api.chamar("GET", "/api/spotify/auth/url", { token });
+  assert.equal(url.status, 200);
+  assert.match(url.corpo.url, /^https:\/\/accounts\.spotify\.com\/authorize\?/);
+
+  const status = await api.chamar("GET", "/api/spotify/auth/status", { token });
+  assert.deepEqual(status.corpo, { conectado: false });
+
+  // Callback sem "code" volta para o front com erro
+  const callback = await api.chamar("GET", "/api/spotify/auth/callback?error=access_denied");
+  assert.equal(callback.status, 302);
+  assert.match(callback.headers.get("location"), /spotify=negado/);
+
+  const playlists = await api.chamar("GET", "/api/spotify/me/playlists", { token });
+  assert.equal(playlists.status, 409);
+  assert.equal(playlists.corpo.code, "SPOTIFY_NOT_LINKED");
+
+  const semOrigem = await api.chamar("POST", "/api/spotify/importar", { token, corpo: {} });
+  assert.equal(semOrigem.status, 400);
+  const importar = await api.chamar("POST", "/api/spotify/importar", {
+    token,
+    corpo: { salvas: true },
+  });
+  assert.equal(importar.status, 409);
+
+  assert.equal((await api.chamar("DELETE", "/api/spotify/auth", { token })).status, 200);
+});
@@ -0,0 +1,172 @@
+// Playlists colaborativas: convites, papéis, autoria e versão
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+
+let api;
+let ana;
+let carla;
+let bruno;
+let idCarla;
+let idBruno;
+let base;
+before(async () => {
+  api = await iniciarServidor();
+  ana = await api.entrar("ana@findmysong.dev");
+  carla = await api.entrar("carla@findmysong.dev");
+  bruno = await api.entrar("bruno@findmysong.dev");
+  idCarla = (await api.chamar("GET", "/api/usuarios/me", { token: carla.token })).corpo.id;
+  idBruno = (await api.chamar("GET", "/api/usuarios/me", { token: bruno.token })).corpo.id;
+
+  const criada = await api.chamar("POST", "/api/playlists", { token: ana.token, corpo: { nome: "Juntos" } });
+  base = `/api/playlists/${criada.corpo.id}`;
+  await api.chamar("POST", `${base}/musicas`, {
+    token: ana.token,
+    corpo: { musicas: [{ spotify_id: "fx-trk-001" }, { spotify_id: "fx-trk-002" }] },
+  });
+});
+after(() => api.encerrar());
+
+test("convite aceito vira membro com o papel do convite; recusado não", async () => {
+  assert.equal((await api.chamar("GET", `${base}/musicas`, { token: carla.token })).status, 403);
+
+  const convite = await api.chamar("POST", `${base}/convites`, {
+    token: ana.token,
+    corpo: { email: "CARLA@findmysong.dev", papel: "viewer" },
+  });
+  assert.equal(convite.status, 201);
+  // Convidar de novo só troca o papel
+  const deNovo = await api.chamar("POST", `${base}/convites`, {
+    token: ana.token,
+    corpo: { usuario_id: idCarla },
+  });
+  assert.equal(deNovo.status, 200);
+  assert.equal(deNovo.corpo.papel, "editor");
+  assert.equal(deNovo.corpo.id, convite.corpo.id);
+
+  const recebidos = await api.chamar("GET", "/api/playlists/convites", { token: carla.token });
+  assert.equal(recebidos.corpo.length, 1);
+  assert.equal(recebidos.corpo[0].playlist.nome, "Juntos");
+  assert.equal(recebidos.corpo[0].convidado_por.nome, "Ana Souza");
+
+  const alheio = await api.chamar("POST", `/api/playlists/convites/${convite.corpo.id}/aceitar`, {
+    token: bruno.token,
+  });
+  assert.equal(alheio.status, 404);
+  const aceito = await api.chamar("POST", `/api/playlists/convites/${convite.corpo.id}/aceitar`, {
+    token: carla.token,
+  });
+  assert.equal(aceito.status, 200);
+  assert.equal(aceito.corpo.papel, "editor");
+
+  const minhas = await api.chamar("GET", "/api/playlists/me", { token: carla.token });
+  assert.equal(minhas.corpo.find((p) => `/api/playlists/${p.id}` === base).meu_papel, "editor");
+  const jaMembro = await api.chamar("POST", `${base}/convites`, { token: ana.token, corpo: { usuario_id: idCarla } });
+  assert.equal(jaMembro.corpo.code, "ALREADY_MEMBER");
+
+  const paraBruno = await api.chamar("POST", `${base}/convites`, {
+    token: ana.token,
+    corpo: { usuario_id: idBruno, papel: "viewer" },
+  });
+  await api.chamar("POST", `/api/playlists/convites/${paraBruno.corpo.id}/recusar`, { token: bruno.token });
+  assert.equal((await api.chamar("GET", `${base}/musicas`, { token: bruno.token })).status, 403);
+  assert.equal((await api.chamar("GET", `${base}/convites`, { token: ana.token })).corpo.length, 0);
+});
+
+test("editor mexe nas músicas com autoria, mas não na playlist", async () => {
+  const { token } = carla;
+  const r = await api.chamar("POST", `${base}/musicas`, { token, corpo: { spotify_id: "fx-trk-003" } });
+  assert.equal(r.status, 201);
+
+  const musicas = (await api.chamar("GET", `${base}/musicas`, { token })).corpo;
+  assert.deepEqual(
+    musicas.map((m) => [m.spotify_id, m.adicionada_por_nome]),
+    [
+      ["fx-trk-001", "Ana Souza"],
+      ["fx-trk-002", "Ana Souza"],
+      ["fx-trk-003", "Carla Lima"],
+    ]
+  );
+
+  assert.equal((await api.chamar("PATCH", base, { token, corpo: { nome: "Meu" } })).status, 403);
+  assert.equal((await api.chamar("DELETE", base, { token })).status, 403);
+  const convite = await api.chamar("POST", `${base}/convites`, { token, corpo: { usuario_id: idBruno } });
+  assert.equal(convite.status, 403);
+
+  const membros = (await api.chamar("GET", `${base}/membros`, { token })).corpo;
+  assert.deepEqual(
+    membros.map((m) => [m.nome, m.papel, m.criador]),
+    [
+      ["Ana Souza", "owner", true],
+      ["Carla Lima", "editor", false],
+    ]
+  );
+});
+
+test("versão desatualizada é recusada com 409", async () => {
+  const atual = await api.chamar("GET", `${base}/detalhes`, { token: ana.token });
+  const versao = Number(atual.headers.get("x-playlist-version"));
+  assert.equal(atual.corpo.versao, versao);
+
+  // Carla reordena a partir da versão que viu
+  const primeira = await api.chamar("POST", `${base}/reordenar`, {
+    token: carla.token,
+    corpo: { de: 3, para: 1 },
+    cabecalhos: { "If-Match": `"${versao}"` },
+  });
+  assert.equal(primeira.status, 200);
+  assert.equal(Number(primeira.headers.get("x-playlist-version")), versao + 1);
+
+  // Ana ainda tem a versão antiga: a reordenação dela não é aplicada
+  const segunda = await api.chamar("POST", `${base}/reordenar`, {
+    token: ana.token,
+    corpo: { de: 1, para: 2, versao },
+  });
+  assert.equal(segunda.status, 409);
+  assert.equal(segunda.corpo.code, "PLAYLIST_VERSION_CONFLICT");
+
+  const musicas = (await api.chamar("GET", `${base}/musicas`, { token: ana.token })).corpo;
+  assert.deepEqual(
+    musicas.map((m) => m.spotify_id),
+    ["fx-trk-003", "fx-trk-001", "fx-trk-002"]
+  );
+
+  const invalida = await api.chamar("DELETE", `${base}/musicas/fx-trk-001`, {
+    token: ana.token,
+    cabecalhos: { "If-Match": "abc" },
+  });
+  assert.equal(invalida.status, 400);
+});
+
+test("papéis: owner promove e remove; criador não pode ser removido; membro sai", async () => {
+  const idAna = (await api.chamar("GET", "/api/usuarios/me", { token: ana.token })).corpo.id;
+
+  const promovida = await api.chamar("PATCH", `${base}/membros/${idCarla}`, {
+    token: ana.token,
+    corpo: { papel: "owner" },
+  });
+  assert.equal(promovida.status, 200);
+  // Co-owner convida, mas não mexe no criador
+  const convite = await api.chamar("POST", `${base}/convites`, {
+    token: carla.token,
+    corpo: { usuario_id: idBruno, papel: "viewer" },
+  });
+  assert.equal(convite.status, 201);
+  const criador = await api.chamar("DELETE", `${base}/membros/${idAna}`, { token: carla.token });
+  assert.equal(criador.status, 403);
+  assert.equal(criador.corpo.code, "PLAYLIST_CREATOR_LOCKED");
+
+  await api.chamar("POST", `/api/playlists/convites/${convite.corpo.id}/aceitar`, { token: bruno.token });
+  assert.equal((await api.chamar("GET", `${base}/musicas`, { token: bruno.token })).status, 200);
+  assert.equal(
+    (await api.chamar("POST", `${base}/musicas`, { token: bruno.token, corpo: { spotify_id: "fx-trk-004" } })).status,
+    403
+  );
+  // Viewer não remove os outros, mas pode sair
+  assert.equal((await api.chamar("DELETE", `${base}/membros/${idCarla}`, { token: bruno.token })).status, 403);
+  assert.equal((await api.chamar("DELETE", `${base}/membros/${idBruno}`, { token: bruno.token })).status, 200);
+  assert.equal((await api.chamar("GET", `${base}/musicas`, { token: bruno.token })).status, 403);
+
+  assert.equal((await api.chamar("DELETE", `${base}/membros/${idCarla}`, { token: ana.token })).status, 200);
+  assert.equal((await api.chamar("GET", `${base}/detalhes`, { token: carla.token })).status, 403);
+});
@@ -0,0 +1,222 @@
+// Ciclo da conta: verificação de email, senha, troca de email, exportação e exclusão
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+const { transporte, usarTransporte } = require("../email");
+
+let api;
+before(async () => {
+  api = await iniciarServidor();
+});
+after(() => api.encerrar());
+
+// Último email enviado para o endereço (com o token do link, se houver)
+function ultimoEmail(para) {
+  const email = transporte()
+    .enviados()
+    .filter((e) => e.para === para)
+    .pop();
+  if (!email) return null;
+  const token = /[?&]token=([\w-]+)/.exec(email.texto)?.[1] ?? null;
+  return { ...email, token };
+}
+
+// O link de redefinição sai depois da resposta: espera o email chegar
+async function esperarEmail(para, assunto, limiteMs = 2000) {
+  const prazo = Date.now() + limiteMs;
+  for (;;) {
+    const email = ultimoEmail(para);
+    if (assunto.test(email?.assunto ?? "") || Date.now() > prazo) return email;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+async function cadastrar(nome, email, senha = "segredo123") {
+  const r = await api.chamar("POST", "/api/usuarios/register", { corpo: { nome, email, senha } });
+  assert.equal(r.status, 201);
+  return api.entrar(email, senha);
+}
+
+test("cadastro envia o link de verificação; o link vale uma vez", async () => {
+  const sessao = await cadastrar("Elisa", "elisa@findmysong.dev");
+  const antes = await api.chamar("GET", "/api/usuarios/me", { token: sessao.token });
+  assert.equal(antes.corpo.email_verificado, false);
+
+  const email = ultimoEmail("elisa@findmysong.dev");
+  assert.match(email.assunto, /Confirme seu email/);
+  assert.match(email.texto, /\/verificar-email\?token=/);
+
+  const ok = await api.chamar("POST", "/api/usuarios/email/verificar", { corpo: { token: email.token } });
+  assert.equal(ok.status, 200);
+  const depois = await api.chamar("GET", "/api/usuarios/me", { token: sessao.token });
+  assert.equal(depois.corpo.email_verificado, true);
+
+  const repetido = await api.chamar("POST", "/api/usuarios/email/verificar", { corpo: { token: email.token } });
+  assert.equal(repetido.status, 400);
+  assert.equal(repetido.corpo.code, "LINK_INVALID");
+
+  const reenvio = await api.chamar("POST", "/api/usuarios/me/email/reenviar", { token: sessao.token });
+  assert.equal(reenvio.status, 409);
+  assert.equal(reenvio.corpo.code, "EMAIL_ALREADY_VERIFIED");
+});
+
+test("esqueci a senha: mesma resposta para qualquer email; o link troca a senha e derruba as sessões", async () => {
+  const sessao = await cadastrar("Fabio", "fabio@findmysong.dev");
+
+  const inexistente = await api.chamar("POST", "/api/usuarios/senha/esqueci", {
+    corpo: { email: "ninguem@findmysong.dev" },
+  });
+  const existente = await api.chamar("POST", "/api/usuarios/senha/esqueci", {
+    corpo: { email: "FABIO@findmysong.dev" },
+  });
+  assert.equal(inexistente.status, 202);
+  assert.deepEqual(existente.corpo, inexistente.corpo);
+  assert.equal(ultimoEmail("ninguem@findmysong.dev"), null);
+
+  const { token } = await esperarEmail("fabio@findmysong.dev", /Redefinição de senha/);
+  const curta = await api.chamar("POST", "/api/usuarios/senha/redefinir", { corpo: { token, nova_senha: "123" } });
+  assert.equal(curta.status, 400);
+
+  const r = await api.chamar("POST", "/api/usuarios/senha/redefinir", { corpo: { token, nova_senha: "nova-senha-1" } });
+  assert.equal(r.status, 200);
+  assert.match(ultimoEmail("fabio@findmysong.dev").assunto, /senha .* foi alterada/);
+
+  const refresh = await api.chamar("POST", "/api/usuarios/refresh", { corpo: { refresh_token: sessao.refresh_token } });
+  assert.equal(refresh.status, 401);
+  const antiga = await api.chamar("POST", "/api/usuarios/login", {
+    corpo: { email: "fabio@findmysong.dev", senha: "segredo123" },
+  });
+  assert.equal(antiga.status, 401);
+  await api.entrar("fabio@findmysong.dev", "nova-senha-1");
+
+  const outraVez = await api.chamar("POST", "/api/usuarios/senha/redefinir", { corpo: { token, nova_senha: "outra-senha" } });
+  assert.equal(outraVez.corpo.code, "LINK_INVALID");
+});
+
+test("esqueci a senha: falha no envio não muda a resposta", async () => {
+  await cadastrar("Gil", "gil@findmysong.dev");
+  const original = transporte();
+  let tentou;
+  const tentativa = new Promise((resolve) => {
+    tentou = resolve;
+  });
+  usarTransporte({
+    enviar: async () => {
+      tentou();
+      throw new Error("SMTP fora do ar");
+    },
+  });
+  try {
+    const r = await api.chamar("POST", "/api/usuarios/senha/esqueci", { corpo: { email: "gil@findmysong.dev" } });
+    assert.equal(r.status, 202);
+    await tentativa;
+  } finally {
+    usarTransporte(original);
+  }
+});
+
+test("troca de senha e de email exigem a senha atual", async () => {
+  const sessao = await cadastrar("Gabi", "gabi@findmysong.dev");
+
+  const errada = await api.chamar("POST", "/api/usuarios/me/senha", {
+    token: sessao.token,
+    corpo: { senha_atual: "errada", nova_senha: "nova-senha-2" },
+  });
+  assert.equal(errada.status, 400);
+  assert.equal(errada.corpo.erros.senha_atual, "Senha incorreta.");
+
+  const troca = await api.chamar("POST", "/api/usuarios/me/senha", {
+    token: sessao.token,
+    corpo: { senha_atual: "segredo123", nova_senha: "nova-senha-2" },
+  });
+  assert.equal(troca.status, 200);
+  assert.ok(troca.corpo.token && troca.corpo.refresh_token);
+  const velha = await api.chamar("POST", "/api/usuarios/refresh", { corpo: { refresh_token: sessao.refresh_token } });
+  assert.equal(velha.status, 401);
+
+  const emUso = await api.chamar("POST", "/api/usuarios/me/email", {
+    token: troca.corpo.token,
+    corpo: { novo_email: "ana@findmysong.dev", senha: "nova-senha-2" },
+  });
+  assert.equal(emUso.status, 409);
+
+  const pedido = await api.chamar("POST", "/api/usuarios/me/email", {
+    token: troca.corpo.token,
+    corpo: { novo_email: "gabriela@findmysong.dev", senha: "nova-senha-2" },
+  });
+  assert.equal(pedido.status, 202);
+  // Até confirmar, nada muda
+  const antes = await api.chamar("GET", "/api/usuarios/me", { token: troca.corpo.token });
+  assert.equal(antes.corpo.email, "gabi@findmysong.dev");
+
+  const { token } = ultimoEmail("gabriela@findmysong.dev");
+  const confirmada = await api.chamar("POST", "/api/usuarios/email/verificar", { corpo: { token } });
+  assert.equal(confirmada.status, 200);
+  assert.equal(confirmada.corpo.email, "gabriela@findmysong.dev");
+  assert.match(ultimoEmail("gabi@findmysong.dev").texto, /gabriela@findmysong\.dev/);
+
+  const depois = await api.chamar("GET", "/api/usuarios/me", { token: troca.corpo.token });
+  assert.equal(depois.corpo.email, "gabriela@findmysong.dev");
+  assert.equal(depois.corpo.email_verificado, true);
+  await api.entrar("gabriela@findmysong.dev", "nova-senha-2");
+});
+
+test("exportação traz os dados; exclusão remove tudo e anonimiza os feedbacks", async () => {
+  const { token } = await cadastrar("Hugo", "hugo@findmysong.dev");
+  await api.chamar("POST", "/api/likes", { token, corpo: { spotify_id: "fx-trk-020", titulo: "Curtida" } });
+  await api.chamar("POST", "/api/library", { token, corpo: { spotify_id: "fx-trk-021", titulo: "Salva" } });
+  const playlist = await api.chamar("POST", "/api/playlists", { token, corpo: { nome: "Do Hugo" } });
+  await api.chamar("POST", `/api/playlists/${playlist.corpo.id}/musicas`, {
+    token,
+    corpo: { spotify_id: "fx-trk-022", titulo: "Na playlist" },
+  });
+  await api.chamar("POST", "/api/feedback", { token, corpo: { query: "hugo", nota: 5, comentario: "meu comentário" } });
+
+  const exportacao = await api.chamar("GET", "/api/usuarios/me/dados", { token });
+  assert.equal(exportacao.status, 200);
+  assert.match(exportacao.headers.get("content-disposition"), /attachment; filename="findmysong-dados-\d+\.json"/);
+  const dados = exportacao.corpo;
+  assert.equal(dados.conta.email, "hugo@findmysong.dev");
+  assert.equal(dados.conta.senha, undefined);
+  assert.deepEqual(dados.curtidas.map((c) => c.spotify_id), ["fx-trk-020"]);
+  assert.deepEqual(dados.biblioteca.map((b) => b.spotify_id), ["fx-trk-021"]);
+  assert.deepEqual(dados.playlists[0].musicas.map((m) => m.spotify_id), ["fx-trk-022"]);
+  assert.equal(dados.feedbacks[0].comentario, "meu comentário");
+  assert.ok(dados.sessoes.length >= 1 && dados.sessoes.every((s) => s.token_hash === undefined));
+
+  const semSenha = await api.chamar("DELETE", "/api/usuarios/me", { token, corpo: { senha: "errada" } });
+  assert.equal(semSenha.status, 400);
+
+  const r = await api.chamar("DELETE", "/api/usuarios/me", { token, corpo: { senha: "segredo123" } });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.corpo.removidos, {
+    feedbacks_anonimizados: 1,
+    playlist_musicas: 1,
+    playlists: 1,
+    curtidas: 1,
+    biblioteca: 1,
+  });
+
+  const id = dados.conta.id;
+  const restos = await api.db.query(
+    `SELECT (SELECT COUNT(*)::int FROM usuarios WHERE id = $1) AS usuarios,
+            (SELECT COUNT(*)::int FROM curtidas WHERE usuario_id = $1) AS curtidas,
+            (SELECT COUNT(*)::int FROM playlists WHERE usuario_id = $1) AS playlists`,
+    [id]
+  );
+  assert.deepEqual(restos.rows[0], { usuarios: 0, curtidas: 0, playlists: 0 });
+  const feedback = await api.db.query("SELECT usuario_id, comentario, nota FROM feedbacks WHERE query = 'hugo'");
+  assert.deepEqual(feedback.rows, [{ usuario_id: null, comentario: "", nota: 5 }]);
+
+  const login = await api.chamar("POST", "/api/usuarios/login", {
+    corpo: { email: "hugo@findmysong.dev", senha: "segredo123" },
+  });
+  assert.equal(login.status, 401);
+});
+
+test("o único admin não pode excluir a própria conta", async () => {
+  const admin = await api.entrar("admin@findmysong.dev");
+  const r = await api.chamar("DELETE", "/api/usuarios/me", { token: admin.token, corpo: { senha: "demo1234" } });
+  assert.equal(r.status, 409);
+  assert.equal(r.corpo.code, "LAST_ADMIN");
+});
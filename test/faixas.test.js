@@ -0,0 +1,188 @@
+// Catálogo local de faixas: dados vindos do catálogo, atualização e a migração 022
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+const criarPoolPglite = require("../db/pglite");
+const { migrate, rollback } = require("../db/migrate");
+const { catalogo } = require("../catalog");
+const { CatalogoError } = require("../catalog/erros");
+
+let api;
+let admin;
+let ana;
+before(async () => {
+  api = await iniciarServidor();
+  admin = await api.entrar("admin@findmysong.dev");
+  ana = await api.entrar("ana@findmysong.dev");
+});
+after(() => api.encerrar());
+
+test("curtida grava os dados do catálogo, não os mandados pelo cliente", async () => {
+  const r = await api.chamar("POST", "/api/likes", {
+    token: ana.token,
+    corpo: { spotify_id: "fx-trk-010", titulo: "Inventado", imagem: "https://golpe.example/capa.png" },
+  });
+  assert.equal(r.status, 200);
+
+  const curtidas = await api.chamar("GET", "/api/likes/me", { token: ana.token });
+  const curtida = curtidas.corpo.find((c) => c.spotify_id === "fx-trk-010");
+  assert.equal(curtida.titulo, "Poeira Cósmica");
+  assert.equal(curtida.artista, "Os Cometas");
+  assert.notEqual(curtida.imagem, "https://golpe.example/capa.png");
+
+  const faixa = await api.db.query("SELECT provedor, album_id FROM faixas WHERE id = 'fx-trk-010'");
+  assert.deepEqual(faixa.rows, [{ provedor: "fixture", album_id: "fx-alb-03" }]);
+  const creditos = await api.db.query(
+    "SELECT artista_id FROM faixa_artistas WHERE faixa_id = 'fx-trk-010' ORDER BY posicao"
+  );
+  assert.deepEqual(creditos.rows.map((c) => c.artista_id), ["fx-art-03"]);
+});
+
+test("faixa que o catálogo não conhece é 404 e nada é gravado", async () => {
+  const curtida = await api.chamar("POST", "/api/likes", {
+    token: ana.token,
+    corpo: { spotify_id: "nao-existe-999", titulo: "Fantasma" },
+  });
+  assert.equal(curtida.status, 404);
+  assert.equal(curtida.corpo.code, "TRACK_NOT_FOUND");
+
+  const biblioteca = await api.chamar("POST", "/api/library", {
+    token: ana.token,
+    corpo: { spotify_id: "nao-existe-999" },
+  });
+  assert.equal(biblioteca.status, 404);
+
+  const playlist = await api.chamar("POST", "/api/playlists", { token: ana.token, corpo: { nome: "Teste" } });
+  const lote = await api.chamar("POST", `/api/playlists/${playlist.corpo.id}/musicas`, {
+    token: ana.token,
+    corpo: { musicas: [{ spotify_id: "fx-trk-011" }, { spotify_id: "nao-existe-999" }] },
+  });
+  assert.equal(lote.status, 404);
+  const musicas = await api.chamar("GET", `/api/playlists/${playlist.corpo.id}/musicas`, { token: ana.token });
+  assert.deepEqual(musicas.corpo, []);
+
+  const salvas = await api.db.query("SELECT id FROM faixas WHERE id = 'nao-existe-999'");
+  assert.equal(salvas.rows.length, 0);
+});
+
+test("URN ou URI no lugar do id vale pelo id", async () => {
+  const r = await api.chamar("POST", "/api/library", {
+    token: ana.token,
+    corpo: { spotify_id: "findmysong:track:fx-trk-011" },
+  });
+  assert.equal(r.status, 200);
+  const biblioteca = await api.chamar("GET", "/api/library/me", { token: ana.token });
+  const item = biblioteca.corpo.find((m) => m.spotify_id === "fx-trk-011");
+  assert.ok(item);
+  assert.ok(item.titulo);
+});
+
+test("atualização revisa as faixas antigas e marca as que sumiram do catálogo", async () => {
+  await api.db.query(
+    "UPDATE faixas SET titulo = 'Velho', atualizado_em = NOW() - interval '30 days' WHERE id = 'fx-trk-001'"
+  );
+  // Como uma faixa trazida pela migração: nunca confirmada no catálogo
+  await api.db.query("INSERT INTO faixas (id, titulo, artista) VALUES ('legado-01', 'Antiga', 'Alguém')");
+  await api.db.query(
+    `INSERT INTO curtidas (usuario_id, spotify_id)
+     SELECT id, 'legado-01' FROM usuarios WHERE email = 'ana@findmysong.dev'`
+  );
+  // Ninguém mais usa: fica fora da revisão
+  await api.db.query("INSERT INTO faixas (id, titulo) VALUES ('orfa-01', 'Sem dono')");
+
+  const negado = await api.chamar("POST", "/api/admin/faixas/atualizar", { token: ana.token, corpo: {} });
+  assert.equal(negado.status, 403);
+
+  const r = await api.chamar("POST", "/api/admin/faixas/atualizar", { token: admin.token, corpo: {} });
+  assert.equal(r.status, 200);
+  assert.equal(r.corpo.interrompida, false);
+  assert.equal(r.corpo.verificadas, 2);
+  assert.equal(r.corpo.atualizadas, 1);
+  assert.equal(r.corpo.indisponiveis, 1);
+
+  const faixas = await api.db.query(
+    `SELECT id, titulo, atualizado_em IS NOT NULL AS conferida, indisponivel_em IS NOT NULL AS indisponivel
+       FROM faixas WHERE id IN ('fx-trk-001', 'legado-01') ORDER BY id`
+  );
+  assert.deepEqual(faixas.rows, [
+    { id: "fx-trk-001", titulo: "Ondas de Verão", conferida: true, indisponivel: false },
+    { id: "legado-01", titulo: "Antiga", conferida: true, indisponivel: true },
+  ]);
+  const orfa = await api.db.query("SELECT atualizado_em FROM faixas WHERE id = 'orfa-01'");
+  assert.deepEqual(orfa.rows, [{ atualizado_em: null }]);
+
+  // A curtida continua, com os últimos dados conhecidos
+  const curtidas = await api.chamar("GET", "/api/likes/me", { token: ana.token });
+  assert.equal(curtidas.corpo.find((c) => c.spotify_id === "legado-01").titulo, "Antiga");
+
+  const invalido = await api.chamar("POST", "/api/admin/faixas/atualizar", {
+    token: admin.token,
+    corpo: { limite: 0 },
+  });
+  assert.equal(invalido.status, 400);
+});
+
+test("provedor fora do ar interrompe a atualização sem carimbar nada", async () => {
+  await api.db.query("UPDATE faixas SET atualizado_em = NOW() - interval '30 days' WHERE id = 'fx-trk-002'");
+  const original = catalogo.obterFaixaSemCache;
+  catalogo.obterFaixaSemCache = async () => {
+    throw new CatalogoError("UPSTREAM_UNAVAILABLE");
+  };
+  try {
+    const r = await api.chamar("POST", "/api/admin/faixas/atualizar", { token: admin.token, corpo: {} });
+    assert.equal(r.status, 200);
+    assert.equal(r.corpo.interrompida, true);
+    assert.equal(r.corpo.verificadas, 0);
+  } finally {
+    catalogo.obterFaixaSemCache = original;
+  }
+  const faixa = await api.db.query(
+    "SELECT atualizado_em < NOW() - interval '1 day' AS antiga FROM faixas WHERE id = 'fx-trk-002'"
+  );
+  assert.deepEqual(faixa.rows, [{ antiga: true }]);
+});
+
+test("migração 022 junta as cópias, normaliza os ids e tira as repetidas", async () => {
+  const db = criarPoolPglite();
+  const semLog = { log: () => {} };
+  try {
+    await migrate(db, { to: 21, ...semLog });
+    const id = "4uLU6hMCjMI75M1A2tKUQC";
+    await db.query("INSERT INTO usuarios (id, nome, email, senha) VALUES (1, 'Vera', 'vera@x.dev', 'x')");
+    await db.query(
+      `INSERT INTO curtidas (usuario_id, spotify_id, titulo, artista, criado_em) VALUES
+         (1, $1, 'Título antigo', 'Artista', NOW() - interval '2 days'),
+         (1, $2, 'Título novo', NULL, NOW() - interval '1 day')`,
+      [`spotify:track:${id}`, `https://open.spotify.com/track/${id}?si=abc`]
+    );
+    await db.query("INSERT INTO playlists (id, usuario_id, nome) VALUES (1, 1, 'Velha')");
+    await db.query(
+      `INSERT INTO playlist_musicas (playlist_id, spotify_id, posicao, titulo, duracao_ms) VALUES
+         (1, 'outra', 1, 'Outra', 1000), (1, $1, 2, '', 2000), (1, $2, 3, NULL, NULL),
+         (1, 'mais-uma', 4, 'Mais uma', 3000)`,
+      [`spotify:track:${id}`, id]
+    );
+
+    await migrate(db, { to: 22, ...semLog });
+
+    const faixa = await db.query(
+      "SELECT titulo, artista, duracao_ms, atualizado_em FROM faixas WHERE id = $1",
+      [id]
+    );
+    assert.deepEqual(faixa.rows, [{ titulo: "Título novo", artista: "Artista", duracao_ms: 2000, atualizado_em: null }]);
+    const curtidas = await db.query("SELECT spotify_id FROM curtidas");
+    assert.deepEqual(curtidas.rows, [{ spotify_id: id }]);
+    const musicas = await db.query("SELECT spotify_id, posicao FROM playlist_musicas ORDER BY posicao");
+    assert.deepEqual(musicas.rows, [
+      { spotify_id: "outra", posicao: 1 },
+      { spotify_id: id, posicao: 2 },
+      { spotify_id: "mais-uma", posicao: 3 },
+    ]);
+
+    await rollback(db, { steps: 1, ...semLog });
+    const copia = await db.query("SELECT titulo FROM curtidas");
+    assert.deepEqual(copia.rows, [{ titulo: "Título novo" }]);
+  } finally {
+    await db.end();
+  }
+});
@@ -0,0 +1,129 @@
+// Curtidas/biblioteca paginadas por cursor e a busca em "minhas músicas"
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+
+// Faixas da fixture usadas aqui:
+//   fx-trk-001 Ondas de Verão, fx-trk-002 Coração de Areia, fx-trk-003 Farol (Banda Maré Alta)
+//   fx-trk-005 Cartas para o Rio, fx-trk-006 Samba do Avesso (Lia Figueira)
+//   fx-trk-009 Órbita (Os Cometas)
+
+let api;
+let sessao;
+before(async () => {
+  api = await iniciarServidor();
+  await api.chamar("POST", "/api/usuarios/register", {
+    corpo: { nome: "Iara", email: "iara@findmysong.dev", senha: "segredo123" },
+  });
+  sessao = await api.entrar("iara@findmysong.dev", "segredo123");
+  const { token } = sessao;
+
+  for (const spotify_id of ["fx-trk-002", "fx-trk-001", "fx-trk-003", "fx-trk-009"]) {
+    await api.chamar("POST", "/api/likes", { token, corpo: { spotify_id } });
+  }
+  for (const spotify_id of ["fx-trk-001", "fx-trk-005"]) {
+    await api.chamar("POST", "/api/library", { token, corpo: { spotify_id } });
+  }
+  const playlist = await api.chamar("POST", "/api/playlists", { token, corpo: { nome: "Estrada" } });
+  await api.chamar("POST", `/api/playlists/${playlist.corpo.id}/musicas`, {
+    token,
+    corpo: { musicas: [{ spotify_id: "fx-trk-002" }, { spotify_id: "fx-trk-006" }] },
+  });
+});
+after(() => api.encerrar());
+
+const buscar = (query) => api.chamar("GET", `/api/usuarios/me/musicas?${query}`, { token: sessao.token });
+
+test("curtidas sem limit vêm inteiras; com limit, em páginas por proximo_cursor", async () => {
+  const inteira = await api.chamar("GET", "/api/likes/me", { token: sessao.token });
+  assert.equal(inteira.status, 200);
+  assert.deepEqual(inteira.corpo.map((c) => c.spotify_id), ["fx-trk-009", "fx-trk-003", "fx-trk-001", "fx-trk-002"]);
+
+  const vistos = [];
+  let caminho = "/api/likes/me?limit=3";
+  for (;;) {
+    const r = await api.chamar("GET", caminho, { token: sessao.token });
+    assert.equal(r.status, 200);
+    assert.ok(Array.isArray(r.corpo.itens) && r.corpo.itens.length <= 3);
+    vistos.push(...r.corpo.itens.map((c) => c.spotify_id));
+    if (!r.corpo.proximo_cursor) break;
+    caminho = `/api/likes/me?cursor=${r.corpo.proximo_cursor}`;
+  }
+  assert.deepEqual(vistos, inteira.corpo.map((c) => c.spotify_id));
+
+  const invalido = await api.chamar("GET", "/api/likes/me?cursor=nao-e-cursor", { token: sessao.token });
+  assert.equal(invalido.status, 400);
+  assert.ok(invalido.corpo.erros.cursor);
+  const limite = await api.chamar("GET", "/api/library/me?limit=0", { token: sessao.token });
+  assert.equal(limite.status, 400);
+  const biblioteca = await api.chamar("GET", "/api/library/me?limit=1", { token: sessao.token });
+  assert.deepEqual(biblioteca.corpo.itens.map((m) => m.spotify_id), ["fx-trk-005"]);
+  assert.ok(biblioteca.corpo.proximo_cursor);
+});
+
+test("busca sem acento, por prefixo e com erro de digitação", async () => {
+  const semAcento = await buscar("q=coracao");
+  assert.equal(semAcento.status, 200);
+  assert.equal(semAcento.corpo.ordem, "relevancia");
+  assert.deepEqual(semAcento.corpo.itens.map((m) => m.spotify_id), ["fx-trk-002"]);
+  assert.ok(semAcento.corpo.itens[0].relevancia > 0);
+
+  const prefixo = await buscar("q=ond%20ver");
+  assert.deepEqual(prefixo.corpo.itens.map((m) => m.spotify_id), ["fx-trk-001"]);
+
+  const digitacao = await buscar("q=farool");
+  assert.deepEqual(digitacao.corpo.itens.map((m) => m.spotify_id), ["fx-trk-003"]);
+
+  const nada = await buscar("q=xyzwq");
+  assert.deepEqual(nada.corpo, { ordem: "relevancia", itens: [], proximo_cursor: null });
+});
+
+test("agrupa por faixa com as origens e as playlists", async () => {
+  const r = await buscar("ordem=titulo");
+  const porId = Object.fromEntries(r.corpo.itens.map((m) => [m.spotify_id, m]));
+  assert.equal(r.corpo.itens.length, 6);
+  assert.equal(porId["fx-trk-002"].titulo, "Coração de Areia");
+  assert.deepEqual(porId["fx-trk-002"].origens, ["curtidas", "playlists"]);
+  assert.deepEqual(porId["fx-trk-002"].playlists.map((p) => p.nome), ["Estrada"]);
+  assert.deepEqual(porId["fx-trk-001"].origens, ["biblioteca", "curtidas"]);
+  assert.deepEqual(porId["fx-trk-001"].playlists, []);
+  assert.equal(porId["fx-trk-002"].relevancia, undefined);
+});
+
+test("filtros de origem, artista e data", async () => {
+  const soPlaylists = await buscar("origem=playlists");
+  assert.deepEqual(soPlaylists.corpo.itens.map((m) => m.spotify_id).sort(), ["fx-trk-002", "fx-trk-006"]);
+
+  const artista = await buscar("artista=figueira&origem=biblioteca,curtidas");
+  assert.deepEqual(artista.corpo.itens.map((m) => m.spotify_id), ["fx-trk-005"]);
+
+  const hoje = new Date().toISOString().slice(0, 10);
+  const ateHoje = await buscar(`ate=${hoje}`);
+  assert.equal(ateHoje.corpo.itens.length, 6);
+  const depois = await buscar("de=2999-01-01");
+  assert.deepEqual(depois.corpo.itens, []);
+
+  const origemInvalida = await buscar("origem=radio");
+  assert.equal(origemInvalida.status, 400);
+  const dataInvalida = await buscar("de=ontem");
+  assert.equal(dataInvalida.status, 400);
+});
+
+test("ordem por artista em páginas; cursor de outra ordem é recusado", async () => {
+  const ids = [];
+  let cursor = null;
+  let primeiroCursor = null;
+  do {
+    const r = await buscar(`ordem=artista&limit=4${cursor ? `&cursor=${cursor}` : ""}`);
+    assert.equal(r.status, 200);
+    ids.push(...r.corpo.itens.map((m) => m.spotify_id));
+    cursor = r.corpo.proximo_cursor;
+    primeiroCursor ??= cursor;
+  } while (cursor);
+  // Banda Maré Alta (Coração..., Farol, Ondas...), Lia Figueira (Cartas..., Samba...), Os Cometas
+  assert.deepEqual(ids, ["fx-trk-002", "fx-trk-003", "fx-trk-001", "fx-trk-005", "fx-trk-006", "fx-trk-009"]);
+
+  const trocada = await buscar(`ordem=titulo&cursor=${primeiroCursor}`);
+  assert.equal(trocada.status, 400);
+  assert.ok(trocada.corpo.erros.cursor);
+});
@@ -0,0 +1,168 @@
+// Curtidas, biblioteca e playlists
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+
+let api;
+let ana;
+let carla;
+before(async () => {
+  api = await iniciarServidor();
+  ana = await api.entrar("ana@findmysong.dev");
+  carla = await api.entrar("carla@findmysong.dev");
+});
+after(() => api.encerrar());
+
+const meuId = async (sessao) =>
+  (await api.chamar("GET", "/api/usuarios/me", { token: sessao.token })).corpo.id;
+
+for (const [rota, tabela] of [
+  ["/api/likes", "curtidas"],
+  ["/api/library", "biblioteca"],
+]) {
+  test(`${tabela}: listar, adicionar, remover e bloquear outro usuário`, async () => {
+    const { token } = carla;
+    const id = await meuId(carla);
+
+    const antes = await api.chamar("GET", `${rota}/me`, { token });
+    assert.equal(antes.status, 200);
+    const total = antes.corpo.length;
+    assert.ok(total > 0, "dados de exemplo carregados");
+
+    const semLogin = await api.chamar("GET", `${rota}/me`);
+    assert.equal(semLogin.status, 401);
+
+    const invalido = await api.chamar("POST", rota, { token, corpo: { titulo: "sem id" } });
+    assert.equal(invalido.status, 400);
+    assert.ok(invalido.corpo.erros.spotify_id);
+
+    const novo = { spotify_id: "fx-trk-020", titulo: "Faixa", artista: "Artista" };
+    assert.equal((await api.chamar("POST", rota, { token, corpo: novo })).status, 200);
+    // Repetida é ignorada
+    assert.equal((await api.chamar("POST", rota, { token, corpo: novo })).status, 200);
+
+    const porId = await api.chamar("GET", `${rota}/${id}`, { token });
+    assert.equal(porId.corpo.length, total + 1);
+
+    const deOutro = await api.chamar("GET", `${rota}/${id + 1}`, { token });
+    assert.equal(deOutro.status, 403);
+    const comOutroNoCorpo = await api.chamar("POST", rota, {
+      token,
+      corpo: { ...novo, usuario_id: id + 1 },
+    });
+    assert.equal(comOutroNoCorpo.status, 403);
+
+    assert.equal((await api.chamar("DELETE", `${rota}/me/fx-trk-020`, { token })).status, 200);
+    const removerPorId = await api.chamar("DELETE", `${rota}/${antes.corpo[0].spotify_id}/${id}`, {
+      token,
+    });
+    assert.equal(removerPorId.status, 200);
+
+    const depois = await api.chamar("GET", `${rota}/me`, { token });
+    assert.equal(depois.corpo.length, total - 1);
+  });
+}
+
+test("playlists: criar, listar, editar e excluir", async () => {
+  const { token } = ana;
+  const id = await meuId(ana);
+
+  const invalida = await api.chamar("POST", "/api/playlists", { token, corpo: { nome: "  " } });
+  assert.equal(invalida.status, 400);
+
+  const criada = await api.chamar("POST", "/api/playlists", {
+    token,
+    corpo: { nome: "Nova", descricao: "teste" },
+  });
+  assert.equal(criada.status, 201);
+  const pid = criada.corpo.id;
+
+  const minhas = await api.chamar("GET", "/api/playlists/me", { token });
+  assert.ok(minhas.corpo.some((p) => p.id === pid));
+  const porUsuario = await api.chamar("GET", `/api/playlists/${id}`, { token });
+  assert.equal(porUsuario.corpo.length, minhas.corpo.length);
+
+  const semCampos = await api.chamar("PATCH", `/api/playlists/${pid}`, { token, corpo: {} });
+  assert.equal(semCampos.status, 400);
+  const editada = await api.chamar("PATCH", `/api/playlists/${pid}`, {
+    token,
+    corpo: { nome: "Renomeada" },
+  });
+  assert.equal(editada.corpo.nome, "Renomeada");
+  assert.equal(editada.corpo.descricao, "teste");
+
+  const alheia = await api.chamar("PATCH", `/api/playlists/${pid}`, {
+    token: carla.token,
+    corpo: { nome: "x" },
+  });
+  assert.equal(alheia.status, 403);
+
+  assert.equal((await api.chamar("DELETE", `/api/playlists/${pid}`, { token })).status, 200);
+  const sumiu = await api.chamar("GET", `/api/playlists/${pid}/detalhes`, { token });
+  assert.equal(sumiu.status, 404);
+  assert.equal(sumiu.corpo.code, "PLAYLIST_NOT_FOUND");
+});
+
+test("playlists: músicas, ordem e remoção", async () => {
+  const { token } = ana;
+  const pid = (
+    await api.chamar("POST", "/api/playlists", { token, corpo: { nome: "Ordem" } })
+  ).corpo.id;
+  const base = `/api/playlists/${pid}`;
+
+  const adicionadas = await api.chamar("POST", `${base}/musicas`, {
+    token,
+    corpo: {
+      musicas: [
+        { spotify_id: "fx-trk-001", titulo: "A", duration_ms: 1000 },
+        { spotify_id: "fx-trk-002", titulo: "B", duracao_ms: 2000 },
+        { spotify_id: "fx-trk-001", titulo: "A de novo" },
+      ],
+    },
+  });
+  assert.equal(adicionadas.status, 201);
+  assert.equal(adicionadas.corpo.adicionadas, 2);
+
+  await api.chamar("POST", `${base}/musicas`, { token, corpo: { spotify_id: "fx-trk-003" } });
+
+  const detalhes = await api.chamar("GET", `${base}/detalhes`, { token });
+  assert.equal(detalhes.corpo.total_musicas, 3);
+  // Durações do catálogo (fx-trk-001..003): as mandadas no corpo são ignoradas
+  assert.equal(detalhes.corpo.duracao_total_ms, 187000 + 224000 + 261000);
+
+  const reordenada = await api.chamar("POST", `${base}/reordenar`, {
+    token,
+    corpo: { de: 3, para: 1 },
+  });
+  assert.deepEqual(
+    reordenada.corpo.map((m) => m.spotify_id),
+    ["fx-trk-003", "fx-trk-001", "fx-trk-002"]
+  );
+  const fora = await api.chamar("POST", `${base}/reordenar`, { token, corpo: { de: 1, para: 9 } });
+  assert.equal(fora.status, 400);
+  assert.equal(fora.corpo.code, "POSITION_OUT_OF_RANGE");
+
+  assert.equal((await api.chamar("DELETE", `${base}/musicas/fx-trk-001`, { token })).status, 200);
+  const ausente = await api.chamar("DELETE", `${base}/musicas/fx-trk-001`, { token });
+  assert.equal(ausente.status, 404);
+
+  const emLote = await api.chamar("DELETE", `${base}/musicas`, {
+    token,
+    corpo: { spotify_ids: ["fx-trk-002", "fx-trk-999"] },
+  });
+  assert.equal(emLote.corpo.removidas, 1);
+
+  const musicas = await api.chamar("GET", `${base}/musicas`, { token });
+  assert.deepEqual(
+    musicas.corpo.map((m) => [m.spotify_id, m.posicao]),
+    [["fx-trk-003", 1]]
+  );
+});
+
+test("playlists: exportar exige conta Spotify vinculada", async () => {
+  const { token } = ana;
+  const [playlist] = (await api.chamar("GET", "/api/playlists/me", { token })).corpo;
+  const r = await api.chamar("POST", `/api/playlists/${playlist.id}/exportar/spotify`, { token });
+  assert.equal(r.status, 409);
+  assert.equal(r.corpo.code, "SPOTIFY_NOT_LINKED");
+});
@@ -0,0 +1,96 @@
+// Id da requisição, métricas e health checks
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+const { rotaModelo } = require("../middleware/requisicao");
+const { catalogo } = require("../catalog");
+
+let api;
+before(async () => {
+  api = await iniciarServidor();
+});
+after(() => api.encerrar());
+
+test("toda resposta leva X-Request-Id; um id válido recebido é mantido", async () => {
+  const gerado = await api.chamar("GET", "/api/config");
+  assert.match(gerado.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+  const recebido = await api.chamar("GET", "/api/playlists/99999/musicas", {
+    cabecalhos: { "X-Request-Id": "front-abc.123" },
+  });
+  assert.equal(recebido.status, 401);
+  assert.equal(recebido.headers.get("x-request-id"), "front-abc.123");
+
+  const invalido = await api.chamar("GET", "/api/config", { cabecalhos: { "X-Request-Id": "com espaço" } });
+  assert.notEqual(invalido.headers.get("x-request-id"), "com espaço");
+});
+
+test("rota modelo não leva ids, nem no caminho de erro", () => {
+  const req = (originalUrl, path, baseUrl = "") => ({ originalUrl, baseUrl, route: { path } });
+  assert.equal(rotaModelo(req("/api/playlists/42/musicas?x=1", "/:playlistId/musicas")), "/api/playlists/:playlistId/musicas");
+  assert.equal(rotaModelo(req("/api/likes/", "/")), "/api/likes");
+  assert.equal(rotaModelo(req("/metrics", "/metrics")), "/metrics");
+  assert.equal(rotaModelo({ originalUrl: "/nada", baseUrl: "" }), "(nao_encontrada)");
+});
+
+test("/metrics expõe HTTP por rota, banco e catálogo", async () => {
+  const { token } = await api.entrar("ana@findmysong.dev");
+  await api.chamar("GET", "/api/playlists/99999/musicas", { token });
+  await api.chamar("GET", "/api/spotify/search?q=farol");
+
+  const r = await api.chamar("GET", "/metrics");
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(
+    r.texto,
+    /^http_requests_total\{method="GET",route="\/api\/playlists\/:playlistId\/musicas",status="404"\} 1$/m
+  );
+  assert.match(r.texto, /^http_request_duration_seconds_bucket\{method="GET",route="\/api\/config",le="\+Inf"\} \d+$/m);
+  assert.match(r.texto, /^db_query_duration_seconds_count\{outcome="ok"\} \d+$/m);
+  assert.match(r.texto, /^catalog_cache_requests_total\{provider="fixture",result="miss"\} [1-9]\d*$/m);
+  assert.match(r.texto, /^process_uptime_seconds \d+$/m);
+  // O id da URL não pode virar label; só os labels interessam (valores como
+  // somas de duração podem conter "99999" por acaso)
+  const labels = r.texto.match(/\{[^}]*\}/g);
+  assert.ok(labels.length > 0);
+  assert.ok(!labels.some((l) => l.includes("99999")));
+
+  process.env.METRICS_TOKEN = "segredo";
+  try {
+    assert.equal((await api.chamar("GET", "/metrics")).status, 401);
+    const autorizado = await api.chamar("GET", "/metrics", { cabecalhos: { Authorization: "Bearer segredo" } });
+    assert.equal(autorizado.status, 200);
+  } finally {
+    delete process.env.METRICS_TOKEN;
+  }
+});
+
+test("liveness não depende de nada; readiness informa as dependências", async () => {
+  const vivo = await api.chamar("GET", "/health/live");
+  assert.equal(vivo.status, 200);
+  assert.equal(vivo.corpo.status, "ok");
+
+  const pronto = await api.chamar("GET", "/health/ready");
+  assert.equal(pronto.status, 200);
+  assert.equal(pronto.corpo.ok, true);
+  assert.equal(pronto.corpo.dependencias.banco.status, "ok");
+  assert.equal(typeof pronto.corpo.dependencias.banco.latencia_ms, "number");
+  assert.deepEqual(pronto.corpo.dependencias.catalogo, { status: "ok", provedor: "fixture", circuito: "fechado" });
+
+  assert.deepEqual(Object.keys((await api.chamar("GET", "/health")).corpo), Object.keys(pronto.corpo));
+});
+
+test("circuito do catálogo aberto deixa a instância degradada, mas pronta", async () => {
+  const original = catalogo.estatisticasUpstream;
+  catalogo.estatisticasUpstream = () => ({ nome: "spotify", retries: 0, circuito: "aberto" });
+  try {
+    const pronto = await api.chamar("GET", "/health/ready");
+    assert.equal(pronto.status, 200);
+    assert.equal(pronto.corpo.ok, true);
+    assert.equal(pronto.corpo.status, "degradado");
+    assert.equal(pronto.corpo.dependencias.catalogo.status, "degradado");
+    assert.equal(pronto.corpo.dependencias.catalogo.circuito, "aberto");
+  } finally {
+    catalogo.estatisticasUpstream = original;
+  }
+});
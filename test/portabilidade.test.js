@@ -0,0 +1,174 @@
+// Exportação e importação de curtidas, biblioteca e playlists
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+
+let api;
+let ana;
+let dani;
+before(async () => {
+  api = await iniciarServidor();
+  ana = await api.entrar("ana@findmysong.dev");
+  await api.chamar("POST", "/api/usuarios/register", {
+    corpo: { nome: "Dani", email: "dani@x.com", senha: "segredo1" },
+  });
+  dani = await api.entrar("dani@x.com", "segredo1");
+});
+after(() => api.encerrar());
+
+test("exporta curtidas nos quatro formatos", async () => {
+  const { token } = ana;
+  const curtidas = (await api.chamar("GET", "/api/likes/me", { token })).corpo;
+
+  const json = await api.chamar("GET", "/api/likes/exportar", { token });
+  assert.equal(json.status, 200);
+  assert.match(json.headers.get("content-disposition"), /attachment; filename="curtidas-.*\.json"/);
+  assert.equal(json.corpo.tipo, "curtidas");
+  assert.deepEqual(
+    json.corpo.musicas.map((m) => m.spotify_id),
+    curtidas.map((c) => c.spotify_id)
+  );
+
+  const csv = await api.chamar("GET", "/api/likes/exportar?formato=csv", { token });
+  assert.match(csv.headers.get("content-type"), /text\/csv/);
+  assert.equal(csv.texto.trim().split("\r\n").length, curtidas.length + 1);
+
+  const m3u8 = await api.chamar("GET", "/api/likes/exportar?formato=m3u8", { token });
+  assert.match(m3u8.texto, /^#EXTM3U\n/);
+  assert.match(m3u8.texto, new RegExp(`findmysong:track:${curtidas[0].spotify_id}`));
+
+  const xspf = await api.chamar("GET", "/api/likes/exportar?formato=xspf", { token });
+  assert.match(xspf.texto, /<playlist version="1" xmlns="http:\/\/xspf.org\/ns\/0\/">/);
+
+  const invalido = await api.chamar("GET", "/api/likes/exportar?formato=pdf", { token });
+  assert.equal(invalido.status, 400);
+});
+
+test("exportação de um formato volta igual na importação, sem duplicar", async () => {
+  for (const formato of ["json", "csv", "m3u8", "xspf"]) {
+    const exportado = await api.chamar("GET", `/api/library/exportar?formato=${formato}`, {
+      token: ana.token,
+    });
+    const total = (await api.chamar("GET", "/api/library/me", { token: ana.token })).corpo.length;
+
+    const corpo = formato === "json" ? exportado.corpo : exportado.texto;
+    const cabecalhos = formato === "json" ? {} : { "Content-Type": "text/plain" };
+    const primeira = await api.chamar("POST", "/api/library/importar", {
+      token: dani.token,
+      corpo,
+      cabecalhos,
+    });
+    assert.equal(primeira.status, 200, formato);
+    assert.equal(primeira.corpo.formato, formato);
+    assert.equal(primeira.corpo.encontradas, total);
+    assert.equal(primeira.corpo.por_id, total);
+    assert.deepEqual(primeira.corpo.nao_encontradas, []);
+
+    const segunda = await api.chamar("POST", "/api/library/importar", {
+      token: dani.token,
+      corpo,
+      cabecalhos,
+    });
+    assert.equal(segunda.corpo.adicionadas, 0, formato);
+    assert.equal(segunda.corpo.ja_existentes, total);
+  }
+});
+
+test("exportação JSON com mais de 100kb volta na importação", async () => {
+  const exportado = await api.chamar("GET", "/api/library/exportar", { token: ana.token });
+  const { musicas } = exportado.corpo;
+  // Repete as músicas até passar do limite padrão do express.json()
+  const repetidas = [];
+  while (JSON.stringify(repetidas).length <= 120 * 1024) repetidas.push(...musicas);
+  const corpo = { ...exportado.corpo, musicas: repetidas };
+
+  const r = await api.chamar("POST", "/api/library/importar", { token: dani.token, corpo });
+  assert.equal(r.status, 200);
+  assert.equal(r.corpo.encontradas, repetidas.length);
+  assert.equal(r.corpo.repetidas, repetidas.length - musicas.length);
+});
+
+test("CSV do Spotify casa por título e artista e aponta o que faltou", async () => {
+  const csv = [
+    '"Track URI","Track Name","Artist Name(s)","Album Name","Track Duration (ms)"',
+    '"spotify:track:0000000000000000000000","Ondas de Verao (Remastered)","Banda Mare Alta","Ondas",187000',
+    '"","Samba do Avesso - Ao Vivo","Lia Figueira feat. Convidado","",0',
+    '"","Musica que nao existe","Ninguem","",0',
+  ].join("\n");
+
+  const r = await api.chamar("POST", "/api/likes/importar?formato=spotify_csv", {
+    token: dani.token,
+    corpo: csv,
+    cabecalhos: { "Content-Type": "text/csv" },
+  });
+  assert.equal(r.status, 200);
+  assert.equal(r.corpo.aproximadas, 2);
+  assert.equal(r.corpo.adicionadas, 2);
+  assert.deepEqual(r.corpo.nao_encontradas, [
+    { linha: 4, spotify_id: null, titulo: "Musica que nao existe", artista: "Ninguem" },
+  ]);
+
+  const curtidas = (await api.chamar("GET", "/api/likes/me", { token: dani.token })).corpo;
+  assert.deepEqual(curtidas.map((c) => c.spotify_id).sort(), ["fx-trk-001", "fx-trk-006"]);
+});
+
+test("importa M3U8 para uma playlist, na ordem do arquivo", async () => {
+  const { token } = dani;
+  const pid = (await api.chamar("POST", "/api/playlists", { token, corpo: { nome: "Viagem" } })).corpo
+    .id;
+
+  const m3u8 = [
+    "#EXTM3U",
+    "#EXTINF:160,Os Cometas - Poeira Cósmica",
+    "C:\\Musicas\\poeira.mp3",
+    "Musicas/Trio Sertão Azul - Viola no Peito.mp3",
+    "#EXTINF:-1,Farol",
+    "findmysong:track:fx-trk-003",
+  ].join("\r\n");
+
+  const r = await api.chamar("POST", `/api/playlists/${pid}/importar`, {
+    token,
+    corpo: { formato: "m3u8", conteudo: m3u8 },
+  });
+  assert.equal(r.status, 200);
+  assert.equal(r.corpo.adicionadas, 3);
+
+  const musicas = (await api.chamar("GET", `/api/playlists/${pid}/musicas`, { token })).corpo;
+  assert.deepEqual(
+    musicas.map((m) => m.spotify_id),
+    ["fx-trk-010", "fx-trk-018", "fx-trk-003"]
+  );
+
+  const exportada = await api.chamar("GET", `/api/playlists/${pid}/exportar?formato=xspf`, { token });
+  assert.match(exportada.texto, /<title>Viagem<\/title>/);
+  assert.match(exportada.texto, /<duration>160000<\/duration>/);
+
+  const alheia = await api.chamar("GET", `/api/playlists/${pid}/exportar`, { token: ana.token });
+  assert.equal(alheia.status, 403);
+});
+
+test("arquivo inválido ou vazio é recusado", async () => {
+  const { token } = dani;
+  const quebrado = await api.chamar("POST", "/api/library/importar", {
+    token,
+    corpo: "<playlist><trackList>",
+    cabecalhos: { "Content-Type": "application/xspf+xml" },
+  });
+  assert.equal(quebrado.status, 400);
+  assert.equal(quebrado.corpo.code, "IMPORT_EMPTY");
+
+  const csvSemColunas = await api.chamar("POST", "/api/library/importar", {
+    token,
+    corpo: "a,b\n1,2\n",
+    cabecalhos: { "Content-Type": "text/csv" },
+  });
+  assert.equal(csvSemColunas.corpo.code, "IMPORT_INVALID");
+  assert.equal(csvSemColunas.corpo.message, "Arquivo csv inválido.");
+
+  const semConteudo = await api.chamar("POST", "/api/library/importar", {
+    token,
+    corpo: { formato: "csv", conteudo: null },
+  });
+  assert.equal(semConteudo.status, 400);
+  assert.ok(semConteudo.corpo.erros.conteudo);
+});
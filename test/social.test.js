@@ -0,0 +1,150 @@
+// Perfis públicos, seguidores, visibilidade de playlists e feed
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+
+let api;
+let ana;
+let carla;
+let idAna;
+let idCarla;
+before(async () => {
+  api = await iniciarServidor();
+  ana = await api.entrar("ana@findmysong.dev");
+  carla = await api.entrar("carla@findmysong.dev");
+  idAna = (await api.chamar("GET", "/api/usuarios/me", { token: ana.token })).corpo.id;
+  idCarla = (await api.chamar("GET", "/api/usuarios/me", { token: carla.token })).corpo.id;
+});
+after(() => api.encerrar());
+
+test("perfil público não mostra email e traz as contagens", async () => {
+  const anonimo = await api.chamar("GET", `/api/usuarios/profile/${idAna}`);
+  assert.equal(anonimo.status, 200);
+  assert.equal(anonimo.corpo.email, undefined);
+  assert.equal(anonimo.corpo.voce_segue, undefined);
+  assert.equal(anonimo.corpo.seguidores, 2);
+  assert.equal(anonimo.corpo.playlists_publicas, 1);
+
+  const logada = await api.chamar("GET", `/api/usuarios/profile/${idAna}`, { token: carla.token });
+  assert.equal(logada.corpo.voce_segue, true);
+
+  const playlists = await api.chamar("GET", `/api/usuarios/${idAna}/playlists`);
+  assert.deepEqual(
+    playlists.corpo.map((p) => p.nome),
+    ["Favoritas da Ana"]
+  );
+});
+
+test("seguir, listar e deixar de seguir", async () => {
+  const { token } = ana;
+  assert.equal((await api.chamar("POST", `/api/usuarios/${idCarla}/seguir`)).status, 401);
+
+  const proprio = await api.chamar("POST", `/api/usuarios/${idAna}/seguir`, { token });
+  assert.equal(proprio.corpo.code, "SELF_FOLLOW");
+  const ninguem = await api.chamar("POST", "/api/usuarios/99999/seguir", { token });
+  assert.equal(ninguem.status, 404);
+
+  assert.equal((await api.chamar("POST", `/api/usuarios/${idCarla}/seguir`, { token })).status, 201);
+  // Repetir não duplica
+  assert.equal((await api.chamar("POST", `/api/usuarios/${idCarla}/seguir`, { token })).status, 200);
+
+  const seguidores = await api.chamar("GET", `/api/usuarios/${idCarla}/seguidores`);
+  assert.equal(seguidores.corpo.total, 2);
+  assert.ok(seguidores.corpo.itens.every((u) => u.email === undefined));
+  const seguindo = await api.chamar("GET", `/api/usuarios/${idAna}/seguindo`);
+  assert.deepEqual(
+    seguindo.corpo.itens.map((u) => u.id),
+    [idCarla]
+  );
+
+  await api.chamar("DELETE", `/api/usuarios/${idCarla}/seguir`, { token });
+  const depois = await api.chamar("GET", `/api/usuarios/${idCarla}/seguidores`);
+  assert.equal(depois.corpo.total, 1);
+});
+
+test("visibilidade e link de compartilhamento", async () => {
+  const { token } = carla;
+  const criada = await api.chamar("POST", "/api/playlists", { token, corpo: { nome: "Segredo" } });
+  assert.equal(criada.corpo.visibilidade, "private");
+  assert.equal(criada.corpo.slug, null);
+  const base = `/api/playlists/${criada.corpo.id}`;
+
+  const invalida = await api.chamar("PATCH", base, { token, corpo: { visibilidade: "amigos" } });
+  assert.equal(invalida.status, 400);
+
+  const naoListada = await api.chamar("PATCH", base, { token, corpo: { visibilidade: "unlisted" } });
+  const { slug } = naoListada.corpo;
+  assert.match(slug, /^[A-Za-z0-9_-]{16}$/);
+
+  const aberta = await api.chamar("GET", `/api/playlists/compartilhada/${slug}`);
+  assert.equal(aberta.status, 200);
+  assert.deepEqual(aberta.corpo.dono, { id: idCarla, nome: "Carla Lima", avatar_url: null });
+  assert.equal(aberta.corpo.usuario_id, undefined);
+  // Não listada não aparece no perfil
+  const doPerfil = await api.chamar("GET", `/api/usuarios/${idCarla}/playlists`);
+  assert.ok(doPerfil.corpo.every((p) => p.slug !== slug));
+
+  // Voltar a privada mantém o slug, mas o link para de abrir
+  await api.chamar("PATCH", base, { token, corpo: { visibilidade: "private" } });
+  assert.equal((await api.chamar("GET", `/api/playlists/compartilhada/${slug}`)).status, 404);
+
+  await api.chamar("PATCH", base, { token, corpo: { visibilidade: "public" } });
+  const novo = await api.chamar("POST", `${base}/link`, { token });
+  assert.notEqual(novo.corpo.slug, slug);
+  assert.equal((await api.chamar("GET", `/api/playlists/compartilhada/${slug}`)).status, 404);
+  assert.equal((await api.chamar("GET", `/api/playlists/compartilhada/${novo.corpo.slug}`)).status, 200);
+  assert.equal((await api.chamar("POST", `${base}/link`, { token: ana.token })).status, 403);
+});
+
+test("feed com curtidas e playlists públicas de quem você segue", async () => {
+  const { token } = carla;
+  await api.chamar("POST", "/api/likes", {
+    token: ana.token,
+    corpo: { spotify_id: "fx-trk-021", titulo: "Paper Satellites", artista: "Northern Static" },
+  });
+
+  // Curtidas ficam fora do feed até a dona ligar curtidas_publicas
+  const privado = await api.chamar("GET", "/api/usuarios/me/feed", { token });
+  assert.deepEqual(privado.corpo.itens.map((e) => e.tipo), ["playlist"]);
+  const invalida = await api.chamar("PATCH", "/api/usuarios/me/privacidade", {
+    token: ana.token,
+    corpo: { curtidas_publicas: "sim" },
+  });
+  assert.equal(invalida.status, 400);
+  const ligada = await api.chamar("PATCH", "/api/usuarios/me/privacidade", {
+    token: ana.token,
+    corpo: { curtidas_publicas: true },
+  });
+  assert.equal(ligada.status, 200);
+  assert.equal(ligada.corpo.curtidas_publicas, true);
+  assert.equal((await api.chamar("GET", "/api/usuarios/me", { token: ana.token })).corpo.curtidas_publicas, true);
+
+  const feed = await api.chamar("GET", "/api/usuarios/me/feed?limit=3", { token });
+  assert.equal(feed.status, 200);
+  assert.equal(feed.corpo.itens.length, 3);
+  assert.equal(feed.corpo.itens[0].tipo, "curtida");
+  assert.equal(feed.corpo.itens[0].musica.spotify_id, "fx-trk-021");
+  assert.equal(feed.corpo.itens[0].usuario.id, idAna);
+
+  // Percorre tudo pelo cursor, sem repetir nem pular eventos
+  const eventos = [];
+  let cursor = null;
+  do {
+    const consulta = cursor ? `limit=2&cursor=${cursor}` : "limit=2";
+    const pagina = await api.chamar("GET", `/api/usuarios/me/feed?${consulta}`, { token });
+    eventos.push(...pagina.corpo.itens);
+    cursor = pagina.corpo.proximo_cursor;
+  } while (cursor);
+
+  // 5 curtidas de exemplo + a nova + a playlist pública (a privada fica de fora)
+  const chaves = eventos.map((e) => (e.musica ? e.musica.spotify_id : `playlist:${e.playlist.id}`));
+  assert.equal(new Set(chaves).size, 7);
+  assert.equal(eventos.length, 7);
+  assert.deepEqual(
+    eventos.filter((e) => e.playlist).map((e) => [e.playlist.nome, e.playlist.acao]),
+    [["Favoritas da Ana", "criada"]]
+  );
+
+  const invalido = await api.chamar("GET", "/api/usuarios/me/feed?cursor=xyz", { token });
+  assert.equal(invalido.status, 400);
+});
@@ -0,0 +1,148 @@
+// Histórico de buscas e tendências
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+
+let api;
+let ana;
+let admin;
+before(async () => {
+  api = await iniciarServidor();
+  ana = await api.entrar("ana@findmysong.dev");
+  admin = await api.entrar("admin@findmysong.dev");
+});
+after(() => api.encerrar());
+
+async function atualizar() {
+  const r = await api.chamar("POST", "/api/admin/tendencias/atualizar", { token: admin.token });
+  assert.equal(r.status, 200);
+}
+
+test("buscas com login entram no histórico, sem repetir o termo", async () => {
+  const { token } = ana;
+  await api.chamar("GET", "/api/spotify/search?q=Farol&market=pt", { token });
+  // Próximas páginas e buscas sem login não contam
+  await api.chamar("GET", "/api/spotify/search?q=outra&offset=20", { token });
+  await api.chamar("GET", "/api/spotify/search?q=anonima");
+  await api.chamar("GET", "/api/spotify/search?q=  SAMBA ", { token });
+
+  const r = await api.chamar("GET", "/api/usuarios/me/buscas?limit=3", { token });
+  assert.equal(r.status, 200);
+  assert.equal(r.corpo.ativo, true);
+  assert.deepEqual(
+    r.corpo.itens.map((b) => [b.query, b.market]),
+    [
+      ["SAMBA", "BR"],
+      ["Farol", "PT"],
+      ["Northern Static", "BR"],
+    ]
+  );
+});
+
+test("histórico desligado não grava; apagar limpa tudo", async () => {
+  const { token } = ana;
+  const desligado = await api.chamar("PATCH", "/api/usuarios/me/buscas", { token, corpo: { ativo: false } });
+  assert.equal(desligado.corpo.ativo, false);
+  await api.chamar("GET", "/api/spotify/search?q=segredo", { token });
+
+  const r = await api.chamar("GET", "/api/usuarios/me/buscas", { token });
+  assert.equal(r.corpo.ativo, false);
+  assert.ok(r.corpo.itens.every((b) => b.query !== "segredo"));
+
+  const apagado = await api.chamar("DELETE", "/api/usuarios/me/buscas", { token });
+  assert.ok(apagado.corpo.removidas > 0);
+  assert.deepEqual((await api.chamar("GET", "/api/usuarios/me/buscas", { token })).corpo.itens, []);
+
+  await api.chamar("PATCH", "/api/usuarios/me/buscas", { token, corpo: { ativo: true } });
+  assert.equal((await api.chamar("GET", "/api/usuarios/me/buscas")).status, 401);
+});
+
+test("músicas em alta somam curtidas e biblioteca, por período e mercado", async () => {
+  await api.chamar("POST", "/api/likes", {
+    token: admin.token,
+    corpo: { spotify_id: "fx-trk-011", titulo: "Estrada", market: "us" },
+  });
+  await atualizar();
+
+  const semana = await api.chamar("GET", "/api/trending/musicas?limit=3");
+  assert.equal(semana.status, 200);
+  assert.equal(semana.corpo.periodo, "week");
+  assert.ok(semana.corpo.atualizado_em);
+  assert.deepEqual(semana.corpo.itens[0], {
+    posicao: 1,
+    spotify_id: "fx-trk-001",
+    titulo: "Ondas de Verão",
+    artista: "Banda Maré Alta",
+    imagem: semana.corpo.itens[0].imagem,
+    url: semana.corpo.itens[0].url,
+    curtidas: 2,
+    biblioteca: 1,
+    pontos: 5,
+  });
+
+  const eua = await api.chamar("GET", "/api/trending/musicas?periodo=day&market=US");
+  assert.deepEqual(
+    eua.corpo.itens.map((m) => [m.spotify_id, m.curtidas]),
+    [["fx-trk-011", 1]]
+  );
+
+  const invalido = await api.chamar("GET", "/api/trending/musicas?periodo=ano");
+  assert.equal(invalido.status, 400);
+});
+
+test("buscas em alta contam pessoas, não repetições, e escondem termos raros", async () => {
+  // Ana apagou o histórico; Carla já buscou "farol" nos dados de exemplo
+  const carla = await api.entrar("carla@findmysong.dev");
+  await api.chamar("GET", "/api/spotify/search?q=farol", { token: carla.token });
+  await api.chamar("GET", "/api/spotify/search?q=FAROL", { token: carla.token });
+  await api.chamar("GET", "/api/spotify/search?q=farol", { token: ana.token });
+  await atualizar();
+
+  // Só 2 pessoas: abaixo do mínimo de 5, nada aparece
+  const poucas = await api.chamar("GET", "/api/trending/buscas?periodo=month&market=BR");
+  assert.equal(poucas.status, 200);
+  assert.deepEqual(poucas.corpo.itens, []);
+
+  for (const nome of ["Davi", "Elis", "Fabio"]) {
+    const email = `${nome.toLowerCase()}@findmysong.dev`;
+    await api.chamar("POST", "/api/usuarios/register", { corpo: { nome, email, senha: "segredo123" } });
+    const { token } = await api.entrar(email, "segredo123");
+    await api.chamar("GET", "/api/spotify/search?q=farol", { token });
+  }
+  await atualizar();
+
+  const r = await api.chamar("GET", "/api/trending/buscas?periodo=month&market=BR");
+  assert.deepEqual(
+    r.corpo.itens.map((b) => [b.termo, b.pessoas]),
+    [["farol", 5]]
+  );
+
+  const lancamentos = await api.chamar("GET", "/api/spotify/lancamentos");
+  assert.equal(lancamentos.status, 200);
+  assert.deepEqual(lancamentos.corpo, (await api.chamar("GET", "/api/spotify/top10")).corpo);
+});
+
+test("uma pessoa em vários mercados e dias continua sendo uma pessoa", async () => {
+  const { token } = ana;
+  for (const market of ["BR", "PT", "US", "AR", "MX"]) {
+    await api.chamar("GET", `/api/spotify/search?q=meu segredo&market=${market}`, { token });
+  }
+  for (const dias of [1, 2, 3, 4]) {
+    await api.db.query(
+      `INSERT INTO buscas (usuario_id, query, termo, market, criado_em)
+       SELECT id, 'meu segredo', 'meu segredo', 'BR', NOW() - $1 * interval '1 day'
+         FROM usuarios WHERE email = 'ana@findmysong.dev'`,
+      [dias]
+    );
+  }
+  await atualizar();
+
+  const r = await api.chamar("GET", "/api/trending/buscas?periodo=month&limit=50");
+  assert.equal(r.status, 200);
+  assert.ok(r.corpo.itens.every((b) => b.termo !== "meu segredo"));
+
+  // Mercado só vale com código de país de verdade
+  const inventado = await api.chamar("GET", "/api/spotify/search?q=meu segredo&market=ZZ", { token });
+  assert.equal(inventado.status, 400);
+  assert.equal((await api.chamar("GET", "/api/trending/buscas?market=QQ")).status, 400);
+});
@@ -0,0 +1,181 @@
+// Cadastro, login, sessões, perfil e rate limiting
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio");
+
+let api;
+before(async () => {
+  // X-Forwarded-For vale como IP do cliente (bloqueio de login por IP)
+  process.env.TRUST_PROXY = "1";
+  api = await iniciarServidor();
+});
+after(() => api.encerrar());
+
+test("cadastro valida o corpo e recusa email repetido", async () => {
+  const invalido = await api.chamar("POST", "/api/usuarios/register", {
+    corpo: { email: "sem-arroba", senha: "1" },
+  });
+  assert.equal(invalido.status, 400);
+  assert.equal(invalido.corpo.code, "VALIDATION_ERROR");
+  assert.deepEqual(Object.keys(invalido.corpo.erros).sort(), ["email", "nome", "senha"]);
+
+  const criado = await api.chamar("POST", "/api/usuarios/register", {
+    corpo: { nome: "Dani", email: "dani@x.com", senha: "segredo1" },
+  });
+  assert.equal(criado.status, 201);
+  assert.equal(criado.corpo.usuario.email, "dani@x.com");
+
+  const repetido = await api.chamar("POST", "/api/usuarios/register", {
+    corpo: { nome: "Dani", email: "DANI@x.com", senha: "segredo1" },
+  });
+  assert.equal(repetido.status, 409);
+  assert.equal(repetido.corpo.code, "EMAIL_IN_USE");
+});
+
+test("login não revela se a conta existe", async () => {
+  const semConta = await api.chamar("POST", "/api/usuarios/login", {
+    corpo: { email: "ninguem@x.com", senha: "qualquer" },
+  });
+  const senhaErrada = await api.chamar("POST", "/api/usuarios/login", {
+    corpo: { email: "ana@findmysong.dev", senha: "errada" },
+  });
+  assert.equal(semConta.status, 401);
+  assert.deepEqual(semConta.corpo, senhaErrada.corpo);
+  assert.equal(senhaErrada.corpo.code, "INVALID_CREDENTIALS");
+});
+
+test("me, refresh, logout e logout-all", async () => {
+  const sessao = await api.entrar("ana@findmysong.dev");
+
+  const me = await api.chamar("GET", "/api/usuarios/me", { token: sessao.token });
+  assert.equal(me.status, 200);
+  assert.equal(me.corpo.email, "ana@findmysong.dev");
+  assert.equal(me.corpo.papel, "user");
+
+  const renovada = await api.chamar("POST", "/api/usuarios/refresh", {
+    corpo: { refresh_token: sessao.refresh_token },
+  });
+  assert.equal(renovada.status, 200);
+  assert.notEqual(renovada.corpo.refresh_token, sessao.refresh_token);
+
+  // Reusar o refresh token antigo derruba a sessão
+  const reuso = await api.chamar("POST", "/api/usuarios/refresh", {
+    corpo: { refresh_token: sessao.refresh_token },
+  });
+  assert.equal(reuso.status, 401);
+  assert.equal(reuso.corpo.code, "SESSION_REUSED");
+
+  const outra = await api.entrar("ana@findmysong.dev");
+  const saiu = await api.chamar("POST", "/api/usuarios/logout", {
+    corpo: { refresh_token: outra.refresh_token },
+  });
+  assert.equal(saiu.status, 200);
+  const aposLogout = await api.chamar("POST", "/api/usuarios/refresh", {
+    corpo: { refresh_token: outra.refresh_token },
+  });
+  assert.equal(aposLogout.status, 401);
+
+  const terceira = await api.entrar("ana@findmysong.dev");
+  const todas = await api.chamar("POST", "/api/usuarios/logout-all", { token: terceira.token });
+  assert.equal(todas.status, 200);
+  const aposTodas = await api.chamar("POST", "/api/usuarios/refresh", {
+    corpo: { refresh_token: terceira.refresh_token },
+  });
+  assert.equal(aposTodas.status, 401);
+});
+
+test("perfil: leitura, atualização e 404", async () => {
+  const { token } = await api.entrar("carla@findmysong.dev");
+  const me = await api.chamar("GET", "/api/usuarios/profile/me", { token });
+  assert.equal(me.status, 200);
+  assert.equal(me.corpo.nome, "Carla Lima");
+
+  const atualizado = await api.chamar("POST", "/api/usuarios/profile/me", {
+    token,
+    corpo: { nome: "Carla L.", avatar_url: "https://img.example/carla.png" },
+  });
+  assert.equal(atualizado.status, 200);
+
+  const publico = await api.chamar("GET", `/api/usuarios/profile/${me.corpo.id}`);
+  assert.equal(publico.corpo.nome, "Carla L.");
+
+  const porId = await api.chamar("POST", `/api/usuarios/profile/${me.corpo.id}`, {
+    token,
+    corpo: { nome: "Carla Lima" },
+  });
+  assert.equal(porId.status, 200);
+
+  const deOutro = await api.chamar("POST", `/api/usuarios/profile/${me.corpo.id + 1}`, {
+    token,
+    corpo: { nome: "Intrusa" },
+  });
+  assert.equal(deOutro.status, 403);
+
+  const inexistente = await api.chamar("GET", "/api/usuarios/profile/99999");
+  assert.equal(inexistente.status, 404);
+  assert.equal(inexistente.corpo.code, "USER_NOT_FOUND");
+});
+
+test("mensagens seguem o Accept-Language", async () => {
+  const r = await api.chamar("GET", "/api/usuarios/me", { cabecalhos: { "Accept-Language": "en" } });
+  assert.equal(r.status, 401);
+  assert.equal(r.headers.get("content-language"), "en");
+  assert.equal(r.corpo.message, "Unauthorized.");
+});
+
+test("bloqueio progressivo após falhas de login", async () => {
+  process.env.RATE_LIMIT_ENABLED = "true";
+  try {
+    const tentar = () =>
+      api.chamar("POST", "/api/usuarios/login", {
+        corpo: { email: "bruno@findmysong.dev", senha: "errada" },
+      });
+    for (let i = 0; i < 4; i += 1) assert.equal((await tentar()).status, 401);
+
+    const bloqueado = await tentar();
+    assert.equal(bloqueado.status, 429);
+    assert.equal(bloqueado.corpo.code, "LOGIN_LOCKED");
+    assert.ok(Number(bloqueado.headers.get("retry-after")) > 0);
+
+    // Nem a senha certa entra enquanto durar o bloqueio
+    const certa = await api.chamar("POST", "/api/usuarios/login", {
+      corpo: { email: "bruno@findmysong.dev", senha: "demo1234" },
+    });
+    assert.equal(certa.status, 429);
+
+    // De outro IP a conta continua entrando: errar a senha de propósito não tranca o dono
+    const dono = await api.chamar("POST", "/api/usuarios/login", {
+      corpo: { email: "bruno@findmysong.dev", senha: "demo1234" },
+      cabecalhos: { "X-Forwarded-For": "203.0.113.7" },
+    });
+    assert.equal(dono.status, 200);
+  } finally {
+    process.env.RATE_LIMIT_ENABLED = "false";
+  }
+});
+
+test("conta atacada de vários IPs também é bloqueada", async () => {
+  process.env.RATE_LIMIT_ENABLED = "true";
+  try {
+    const tentar = (ip, senha = "errada") =>
+      api.chamar("POST", "/api/usuarios/login", {
+        corpo: { email: "carla@findmysong.dev", senha },
+        cabecalhos: { "X-Forwarded-For": ip },
+      });
+    // 4 falhas por IP: nenhum IP chega ao bloqueio por conta e IP
+    const respostas = [];
+    for (let ip = 1; ip <= 5; ip += 1) {
+      for (let i = 0; i < 4; i += 1) respostas.push((await tentar(`198.51.100.${ip}`)).status);
+    }
+    assert.deepEqual(respostas.slice(0, 19), Array(19).fill(401));
+    assert.equal(respostas[19], 429);
+
+    // A conta inteira fica bloqueada, de qualquer IP, até com a senha certa
+    const novoIp = await tentar("198.51.100.99", "demo1234");
+    assert.equal(novoIp.status, 429);
+    assert.equal(novoIp.corpo.code, "LOGIN_LOCKED");
+    assert.ok(Number(novoIp.headers.get("retry-after")) <= 60);
+  } finally {
+    process.env.RATE_LIMIT_ENABLED = "false";
+  }
+});
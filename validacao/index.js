@@ -0,0 +1,229 @@
+// ===============================
+// Validação de dados de entrada
+// ===============================
+// Esquema = objeto { campo: definição }. Definições:
+//   { tipo: "texto", min, max, formato }     (texto é aparado com trim)
+//   { tipo: "email" }
+//   { tipo: "pais" }                          (ISO 3166-1 alfa-2, vira maiúsculas)
+//   { tipo: "inteiro" | "numero", min, max }
+//   { tipo: "booleano" }
+//   { tipo: "opcao", opcoes: [...] }
+//   { tipo: "data" }                          (vira Date)
+//   { tipo: "lista", item: <definição>, min, max, unicos }
+//   { tipo: "objeto", campos: <esquema>, estrito }
+// Opções comuns: obrigatorio, padrao.
+//
+// Cada problema vira { campo, regra, params }; a mensagem vem de
+// i18n ("validacao.<regra>") na hora de responder.
+//
+// Nas rotas: router.post("/", validarCorpo({ nome: { tipo: "texto", obrigatorio: true } }), ...)
+const { ValidacaoError } = require("../erros");
+const PAISES = require("./paises");
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Música em curtidas, biblioteca e playlists: só o id conta. Os dados vêm
+// do catálogo (services/faixas.js); titulo, artista etc. que clientes
+// antigos ainda mandam passam pela validação e são ignorados.
+const CAMPOS_MUSICA = {
+  spotify_id: { tipo: "texto", obrigatorio: true, min: 1, max: 64 },
+};
+
+// Paginação por limit/offset das listagens administrativas
+const CAMPOS_PAGINACAO = {
+  limit: { tipo: "inteiro", min: 1, max: 100, padrao: 20 },
+  offset: { tipo: "inteiro", min: 0, padrao: 0 },
+};
+
+function vazio(valor) {
+  return valor === undefined || valor === null;
+}
+
+function padraoDe(def) {
+  if (def.tipo === "objeto" && def.padrao === undefined) {
+    return Object.fromEntries(
+      Object.entries(def.campos)
+        .map(([k, d]) => [k, padraoDe(d)])
+        .filter(([, v]) => v !== undefined)
+    );
+  }
+  return Array.isArray(def.padrao) ? [...def.padrao] : def.padrao;
+}
+
+// Query string só traz textos: converte para o tipo esperado antes de validar
+function coagir(def, valor) {
+  if (typeof valor !== "string") return valor;
+  if ((def.tipo === "inteiro" || def.tipo === "numero") && valor.trim() !== "") {
+    const n = Number(valor);
+    return Number.isNaN(n) ? valor : n;
+  }
+  if (def.tipo === "booleano") {
+    if (["true", "1"].includes(valor)) return true;
+    if (["false", "0"].includes(valor)) return false;
+  }
+  if (def.tipo === "lista") return valor.split(",").map((v) => v.trim()).filter(Boolean);
+  return valor;
+}
+
+// Valida um valor contra a definição e devolve o valor limpo. Problemas são
+// acumulados em "erros". "atual" é usado por objetos para atualização parcial.
+function validarValor(def, valor, caminho, erros, { atual, coagirTexto = false } = {}) {
+  const falha = (regra, params) => {
+    erros.push({ campo: caminho, regra, params });
+    return undefined;
+  };
+  if (coagirTexto) valor = coagir(def, valor);
+
+  switch (def.tipo) {
+    case "texto": {
+      if (typeof valor !== "string") return falha("texto");
+      const texto = valor.trim();
+      if (def.min !== undefined && texto.length < def.min) return falha("min_texto", { min: def.min });
+      if (def.max !== undefined && texto.length > def.max) return falha("max_texto", { max: def.max });
+      if (def.formato && !new RegExp(def.formato).test(texto)) return falha("formato");
+      return texto;
+    }
+    case "email": {
+      if (typeof valor !== "string") return falha("texto");
+      const email = valor.trim();
+      if (email.length > 180 || !EMAIL.test(email)) return falha("email");
+      return email;
+    }
+    case "pais": {
+      if (typeof valor !== "string") return falha("texto");
+      const pais = valor.trim().toUpperCase();
+      if (!PAISES.has(pais)) return falha("pais");
+      return pais;
+    }
+    case "inteiro":
+    case "numero": {
+      if (typeof valor !== "number" || !Number.isFinite(valor)) return falha("numero");
+      if (def.tipo === "inteiro" && !Number.isInteger(valor)) return falha("inteiro");
+      const foraDoMinimo = def.min !== undefined && valor < def.min;
+      const foraDoMaximo = def.max !== undefined && valor > def.max;
+      if (foraDoMinimo || foraDoMaximo) {
+        if (def.min !== undefined && def.max !== undefined)
+          return falha("intervalo", { min: def.min, max: def.max });
+        return foraDoMinimo ? falha("minimo", { min: def.min }) : falha("maximo", { max: def.max });
+      }
+      return valor;
+    }
+    case "booleano":
+      if (typeof valor !== "boolean") return falha("booleano");
+      return valor;
+    case "opcao":
+      if (!def.opcoes.includes(valor)) return falha("opcao", { opcoes: def.opcoes.join(", ") });
+      return valor;
+    case "data": {
+      const data = new Date(typeof valor === "number" ? valor : String(valor));
+      if (Number.isNaN(data.getTime())) return falha("data");
+      return data;
+    }
+    case "lista": {
+      if (!Array.isArray(valor)) return falha("lista");
+      if (def.min !== undefined && valor.length < def.min) return falha("min_itens", { min: def.min });
+      if (def.max !== undefined && valor.length > def.max) return falha("max_itens", { max: def.max });
+      const itens = def.item
+        ? valor.map((v, i) => validarValor(def.item, v, `${caminho}[${i}]`, erros))
+        : valor;
+      return def.unicos ? [...new Set(itens)] : itens;
+    }
+    case "objeto": {
+      if (!valor || typeof valor !== "object" || Array.isArray(valor)) return falha("objeto");
+      return validarCampos(def.campos, valor, erros, {
+        prefixo: `${caminho}.`,
+        estrito: def.estrito,
+        atual,
+        parcial: atual !== undefined,
+      });
+    }
+    default:
+      throw new Error(`Tipo de validação desconhecido: ${def.tipo}`);
+  }
+}
+
+// Valida um objeto campo a campo.
+//   estrito: chaves fora do esquema são erro (senão são mantidas como vieram)
+//   parcial: só valida as chaves enviadas, sobre "atual" (sem obrigatórios)
+function validarCampos(campos, dados, erros, opcoes = {}) {
+  const { prefixo = "", estrito = false, atual, parcial = false, coagirTexto = false } = opcoes;
+  const resultado = estrito ? { ...(atual || {}) } : { ...(atual || {}), ...dados };
+
+  for (const chave of Object.keys(dados)) {
+    if (!campos[chave] && estrito) erros.push({ campo: prefixo + chave, regra: "chave_desconhecida" });
+  }
+
+  for (const [chave, def] of Object.entries(campos)) {
+    const caminho = prefixo + chave;
+    let valor = dados[chave];
+    // "" em campo que não é texto (ex.: ?limit=) conta como ausente
+    if (valor === "" && def.tipo !== "texto") valor = undefined;
+    const ausente =
+      vazio(valor) || (def.obrigatorio && typeof valor === "string" && valor.trim() === "");
+
+    if (ausente) {
+      if (parcial && dados[chave] === undefined) continue;
+      if (def.obrigatorio) erros.push({ campo: caminho, regra: "obrigatorio" });
+      else if (!parcial && padraoDe(def) !== undefined) resultado[chave] = padraoDe(def);
+      else if (valor === null) resultado[chave] = null;
+      else delete resultado[chave];
+      continue;
+    }
+
+    resultado[chave] = validarValor(def, valor, caminho, erros, {
+      atual: atual?.[chave],
+      coagirTexto,
+    });
+  }
+  return resultado;
+}
+
+// Lança ValidacaoError se "dados" não bater com o esquema; devolve os dados limpos
+function validarOuFalhar(campos, dados, opcoes = {}) {
+  const erros = [];
+  if (!dados || typeof dados !== "object" || Array.isArray(dados)) {
+    throw new ValidacaoError([{ campo: "", regra: "objeto" }]);
+  }
+  const valores = validarCampos(campos, dados, erros, opcoes);
+  if (opcoes.umDos && !opcoes.umDos.some((c) => dados[c] !== undefined)) {
+    erros.push({ campo: "", regra: "um_dos", params: { campos: opcoes.umDos.join(", ") } });
+  }
+  if (erros.length) throw new ValidacaoError(erros, opcoes.codigo);
+  return valores;
+}
+
+// Middleware: valida req.body e troca pelo valor limpo.
+// Opções: estrito, umDos: ["nome", "descricao"] (ao menos um deles)
+function validarCorpo(campos, opcoes = {}) {
+  return (req, res, next) => {
+    try {
+      req.body = validarOuFalhar(campos, req.body ?? {}, opcoes);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+// Middleware: valida req.query (converte números/booleanos vindos como texto)
+function validarQuery(campos, opcoes = {}) {
+  return (req, res, next) => {
+    try {
+      req.query = validarOuFalhar(campos, req.query, { ...opcoes, coagirTexto: true });
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = {
+  CAMPOS_MUSICA,
+  CAMPOS_PAGINACAO,
+  padraoDe,
+  validarValor,
+  validarCampos,
+  validarOuFalhar,
+  validarCorpo,
+  validarQuery,
+};